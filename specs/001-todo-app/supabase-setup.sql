@@ -1,5 +1,10 @@
 -- Quick Fix for Supabase Database Setup
 -- Run this in your Supabase SQL Editor to fix the "Database error saving new user" issue
+--
+-- New project: run the whole file.
+-- Existing project with data: don't run Steps 1-11 (Step 2 drops the tables).
+-- Run only Step 12, "Upgrade an existing database", at the end of this file.
+-- It is idempotent, so it is safe to run again after every app update.
 -- Step 1: Drop existing trigger if it exists (it might be causing signup failures)
 DROP TRIGGER IF EXISTS on_auth_user_created ON auth.users;
 -- Step 2: Drop existing tables if they exist (to recreate in correct order)
@@ -19,9 +24,14 @@ CREATE TABLE categories (
     color TEXT NOT NULL DEFAULT 'gray',
     created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
     category_order INTEGER NOT NULL DEFAULT 0,
-    UNIQUE(user_id, name)
+    deleted_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    field_updated_at JSONB NOT NULL DEFAULT '{}'::jsonb
 );
 CREATE INDEX idx_categories_user_id ON categories(user_id);
+-- Names are unique per user outside the trash, so a deleted name can be reused
+CREATE UNIQUE INDEX idx_categories_user_id_name ON categories(user_id, name)
+WHERE deleted_at IS NULL;
 -- Step 5: Create tasks table (now that categories exists)
 CREATE TABLE tasks (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -36,14 +46,29 @@ CREATE TABLE tasks (
     category_id UUID REFERENCES categories(id) ON DELETE
     SET NULL,
         due_date TIMESTAMPTZ,
+        -- All-day due dates are stored as UTC midnight of their day
+        due_all_day BOOLEAN,
         task_order INTEGER NOT NULL DEFAULT 0,
-        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        recurrence JSONB,
+        subtasks JSONB NOT NULL DEFAULT '[]'::jsonb,
+        priority TEXT NOT NULL DEFAULT 'none' CHECK (
+            priority IN ('none', 'low', 'medium', 'high', 'urgent')
+        ),
+        deleted_at TIMESTAMPTZ,
+        archived_at TIMESTAMPTZ,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        field_updated_at JSONB NOT NULL DEFAULT '{}'::jsonb
 );
 CREATE INDEX idx_tasks_user_id ON tasks(user_id);
 CREATE INDEX idx_tasks_category_id ON tasks(category_id);
 CREATE INDEX idx_tasks_due_date ON tasks(due_date)
 WHERE due_date IS NOT NULL;
 CREATE INDEX idx_tasks_completed ON tasks(completed);
+CREATE INDEX idx_tasks_deleted_at ON tasks(deleted_at)
+WHERE deleted_at IS NOT NULL;
+-- The archive is paged newest completion first
+CREATE INDEX idx_tasks_archived ON tasks(user_id, completed_at DESC)
+WHERE archived_at IS NOT NULL;
 -- Add trigger to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column() RETURNS TRIGGER AS $$ BEGIN NEW.updated_at = now();
 RETURN NEW;
@@ -51,6 +76,26 @@ END;
 $$ LANGUAGE plpgsql;
 CREATE TRIGGER update_tasks_updated_at BEFORE
 UPDATE ON tasks FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_categories_updated_at BEFORE
+UPDATE ON categories FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+-- Keep per-field edit times: updates only send the fields they stamp
+CREATE OR REPLACE FUNCTION merge_field_updated_at() RETURNS TRIGGER AS $$ BEGIN NEW.field_updated_at = COALESCE(OLD.field_updated_at, '{}'::jsonb) || COALESCE(NEW.field_updated_at, '{}'::jsonb);
+RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+CREATE TRIGGER merge_tasks_field_updated_at BEFORE
+UPDATE ON tasks FOR EACH ROW EXECUTE FUNCTION merge_field_updated_at();
+CREATE TRIGGER merge_categories_field_updated_at BEFORE
+UPDATE ON categories FOR EACH ROW EXECUTE FUNCTION merge_field_updated_at();
+-- Batch update manual task order in one round trip (RLS still applies)
+CREATE OR REPLACE FUNCTION reorder_tasks(task_ids UUID [], task_orders INTEGER []) RETURNS void AS $$
+UPDATE tasks
+SET task_order = new_order.task_order,
+    field_updated_at = jsonb_build_object('order', now())
+FROM unnest(task_ids, task_orders) AS new_order(id, task_order)
+WHERE tasks.id = new_order.id
+    AND tasks.user_id = auth.uid();
+$$ LANGUAGE sql SECURITY INVOKER;
 -- Step 6: Enable RLS on both tables
 ALTER TABLE categories ENABLE ROW LEVEL SECURITY;
 ALTER TABLE tasks ENABLE ROW LEVEL SECURITY;
@@ -70,13 +115,18 @@ INSERT WITH CHECK (auth.uid() = user_id);
 CREATE POLICY "Users can update own tasks" ON tasks FOR
 UPDATE USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
 CREATE POLICY "Users can delete own tasks" ON tasks FOR DELETE USING (auth.uid() = user_id);
+-- Stream changes to other open devices (Supabase Realtime, RLS still applies)
+ALTER PUBLICATION supabase_realtime
+ADD TABLE tasks,
+    categories;
 -- Step 9: Create function to seed default categories
 CREATE OR REPLACE FUNCTION seed_user_categories() RETURNS TRIGGER AS $$ BEGIN
 INSERT INTO categories (user_id, name, color, category_order)
 VALUES (NEW.id, 'Personal', 'blue', 1),
     (NEW.id, 'Work', 'purple', 2),
     (NEW.id, 'Shopping', 'green', 3),
-    (NEW.id, 'Health', 'red', 4) ON CONFLICT (user_id, name) DO NOTHING;
+    (NEW.id, 'Health', 'red', 4) ON CONFLICT (user_id, name)
+WHERE deleted_at IS NULL DO NOTHING;
 RETURN NEW;
 EXCEPTION
 WHEN OTHERS THEN -- Don't fail user creation if category seeding fails
@@ -107,4 +157,120 @@ SELECT tablename,
     COUNT(*) as policy_count
 FROM pg_policies
 WHERE schemaname = 'public'
-GROUP BY tablename;
\ No newline at end of file
+GROUP BY tablename;
+-- Step 12: Upgrade an existing database (safe to re-run, keeps data)
+-- Brings a project created from an older version of this file up to date.
+-- Run the parts in order: columns before the constraints and indexes that use
+-- them, and functions before the triggers that call them.
+-- 12a: Columns added since the first version
+ALTER TABLE tasks
+ADD COLUMN IF NOT EXISTS recurrence JSONB;
+ALTER TABLE tasks
+ADD COLUMN IF NOT EXISTS subtasks JSONB NOT NULL DEFAULT '[]'::jsonb;
+ALTER TABLE tasks
+ADD COLUMN IF NOT EXISTS priority TEXT NOT NULL DEFAULT 'none';
+-- NULL means the row was written before all-day dates were flagged; the app
+-- reads local midnight as all day for those
+ALTER TABLE tasks
+ADD COLUMN IF NOT EXISTS due_all_day BOOLEAN;
+ALTER TABLE tasks
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE tasks
+ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+ALTER TABLE tasks
+ADD COLUMN IF NOT EXISTS field_updated_at JSONB NOT NULL DEFAULT '{}'::jsonb;
+ALTER TABLE categories
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE categories
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT now();
+ALTER TABLE categories
+ADD COLUMN IF NOT EXISTS field_updated_at JSONB NOT NULL DEFAULT '{}'::jsonb;
+-- 12b: Priority levels (replaces any earlier CHECK on the column)
+UPDATE tasks
+SET priority = 'none'
+WHERE priority NOT IN ('none', 'low', 'medium', 'high', 'urgent');
+ALTER TABLE tasks DROP CONSTRAINT IF EXISTS tasks_priority_check;
+ALTER TABLE tasks
+ADD CONSTRAINT tasks_priority_check CHECK (
+        priority IN ('none', 'low', 'medium', 'high', 'urgent')
+    );
+-- 12c: Category names unique outside the trash (replaces UNIQUE(user_id, name))
+ALTER TABLE categories DROP CONSTRAINT IF EXISTS categories_user_id_name_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_categories_user_id_name ON categories(user_id, name)
+WHERE deleted_at IS NULL;
+-- 12d: Indexes for the trash and the archive
+CREATE INDEX IF NOT EXISTS idx_tasks_deleted_at ON tasks(deleted_at)
+WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_tasks_archived ON tasks(user_id, completed_at DESC)
+WHERE archived_at IS NOT NULL;
+-- 12e: Functions (same definitions as in Steps 5 and 9)
+CREATE OR REPLACE FUNCTION update_updated_at_column() RETURNS TRIGGER AS $$ BEGIN NEW.updated_at = now();
+RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+CREATE OR REPLACE FUNCTION merge_field_updated_at() RETURNS TRIGGER AS $$ BEGIN NEW.field_updated_at = COALESCE(OLD.field_updated_at, '{}'::jsonb) || COALESCE(NEW.field_updated_at, '{}'::jsonb);
+RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+CREATE OR REPLACE FUNCTION reorder_tasks(task_ids UUID [], task_orders INTEGER []) RETURNS void AS $$
+UPDATE tasks
+SET task_order = new_order.task_order,
+    field_updated_at = jsonb_build_object('order', now())
+FROM unnest(task_ids, task_orders) AS new_order(id, task_order)
+WHERE tasks.id = new_order.id
+    AND tasks.user_id = auth.uid();
+$$ LANGUAGE sql SECURITY INVOKER;
+-- Its ON CONFLICT clause needs the partial unique index from 12c
+CREATE OR REPLACE FUNCTION seed_user_categories() RETURNS TRIGGER AS $$ BEGIN
+INSERT INTO categories (user_id, name, color, category_order)
+VALUES (NEW.id, 'Personal', 'blue', 1),
+    (NEW.id, 'Work', 'purple', 2),
+    (NEW.id, 'Shopping', 'green', 3),
+    (NEW.id, 'Health', 'red', 4) ON CONFLICT (user_id, name)
+WHERE deleted_at IS NULL DO NOTHING;
+RETURN NEW;
+EXCEPTION
+WHEN OTHERS THEN -- Don't fail user creation if category seeding fails
+RAISE WARNING 'Failed to seed categories for user %: %',
+NEW.id,
+SQLERRM;
+RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+-- 12f: Triggers (dropped first, as CREATE TRIGGER can't be re-run)
+DROP TRIGGER IF EXISTS update_tasks_updated_at ON tasks;
+CREATE TRIGGER update_tasks_updated_at BEFORE
+UPDATE ON tasks FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_categories_updated_at ON categories;
+CREATE TRIGGER update_categories_updated_at BEFORE
+UPDATE ON categories FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS merge_tasks_field_updated_at ON tasks;
+CREATE TRIGGER merge_tasks_field_updated_at BEFORE
+UPDATE ON tasks FOR EACH ROW EXECUTE FUNCTION merge_field_updated_at();
+DROP TRIGGER IF EXISTS merge_categories_field_updated_at ON categories;
+CREATE TRIGGER merge_categories_field_updated_at BEFORE
+UPDATE ON categories FOR EACH ROW EXECUTE FUNCTION merge_field_updated_at();
+DROP TRIGGER IF EXISTS on_auth_user_created ON auth.users;
+CREATE TRIGGER on_auth_user_created
+AFTER
+INSERT ON auth.users FOR EACH ROW EXECUTE FUNCTION seed_user_categories();
+-- 12g: Live updates (adds only the tables that aren't published yet)
+DO $$ BEGIN IF NOT EXISTS (
+    SELECT 1
+    FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime'
+        AND schemaname = 'public'
+        AND tablename = 'tasks'
+) THEN ALTER PUBLICATION supabase_realtime
+ADD TABLE tasks;
+END IF;
+IF NOT EXISTS (
+    SELECT 1
+    FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime'
+        AND schemaname = 'public'
+        AND tablename = 'categories'
+) THEN ALTER PUBLICATION supabase_realtime
+ADD TABLE categories;
+END IF;
+END $$;
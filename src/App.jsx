@@ -10,13 +10,33 @@ import { useTasks } from "./hooks/useTasks";
 import { useCategories } from "./hooks/useCategories";
 import { useTheme } from "./hooks/useTheme";
 import { useAuth } from "./hooks/useAuth";
+import { useUndoHistory } from "./hooks/useUndoHistory";
+import { useOutbox } from "./hooks/useOutbox";
+import { useConflicts } from "./hooks/useConflicts";
+import { useTrash } from "./hooks/useTrash";
+import { useArchive } from "./hooks/useArchive";
+import { useImport } from "./hooks/useImport";
 import { useToast } from "./contexts/ToastContext";
 import TaskInput from "./components/TaskInput";
 import TaskList from "./components/TaskList";
 import CategoryFilter from "./components/CategoryFilter";
+import SearchBar from "./components/SearchBar";
 import ThemeSelector from "./components/ThemeSelector";
 import { UserProfile } from "./components/UserProfile";
-import { getDateRanges, isOverdue } from "./services/dateParser";
+import {
+  getDateRanges,
+  isOverdue,
+  formatDate,
+  toDate,
+} from "./services/dateParser";
+import { getHighlightTerms } from "./services/searchQuery";
+import { downloadTasks } from "./services/exportService";
+import { downloadData } from "./services/backupService";
+import {
+  getCloudMigration,
+  discardCloudMigration,
+  describeMigrationReport,
+} from "./services/cloudMigrationService";
 import {
   getUserFriendlyError,
   SuccessMessages,
@@ -25,14 +45,26 @@ import {
 
 // Lazy load non-critical components for better initial load performance
 const ConfirmModal = lazy(() => import("./components/ConfirmModal"));
+const ConflictDialog = lazy(() => import("./components/ConflictDialog"));
+const TrashPanel = lazy(() => import("./components/TrashPanel"));
+const ArchivePanel = lazy(() => import("./components/ArchivePanel"));
+const ImportDialog = lazy(() => import("./components/ImportDialog"));
+const ExportDialog = lazy(() => import("./components/ExportDialog"));
 const AnimatedBackground = lazy(() =>
   import("./components/AnimatedBackground")
 );
 
-export default function App() {
+/**
+ * Root component
+ * @param {Object} props
+ * @param {Error|string|null} [props.startupError] - Why local data couldn't
+ *   be loaded or upgraded at startup
+ */
+export default function App({ startupError = null }) {
   const { isAuthenticated, user, loading: authLoading } = useAuth();
   const toast = useToast();
 
+  const tasksApi = useTasks();
   const {
     tasks,
     loading,
@@ -40,20 +72,64 @@ export default function App() {
     stats,
     syncing,
     isOnline,
-    addTask,
-    toggleTask,
-    removeTask,
-    clearCompleted,
+    addSubtask,
+    toggleSubtask,
+    deleteSubtask,
+    reorderTasks,
     initDemo,
     updateFilter,
     syncToSupabase,
-  } = useTasks();
+  } = tasksApi;
 
+  const categoriesApi = useCategories();
   const {
     categories,
     loading: categoriesLoading,
     initDemo: initCategoriesDemo,
-  } = useCategories();
+  } = categoriesApi;
+
+  // Undoable versions of the task and category mutations
+  const {
+    addTask,
+    updateTask,
+    toggleTask,
+    removeTask,
+    clearCompleted,
+    removeCategory,
+    undo,
+    redo,
+  } = useUndoHistory(tasksApi, categoriesApi);
+
+  // Push changes queued while offline once the connection is back
+  const { pendingCount } = useOutbox({
+    onReplayed: (result) => {
+      tasksApi.loadTasks();
+      categoriesApi.loadCategories();
+
+      if (result.dropped.length > 0) {
+        toast.error(InfoMessages.changesDropped);
+      } else if (result.remaining === 0) {
+        toast.success(SuccessMessages.offlineChangesSynced, { duration: 2000 });
+      }
+    },
+  });
+
+  // Title edits that clashed with another device while syncing
+  const { conflicts, resolveConflict } = useConflicts(tasksApi);
+  const [conflictsDeferred, setConflictsDeferred] = useState(false);
+
+  // Deleted tasks and categories, purged after the retention period
+  const trash = useTrash(tasksApi, categoriesApi);
+  const [showTrash, setShowTrash] = useState(false);
+
+  // Completed tasks cleared from the list, paged on demand
+  const [showArchive, setShowArchive] = useState(false);
+  const archive = useArchive(tasksApi, showArchive);
+
+  // Backups checked and previewed before they're imported
+  const importer = useImport(tasksApi, categoriesApi);
+  const [showImport, setShowImport] = useState(false);
+  const [showExport, setShowExport] = useState(false);
 
   const {
     currentTheme,
@@ -67,6 +143,7 @@ export default function App() {
   const [selectedCategoryId, setSelectedCategoryId] = useState(undefined);
   const [sortBy, setSortBy] = useState("order");
   const [quickFilter, setQuickFilter] = useState(null); // 'today', 'thisWeek', 'overdue'
+  const [searchQuery, setSearchQuery] = useState("");
   const [showClearModal, setShowClearModal] = useState(false);
 
   // Initialize demo data on first load
@@ -75,10 +152,25 @@ export default function App() {
     initCategoriesDemo();
   }, []);
 
-  // Update task filter when category or sort changes
+  // Update task filter when category, sort or search changes
+  useEffect(() => {
+    updateFilter({
+      categoryId: selectedCategoryId,
+      sortBy,
+      query: searchQuery,
+    });
+  }, [selectedCategoryId, sortBy, searchQuery]);
+
+  // Report data that couldn't be loaded or upgraded before the first render
   useEffect(() => {
-    updateFilter({ categoryId: selectedCategoryId, sortBy });
-  }, [selectedCategoryId, sortBy]);
+    if (startupError) {
+      toast.error(
+        `${InfoMessages.localDataProblem} ${getUserFriendlyError(
+          startupError
+        )}`
+      );
+    }
+  }, []);
 
   // Show offline indicator
   useEffect(() => {
@@ -87,6 +179,25 @@ export default function App() {
     }
   }, [isOnline]);
 
+  // Offer to upload what was saved on this device before signing in, and
+  // finish an upload that was interrupted
+  useEffect(() => {
+    if (!isAuthenticated || !isOnline || !user?.id) return;
+
+    const migration = getCloudMigration(user.id);
+    if (!migration) return;
+
+    if (migration.status === "running") {
+      handleSyncToSupabase();
+    } else {
+      toast.info(InfoMessages.localDataFound, {
+        duration: 0,
+        action: { label: "Upload", onClick: handleSyncToSupabase },
+        secondaryAction: { label: "Discard", onClick: discardCloudMigration },
+      });
+    }
+  }, [isAuthenticated, isOnline, user?.id]);
+
   // Show sync status
   useEffect(() => {
     if (syncing) {
@@ -95,6 +206,58 @@ export default function App() {
   }, [syncing]);
 
   // Wrapped handlers with toast notifications
+  const handleUndo = async () => {
+    const result = await undo();
+    if (result.success) {
+      toast.info(`${InfoMessages.undone} ${result.command.label}`, {
+        duration: 3000,
+        action: { label: "Redo", onClick: handleRedo },
+      });
+    } else if (result.command) {
+      toast.error(getUserFriendlyError(result.error));
+    }
+    return result;
+  };
+
+  const handleRedo = async () => {
+    const result = await redo();
+    if (result.success) {
+      toast.info(`${InfoMessages.redone} ${result.command.label}`, {
+        duration: 3000,
+        action: { label: "Undo", onClick: handleUndo },
+      });
+    } else if (result.command) {
+      toast.error(getUserFriendlyError(result.error));
+    }
+    return result;
+  };
+
+  // Keyboard shortcuts: Ctrl+Z to undo, Ctrl+Shift+Z or Ctrl+Y to redo
+  // (left alone inside form fields so native text undo keeps working)
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest?.("input, textarea, select, [contenteditable]")) {
+        return;
+      }
+
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        handleRedo();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  });
+
+  // Undo action attached to toasts for destructive operations
+  const undoAction = { label: "Undo", onClick: () => handleUndo() };
+
   const handleAddTask = async (taskData) => {
     const result = await addTask(taskData);
     if (result.success) {
@@ -111,7 +274,18 @@ export default function App() {
     if (result.success) {
       // Only show success toast when completing (not uncompleting)
       if (task && !task.completed) {
-        toast.success(SuccessMessages.taskCompleted, { duration: 2000 });
+        toast.success(SuccessMessages.taskCompleted, {
+          duration: 4000,
+          action: undoAction,
+        });
+      }
+      if (result.nextTask?.dueDate) {
+        toast.info(
+          `${InfoMessages.nextOccurrence} ${formatDate(
+            result.nextTask.dueDate
+          )}`,
+          { duration: 3000 }
+        );
       }
     } else if (result.error) {
       toast.error(getUserFriendlyError(result.error));
@@ -119,38 +293,246 @@ export default function App() {
     return result;
   };
 
+  const handleUpdateTask = async (id, updates) => {
+    const result = await updateTask(id, updates);
+    if (result.success) {
+      toast.success(SuccessMessages.taskUpdated, { duration: 2000 });
+    } else if (result.error) {
+      toast.error(getUserFriendlyError(result.error));
+    }
+    return result;
+  };
+
   const handleRemoveTask = async (id) => {
     const result = await removeTask(id);
     if (result.success) {
-      toast.success(SuccessMessages.taskDeleted, { duration: 2000 });
+      toast.success(SuccessMessages.taskDeleted, {
+        duration: 5000,
+        action: undoAction,
+      });
     } else if (result.error) {
       toast.error(getUserFriendlyError(result.error));
     }
     return result;
   };
 
+  const handleAddSubtask = async (taskId, title) => {
+    const result = await addSubtask(taskId, title);
+    if (!result.success && result.error) {
+      toast.error(getUserFriendlyError(result.error));
+    }
+    return result;
+  };
+
+  const handleToggleSubtask = async (taskId, subtaskId) => {
+    const result = await toggleSubtask(taskId, subtaskId);
+    if (!result.success) {
+      toast.error(getUserFriendlyError(result.error));
+      return result;
+    }
+
+    // Offer to complete the parent once the last subtask is checked off
+    const subtasks = result.task.subtasks || [];
+    if (
+      !result.task.completed &&
+      subtasks.length > 0 &&
+      subtasks.every((subtask) => subtask.completed)
+    ) {
+      toast.info(InfoMessages.allSubtasksDone, {
+        duration: 6000,
+        action: {
+          label: "Complete task",
+          onClick: () => handleToggleTask(taskId),
+        },
+      });
+    }
+    return result;
+  };
+
+  const handleDeleteSubtask = async (taskId, subtaskId) => {
+    const result = await deleteSubtask(taskId, subtaskId);
+    if (!result.success && result.error) {
+      toast.error(getUserFriendlyError(result.error));
+    }
+    return result;
+  };
+
+  const handleReorderTasks = async (orderedIds) => {
+    const result = await reorderTasks(orderedIds);
+    if (!result.success && result.error) {
+      toast.error(getUserFriendlyError(result.error));
+    }
+    return result;
+  };
+
   const handleClearCompleted = async () => {
     const result = await clearCompleted();
     setShowClearModal(false);
     if (result.success) {
-      toast.success(SuccessMessages.tasksCleared);
+      toast.success(SuccessMessages.tasksCleared, { action: undoAction });
+    } else if (result.error) {
+      toast.error(getUserFriendlyError(result.error));
+    }
+    return result;
+  };
+
+  const handleDeleteCategory = async (id) => {
+    const result = await removeCategory(id);
+    if (result.success) {
+      if (selectedCategoryId === id) {
+        setSelectedCategoryId(undefined);
+      }
+      toast.success(SuccessMessages.categoryDeleted, { action: undoAction });
     } else if (result.error) {
       toast.error(getUserFriendlyError(result.error));
     }
     return result;
   };
 
+  const handleRestoreFromTrash = async (entity, id) => {
+    const result =
+      entity === "task"
+        ? await tasksApi.restoreTask(id)
+        : await categoriesApi.restoreCategory(id);
+    if (result.success) {
+      toast.success(SuccessMessages.itemRestored, { duration: 2000 });
+    } else if (result.error) {
+      toast.error(getUserFriendlyError(result.error));
+    }
+    return result;
+  };
+
+  const handlePurgeFromTrash = async (entity, id) => {
+    const result =
+      entity === "task"
+        ? await tasksApi.purgeTask(id)
+        : await categoriesApi.purgeCategory(id);
+    if (result.success) {
+      toast.success(SuccessMessages.itemPurged, { duration: 2000 });
+    } else if (result.error) {
+      toast.error(getUserFriendlyError(result.error));
+    }
+    return result;
+  };
+
+  const handleEmptyTrash = async () => {
+    const result = await trash.emptyTrash();
+    if (result.success) {
+      toast.success(SuccessMessages.trashEmptied, { duration: 2000 });
+    } else if (result.error) {
+      toast.error(getUserFriendlyError(result.error));
+    }
+    return result;
+  };
+
+  const handleChangeRetention = (days) => {
+    const result = trash.setRetentionDays(days);
+    if (!result.success) {
+      toast.error(getUserFriendlyError(result.error));
+    }
+  };
+
+  const handleUnarchive = async (id) => {
+    const result = await archive.restore(id);
+    if (result.success) {
+      toast.success(SuccessMessages.taskUnarchived, { duration: 2000 });
+    } else if (result.error) {
+      toast.error(getUserFriendlyError(result.error));
+    }
+    return result;
+  };
+
+  const handleChangeAutoArchive = (days) => {
+    const result = archive.setAutoArchiveDays(days);
+    if (!result.success) {
+      toast.error(getUserFriendlyError(result.error));
+    }
+  };
+
+  const handleCloseImport = () => {
+    importer.reset();
+    setShowImport(false);
+  };
+
+  const handleImport = async (strategy) => {
+    const result = importer.external
+      ? await importer.importExternal()
+      : await importer.importPreview(strategy);
+    if (result.success) {
+      toast.success(
+        `${SuccessMessages.dataImported} (${result.created} added, ${
+          result.updated
+        } updated${result.skipped ? `, ${result.skipped} skipped` : ""})`
+      );
+      setShowImport(false);
+    } else if (result.error) {
+      toast.error(getUserFriendlyError(result.error));
+    }
+    return result;
+  };
+
+  const handleExport = (format, options) => {
+    if (downloadTasks(format, getVisibleTaskIds(), options)) {
+      toast.success(SuccessMessages.dataExported);
+      setShowExport(false);
+    } else {
+      toast.error(getUserFriendlyError("Failed to export"));
+    }
+  };
+
+  const handleCopyExport = async (content) => {
+    try {
+      await navigator.clipboard.writeText(content);
+      toast.success(SuccessMessages.dataCopied);
+    } catch (err) {
+      toast.error(getUserFriendlyError("Failed to copy"));
+    }
+  };
+
+  const handleDownloadBackup = async (passphrase) => {
+    const result = await downloadData({ passphrase });
+    if (result.success) {
+      toast.success(
+        passphrase
+          ? SuccessMessages.dataEncrypted
+          : SuccessMessages.dataExported
+      );
+      setShowExport(false);
+    } else {
+      toast.error(getUserFriendlyError(result.error));
+    }
+  };
+
+  const handleResolveConflict = async (value) => {
+    const result = await resolveConflict(conflicts[0], value);
+    if (result.success) {
+      toast.success(SuccessMessages.conflictResolved, { duration: 2000 });
+    } else {
+      toast.error(getUserFriendlyError(result.error));
+    }
+  };
+
   const handleSyncToSupabase = async () => {
     const result = await syncToSupabase();
+    categoriesApi.loadCategories();
+
+    const retry = { label: "Retry", onClick: handleSyncToSupabase };
     if (result.success) {
-      toast.success(SuccessMessages.syncSuccess);
+      toast.success(
+        `${SuccessMessages.syncSuccess} (${describeMigrationReport(
+          result.report
+        )})`
+      );
+    } else if (result.report?.items.length > 0) {
+      const failure = result.report.items.find((i) => i.status === "failed");
+      toast.error(
+        `${InfoMessages.uploadIncomplete} ${describeMigrationReport(
+          result.report
+        )}.${failure ? ` "${failure.label}": ${failure.reason}` : ""}`,
+        { action: retry }
+      );
     } else if (result.error) {
-      toast.error(getUserFriendlyError(result.error), {
-        action: {
-          label: "Retry",
-          onClick: handleSyncToSupabase,
-        },
-      });
+      toast.error(getUserFriendlyError(result.error), { action: retry });
     }
     return result;
   };
@@ -164,7 +546,7 @@ export default function App() {
     if (quickFilter === "today") {
       return tasks.filter((task) => {
         if (!task.dueDate) return false;
-        const due = new Date(task.dueDate);
+        const due = toDate(task.dueDate);
         return due >= ranges.today.start && due <= ranges.today.end;
       });
     }
@@ -172,7 +554,7 @@ export default function App() {
     if (quickFilter === "thisWeek") {
       return tasks.filter((task) => {
         if (!task.dueDate) return false;
-        const due = new Date(task.dueDate);
+        const due = toDate(task.dueDate);
         return due >= ranges.thisWeek.start && due <= ranges.thisWeek.end;
       });
     }
@@ -195,6 +577,13 @@ export default function App() {
   );
   const activeTasks = filteredActiveTasks;
   const completedTasks = filteredCompletedTasks;
+  const highlightTerms = getHighlightTerms(searchQuery);
+
+  // Tasks on screen, in display order, for exports
+  const getVisibleTaskIds = () =>
+    [...activeTasks, ...(showCompleted ? completedTasks : [])].map(
+      (task) => task.id
+    );
 
   // Count overdue tasks
   const overdueTasks = tasks.filter(
@@ -246,19 +635,56 @@ export default function App() {
                 {isAuthenticated && isOnline && (
                   <span className="ml-2 text-green-600 dark:text-green-400 text-xs sm:text-sm">
                     ☁️ Syncing
+                    {pendingCount > 0 && ` · ${pendingCount} pending`}
                   </span>
                 )}
                 {isAuthenticated && !isOnline && (
                   <span className="ml-2 text-orange-600 dark:text-orange-400 text-xs sm:text-sm">
                     📱 Offline
+                    {pendingCount > 0 && ` · ${pendingCount} pending`}
                   </span>
                 )}
               </p>
             </div>
 
-            {/* User Profile & Theme Selector */}
+            {/* User Profile, Export, Import, Archive, Trash & Theme Selector */}
             <div className="flex items-center gap-2 flex-shrink-0">
               <UserProfile />
+              <button
+                onClick={() => setShowExport(true)}
+                className="flex items-center gap-1.5 px-2 sm:px-3 py-1.5 sm:py-2 text-sm bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 transition"
+                aria-label="Export tasks"
+              >
+                <span className="text-lg sm:text-xl">📤</span>
+              </button>
+              <button
+                onClick={() => setShowImport(true)}
+                className="flex items-center gap-1.5 px-2 sm:px-3 py-1.5 sm:py-2 text-sm bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 transition"
+                aria-label="Import tasks"
+              >
+                <span className="text-lg sm:text-xl">📥</span>
+              </button>
+              <button
+                onClick={() => setShowArchive(true)}
+                className="flex items-center gap-1.5 px-2 sm:px-3 py-1.5 sm:py-2 text-sm bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 transition"
+                aria-label="Open archive"
+              >
+                <span className="text-lg sm:text-xl">📦</span>
+              </button>
+              <button
+                onClick={() => setShowTrash(true)}
+                className="flex items-center gap-1.5 px-2 sm:px-3 py-1.5 sm:py-2 text-sm bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 transition"
+                aria-label={`Open trash (${trash.count} item${
+                  trash.count === 1 ? "" : "s"
+                })`}
+              >
+                <span className="text-lg sm:text-xl">🗑️</span>
+                {trash.count > 0 && (
+                  <span className="text-xs sm:text-sm text-gray-700 dark:text-gray-300">
+                    {trash.count}
+                  </span>
+                )}
+              </button>
               <ThemeSelector
                 currentTheme={currentTheme}
                 themePreference={themePreference}
@@ -313,10 +739,13 @@ export default function App() {
           >
             <TaskInput
               onAddTask={handleAddTask}
-              error={error}
+              error={error || categoriesApi.error}
               categories={categories}
             />
 
+            {/* Search */}
+            <SearchBar value={searchQuery} onSearch={setSearchQuery} />
+
             {/* Category Filter */}
             {categoriesLoading ? (
               <CategoryFilter loading={true} />
@@ -326,6 +755,7 @@ export default function App() {
                   categories={categories}
                   selectedCategoryId={selectedCategoryId}
                   onSelectCategory={setSelectedCategoryId}
+                  onDeleteCategory={handleDeleteCategory}
                   taskCounts={getTaskCounts()}
                   loading={false}
                 />
@@ -351,8 +781,9 @@ export default function App() {
                   onChange={(e) => setSortBy(e.target.value)}
                   className="flex-1 sm:flex-initial px-2 sm:px-3 py-1.5 text-xs sm:text-sm border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
                 >
-                  <option value="order">Creation Order</option>
+                  <option value="order">Manual Order</option>
                   <option value="dueDate">Due Date</option>
+                  <option value="priority">Priority</option>
                   <option value="title">Title (A-Z)</option>
                 </select>
               </div>
@@ -421,7 +852,15 @@ export default function App() {
                   loading={loading}
                   onToggleTask={handleToggleTask}
                   onDeleteTask={handleRemoveTask}
+                  onUpdateTask={handleUpdateTask}
+                  onAddSubtask={handleAddSubtask}
+                  onToggleSubtask={handleToggleSubtask}
+                  onDeleteSubtask={handleDeleteSubtask}
+                  onReorderTasks={
+                    sortBy === "order" ? handleReorderTasks : undefined
+                  }
                   categories={categories}
+                  highlightTerms={highlightTerms}
                   isCompletedSection={false}
                 />
               </div>
@@ -438,7 +877,7 @@ export default function App() {
                     onClick={() => setShowClearModal(true)}
                     className="px-2 sm:px-3 py-1 text-xs text-gray-600 dark:text-gray-400 hover:text-danger hover:bg-danger/10 rounded transition"
                   >
-                    🗑️ Clear Completed
+                    📦 Clear Completed
                   </button>
                 </div>
                 <TaskList
@@ -446,7 +885,15 @@ export default function App() {
                   loading={loading}
                   onToggleTask={handleToggleTask}
                   onDeleteTask={handleRemoveTask}
+                  onUpdateTask={handleUpdateTask}
+                  onAddSubtask={handleAddSubtask}
+                  onToggleSubtask={handleToggleSubtask}
+                  onDeleteSubtask={handleDeleteSubtask}
+                  onReorderTasks={
+                    sortBy === "order" ? handleReorderTasks : undefined
+                  }
                   categories={categories}
+                  highlightTerms={highlightTerms}
                   isCompletedSection={true}
                 />
               </div>
@@ -474,7 +921,9 @@ export default function App() {
                     </svg>
                   </div>
                   <h3 className="text-lg sm:text-xl font-semibold text-gray-900 dark:text-gray-100 mb-2">
-                    {quickFilter === "today"
+                    {searchQuery
+                      ? "No tasks match your search"
+                      : quickFilter === "today"
                       ? "No tasks due today! 🎉"
                       : quickFilter === "thisWeek"
                       ? "No tasks this week! 🌟"
@@ -485,7 +934,9 @@ export default function App() {
                       : "No tasks yet"}
                   </h3>
                   <p className="text-sm sm:text-base text-gray-500 dark:text-gray-400 max-w-sm mx-auto">
-                    {quickFilter || selectedCategoryId !== undefined
+                    {searchQuery ||
+                    quickFilter ||
+                    selectedCategoryId !== undefined
                       ? "Try a different filter or create a new task"
                       : "Get started by creating your first task above!"}
                   </p>
@@ -507,14 +958,79 @@ export default function App() {
             onClose={() => setShowClearModal(false)}
             onConfirm={handleClearCompleted}
             title="Clear Completed Tasks?"
-            message={`Are you sure you want to permanently delete ${
-              completedTasks.length
-            } completed task${
+            message={`Move ${completedTasks.length} completed task${
               completedTasks.length === 1 ? "" : "s"
-            }? This action cannot be undone.`}
+            } to the archive? You can browse and restore them from the archive, or undo this from the notification or with Ctrl+Z.`}
             confirmText="Yes, Clear Them"
             cancelText="Cancel"
-            variant="danger"
+            variant="warning"
+          />
+        </Suspense>
+      )}
+
+      {/* Trash - Lazy loaded, only needed once opened */}
+      {showTrash && (
+        <Suspense fallback={null}>
+          <TrashPanel
+            isOpen={showTrash}
+            tasks={trash.trashedTasks}
+            categories={trash.trashedCategories}
+            retentionDays={trash.retentionDays}
+            onChangeRetention={handleChangeRetention}
+            onRestore={handleRestoreFromTrash}
+            onPurge={handlePurgeFromTrash}
+            onEmpty={handleEmptyTrash}
+            onClose={() => setShowTrash(false)}
+          />
+        </Suspense>
+      )}
+
+      {/* Archive - Lazy loaded, only needed once opened */}
+      {showArchive && (
+        <Suspense fallback={null}>
+          <ArchivePanel
+            isOpen={showArchive}
+            archive={archive}
+            onRestore={handleUnarchive}
+            onChangeAutoArchive={handleChangeAutoArchive}
+            onClose={() => setShowArchive(false)}
+          />
+        </Suspense>
+      )}
+
+      {/* Export - Lazy loaded, only needed once opened */}
+      {showExport && (
+        <Suspense fallback={null}>
+          <ExportDialog
+            isOpen={showExport}
+            taskIds={getVisibleTaskIds()}
+            onDownload={handleExport}
+            onCopy={handleCopyExport}
+            onDownloadBackup={handleDownloadBackup}
+            onClose={() => setShowExport(false)}
+          />
+        </Suspense>
+      )}
+
+      {/* Import - Lazy loaded, only needed once opened */}
+      {showImport && (
+        <Suspense fallback={null}>
+          <ImportDialog
+            isOpen={showImport}
+            importer={importer}
+            onImport={handleImport}
+            onClose={handleCloseImport}
+          />
+        </Suspense>
+      )}
+
+      {/* Sync conflict prompt - Lazy loaded, only needed after a conflict */}
+      {conflicts.length > 0 && !conflictsDeferred && (
+        <Suspense fallback={null}>
+          <ConflictDialog
+            conflict={conflicts[0]}
+            onResolve={handleResolveConflict}
+            onClose={() => setConflictsDeferred(true)}
           />
         </Suspense>
       )}
@@ -0,0 +1,156 @@
+import { useEffect } from "preact/hooks";
+import { createPortal } from "preact/compat";
+import { formatDate } from "../services/dateParser";
+import { AUTO_ARCHIVE_OPTIONS } from "../services/archiveService";
+
+/**
+ * Browse, search and restore archived tasks
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the panel is visible
+ * @param {Object} props.archive - Return value of useArchive()
+ * @param {Function} props.onRestore - Called with the task ID
+ * @param {Function} props.onChangeAutoArchive - Called with the new period
+ * @param {Function} props.onClose - Callback to close the panel
+ */
+export default function ArchivePanel({
+  isOpen,
+  archive,
+  onRestore,
+  onChangeAutoArchive,
+  onClose,
+}) {
+  // Close on Escape
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleEscape = (e) => {
+      if (e.key === "Escape") {
+        onClose();
+      }
+    };
+
+    document.addEventListener("keydown", handleEscape);
+    return () => document.removeEventListener("keydown", handleEscape);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const { archivedTasks, total, hasMore, loading, error, query } = archive;
+
+  const modalContent = (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm animate-fade-in"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="archive-title"
+      onClick={onClose}
+    >
+      <div
+        className="relative w-full max-w-lg max-h-[85vh] flex flex-col bg-white dark:bg-gray-800 rounded-2xl shadow-2xl animate-scale-in overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="px-6 pt-6 pb-4 space-y-3">
+          <h2
+            id="archive-title"
+            className="text-xl font-bold text-gray-900 dark:text-white"
+          >
+            Archive
+            {total > 0 && (
+              <span className="ml-2 text-sm font-normal text-gray-500 dark:text-gray-400">
+                {total} task{total === 1 ? "" : "s"}
+              </span>
+            )}
+          </h2>
+          <input
+            type="search"
+            value={query}
+            onInput={(e) => archive.setQuery(e.target.value)}
+            placeholder="Search archived tasks..."
+            aria-label="Search archived tasks"
+            className="w-full px-3 py-2 text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary"
+          />
+          <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+            Archive completed tasks automatically
+            <select
+              value={archive.autoArchiveDays}
+              onChange={(e) => onChangeAutoArchive(Number(e.target.value))}
+              className="px-2 py-1 text-sm bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg"
+            >
+              {AUTO_ARCHIVE_OPTIONS.map((days) => (
+                <option key={days} value={days}>
+                  {days === 0
+                    ? "Never"
+                    : `after ${days} day${days === 1 ? "" : "s"}`}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6">
+          {error && (
+            <p className="py-2 text-sm text-red-600 dark:text-red-400">
+              {error}
+            </p>
+          )}
+          {archivedTasks.length === 0 && !loading ? (
+            <p className="py-8 text-center text-sm text-gray-500 dark:text-gray-400">
+              {query ? "No archived tasks match" : "The archive is empty"}
+            </p>
+          ) : (
+            <ul className="space-y-2 pb-2">
+              {archivedTasks.map((task) => (
+                <li
+                  key={task.id}
+                  className="flex items-center gap-3 px-4 py-3 rounded-xl border-2 border-light-border dark:border-dark-border"
+                >
+                  <div className="flex-1 min-w-0">
+                    <span className="block text-sm text-gray-900 dark:text-white break-words">
+                      {task.title}
+                    </span>
+                    <span className="block text-xs text-gray-500 dark:text-gray-400">
+                      {task.completedAt
+                        ? `Completed ${formatDate(task.completedAt, {
+                            includeTime: false,
+                          })}`
+                        : "Not completed"}
+                    </span>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => onRestore(task.id)}
+                    className="px-3 py-1.5 text-xs font-medium text-primary hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+                  >
+                    Restore
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          {hasMore && (
+            <button
+              type="button"
+              onClick={archive.loadMore}
+              disabled={loading}
+              className="w-full mb-2 px-4 py-2 text-sm font-medium text-primary hover:bg-gray-100 dark:hover:bg-gray-700 rounded-xl transition-colors disabled:opacity-50"
+            >
+              {loading ? "Loading..." : "Load more"}
+            </button>
+          )}
+        </div>
+
+        <div className="px-6 py-6">
+          <button
+            type="button"
+            onClick={onClose}
+            className="w-full px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-200 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-xl transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+
+  return createPortal(modalContent, document.body);
+}
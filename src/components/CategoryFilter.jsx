@@ -1,6 +1,6 @@
 /**
  * CategoryFilter Component
- * Filter tasks by category with color-coded chips
+ * Filter tasks by category with color-coded chips, and delete the selected category
  */
 
 import { getCategoryColorClasses } from "../utils/helpers";
@@ -9,6 +9,7 @@ export default function CategoryFilter({
   categories,
   selectedCategoryId,
   onSelectCategory,
+  onDeleteCategory,
   taskCounts,
   loading = false,
 }) {
@@ -29,6 +30,10 @@ export default function CategoryFilter({
     return taskCounts?.[categoryId || "all"] || 0;
   };
 
+  const selectedCategory = categories?.find(
+    (category) => category.id === selectedCategoryId
+  );
+
   // Loading skeleton
   if (loading) {
     return (
@@ -144,6 +149,17 @@ export default function CategoryFilter({
         </div>
       </div>
 
+      {/* Delete the selected category (undoable from the toast) */}
+      {selectedCategory && onDeleteCategory && (
+        <button
+          type="button"
+          onClick={() => onDeleteCategory(selectedCategory.id)}
+          className="mt-2 px-2 py-1 text-xs text-gray-600 dark:text-gray-400 hover:text-danger hover:bg-danger/10 rounded transition"
+        >
+          🗑️ Delete "{selectedCategory.name}" category
+        </button>
+      )}
+
       {categories.length === 0 && (
         <p className="text-xs sm:text-sm text-gray-500 dark:text-gray-400 mt-2">
           No categories yet. Create one to organize your tasks!
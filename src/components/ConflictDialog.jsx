@@ -0,0 +1,92 @@
+import { useEffect } from "preact/hooks";
+import { createPortal } from "preact/compat";
+
+/**
+ * Asks which of two conflicting task titles to keep
+ * Shown when a title was edited on this device and on another one before
+ * either change reached the other.
+ * @param {Object} props
+ * @param {Object|null} props.conflict - Conflict to resolve ({ local, remote })
+ * @param {Function} props.onResolve - Called with the chosen title
+ * @param {Function} props.onClose - Callback to decide later
+ */
+export default function ConflictDialog({ conflict, onResolve, onClose }) {
+  // Close on Escape (the conflict stays until resolved)
+  useEffect(() => {
+    if (!conflict) return;
+
+    const handleEscape = (e) => {
+      if (e.key === "Escape") {
+        onClose();
+      }
+    };
+
+    document.addEventListener("keydown", handleEscape);
+    return () => document.removeEventListener("keydown", handleEscape);
+  }, [conflict, onClose]);
+
+  if (!conflict) return null;
+
+  const choices = [
+    { label: "This device", value: conflict.local },
+    { label: "Other device", value: conflict.remote },
+  ];
+
+  const modalContent = (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm animate-fade-in"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="conflict-title"
+      aria-describedby="conflict-description"
+    >
+      <div className="relative w-full max-w-md bg-white dark:bg-gray-800 rounded-2xl shadow-2xl animate-scale-in overflow-hidden">
+        <div className="px-6 pt-6 pb-4 text-center">
+          <h2
+            id="conflict-title"
+            className="text-xl font-bold text-gray-900 dark:text-white mb-2"
+          >
+            Resolve Conflict
+          </h2>
+          <p
+            id="conflict-description"
+            className="text-sm text-gray-600 dark:text-gray-300"
+          >
+            This task was renamed on another device while you were editing it
+            here. Which title do you want to keep?
+          </p>
+        </div>
+
+        <div className="space-y-2 px-6 pb-4">
+          {choices.map((choice) => (
+            <button
+              key={choice.label}
+              type="button"
+              onClick={() => onResolve(choice.value)}
+              className="w-full text-left px-4 py-3 rounded-xl border-2 border-light-border dark:border-dark-border hover:border-primary transition-colors"
+            >
+              <span className="block text-xs font-medium text-gray-500 dark:text-gray-400">
+                {choice.label}
+              </span>
+              <span className="block text-sm text-gray-900 dark:text-white break-words">
+                {choice.value}
+              </span>
+            </button>
+          ))}
+        </div>
+
+        <div className="px-6 pb-6">
+          <button
+            type="button"
+            onClick={onClose}
+            className="w-full px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-200 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-xl transition-colors"
+          >
+            Decide Later
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+
+  return createPortal(modalContent, document.body);
+}
@@ -4,12 +4,12 @@
  */
 
 import { useState } from "preact/hooks";
-import { parseNaturalLanguageDate, formatDate } from "../services/dateParser";
+import { parseDueDate, formatDate } from "../services/dateParser";
 
 export default function DatePicker({
   value,
   onChange,
-  placeholder = "e.g., tomorrow, next week, in 3 days",
+  placeholder = "e.g., tomorrow, friday at 3pm, in 2 hours",
 }) {
   const [inputValue, setInputValue] = useState("");
   const [showSuggestions, setShowSuggestions] = useState(false);
@@ -19,6 +19,7 @@ export default function DatePicker({
    */
   const suggestions = [
     { label: "Today", value: "today" },
+    { label: "Tonight", value: "tonight" },
     { label: "Tomorrow", value: "tomorrow" },
     { label: "This Week", value: "this week" },
     { label: "Next Week", value: "next week" },
@@ -40,9 +41,9 @@ export default function DatePicker({
    */
   const handleBlur = () => {
     if (inputValue) {
-      const parsed = parseNaturalLanguageDate(inputValue);
+      const parsed = parseDueDate(inputValue);
       if (parsed) {
-        onChange(parsed.toISOString());
+        onChange(parsed);
         setInputValue("");
       }
     }
@@ -53,9 +54,9 @@ export default function DatePicker({
    * Handle suggestion click
    */
   const handleSuggestionClick = (suggestionValue) => {
-    const parsed = parseNaturalLanguageDate(suggestionValue);
+    const parsed = parseDueDate(suggestionValue);
     if (parsed) {
-      onChange(parsed.toISOString());
+      onChange(parsed);
       setInputValue("");
       setShowSuggestions(false);
     }
@@ -67,9 +68,9 @@ export default function DatePicker({
   const handleKeyPress = (e) => {
     if (e.key === "Enter") {
       e.preventDefault();
-      const parsed = parseNaturalLanguageDate(inputValue);
+      const parsed = parseDueDate(inputValue);
       if (parsed) {
-        onChange(parsed.toISOString());
+        onChange(parsed);
         setInputValue("");
         setShowSuggestions(false);
       }
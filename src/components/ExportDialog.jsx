@@ -0,0 +1,210 @@
+import { useEffect, useState } from "preact/hooks";
+import { createPortal } from "preact/compat";
+import { EXPORT_FORMATS, exportTasks } from "../services/exportService";
+import { MIN_PASSPHRASE_LENGTH } from "../services/encryptionService";
+
+// Longest preview shown before it's cut off
+const MAX_PREVIEW = 4000;
+
+/**
+ * Exports the tasks in the current view as CSV, Markdown, todo.txt or .ics
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the dialog is visible
+ * @param {Array<string>} props.taskIds - Tasks in the current view, in order
+ * @param {Function} props.onDownload - Called with the chosen format and
+ *   its options
+ * @param {Function} props.onCopy - Called with the exported text
+ * @param {Function} props.onDownloadBackup - Download the full JSON backup,
+ *   called with a passphrase to encrypt it with, or null
+ * @param {Function} props.onClose - Callback to close the dialog
+ */
+export default function ExportDialog({
+  isOpen,
+  taskIds,
+  onDownload,
+  onCopy,
+  onDownloadBackup,
+  onClose,
+}) {
+  const [format, setFormat] = useState("csv");
+  const [asEvents, setAsEvents] = useState(false);
+  const [encrypt, setEncrypt] = useState(false);
+  const [passphrase, setPassphrase] = useState("");
+  const [confirmPassphrase, setConfirmPassphrase] = useState("");
+
+  // Close on Escape
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleEscape = (e) => {
+      if (e.key === "Escape") {
+        onClose();
+      }
+    };
+
+    document.addEventListener("keydown", handleEscape);
+    return () => document.removeEventListener("keydown", handleEscape);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const options =
+    format === "ics" ? { component: asEvents ? "VEVENT" : "VTODO" } : {};
+  const result = exportTasks(format, taskIds, options);
+  const content = result.content || "";
+  const mismatch = confirmPassphrase !== "" && confirmPassphrase !== passphrase;
+  const backupReady =
+    !encrypt ||
+    (passphrase.length >= MIN_PASSPHRASE_LENGTH &&
+      passphrase === confirmPassphrase);
+
+  const modalContent = (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm animate-fade-in"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="export-title"
+      onClick={onClose}
+    >
+      <div
+        className="relative w-full max-w-lg max-h-[85vh] flex flex-col bg-white dark:bg-gray-800 rounded-2xl shadow-2xl animate-scale-in overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="px-6 pt-6 pb-4">
+          <h2
+            id="export-title"
+            className="text-xl font-bold text-gray-900 dark:text-white mb-1"
+          >
+            Export Tasks
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            {result.count === 1 ? "1 task" : `${result.count} tasks`}
+            {EXPORT_FORMATS[format].datedOnly && " with a due date"} from the
+            current view, with its filters and search applied
+          </p>
+
+          <div
+            className="flex gap-2 mt-4"
+            role="radiogroup"
+            aria-label="Export format"
+          >
+            {Object.entries(EXPORT_FORMATS).map(([value, { label }]) => (
+              <button
+                key={value}
+                type="button"
+                role="radio"
+                aria-checked={format === value}
+                onClick={() => setFormat(value)}
+                className={`flex-1 px-3 py-1.5 text-sm font-medium rounded-lg border-2 transition-colors ${
+                  format === value
+                    ? "border-primary text-primary"
+                    : "border-light-border dark:border-dark-border text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700"
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {format === "ics" && (
+            <label className="flex items-center gap-2 mt-3 text-sm text-gray-700 dark:text-gray-200">
+              <input
+                type="checkbox"
+                checked={asEvents}
+                onChange={(e) => setAsEvents(e.target.checked)}
+              />
+              Add as events instead of to-dos, for calendars that don't show
+              to-dos
+            </label>
+          )}
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6">
+          {result.error ? (
+            <p className="text-sm text-red-600 dark:text-red-400" role="alert">
+              {result.error}
+            </p>
+          ) : (
+            <pre className="p-3 text-xs text-gray-800 dark:text-gray-200 bg-gray-50 dark:bg-gray-900 rounded-xl whitespace-pre-wrap break-words">
+              {content.length > MAX_PREVIEW
+                ? `${content.slice(0, MAX_PREVIEW)}\n…`
+                : content || "No tasks to export"}
+            </pre>
+          )}
+          <div className="mt-3 text-xs text-gray-500 dark:text-gray-400">
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={encrypt}
+                onChange={(e) => setEncrypt(e.target.checked)}
+              />
+              Encrypt the backup with a passphrase
+            </label>
+            {encrypt && (
+              <div className="mt-2 space-y-2">
+                <input
+                  type="password"
+                  value={passphrase}
+                  onInput={(e) => setPassphrase(e.target.value)}
+                  placeholder={`Passphrase (at least ${MIN_PASSPHRASE_LENGTH} characters)`}
+                  aria-label="Passphrase"
+                  autoComplete="new-password"
+                  className="w-full px-3 py-1.5 text-sm text-gray-900 dark:text-white bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg"
+                />
+                <input
+                  type="password"
+                  value={confirmPassphrase}
+                  onInput={(e) => setConfirmPassphrase(e.target.value)}
+                  placeholder="Repeat passphrase"
+                  aria-label="Repeat passphrase"
+                  autoComplete="new-password"
+                  className="w-full px-3 py-1.5 text-sm text-gray-900 dark:text-white bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg"
+                />
+                <p
+                  className={
+                    mismatch ? "text-red-600 dark:text-red-400" : undefined
+                  }
+                >
+                  {mismatch
+                    ? "The passphrases don't match"
+                    : "The backup can't be opened without this passphrase, and it can't be recovered."}
+                </p>
+              </div>
+            )}
+            <button
+              type="button"
+              onClick={() => onDownloadBackup(encrypt ? passphrase : null)}
+              disabled={!backupReady}
+              className="mt-2 underline hover:text-gray-700 dark:hover:text-gray-200 disabled:opacity-50 disabled:no-underline"
+            >
+              {encrypt
+                ? "Download an encrypted JSON backup instead"
+                : "Download a full JSON backup instead"}
+            </button>
+          </div>
+        </div>
+
+        <div className="flex gap-3 px-6 py-6">
+          <button
+            type="button"
+            onClick={() => onCopy(content)}
+            disabled={result.count === 0}
+            className="flex-1 px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-200 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-xl transition-colors disabled:opacity-50"
+          >
+            Copy
+          </button>
+          <button
+            type="button"
+            onClick={() => onDownload(format, options)}
+            disabled={result.count === 0}
+            className="flex-1 px-4 py-2 text-sm font-medium text-white bg-primary hover:opacity-90 rounded-xl transition-colors disabled:opacity-50"
+          >
+            Download
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+
+  return createPortal(modalContent, document.body);
+}
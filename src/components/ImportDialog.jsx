@@ -0,0 +1,357 @@
+import { useEffect, useState } from "preact/hooks";
+import { createPortal } from "preact/compat";
+import { IMPORT_STRATEGIES } from "../services/importService";
+import { CSV_FIELDS } from "../services/importAdapters";
+
+// Most entries shown in the preview list
+const MAX_LISTED = 100;
+
+const STRATEGY_LABELS = {
+  replace: {
+    label: "Replace all",
+    description:
+      "Use the backup as it is. Tasks and categories that aren't in it move to the trash.",
+  },
+  newest: {
+    label: "Keep newest",
+    description:
+      "Merge field by field, keeping whichever side was edited last.",
+  },
+  both: {
+    label: "Keep both",
+    description:
+      "Add changed tasks as copies and leave your versions as they are.",
+  },
+};
+
+const STATUS_STYLES = {
+  new: "text-green-700 bg-green-100 dark:text-green-300 dark:bg-green-900/30",
+  changed: "text-blue-700 bg-blue-100 dark:text-blue-300 dark:bg-blue-900/30",
+  identical: "text-gray-600 bg-gray-100 dark:text-gray-300 dark:bg-gray-700",
+  invalid: "text-red-700 bg-red-100 dark:text-red-300 dark:bg-red-900/30",
+};
+
+/**
+ * Picks a JSON backup, previews what it would change and imports it
+ * Files from other tools (.ics, todo.txt, CSV, Todoist and Microsoft To Do
+ * JSON) are summarized instead, with a column mapping step for CSV, and
+ * encrypted backups ask for their passphrase before the preview.
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the dialog is visible
+ * @param {Object} props.importer - Return value of useImport()
+ * @param {Function} props.onImport - Called with the chosen strategy (unused
+ *   for files from other tools)
+ * @param {Function} props.onClose - Callback to close the dialog
+ */
+export default function ImportDialog({ isOpen, importer, onImport, onClose }) {
+  const [strategy, setStrategy] = useState("newest");
+  const [passphrase, setPassphrase] = useState("");
+  const { preview, external, csv, encrypted, error, importing } = importer;
+
+  // Close on Escape
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleEscape = (e) => {
+      if (e.key === "Escape" && !importing) {
+        onClose();
+      }
+    };
+
+    document.addEventListener("keydown", handleEscape);
+    return () => document.removeEventListener("keydown", handleEscape);
+  }, [isOpen, importing, onClose]);
+
+  if (!isOpen) return null;
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    setPassphrase("");
+    if (file) importer.readFile(file);
+    e.target.value = "";
+  };
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    if (await importer.unlock(passphrase)) {
+      setPassphrase("");
+    }
+  };
+
+  // Everything but identical records, tagged with their kind
+  const items = preview
+    ? [
+        ...preview.categories.map((item) => ({ ...item, kind: "Category" })),
+        ...preview.tasks.map((item) => ({ ...item, kind: "Task" })),
+      ].filter((item) => item.status !== "identical")
+    : [];
+  const writes = preview
+    ? ["categories", "tasks"].some(
+        (collection) =>
+          preview.counts[collection].new + preview.counts[collection].changed >
+          0
+      ) ||
+      strategy === "replace" ||
+      !!preview.preferences
+    : false;
+
+  const modalContent = (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm animate-fade-in"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="import-title"
+      onClick={importing ? undefined : onClose}
+    >
+      <div
+        className="relative w-full max-w-lg max-h-[85vh] flex flex-col bg-white dark:bg-gray-800 rounded-2xl shadow-2xl animate-scale-in overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="px-6 pt-6 pb-4">
+          <h2
+            id="import-title"
+            className="text-xl font-bold text-gray-900 dark:text-white mb-2"
+          >
+            Import Tasks
+          </h2>
+          <label className="block text-sm text-gray-600 dark:text-gray-300">
+            <span className="block mb-2">
+              Choose a JSON backup exported from this app, or a file from
+              another tool: calendar (.ics), todo.txt, CSV, or a Todoist or
+              Microsoft To Do JSON export
+            </span>
+            <input
+              type="file"
+              accept="application/json,.json,text/calendar,.ics,text/plain,.txt,.todo,text/csv,.csv"
+              onChange={handleFile}
+              disabled={importing}
+              className="block w-full text-sm text-gray-700 dark:text-gray-200 file:mr-3 file:px-3 file:py-1.5 file:rounded-lg file:border-0 file:bg-gray-100 dark:file:bg-gray-700 file:text-gray-700 dark:file:text-gray-200"
+            />
+          </label>
+          {error && (
+            <p
+              className="mt-3 text-sm text-red-600 dark:text-red-400"
+              role="alert"
+            >
+              {error}
+            </p>
+          )}
+        </div>
+
+        {encrypted && (
+          <form onSubmit={handleUnlock} className="px-6 mb-3">
+            <label
+              htmlFor="import-passphrase"
+              className="block text-sm font-medium text-gray-900 dark:text-white mb-2"
+            >
+              This backup is encrypted. Enter its passphrase
+            </label>
+            <div className="flex gap-2">
+              <input
+                id="import-passphrase"
+                type="password"
+                value={passphrase}
+                onInput={(e) => setPassphrase(e.target.value)}
+                autoComplete="off"
+                disabled={importing}
+                required
+                className="flex-1 min-w-0 px-3 py-1.5 text-sm text-gray-900 dark:text-white bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg"
+              />
+              <button
+                type="submit"
+                disabled={importing || !passphrase}
+                className="px-4 py-1.5 text-sm font-medium text-white bg-primary hover:opacity-90 rounded-lg transition-colors disabled:opacity-50"
+              >
+                {importing ? "Unlocking..." : "Unlock"}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {csv && (
+          <fieldset className="px-6 mb-3">
+            <legend className="text-sm font-medium text-gray-900 dark:text-white mb-2">
+              Columns
+            </legend>
+            <div className="grid grid-cols-2 gap-2">
+              {Object.entries(CSV_FIELDS).map(([field, label]) => (
+                <label
+                  key={field}
+                  className="text-xs text-gray-600 dark:text-gray-300"
+                >
+                  <span className="block mb-1">{label}</span>
+                  <select
+                    value={csv.mapping[field]}
+                    onChange={(e) =>
+                      importer.setCsvColumn(field, Number(e.target.value))
+                    }
+                    disabled={importing}
+                    className="w-full px-2 py-1 text-sm text-gray-900 dark:text-white bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg"
+                  >
+                    <option value={-1}>(none)</option>
+                    {csv.headers.map((header, index) => (
+                      <option key={index} value={index}>
+                        {header || `Column ${index + 1}`}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+          </fieldset>
+        )}
+
+        {external && (
+          <div className="px-6 text-sm text-gray-700 dark:text-gray-200">
+            <p>
+              Found {external.drafts.length} task
+              {external.drafts.length === 1 ? "" : "s"} in this {external.label}{" "}
+              file
+              {external.updates > 0 &&
+                `, ${external.updates} of them exported from this app and updated in place`}
+              .
+            </p>
+            {external.newCategories.length > 0 && (
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                New categories: {external.newCategories.join(", ")}
+              </p>
+            )}
+          </div>
+        )}
+
+        {preview && (
+          <div className="flex-1 overflow-y-auto px-6">
+            <table className="w-full mb-4 text-sm text-center text-gray-700 dark:text-gray-200">
+              <thead>
+                <tr className="text-xs text-gray-500 dark:text-gray-400">
+                  <th className="text-left font-medium py-1" />
+                  <th className="font-medium py-1">New</th>
+                  <th className="font-medium py-1">Changed</th>
+                  <th className="font-medium py-1">Identical</th>
+                  <th className="font-medium py-1">Invalid</th>
+                </tr>
+              </thead>
+              <tbody>
+                {["tasks", "categories"].map((collection) => (
+                  <tr key={collection}>
+                    <td className="text-left py-1 capitalize">{collection}</td>
+                    <td>{preview.counts[collection].new}</td>
+                    <td>{preview.counts[collection].changed}</td>
+                    <td>{preview.counts[collection].identical}</td>
+                    <td>{preview.counts[collection].invalid}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {items.length > 0 && (
+              <ul className="space-y-2 mb-4">
+                {items.slice(0, MAX_LISTED).map((item, index) => (
+                  <li
+                    key={`${item.kind}:${index}`}
+                    className="px-4 py-2 rounded-xl border-2 border-light-border dark:border-dark-border"
+                  >
+                    <div className="flex items-center gap-2">
+                      <span
+                        className={`px-2 py-0.5 text-xs font-medium rounded-full ${
+                          STATUS_STYLES[item.status]
+                        }`}
+                      >
+                        {item.status}
+                      </span>
+                      <span className="flex-1 min-w-0 text-sm text-gray-900 dark:text-white break-words">
+                        {item.label}
+                      </span>
+                      <span className="text-xs text-gray-500 dark:text-gray-400">
+                        {item.kind}
+                      </span>
+                    </div>
+                    {item.status === "changed" && (
+                      <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                        Changed: {item.fields.join(", ")}
+                      </p>
+                    )}
+                    {[...item.errors, ...item.warnings].map((message) => (
+                      <p
+                        key={message}
+                        className={`mt-1 text-xs ${
+                          item.status === "invalid"
+                            ? "text-red-600 dark:text-red-400"
+                            : "text-orange-600 dark:text-orange-400"
+                        }`}
+                      >
+                        {message}
+                      </p>
+                    ))}
+                  </li>
+                ))}
+                {items.length > MAX_LISTED && (
+                  <li className="text-xs text-center text-gray-500 dark:text-gray-400">
+                    and {items.length - MAX_LISTED} more
+                  </li>
+                )}
+              </ul>
+            )}
+
+            <fieldset className="mb-2">
+              <legend className="text-sm font-medium text-gray-900 dark:text-white mb-2">
+                When a record exists in both places
+              </legend>
+              {IMPORT_STRATEGIES.map((value) => (
+                <label
+                  key={value}
+                  className="flex gap-3 mb-2 text-sm text-gray-700 dark:text-gray-200"
+                >
+                  <input
+                    type="radio"
+                    name="import-strategy"
+                    value={value}
+                    checked={strategy === value}
+                    onChange={() => setStrategy(value)}
+                    className="mt-1"
+                  />
+                  <span>
+                    <span className="block font-medium">
+                      {STRATEGY_LABELS[value].label}
+                    </span>
+                    <span className="block text-xs text-gray-500 dark:text-gray-400">
+                      {STRATEGY_LABELS[value].description}
+                    </span>
+                  </span>
+                </label>
+              ))}
+            </fieldset>
+            {preview.preferences && (
+              <p className="mb-2 text-xs text-gray-500 dark:text-gray-400">
+                Your preferences will be restored from the backup too.
+              </p>
+            )}
+          </div>
+        )}
+
+        <div className="flex gap-3 px-6 py-6">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={importing}
+            className="flex-1 px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-200 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-xl transition-colors disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          {(preview || external) && (
+            <button
+              type="button"
+              onClick={() => onImport(strategy)}
+              disabled={importing || (preview && !writes)}
+              className="flex-1 px-4 py-2 text-sm font-medium text-white bg-primary hover:opacity-90 rounded-xl transition-colors disabled:opacity-50"
+            >
+              {importing ? "Importing..." : "Import"}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+
+  return createPortal(modalContent, document.body);
+}
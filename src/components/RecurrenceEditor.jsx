@@ -0,0 +1,277 @@
+/**
+ * RecurrenceEditor Component
+ * Repeat picker with presets and a custom rule: frequency, interval,
+ * weekdays, and day of month or nth weekday
+ */
+
+import { useState } from "preact/hooks";
+import {
+  RECURRENCE_FREQUENCIES,
+  WEEKDAY_NAMES,
+  ORDINALS,
+  getRecurrencePresets,
+  findRecurrencePreset,
+  createRecurrence,
+  getWeekOfMonth,
+} from "../services/recurrenceService";
+
+const UNITS = { daily: "day", weekly: "week", monthly: "month" };
+
+const FREQUENCY_LABELS = {
+  daily: "Daily",
+  weekly: "Weekly",
+  monthly: "Monthly",
+};
+
+const SELECT_CLASSES = `
+  px-2 sm:px-3 py-1.5 sm:py-1 text-xs sm:text-sm rounded-md
+  bg-white dark:bg-dark-surface
+  border border-light-border dark:border-dark-border
+  text-light-text dark:text-dark-text
+  focus:outline-none focus:ring-2 focus:ring-primary
+  cursor-pointer
+`;
+
+export default function RecurrenceEditor({
+  value,
+  onChange,
+  referenceDate = new Date(),
+  id = "task-repeat",
+}) {
+  const presets = getRecurrencePresets(referenceDate);
+  const presetId = findRecurrencePreset(value, referenceDate);
+  // Stay on the custom fields once opened, even if they match a preset
+  const [customOpen, setCustomOpen] = useState(!!value && !presetId);
+  const selected = (customOpen && value) || !presetId ? "custom" : presetId;
+
+  /**
+   * Handle preset selection
+   * @param {Event} e - Change event
+   */
+  const handleSelect = (e) => {
+    if (e.target.value === "custom") {
+      setCustomOpen(true);
+      onChange(value || createRecurrence("weekly", referenceDate));
+      return;
+    }
+
+    setCustomOpen(false);
+    const preset = presets.find((p) => p.id === e.target.value);
+    onChange(preset?.recurrence || null);
+  };
+
+  /**
+   * Replace the custom rule, keeping its interval and end date
+   * @param {Object} rule - New rule without interval or until
+   */
+  const replaceRule = (rule) => {
+    onChange({
+      ...rule,
+      interval: value.interval || 1,
+      ...(value.until && { until: value.until }),
+    });
+  };
+
+  /**
+   * Handle interval input
+   * @param {Event} e - Input event
+   */
+  const handleInterval = (e) => {
+    const interval = parseInt(e.target.value, 10);
+    if (Number.isInteger(interval) && interval >= 1 && interval <= 365) {
+      onChange({ ...value, interval });
+    }
+  };
+
+  /**
+   * Toggle a weekday of a weekly rule, keeping at least one
+   * @param {number} day - Weekday (0-6)
+   */
+  const toggleWeekday = (day) => {
+    const days = value.daysOfWeek || [];
+    if (days.includes(day)) {
+      if (days.length === 1) return;
+      onChange({ ...value, daysOfWeek: days.filter((d) => d !== day) });
+    } else {
+      onChange({
+        ...value,
+        daysOfWeek: [...days, day].sort((a, b) => a - b),
+      });
+    }
+  };
+
+  /**
+   * Switch a monthly rule between a day of the month and the nth weekday
+   * @param {string} mode - "day" | "weekday"
+   */
+  const setMonthlyMode = (mode) => {
+    if (mode === "weekday") {
+      replaceRule({
+        frequency: "monthly",
+        daysOfWeek: [referenceDate.getDay()],
+        weekOfMonth: getWeekOfMonth(referenceDate),
+      });
+    } else {
+      replaceRule({
+        frequency: "monthly",
+        dayOfMonth: referenceDate.getDate(),
+      });
+    }
+  };
+
+  const showCustom = selected === "custom" && value;
+  const interval = value?.interval || 1;
+
+  return (
+    <div className="flex flex-col gap-1.5 sm:gap-2">
+      <select
+        id={id}
+        value={selected}
+        onChange={handleSelect}
+        className={SELECT_CLASSES}
+      >
+        {presets.map((preset) => (
+          <option key={preset.id} value={preset.id}>
+            {preset.label}
+          </option>
+        ))}
+        <option value="custom">Custom...</option>
+      </select>
+
+      {showCustom && (
+        <fieldset className="flex flex-wrap items-center gap-2 text-xs sm:text-sm text-gray-600 dark:text-gray-400">
+          <legend className="sr-only">Custom repeat rule</legend>
+
+          <select
+            value={value.frequency}
+            onChange={(e) =>
+              onChange(
+                createRecurrence(e.target.value, referenceDate, interval)
+              )
+            }
+            className={SELECT_CLASSES}
+            aria-label="Repeat frequency"
+          >
+            {RECURRENCE_FREQUENCIES.map((frequency) => (
+              <option key={frequency} value={frequency}>
+                {FREQUENCY_LABELS[frequency]}
+              </option>
+            ))}
+          </select>
+
+          <label className="inline-flex items-center gap-1">
+            every
+            <input
+              type="number"
+              min={1}
+              max={365}
+              value={interval}
+              onInput={handleInterval}
+              className={`${SELECT_CLASSES} w-16`}
+              aria-label="Repeat interval"
+            />
+            {UNITS[value.frequency]}
+            {interval === 1 ? "" : "s"}
+          </label>
+
+          {value.frequency === "weekly" && (
+            <div
+              className="flex gap-1"
+              role="group"
+              aria-label="Repeat on weekdays"
+            >
+              {WEEKDAY_NAMES.map((name, day) => {
+                const active = (value.daysOfWeek || []).includes(day);
+                return (
+                  <button
+                    key={name}
+                    type="button"
+                    onClick={() => toggleWeekday(day)}
+                    aria-pressed={active}
+                    aria-label={name}
+                    title={name}
+                    className={`w-7 h-7 rounded-full text-xs font-medium transition-colors focus:outline-none focus:ring-2 focus:ring-primary ${
+                      active
+                        ? "bg-primary text-white"
+                        : "bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-600"
+                    }`}
+                  >
+                    {name.slice(0, 2)}
+                  </button>
+                );
+              })}
+            </div>
+          )}
+
+          {value.frequency === "monthly" && (
+            <>
+              <select
+                value={value.weekOfMonth ? "weekday" : "day"}
+                onChange={(e) => setMonthlyMode(e.target.value)}
+                className={SELECT_CLASSES}
+                aria-label="Repeat monthly by"
+              >
+                <option value="day">on day</option>
+                <option value="weekday">on the</option>
+              </select>
+
+              {value.weekOfMonth ? (
+                <>
+                  <select
+                    value={value.weekOfMonth}
+                    onChange={(e) =>
+                      onChange({
+                        ...value,
+                        weekOfMonth: parseInt(e.target.value, 10),
+                      })
+                    }
+                    className={SELECT_CLASSES}
+                    aria-label="Week of the month"
+                  >
+                    {[1, 2, 3, 4, -1].map((nth) => (
+                      <option key={nth} value={nth}>
+                        {ORDINALS[nth]}
+                      </option>
+                    ))}
+                  </select>
+                  <select
+                    value={value.daysOfWeek?.[0] ?? referenceDate.getDay()}
+                    onChange={(e) =>
+                      onChange({
+                        ...value,
+                        daysOfWeek: [parseInt(e.target.value, 10)],
+                      })
+                    }
+                    className={SELECT_CLASSES}
+                    aria-label="Weekday"
+                  >
+                    {WEEKDAY_NAMES.map((name, day) => (
+                      <option key={name} value={day}>
+                        {name}
+                      </option>
+                    ))}
+                  </select>
+                </>
+              ) : (
+                <input
+                  type="number"
+                  min={1}
+                  max={31}
+                  value={value.dayOfMonth || referenceDate.getDate()}
+                  onInput={(e) => {
+                    const day = parseInt(e.target.value, 10);
+                    if (Number.isInteger(day) && day >= 1 && day <= 31) {
+                      onChange({ ...value, dayOfMonth: day });
+                    }
+                  }}
+                  className={`${SELECT_CLASSES} w-16`}
+                  aria-label="Day of the month"
+                />
+              )}
+            </>
+          )}
+        </fieldset>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+/**
+ * SearchBar Component
+ * Search input with query syntax (cat:, due:, is:, -negation) and a "/" shortcut
+ */
+
+import { useState, useEffect, useRef, useMemo } from "preact/hooks";
+import { debounce } from "../utils/helpers";
+
+const SEARCH_DELAY = 150; // Debounce so large lists aren't re-filtered on every key (ms)
+
+const SYNTAX_HELP =
+  'Search titles and subtasks. Filters: cat:Work, cat:none, due:<2026-11-01, due:today, is:overdue, is:done, is:active, is:recurring. Use "quotes" for phrases and - to exclude (e.g. -cat:Shopping).';
+
+export default function SearchBar({ value = "", onSearch }) {
+  const [input, setInput] = useState(value);
+  const inputRef = useRef(null);
+
+  const debouncedSearch = useMemo(
+    () => debounce((query) => onSearch(query), SEARCH_DELAY),
+    [onSearch]
+  );
+
+  // Keep the input in sync when the query is cleared from outside
+  useEffect(() => {
+    setInput(value);
+  }, [value]);
+
+  // Press "/" anywhere outside a form field to jump to the search box
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key !== "/" || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (e.target.closest?.("input, textarea, select, [contenteditable]")) {
+        return;
+      }
+      e.preventDefault();
+      inputRef.current?.focus();
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  /**
+   * Handle typing in the search box
+   * @param {Event} e - Input event
+   */
+  const handleInput = (e) => {
+    setInput(e.target.value);
+    debouncedSearch(e.target.value);
+  };
+
+  /**
+   * Clear the search immediately
+   */
+  const handleClear = () => {
+    setInput("");
+    onSearch("");
+    debouncedSearch(""); // Replaces any search still waiting on the debounce
+    inputRef.current?.focus();
+  };
+
+  return (
+    <div className="relative mb-3 sm:mb-4" role="search">
+      <span
+        className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 pointer-events-none"
+        aria-hidden="true"
+      >
+        🔍
+      </span>
+      <input
+        ref={inputRef}
+        type="search"
+        value={input}
+        onInput={handleInput}
+        onKeyDown={(e) => {
+          if (e.key === "Escape" && input) {
+            e.preventDefault();
+            handleClear();
+          }
+        }}
+        placeholder="Search tasks (press /)"
+        title={SYNTAX_HELP}
+        className="
+          w-full pl-10 pr-10 py-2 text-sm sm:text-base rounded-lg
+          bg-white dark:bg-dark-surface
+          border border-light-border dark:border-dark-border
+          text-light-text dark:text-dark-text
+          focus:outline-none focus:ring-2 focus:ring-primary
+          placeholder:text-gray-400 dark:placeholder:text-gray-500
+        "
+        aria-label="Search tasks"
+        aria-describedby="search-syntax-help"
+      />
+      <span id="search-syntax-help" className="sr-only">
+        {SYNTAX_HELP}
+      </span>
+      {input && (
+        <button
+          type="button"
+          onClick={handleClear}
+          className="absolute right-2 top-1/2 -translate-y-1/2 p-1.5 text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 rounded"
+          aria-label="Clear search"
+        >
+          ✕
+        </button>
+      )}
+    </div>
+  );
+}
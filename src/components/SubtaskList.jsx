@@ -0,0 +1,101 @@
+/**
+ * SubtaskList Component
+ * Ordered checklist of subtasks inside a task, with add, toggle and delete
+ */
+
+import { useState } from "preact/hooks";
+
+export default function SubtaskList({
+  subtasks = [],
+  onAdd,
+  onToggle,
+  onDelete,
+  disabled = false,
+}) {
+  const [newTitle, setNewTitle] = useState("");
+
+  /**
+   * Handle new subtask submission
+   * @param {Event} e - Form event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (!newTitle.trim()) return;
+
+    const result = await onAdd(newTitle);
+    if (result && result.success) {
+      setNewTitle("");
+    }
+  };
+
+  return (
+    <div className="mt-2 space-y-1">
+      <ul className="space-y-1" aria-label="Subtasks">
+        {subtasks.map((subtask) => (
+          <li
+            key={subtask.id}
+            className="group/subtask flex items-center gap-2"
+          >
+            <input
+              type="checkbox"
+              checked={subtask.completed}
+              onChange={() => onToggle(subtask.id)}
+              disabled={disabled}
+              className="w-4 h-4 rounded border-gray-300 dark:border-gray-600 text-primary focus:ring-primary cursor-pointer"
+              aria-label={`Subtask: ${subtask.title}`}
+            />
+            <span
+              className={`flex-1 text-xs sm:text-sm ${
+                subtask.completed
+                  ? "line-through text-gray-400 dark:text-gray-500"
+                  : "text-light-text dark:text-dark-text"
+              }`}
+            >
+              {subtask.title}
+            </span>
+            <button
+              type="button"
+              onClick={() => onDelete(subtask.id)}
+              disabled={disabled}
+              className="opacity-0 group-hover/subtask:opacity-100 focus:opacity-100 transition-opacity px-1.5 text-xs text-gray-400 hover:text-danger"
+              aria-label={`Delete subtask: ${subtask.title}`}
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {!disabled && (
+        <form onSubmit={handleSubmit} className="flex items-center gap-2">
+          <input
+            type="text"
+            value={newTitle}
+            onInput={(e) => setNewTitle(e.target.value)}
+            placeholder="Add a subtask"
+            maxLength={500}
+            className="
+              flex-1 px-2 py-1 text-xs sm:text-sm rounded-md
+              bg-white dark:bg-dark-surface
+              border border-light-border dark:border-dark-border
+              text-light-text dark:text-dark-text
+              focus:outline-none focus:ring-2 focus:ring-primary
+              placeholder:text-gray-400 dark:placeholder:text-gray-500
+            "
+            aria-label="New subtask title"
+          />
+          {newTitle.trim().length > 0 && (
+            <button
+              type="submit"
+              className="px-2 py-1 text-xs rounded-md bg-primary text-white hover:bg-blue-600 transition-colors"
+            >
+              Add
+            </button>
+          )}
+        </form>
+      )}
+    </div>
+  );
+}
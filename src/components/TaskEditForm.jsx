@@ -0,0 +1,201 @@
+/**
+ * TaskEditForm Component
+ * Inline form for editing a task's title, category, priority, due date and
+ * repeat rule
+ */
+
+import { useState } from "preact/hooks";
+import { lazy, Suspense } from "preact/compat";
+import { PRIORITY_LEVELS } from "../services/taskService";
+import { getPriorityClasses } from "../utils/helpers";
+import { isSameRecurrence } from "../services/recurrenceService";
+import { toDate } from "../services/dateParser";
+import RecurrenceEditor from "./RecurrenceEditor";
+
+// Lazy load DatePicker for better initial performance
+const DatePicker = lazy(() => import("./DatePicker"));
+
+export default function TaskEditForm({ task, categories, onSave, onCancel }) {
+  const [title, setTitle] = useState(task.title);
+  const [categoryId, setCategoryId] = useState(task.categoryId || null);
+  const [dueDate, setDueDate] = useState(task.dueDate || null);
+  const [priority, setPriority] = useState(task.priority || "none");
+  const [recurrence, setRecurrence] = useState(task.recurrence || null);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState("");
+
+  /**
+   * Collect only the fields that changed
+   * @returns {Object} Updates object
+   */
+  const getChanges = () => {
+    const changes = {};
+    if (title.trim() !== task.title) changes.title = title;
+    if (categoryId !== (task.categoryId || null))
+      changes.categoryId = categoryId;
+    if (dueDate !== (task.dueDate || null)) changes.dueDate = dueDate;
+    if (priority !== (task.priority || "none")) changes.priority = priority;
+    if (!isSameRecurrence(recurrence, task.recurrence))
+      changes.recurrence = recurrence;
+    return changes;
+  };
+
+  /**
+   * Handle form submission
+   * @param {Event} e - Form event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (!title.trim()) {
+      setFormError("Please enter a task title");
+      return;
+    }
+
+    const changes = getChanges();
+    if (Object.keys(changes).length === 0) {
+      onCancel();
+      return;
+    }
+
+    setSaving(true);
+    const result = await onSave(changes);
+    setSaving(false);
+
+    if (!result || !result.success) {
+      setFormError(result?.error || "Failed to update task");
+    }
+  };
+
+  /**
+   * Handle Escape key to cancel editing
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      e.stopPropagation();
+      onCancel();
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      onKeyDown={handleKeyDown}
+      className="task-edit-form flex-1 min-w-0 space-y-2"
+      aria-label="Edit task"
+    >
+      <input
+        type="text"
+        value={title}
+        onInput={(e) => {
+          setTitle(e.target.value);
+          if (formError) setFormError("");
+        }}
+        maxLength={500}
+        autoFocus
+        className={`
+          w-full px-3 py-1.5 text-sm sm:text-base rounded-md
+          bg-white dark:bg-dark-surface
+          text-light-text dark:text-dark-text
+          border-2
+          focus:outline-none focus:ring-2 focus:ring-primary
+          ${
+            formError
+              ? "border-danger"
+              : "border-light-border dark:border-dark-border"
+          }
+        `}
+        aria-label="Task title"
+        aria-invalid={!!formError}
+      />
+
+      <div className="flex flex-wrap gap-2">
+        {categories && categories.length > 0 && (
+          <select
+            value={categoryId || ""}
+            onChange={(e) => setCategoryId(e.target.value || null)}
+            className="
+              px-2 sm:px-3 py-1 text-xs sm:text-sm rounded-md
+              bg-white dark:bg-dark-surface
+              border border-light-border dark:border-dark-border
+              text-light-text dark:text-dark-text
+              focus:outline-none focus:ring-2 focus:ring-primary
+              cursor-pointer
+            "
+            aria-label="Task category"
+          >
+            <option value="">No category</option>
+            {categories.map((category) => (
+              <option key={category.id} value={category.id}>
+                {category.name}
+              </option>
+            ))}
+          </select>
+        )}
+
+        <select
+          value={priority}
+          onChange={(e) => setPriority(e.target.value)}
+          className="
+            px-2 sm:px-3 py-1 text-xs sm:text-sm rounded-md
+            bg-white dark:bg-dark-surface
+            border border-light-border dark:border-dark-border
+            text-light-text dark:text-dark-text
+            focus:outline-none focus:ring-2 focus:ring-primary
+            cursor-pointer
+          "
+          aria-label="Task priority"
+        >
+          {PRIORITY_LEVELS.map((level) => (
+            <option key={level} value={level}>
+              {getPriorityClasses(level)?.label || "No priority"}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <Suspense
+        fallback={
+          <div className="text-sm text-gray-500 dark:text-gray-400">
+            Loading...
+          </div>
+        }
+      >
+        <DatePicker value={dueDate} onChange={setDueDate} />
+      </Suspense>
+
+      <RecurrenceEditor
+        id={`task-repeat-${task.id}`}
+        value={recurrence}
+        onChange={setRecurrence}
+        referenceDate={dueDate ? toDate(dueDate) : new Date()}
+      />
+
+      {formError && (
+        <p className="text-xs text-danger" role="alert">
+          {formError}
+        </p>
+      )}
+
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-3 py-1.5 text-xs sm:text-sm font-medium rounded-md bg-primary text-white hover:bg-blue-600 transition-colors disabled:opacity-50"
+        >
+          {saving ? "Saving..." : "Save"}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1.5 text-xs sm:text-sm font-medium rounded-md bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -1,11 +1,18 @@
 /**
  * TaskInput Component
- * Input field for creating new tasks with Enter key handler, category selection, and due date
+ * Input field for creating new tasks with Enter key handler, category selection, priority, and due date
+ *
+ * The title is parsed as it is typed: "Pay rent tomorrow #Personal !high"
+ * sets the due date, category and priority, shown as removable chips.
  */
 
 import { useState } from "preact/hooks";
 import { lazy, Suspense } from "preact/compat";
-import { getCategoryColorClasses } from "../utils/helpers";
+import { getCategoryColorClasses, getPriorityClasses } from "../utils/helpers";
+import { formatDate, toDate } from "../services/dateParser";
+import { parseQuickAdd } from "../services/quickAddParser";
+import { PRIORITY_LEVELS } from "../services/taskService";
+import RecurrenceEditor from "./RecurrenceEditor";
 
 // Lazy load DatePicker for better initial performance
 const DatePicker = lazy(() => import("./DatePicker"));
@@ -14,7 +21,21 @@ export default function TaskInput({ onAddTask, error, categories }) {
   const [title, setTitle] = useState("");
   const [selectedCategoryId, setSelectedCategoryId] = useState(null);
   const [dueDate, setDueDate] = useState(null);
+  const [priority, setPriority] = useState("none");
+  const [recurrence, setRecurrence] = useState(null);
   const [inputError, setInputError] = useState("");
+  // Token texts the user dismissed, so they stay part of the title
+  const [ignoredTokens, setIgnoredTokens] = useState([]);
+
+  const parsed = parseQuickAdd(title, {
+    categories: categories || [],
+    ignore: ignoredTokens,
+  });
+
+  // Tokens typed in the title take precedence over the selectors
+  const effectiveCategoryId = parsed.categoryId ?? selectedCategoryId;
+  const effectiveDueDate = parsed.dueDate ?? dueDate;
+  const effectivePriority = parsed.priority ?? priority;
 
   /**
    * Handle form submission
@@ -29,14 +50,19 @@ export default function TaskInput({ onAddTask, error, categories }) {
     }
 
     const result = await onAddTask({
-      title,
-      categoryId: selectedCategoryId,
-      dueDate,
+      title: parsed.title,
+      categoryId: effectiveCategoryId,
+      dueDate: effectiveDueDate,
+      priority: effectivePriority,
+      recurrence,
     });
 
     if (result && result.success) {
       setTitle("");
       setDueDate(null);
+      setPriority("none");
+      setRecurrence(null);
+      setIgnoredTokens([]);
       setInputError("");
       // Keep category selected for next task
     } else {
@@ -64,16 +90,55 @@ export default function TaskInput({ onAddTask, error, categories }) {
     if (inputError) setInputError("");
   };
 
+  /**
+   * Dismiss a parsed token, keeping its text in the title
+   * @param {Object} token - Parsed token
+   */
+  const handleDismissToken = (token) => {
+    setIgnoredTokens((prev) => [...prev, token.text]);
+  };
+
   /**
    * Get category badge for selected category
    */
   const getSelectedCategory = () => {
-    if (!selectedCategoryId) return null;
-    return categories.find((cat) => cat.id === selectedCategoryId);
+    if (!effectiveCategoryId) return null;
+    return categories.find((cat) => cat.id === effectiveCategoryId);
   };
 
   const selectedCategory = getSelectedCategory();
 
+  /**
+   * Get chip label and color for a parsed token
+   * @param {Object} token - Parsed token
+   * @returns {{label: string, className: string}} Chip display
+   */
+  const getTokenChip = (token) => {
+    if (token.type === "date") {
+      return {
+        label: `📅 ${formatDate(token.value, { relative: true })}`,
+        className: "bg-primary",
+      };
+    }
+    if (token.type === "category") {
+      const category = categories.find((cat) => cat.id === token.value);
+      return {
+        label: `${category?.icon || "🏷️"} ${category?.name || token.text}`,
+        className: getCategoryColorClasses(category?.color).bg,
+      };
+    }
+    const priorityClasses = getPriorityClasses(token.value);
+    return {
+      label: `❗ ${priorityClasses.label}`,
+      className: priorityClasses.bg,
+    };
+  };
+
+  // Weekly/monthly presets follow the chosen due date's weekday and day
+  const repeatReferenceDate = effectiveDueDate
+    ? toDate(effectiveDueDate)
+    : new Date();
+
   return (
     <div className="mb-4 sm:mb-6">
       <form onSubmit={handleSubmit}>
@@ -83,7 +148,7 @@ export default function TaskInput({ onAddTask, error, categories }) {
             value={title}
             onInput={handleChange}
             onKeyPress={handleKeyPress}
-            placeholder="What needs to be done?"
+            placeholder="What needs to be done? Try: Pay rent tomorrow #Personal !high"
             className={`
               w-full px-3 sm:px-4 py-2.5 sm:py-3 text-base sm:text-lg
               bg-white dark:bg-dark-surface
@@ -145,6 +210,34 @@ export default function TaskInput({ onAddTask, error, categories }) {
           )}
         </div>
 
+        {/* Parsed tokens - removing one keeps its text in the title */}
+        {parsed.tokens.length > 0 && (
+          <ul
+            className="mt-2 flex flex-wrap gap-1.5"
+            aria-label="Detected from title"
+          >
+            {parsed.tokens.map((token) => {
+              const chip = getTokenChip(token);
+              return (
+                <li
+                  key={token.type}
+                  className={`inline-flex items-center gap-1 pl-2 pr-1 py-0.5 rounded-full text-xs font-medium text-white ${chip.className}`}
+                >
+                  <span>{chip.label}</span>
+                  <button
+                    type="button"
+                    onClick={() => handleDismissToken(token)}
+                    className="px-1 rounded-full hover:bg-black/20 focus:outline-none focus:ring-2 focus:ring-white"
+                    aria-label={`Don't use "${token.text}", keep it in the title`}
+                  >
+                    ✕
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
         {/* Category Selector */}
         {categories && categories.length > 0 && (
           <div className="mt-2 sm:mt-3 flex flex-col sm:flex-row sm:items-center gap-1.5 sm:gap-2">
@@ -190,6 +283,51 @@ export default function TaskInput({ onAddTask, error, categories }) {
           </Suspense>
         </div>
 
+        {/* Priority Selector */}
+        <div className="mt-2 sm:mt-3 flex flex-col sm:flex-row sm:items-center gap-1.5 sm:gap-2">
+          <label
+            htmlFor="task-priority"
+            className="text-xs sm:text-sm text-gray-600 dark:text-gray-400"
+          >
+            Priority:
+          </label>
+          <select
+            id="task-priority"
+            value={effectivePriority}
+            onChange={(e) => setPriority(e.target.value)}
+            disabled={!!parsed.priority}
+            className="
+              px-2 sm:px-3 py-1.5 sm:py-1 text-xs sm:text-sm rounded-md
+              bg-white dark:bg-dark-surface
+              border border-light-border dark:border-dark-border
+              text-light-text dark:text-dark-text
+              focus:outline-none focus:ring-2 focus:ring-primary
+              cursor-pointer disabled:cursor-default disabled:opacity-60
+            "
+          >
+            {PRIORITY_LEVELS.map((level) => (
+              <option key={level} value={level}>
+                {getPriorityClasses(level)?.label || "None"}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {/* Repeat Selector */}
+        <div className="mt-2 sm:mt-3 flex flex-col sm:flex-row sm:items-start gap-1.5 sm:gap-2">
+          <label
+            htmlFor="task-repeat"
+            className="text-xs sm:text-sm text-gray-600 dark:text-gray-400 sm:pt-1"
+          >
+            Repeat:
+          </label>
+          <RecurrenceEditor
+            value={recurrence}
+            onChange={setRecurrence}
+            referenceDate={repeatReferenceDate}
+          />
+        </div>
+
         {(inputError || error) && (
           <p
             id="input-error"
@@ -201,7 +339,8 @@ export default function TaskInput({ onAddTask, error, categories }) {
         )}
 
         <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
-          Press Enter or click Add to create a task
+          Press Enter or click Add to create a task. Type dates like "tomorrow"
+          or "next friday at 3pm", #Category and !high in the title.
         </p>
       </form>
     </div>
@@ -1,21 +1,89 @@
 /**
  * TaskItem Component
- * Display a single task with completion toggle, animations, category badge, due date, delete action, and swipe gestures
+ * Display a single task with completion toggle, animations, category badge, due date, subtasks, inline editing, delete action, drag handle, search highlighting, and swipe gestures
  */
 
-import { useState } from "preact/hooks";
-import { getCategoryColorClasses } from "../utils/helpers";
+import { useState, useRef, useEffect } from "preact/hooks";
+import { getCategoryColorClasses, getPriorityClasses } from "../utils/helpers";
 import { formatDate, isOverdue } from "../services/dateParser";
+import { describeRecurrence } from "../services/recurrenceService";
+import { highlightMatches } from "../services/searchQuery";
 import { hapticTaskComplete, hapticDelete } from "../utils/haptics";
 import { useTouchSwipe } from "../hooks/useTouchSwipe";
+import { useLongPress } from "../hooks/useLongPress";
+import { getSubtaskProgress } from "../services/taskService";
 import ConfirmModal from "./ConfirmModal";
+import SubtaskList from "./SubtaskList";
+import TaskEditForm from "./TaskEditForm";
 
-export default function TaskItem({ task, onToggle, onDelete, category }) {
+// Wait this long before toggling on click so a double-click can open the editor
+const DOUBLE_CLICK_DELAY = 250;
+
+export default function TaskItem({
+  task,
+  onToggle,
+  onDelete,
+  onUpdate,
+  onAddSubtask,
+  onToggleSubtask,
+  onDeleteSubtask,
+  category,
+  categories,
+  highlightTerms,
+  dragHandleProps,
+  onMove,
+}) {
   const [isAnimating, setIsAnimating] = useState(false);
   const [animationDirection, setAnimationDirection] = useState(null); // 'toCompleted' or 'toActive'
   const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [showSubtasks, setShowSubtasks] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const pendingToggle = useRef(null);
+  const itemRef = useRef(null);
+  const subtaskProgress = getSubtaskProgress(task);
   const taskIsOverdue =
     !task.completed && task.dueDate && isOverdue(task.dueDate);
+  const priorityClasses = getPriorityClasses(task.priority);
+
+  // Cancel a scheduled toggle on unmount
+  useEffect(() => () => clearTimeout(pendingToggle.current), []);
+
+  /**
+   * Switch the task into inline edit mode
+   */
+  const startEditing = () => {
+    if (!onUpdate) return;
+    clearTimeout(pendingToggle.current);
+    pendingToggle.current = null;
+    setIsEditing(true);
+  };
+
+  /**
+   * Leave edit mode and return focus to the task
+   */
+  const stopEditing = () => {
+    setIsEditing(false);
+    setTimeout(() => itemRef.current?.focus(), 0);
+  };
+
+  /**
+   * Save inline edits through the parent's update handler
+   * @param {Object} changes - Changed fields
+   * @returns {Object} Result
+   */
+  const handleSave = async (changes) => {
+    const result = await onUpdate(task.id, changes);
+    if (result && result.success) {
+      stopEditing();
+    }
+    return result;
+  };
+
+  /**
+   * Long-press opens the editor on touch devices
+   */
+  const { consumeLongPress, handlers: longPressHandlers } =
+    useLongPress(startEditing);
 
   /**
    * Handle swipe left - Delete action
@@ -49,20 +117,92 @@ export default function TaskItem({ task, onToggle, onDelete, category }) {
     threshold: 80,
   });
 
+  /**
+   * Combine swipe and long-press touch handlers
+   * Both gestures watch the same touches; editing disables them.
+   */
+  const touchHandlers = isEditing
+    ? {}
+    : {
+        onTouchStart: (e) => {
+          swipeHandlers.onTouchStart(e);
+          longPressHandlers.onTouchStart(e);
+        },
+        onTouchMove: (e) => {
+          swipeHandlers.onTouchMove(e);
+          longPressHandlers.onTouchMove(e);
+        },
+        onTouchEnd: (e) => {
+          swipeHandlers.onTouchEnd(e);
+          longPressHandlers.onTouchEnd(e);
+        },
+        onTouchCancel: (e) => {
+          swipeHandlers.onTouchCancel(e);
+          longPressHandlers.onTouchCancel(e);
+        },
+      };
+
+  /**
+   * Check whether an event came from a nested control that handles itself
+   * @param {Event} e - DOM event
+   * @returns {boolean} True if the task row should ignore the event
+   */
+  const isFromNestedControl = (e) =>
+    !!(
+      e.target.closest(".delete-button") ||
+      e.target.closest(".edit-button") ||
+      e.target.closest(".task-subtasks") ||
+      e.target.closest(".drag-handle") ||
+      e.target.closest(".task-edit-form")
+    );
+
   /**
    * Handle task click to toggle completion with smooth slide animation
+   * Mouse clicks are delayed briefly so a double-click can open the editor;
+   * keyboard activation (detail === 0) toggles immediately.
    */
   const handleClick = (e) => {
-    // Don't toggle if swiping
-    if (isSwiping) {
+    // Don't toggle while editing, after a long press, or while swiping
+    if (isEditing || consumeLongPress() || isSwiping) {
+      return;
+    }
+
+    // Prevent toggle when clicking buttons or working in the checklist
+    if (isFromNestedControl(e)) {
+      return;
+    }
+
+    // Second click of a double-click - handled by onDoubleClick
+    if (e.detail > 1) {
       return;
     }
 
-    // Prevent toggle when clicking delete button
-    if (e.target.closest(".delete-button")) {
+    if (e.detail === 1 && onUpdate) {
+      clearTimeout(pendingToggle.current);
+      pendingToggle.current = setTimeout(() => {
+        pendingToggle.current = null;
+        toggleWithAnimation();
+      }, DOUBLE_CLICK_DELAY);
       return;
     }
 
+    toggleWithAnimation();
+  };
+
+  /**
+   * Handle double-click to start editing
+   */
+  const handleDoubleClick = (e) => {
+    if (isEditing || isFromNestedControl(e)) {
+      return;
+    }
+    startEditing();
+  };
+
+  /**
+   * Toggle completion with the slide animation
+   */
+  const toggleWithAnimation = () => {
     // Set animation direction based on current state
     const direction = task.completed ? "toActive" : "toCompleted";
     setAnimationDirection(direction);
@@ -83,6 +223,15 @@ export default function TaskItem({ task, onToggle, onDelete, category }) {
     }, 400); // Match animation duration
   };
 
+  /**
+   * Move the task up or down and keep keyboard focus on it
+   * @param {number} direction - -1 to move up, 1 to move down
+   */
+  const handleMove = async (direction) => {
+    await onMove(task.id, direction);
+    itemRef.current?.focus();
+  };
+
   /**
    * Handle delete with confirmation
    */
@@ -149,7 +298,8 @@ export default function TaskItem({ task, onToggle, onDelete, category }) {
       {getSwipeIcon()}
 
       <div
-        {...swipeHandlers}
+        {...touchHandlers}
+        ref={itemRef}
         className={`
           group
           flex items-center gap-3 p-3 sm:p-4
@@ -158,7 +308,7 @@ export default function TaskItem({ task, onToggle, onDelete, category }) {
           rounded-lg
           hover:shadow-md hover:border-primary/50
           focus-within:ring-2 focus-within:ring-primary focus-within:ring-offset-2
-          cursor-pointer
+          ${isEditing ? "cursor-default" : "cursor-pointer"}
           ${task.completed ? "opacity-60" : "opacity-100"}
           ${
             isAnimating && animationDirection === "toCompleted"
@@ -170,8 +320,14 @@ export default function TaskItem({ task, onToggle, onDelete, category }) {
               ? "animate-slide-to-active"
               : ""
           }
-          ${taskIsOverdue ? "border-l-4 border-l-danger" : ""}
-          ${!isSwiping ? "active:scale-[0.98]" : ""}
+          ${
+            taskIsOverdue
+              ? "border-l-4 border-l-danger"
+              : priorityClasses && !task.completed
+              ? `border-l-4 ${priorityClasses.border}`
+              : ""
+          }
+          ${!isSwiping && !isEditing ? "active:scale-[0.98]" : ""}
         `}
         style={{
           minHeight: "72px", // Explicit min-height to prevent layout shifts
@@ -186,24 +342,52 @@ export default function TaskItem({ task, onToggle, onDelete, category }) {
           backgroundColor: getSwipeBackgroundColor(),
         }}
         onClick={handleClick}
+        onDoubleClick={handleDoubleClick}
         role="checkbox"
         aria-checked={task.completed}
         tabIndex={0}
         onKeyDown={(e) => {
+          // Ignore keys typed into nested controls (e.g. the subtask input)
+          if (e.target !== e.currentTarget) return;
+
           if (e.key === "Enter" || e.key === " ") {
             e.preventDefault();
             handleClick(e);
           } else if (e.key === "Delete" || e.key === "Backspace") {
             e.preventDefault();
             handleDelete(e);
+          } else if (e.key === "F2") {
+            e.preventDefault();
+            startEditing();
+          } else if (
+            onMove &&
+            e.altKey &&
+            (e.key === "ArrowUp" || e.key === "ArrowDown")
+          ) {
+            e.preventDefault();
+            handleMove(e.key === "ArrowUp" ? -1 : 1);
           }
         }}
         aria-label={`Task: ${task.title}. ${
           task.completed ? "Completed" : "Not completed"
-        }. ${
+        }. ${priorityClasses ? `${priorityClasses.label} priority. ` : ""}${
           taskIsOverdue ? "Overdue." : ""
-        } Press Enter or Space to toggle completion. Press Delete to remove. Swipe left to delete, swipe right to toggle completion.`}
+        } Press Enter or Space to toggle completion. Press F2 to edit. Press Delete to remove.${
+          onMove ? " Press Alt+Up or Alt+Down to reorder." : ""
+        } Swipe left to delete, swipe right to toggle completion. Double-click or long-press to edit.`}
       >
+        {/* Drag Handle */}
+        {dragHandleProps && !isEditing && (
+          <span
+            {...dragHandleProps}
+            className="drag-handle flex-shrink-0 -ml-1 px-1 py-2 text-gray-400 hover:text-primary cursor-grab active:cursor-grabbing select-none"
+            title="Drag to reorder"
+            aria-hidden="true"
+          >
+            ⋮⋮
+          </span>
+        )}
+
         {/* Checkbox */}
         <div
           className={`
@@ -234,89 +418,213 @@ export default function TaskItem({ task, onToggle, onDelete, category }) {
           )}
         </div>
 
-        {/* Task Title and Category */}
-        <div className="flex-1 min-w-0">
-          <div className="flex items-start sm:items-center gap-2 flex-wrap">
-            {/* Task title - Preact automatically escapes text content to prevent XSS */}
-            <p
-              className={`
+        {isEditing ? (
+          <TaskEditForm
+            task={task}
+            categories={categories}
+            onSave={handleSave}
+            onCancel={stopEditing}
+          />
+        ) : (
+          <>
+            {/* Task Title and Category */}
+            <div className="flex-1 min-w-0">
+              <div className="flex items-start sm:items-center gap-2 flex-wrap">
+                {/* Task title - Preact automatically escapes text content to prevent XSS */}
+                <p
+                  className={`
               text-sm sm:text-base leading-snug sm:leading-normal
               text-light-text dark:text-dark-text
               transition-all duration-300
               ${task.completed ? "task-completed" : "task-active"}
             `}
-            >
-              {task.title}
-            </p>
-          </div>
-
-          {/* Category Badge and Overdue on new line for mobile */}
-          <div
-            className="flex items-center gap-2 mt-1.5 flex-wrap"
-            style={{ minHeight: "24px" }} // Reserve space for badge to prevent layout shift
-          >
-            {/* Category Badge */}
-            {category && (
-              <span
-                className={`
+                >
+                  {highlightMatches(task.title, highlightTerms).map(
+                    (segment, index) =>
+                      segment.match ? (
+                        <mark
+                          key={index}
+                          className="bg-yellow-200 dark:bg-yellow-600/60 text-inherit rounded-sm"
+                        >
+                          {segment.text}
+                        </mark>
+                      ) : (
+                        segment.text
+                      )
+                  )}
+                </p>
+              </div>
+
+              {/* Category Badge and Overdue on new line for mobile */}
+              <div
+                className="flex items-center gap-2 mt-1.5 flex-wrap"
+                style={{ minHeight: "24px" }} // Reserve space for badge to prevent layout shift
+              >
+                {/* Category Badge */}
+                {category && (
+                  <span
+                    className={`
                 inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium
                 ${getCategoryColorClasses(category.color).bg} text-white
               `}
-              >
-                <span>{category.icon}</span>
-                <span className="hidden sm:inline">{category.name}</span>
-              </span>
-            )}
-
-            {/* Overdue Badge */}
-            {taskIsOverdue && (
-              <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-danger text-white">
-                ⚠️ Overdue
-              </span>
-            )}
-          </div>
-
-          {/* Due Date Display */}
-          {task.dueDate && !task.completed && (
-            <p
-              className={`text-xs sm:text-sm mt-1 ${
-                taskIsOverdue
-                  ? "text-danger font-medium"
-                  : "text-gray-500 dark:text-gray-400"
-              }`}
-            >
-              📅 Due {formatDate(task.dueDate, { relative: true })}
-            </p>
-          )}
+                  >
+                    <span>{category.icon}</span>
+                    <span className="hidden sm:inline">{category.name}</span>
+                  </span>
+                )}
 
-          {/* Completion timestamp */}
-          {task.completed && task.completedAt && (
-            <p className="text-xs sm:text-sm text-gray-500 dark:text-gray-400 mt-1 animate-fade-in">
-              ✓ Completed {new Date(task.completedAt).toLocaleDateString()}
-            </p>
-          )}
-        </div>
+                {/* Priority Badge */}
+                {priorityClasses && (
+                  <span
+                    className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium ${priorityClasses.bg} text-white`}
+                    title={`${priorityClasses.label} priority`}
+                  >
+                    <span aria-hidden="true">❗</span>
+                    <span className="hidden sm:inline">
+                      {priorityClasses.label}
+                    </span>
+                  </span>
+                )}
 
-        {/* Delete Button */}
-        <button
-          className="delete-button flex-shrink-0 opacity-0 group-hover:opacity-100 transition-opacity p-2 text-gray-400 hover:text-danger hover:bg-danger/10 rounded-md min-h-[44px] min-w-[44px] flex items-center justify-center"
-          onClick={handleDelete}
-          aria-label={`Delete task: ${task.title}`}
-        >
-          <svg
-            className="w-5 h-5"
-            fill="none"
-            stroke="currentColor"
-            viewBox="0 0 24 24"
+                {/* Subtask Progress */}
+                {subtaskProgress.total > 0 && (
+                  <span
+                    className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium ${
+                      subtaskProgress.completed === subtaskProgress.total
+                        ? "bg-success/15 text-success"
+                        : "bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300"
+                    }`}
+                    aria-label={`${subtaskProgress.completed} of ${subtaskProgress.total} subtasks done`}
+                  >
+                    ☑ {subtaskProgress.completed}/{subtaskProgress.total}
+                  </span>
+                )}
+
+                {/* Recurrence Badge */}
+                {task.recurrence && (
+                  <span
+                    className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300"
+                    title={describeRecurrence(task.recurrence)}
+                  >
+                    <span aria-hidden="true">🔁</span>
+                    <span className="hidden sm:inline">
+                      {describeRecurrence(task.recurrence)}
+                    </span>
+                  </span>
+                )}
+
+                {/* Overdue Badge */}
+                {taskIsOverdue && (
+                  <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-danger text-white">
+                    ⚠️ Overdue
+                  </span>
+                )}
+              </div>
+
+              {/* Due Date Display */}
+              {task.dueDate && !task.completed && (
+                <p
+                  className={`text-xs sm:text-sm mt-1 ${
+                    taskIsOverdue
+                      ? "text-danger font-medium"
+                      : "text-gray-500 dark:text-gray-400"
+                  }`}
+                >
+                  📅 Due {formatDate(task.dueDate, { relative: true })}
+                </p>
+              )}
+
+              {/* Subtasks */}
+              {onAddSubtask && (
+                <div className="task-subtasks">
+                  <button
+                    type="button"
+                    onClick={() => setShowSubtasks(!showSubtasks)}
+                    className="mt-1 text-xs text-gray-500 dark:text-gray-400 hover:text-primary transition-colors"
+                    aria-expanded={showSubtasks}
+                  >
+                    {showSubtasks
+                      ? "▾ Hide checklist"
+                      : subtaskProgress.total > 0
+                      ? "▸ Show checklist"
+                      : "＋ Add checklist"}
+                  </button>
+                  {showSubtasks && (
+                    <SubtaskList
+                      subtasks={task.subtasks || []}
+                      onAdd={(title) => onAddSubtask(task.id, title)}
+                      onToggle={(subtaskId) =>
+                        onToggleSubtask(task.id, subtaskId)
+                      }
+                      onDelete={(subtaskId) =>
+                        onDeleteSubtask(task.id, subtaskId)
+                      }
+                      disabled={task.completed}
+                    />
+                  )}
+                </div>
+              )}
+
+              {/* Completion timestamp */}
+              {task.completed && task.completedAt && (
+                <p className="text-xs sm:text-sm text-gray-500 dark:text-gray-400 mt-1 animate-fade-in">
+                  ✓ Completed {new Date(task.completedAt).toLocaleDateString()}
+                </p>
+              )}
+            </div>
+          </>
+        )}
+
+        {!isEditing && onUpdate && (
+          /* Edit Button */
+          <button
+            className="edit-button flex-shrink-0 opacity-0 group-hover:opacity-100 focus:opacity-100 transition-opacity p-2 text-gray-400 hover:text-primary hover:bg-primary/10 rounded-md min-h-[44px] min-w-[44px] flex items-center justify-center"
+            onClick={(e) => {
+              e.stopPropagation();
+              startEditing();
+            }}
+            aria-label={`Edit task: ${task.title}`}
           >
-            <path
-              strokeLinecap="round"
-              strokeLinejoin="round"
-              strokeWidth={2}
-              d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"
-            />
-          </svg>
-        </button>
+            <svg
+              className="w-5 h-5"
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"
+              />
+            </svg>
+          </button>
+        )}
+
+        {!isEditing && (
+          <>
+            {/* Delete Button */}
+            <button
+              className="delete-button flex-shrink-0 opacity-0 group-hover:opacity-100 transition-opacity p-2 text-gray-400 hover:text-danger hover:bg-danger/10 rounded-md min-h-[44px] min-w-[44px] flex items-center justify-center"
+              onClick={handleDelete}
+              aria-label={`Delete task: ${task.title}`}
+            >
+              <svg
+                className="w-5 h-5"
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"
+                />
+              </svg>
+            </button>
+          </>
+        )}
 
         {/* Delete Confirmation Modal */}
         <ConfirmModal
@@ -324,7 +632,7 @@ export default function TaskItem({ task, onToggle, onDelete, category }) {
           onClose={() => setShowDeleteModal(false)}
           onConfirm={confirmDelete}
           title="Delete Task?"
-          message={`Are you sure you want to delete "${task.title}"? This action cannot be undone.`}
+          message={`Are you sure you want to delete "${task.title}"? You can undo this from the notification or with Ctrl+Z.`}
           confirmText="Yes, Delete"
           cancelText="Cancel"
           variant="danger"
@@ -1,22 +1,35 @@
 /**
  * TaskList Component
- * Container that displays a list of tasks with category information
+ * Container that displays a list of tasks with category information and manual reordering
  */
 
 import { useEffect, useState } from "preact/hooks";
 import TaskItem from "./TaskItem";
+import { useDragReorder } from "../hooks/useDragReorder";
+import { moveItem } from "../utils/helpers";
 
 export default function TaskList({
   tasks,
   loading,
   onToggleTask,
   onDeleteTask,
+  onUpdateTask,
+  onAddSubtask,
+  onToggleSubtask,
+  onDeleteSubtask,
+  onReorderTasks, // Omit to disable reordering (e.g. when not sorted manually)
   categories,
+  highlightTerms,
   isCompletedSection = false, // New prop to identify section type
 }) {
   const [animatingTasks, setAnimatingTasks] = useState(new Set());
+  const taskIds = tasks.map((t) => t.id);
+
+  const { draggingId, registerItem, getHandleProps, getItemStyle } =
+    useDragReorder({ ids: taskIds, onReorder: onReorderTasks });
 
   // Track task IDs to detect when tasks move between sections
+  // (keyed on membership, not order, so reordering doesn't replay it)
   useEffect(() => {
     const newAnimatingTasks = new Set();
     tasks.forEach((task) => {
@@ -30,7 +43,7 @@ export default function TaskList({
     }, 500);
 
     return () => clearTimeout(timer);
-  }, [tasks.map((t) => t.id).join(",")]);
+  }, [[...taskIds].sort().join(",")]);
 
   if (loading) {
     return (
@@ -72,6 +85,19 @@ export default function TaskList({
     return categories.find((cat) => cat.id === categoryId) || null;
   };
 
+  /**
+   * Move a task one position up or down (keyboard reordering)
+   * @param {string} taskId - Task ID
+   * @param {number} direction - -1 to move up, 1 to move down
+   * @returns {Promise<Object>|undefined} Reorder result
+   */
+  const handleMoveTask = (taskId, direction) => {
+    const fromIndex = taskIds.indexOf(taskId);
+    const toIndex = fromIndex + direction;
+    if (fromIndex === -1 || toIndex < 0 || toIndex >= taskIds.length) return;
+    return onReorderTasks(moveItem(taskIds, fromIndex, toIndex));
+  };
+
   return (
     <div
       className="space-y-2 sm:space-y-3"
@@ -91,12 +117,30 @@ export default function TaskList({
           : "";
 
         return (
-          <div key={task.id} role="listitem" className={animationClass}>
+          <div
+            key={task.id}
+            ref={registerItem(task.id)}
+            role="listitem"
+            className={`${animationClass} ${
+              draggingId === task.id ? "shadow-lg rounded-lg opacity-90" : ""
+            }`}
+            style={getItemStyle(task.id)}
+          >
             <TaskItem
               task={task}
               onToggle={onToggleTask}
               onDelete={onDeleteTask}
+              onUpdate={onUpdateTask}
+              onAddSubtask={onAddSubtask}
+              onToggleSubtask={onToggleSubtask}
+              onDeleteSubtask={onDeleteSubtask}
               category={getCategoryForTask(task.categoryId)}
+              categories={categories}
+              highlightTerms={highlightTerms}
+              dragHandleProps={
+                onReorderTasks ? getHandleProps(task.id) : undefined
+              }
+              onMove={onReorderTasks ? handleMoveTask : undefined}
             />
           </div>
         );
@@ -15,6 +15,7 @@ import { useEffect, useState } from "preact/hooks";
  * @param {number} props.duration - Auto-dismiss duration in ms (0 = no auto-dismiss)
  * @param {Function} props.onClose - Callback when toast is closed
  * @param {Object} props.action - Optional action button { label: string, onClick: function }
+ * @param {Object} props.secondaryAction - Optional second button, e.g. to decline the action
  */
 export default function Toast({
   id,
@@ -23,6 +24,7 @@ export default function Toast({
   duration = 5000,
   onClose,
   action,
+  secondaryAction,
 }) {
   const [isExiting, setIsExiting] = useState(false);
 
@@ -43,8 +45,8 @@ export default function Toast({
     }, 300); // Match exit animation duration
   };
 
-  const handleActionClick = () => {
-    action?.onClick?.();
+  const handleActionClick = (clicked) => {
+    clicked?.onClick?.();
     handleClose();
   };
 
@@ -144,14 +146,19 @@ export default function Toast({
       <div className="flex-1 min-w-0">
         <p className="text-sm font-medium break-words">{message}</p>
 
-        {/* Action button if provided */}
-        {action && (
-          <button
-            onClick={handleActionClick}
-            className="mt-2 text-sm font-semibold underline hover:no-underline focus:outline-none focus:ring-2 focus:ring-offset-1 rounded"
-          >
-            {action.label}
-          </button>
+        {/* Action buttons if provided */}
+        {(action || secondaryAction) && (
+          <div className="mt-2 flex gap-4">
+            {[action, secondaryAction].filter(Boolean).map((button) => (
+              <button
+                key={button.label}
+                onClick={() => handleActionClick(button)}
+                className="text-sm font-semibold underline hover:no-underline focus:outline-none focus:ring-2 focus:ring-offset-1 rounded"
+              >
+                {button.label}
+              </button>
+            ))}
+          </div>
         )}
       </div>
 
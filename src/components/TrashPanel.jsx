@@ -0,0 +1,163 @@
+import { useEffect } from "preact/hooks";
+import { createPortal } from "preact/compat";
+import { formatDate } from "../services/dateParser";
+import { RETENTION_OPTIONS } from "../services/trashService";
+
+/**
+ * Lists deleted tasks and categories so they can be restored or removed
+ * for good
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the panel is visible
+ * @param {Array<Object>} props.tasks - Trashed tasks
+ * @param {Array<Object>} props.categories - Trashed categories
+ * @param {number} props.retentionDays - Days items are kept (0 = forever)
+ * @param {Function} props.onChangeRetention - Called with the new period
+ * @param {Function} props.onRestore - Called with (entity, id)
+ * @param {Function} props.onPurge - Called with (entity, id)
+ * @param {Function} props.onEmpty - Callback to delete everything
+ * @param {Function} props.onClose - Callback to close the panel
+ */
+export default function TrashPanel({
+  isOpen,
+  tasks,
+  categories,
+  retentionDays,
+  onChangeRetention,
+  onRestore,
+  onPurge,
+  onEmpty,
+  onClose,
+}) {
+  // Close on Escape
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleEscape = (e) => {
+      if (e.key === "Escape") {
+        onClose();
+      }
+    };
+
+    document.addEventListener("keydown", handleEscape);
+    return () => document.removeEventListener("keydown", handleEscape);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const items = [
+    ...categories.map((category) => ({
+      entity: "category",
+      id: category.id,
+      label: category.name,
+      kind: "Category",
+      deletedAt: category.deletedAt,
+    })),
+    ...tasks.map((task) => ({
+      entity: "task",
+      id: task.id,
+      label: task.title,
+      kind: "Task",
+      deletedAt: task.deletedAt,
+    })),
+  ];
+
+  const modalContent = (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm animate-fade-in"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="trash-title"
+      onClick={onClose}
+    >
+      <div
+        className="relative w-full max-w-lg max-h-[85vh] flex flex-col bg-white dark:bg-gray-800 rounded-2xl shadow-2xl animate-scale-in overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="px-6 pt-6 pb-4">
+          <h2
+            id="trash-title"
+            className="text-xl font-bold text-gray-900 dark:text-white mb-2"
+          >
+            Trash
+          </h2>
+          <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+            Delete items automatically after
+            <select
+              value={retentionDays}
+              onChange={(e) => onChangeRetention(Number(e.target.value))}
+              className="px-2 py-1 text-sm bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg"
+            >
+              {RETENTION_OPTIONS.map((days) => (
+                <option key={days} value={days}>
+                  {days === 0 ? "Never" : `${days} days`}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6">
+          {items.length === 0 ? (
+            <p className="py-8 text-center text-sm text-gray-500 dark:text-gray-400">
+              The trash is empty
+            </p>
+          ) : (
+            <ul className="space-y-2 pb-2">
+              {items.map((item) => (
+                <li
+                  key={`${item.entity}:${item.id}`}
+                  className="flex items-center gap-3 px-4 py-3 rounded-xl border-2 border-light-border dark:border-dark-border"
+                >
+                  <div className="flex-1 min-w-0">
+                    <span className="block text-sm text-gray-900 dark:text-white break-words">
+                      {item.label}
+                    </span>
+                    <span className="block text-xs text-gray-500 dark:text-gray-400">
+                      {item.kind} · deleted{" "}
+                      {formatDate(item.deletedAt, { includeTime: false })}
+                    </span>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => onRestore(item.entity, item.id)}
+                    className="px-3 py-1.5 text-xs font-medium text-primary hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+                  >
+                    Restore
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onPurge(item.entity, item.id)}
+                    className="px-3 py-1.5 text-xs font-medium text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/30 rounded-lg transition-colors"
+                  >
+                    Delete forever
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="flex gap-3 px-6 py-6">
+          <button
+            type="button"
+            onClick={onClose}
+            className="flex-1 px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-200 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-xl transition-colors"
+          >
+            Close
+          </button>
+          {items.length > 0 && (
+            <button
+              type="button"
+              onClick={onEmpty}
+              className="flex-1 px-4 py-2 text-sm font-medium text-white bg-red-600 hover:bg-red-700 rounded-xl transition-colors"
+            >
+              Empty Trash
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+
+  return createPortal(modalContent, document.body);
+}
@@ -16,9 +16,27 @@ import {
   getUser,
   onAuthStateChange,
 } from "../services/authService.js";
+import { clearOutbox } from "../services/outboxService.js";
+import { clearConflicts } from "../services/conflictService.js";
+import {
+  stageCloudMigration,
+  setLocalDataOwner,
+} from "../services/cloudMigrationService.js";
+import { getRepository, replaceRecords } from "../services/repository.js";
 
 export const AuthContext = createContext(null);
 
+/**
+ * Read the data saved on this device before signing in
+ * @returns {Object} { tasks, categories }
+ */
+function getLocalData() {
+  return {
+    tasks: getRepository("tasks").list().data,
+    categories: getRepository("categories").list().data,
+  };
+}
+
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [session, setSession] = useState(null);
@@ -56,6 +74,11 @@ export function AuthProvider({ children }) {
     };
   }, []);
 
+  // The local cache now holds this account's data
+  useEffect(() => {
+    if (user?.id) setLocalDataOwner(user.id);
+  }, [user?.id]);
+
   async function initializeAuth() {
     try {
       const { session, error } = await getSession();
@@ -84,12 +107,15 @@ export function AuthProvider({ children }) {
   async function signIn(email, password) {
     setLoading(true);
     try {
+      // Snapshot before the account's data replaces it, to offer uploading it
+      const localData = getLocalData();
       const { user, session, error } = await authSignIn(email, password);
 
       if (error) {
         return { error };
       }
 
+      if (user) stageCloudMigration(user.id, localData);
       setUser(user);
       setSession(session);
       return { user, session, error: null };
@@ -103,12 +129,14 @@ export function AuthProvider({ children }) {
   async function signUp(email, password) {
     setLoading(true);
     try {
+      const localData = getLocalData();
       const { user, session, error } = await authSignUp(email, password);
 
       if (error) {
         return { error };
       }
 
+      if (user) stageCloudMigration(user.id, localData);
       setUser(user);
       setSession(session);
       return { user, session, error: null };
@@ -131,9 +159,14 @@ export function AuthProvider({ children }) {
       setUser(null);
       setSession(null);
 
-      // Clear localStorage on sign out
-      localStorage.removeItem("todos_tasks");
-      localStorage.removeItem("todos_categories");
+      // Clear the account's cached data, whichever storage holds it
+      replaceRecords(getRepository("tasks"), () => []);
+      replaceRecords(getRepository("categories"), () => []);
+
+      // Never replay one account's queued changes into another
+      clearOutbox();
+      clearConflicts();
+      setLocalDataOwner(null);
 
       return { error: null };
     } catch (err) {
@@ -4,7 +4,7 @@
  */
 
 import { createContext } from "preact";
-import { useState, useCallback, useContext } from "preact/hooks";
+import { useState, useCallback, useContext, useRef } from "preact/hooks";
 import Toast from "../components/Toast";
 
 const ToastContext = createContext(null);
@@ -15,7 +15,9 @@ const ToastContext = createContext(null);
  */
 export function ToastProvider({ children }) {
   const [toasts, setToasts] = useState([]);
-  const [nextId, setNextId] = useState(1);
+  // A ref keeps IDs unique even when showToast is called from an old closure
+  // (e.g. a toast action such as "Undo" that shows another toast)
+  const nextId = useRef(1);
 
   /**
    * Add a new toast notification
@@ -24,30 +26,28 @@ export function ToastProvider({ children }) {
    * @param {string} options.message - User-friendly message
    * @param {number} options.duration - Auto-dismiss duration in ms (default: 5000, 0 = no auto-dismiss)
    * @param {Object} options.action - Optional action button { label: string, onClick: function }
+   * @param {Object} options.secondaryAction - Optional second button, same shape as action
    * @returns {number} Toast ID
    */
-  const showToast = useCallback(
-    (options) => {
-      const id = nextId;
-      setNextId((prev) => prev + 1);
+  const showToast = useCallback((options) => {
+    const id = nextId.current++;
 
-      const toast = {
-        id,
-        type: options.type || "info",
-        message: options.message,
-        duration: options.duration ?? 5000,
-        action: options.action,
-      };
+    const toast = {
+      id,
+      type: options.type || "info",
+      message: options.message,
+      duration: options.duration ?? 5000,
+      action: options.action,
+      secondaryAction: options.secondaryAction,
+    };
 
-      setToasts((prev) => [...prev, toast]);
+    setToasts((prev) => [...prev, toast]);
 
-      // Limit to max 5 toasts at once
-      setToasts((prev) => prev.slice(-5));
+    // Limit to max 5 toasts at once
+    setToasts((prev) => prev.slice(-5));
 
-      return id;
-    },
-    [nextId]
-  );
+    return id;
+  }, []);
 
   /**
    * Remove a toast by ID
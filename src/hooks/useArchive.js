@@ -0,0 +1,137 @@
+/**
+ * useArchive Hook
+ * Pages through archived tasks and auto-archives old completed ones
+ * Signed-in users page the archive from Supabase; guests (and signed-in
+ * users who are offline) browse whatever is archived on this device.
+ */
+
+import { useState, useEffect, useRef } from "preact/hooks";
+import { useAuth } from "./useAuth";
+import { getArchivedTasks } from "../services/taskService";
+import { fetchArchivedTasks } from "../services/supabaseStorageService";
+import {
+  getAutoArchiveDays,
+  setAutoArchiveDays,
+  getTasksDueForArchive,
+} from "../services/archiveService";
+
+const PAGE_SIZE = 20;
+
+/**
+ * Custom hook for the task archive
+ * @param {Object} tasksApi - Return value of useTasks()
+ * @param {boolean} isOpen - Whether the archive is being browsed
+ * @returns {Object} Archived tasks, paging, search and auto-archive setting
+ */
+export function useArchive(tasksApi, isOpen) {
+  const { user, isAuthenticated, isOnline } = useAuth();
+  const [archivedTasks, setArchivedTasks] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [query, setQuery] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [autoArchiveDays, setAutoArchiveDaysState] =
+    useState(getAutoArchiveDays);
+  const requestId = useRef(0);
+  const archiving = useRef(false);
+
+  /**
+   * Load a page of archived tasks
+   * @param {number} offset - Tasks to skip
+   * @returns {Promise<void>}
+   */
+  const loadPage = async (offset) => {
+    const id = ++requestId.current;
+    setLoading(true);
+
+    let page;
+    if (isAuthenticated && isOnline && user?.id) {
+      const { data, error: fetchError } = await fetchArchivedTasks(user.id, {
+        query,
+        offset,
+        limit: PAGE_SIZE,
+      });
+      if (fetchError) {
+        console.error("Failed to load archive from Supabase:", fetchError);
+        setError(fetchError.message || "Failed to load archive");
+      } else {
+        page = data;
+        setError(null);
+      }
+    } else {
+      page = getArchivedTasks({ query, offset, limit: PAGE_SIZE });
+      setError(null);
+    }
+
+    // A newer search started while this one was loading
+    if (id !== requestId.current) return;
+
+    if (page) {
+      setArchivedTasks((previous) =>
+        offset === 0 ? page.tasks : [...previous, ...page.tasks]
+      );
+      setTotal(page.total);
+    }
+    setLoading(false);
+  };
+
+  // Start from the first page whenever the archive opens or the search changes
+  useEffect(() => {
+    if (isOpen) loadPage(0);
+  }, [isOpen, query, user?.id, isOnline]);
+
+  // Archive old completed tasks once tasks have loaded and whenever the
+  // period changes
+  useEffect(() => {
+    if (tasksApi.loading || archiving.current) return;
+
+    const due = getTasksDueForArchive();
+    if (due.length === 0) return;
+
+    archiving.current = true;
+    tasksApi.archiveTasks(due.map((task) => task.id)).finally(() => {
+      archiving.current = false;
+    });
+  }, [tasksApi.loading, autoArchiveDays]);
+
+  /**
+   * Move an archived task back to the main list
+   * @param {string} id - Task ID
+   * @returns {Promise<Object>} Result
+   */
+  const restore = async (id) => {
+    const result = await tasksApi.unarchiveTask(id);
+    if (result.success) {
+      setArchivedTasks((previous) => previous.filter((task) => task.id !== id));
+      setTotal((count) => Math.max(0, count - 1));
+    }
+    return result;
+  };
+
+  /**
+   * Change how long after completion tasks are archived
+   * @param {number} days - One of AUTO_ARCHIVE_OPTIONS (0 = never)
+   * @returns {Object} Result
+   */
+  const changeAutoArchive = (days) => {
+    const result = setAutoArchiveDays(days);
+    if (result.success) {
+      setAutoArchiveDaysState(days);
+    }
+    return result;
+  };
+
+  return {
+    archivedTasks,
+    total,
+    hasMore: archivedTasks.length < total,
+    loading,
+    error,
+    query,
+    setQuery,
+    loadMore: () => loadPage(archivedTasks.length),
+    restore,
+    autoArchiveDays,
+    setAutoArchiveDays: changeAutoArchive,
+  };
+}
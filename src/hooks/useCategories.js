@@ -1,25 +1,61 @@
 /**
  * useCategories Hook
  * Custom hook for managing category state and CRUD operations
- * Now supports hybrid storage: Supabase (when authenticated) + localStorage (offline fallback)
+ * Now supports hybrid storage: Supabase (when authenticated) + the local
+ * repository (offline fallback), see useHybridStorage
  */
 
-import { useState, useEffect } from "preact/hooks";
+import { useState, useEffect, useRef } from "preact/hooks";
 import {
   getAllCategories,
   createCategory,
   updateCategory,
-  deleteCategory,
+  purgeCategory,
+  purgeCategories,
+  getTrashedCategories,
   initializeDemoCategories,
 } from "../services/categoryService";
-import {
-  fetchCategories,
-  createCategoryInSupabase,
-  updateCategoryInSupabase,
-  deleteCategoryFromSupabase,
-} from "../services/supabaseStorageService";
 import { useAuth } from "./useAuth";
-import { setItem, getItem } from "../services/storageService";
+import { useHybridStorage } from "./useHybridStorage";
+import { getRepository, replaceRecords } from "../services/repository";
+import {
+  getPendingOperations,
+  getPendingChanges,
+} from "../services/outboxService";
+import { remapLocalIds } from "../services/idMigrationService";
+import {
+  CATEGORY_FIELDS,
+  mergeCollections,
+  applyRemoteChange,
+  stampFields,
+} from "../services/mergeService";
+import { getUserFriendlyError } from "../utils/errorMessages";
+
+/**
+ * Leave the tasks of purged categories without a category, as Supabase does
+ * on delete
+ * @param {Array<string>} ids - Purged category IDs
+ */
+function clearCategoryFromTasks(ids) {
+  const purged = new Set(ids);
+  // Stamped, so merging in an older remote copy can't bring it back
+  const clearedAt = new Date().toISOString();
+  replaceRecords(getRepository("tasks"), (tasks) =>
+    tasks.map((task) =>
+      purged.has(task.categoryId)
+        ? {
+            ...task,
+            categoryId: null,
+            fieldUpdatedAt: stampFields(
+              task.fieldUpdatedAt,
+              ["categoryId"],
+              clearedAt
+            ),
+          }
+        : task
+    )
+  );
+}
 
 /**
  * Custom hook for category management with hybrid storage
@@ -31,12 +67,55 @@ export function useCategories() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [syncing, setSyncing] = useState(false);
+  const subscribedUserRef = useRef(null);
+  const { local, remote, canReadRemote, write } = useHybridStorage("category", {
+    reload: () => loadCategories(),
+    onError: setError,
+  });
 
   // Load categories on mount and when user changes
   useEffect(() => {
     loadCategories();
   }, [user?.id]);
 
+  // Apply category changes from other devices as they happen, catching up
+  // after every resubscribe (e.g. back online)
+  useEffect(() => {
+    if (!isAuthenticated || !isOnline || !user?.id) return;
+
+    return remote().subscribe({
+      onChange: (change) => {
+        replaceRecords(local(), (cached) =>
+          applyRemoteChange(
+            cached,
+            change,
+            CATEGORY_FIELDS,
+            getPendingChanges("category")
+          )
+        );
+        setCategories(getAllCategories());
+      },
+      onStatus: (status) => {
+        if (status !== "SUBSCRIBED") return;
+        if (subscribedUserRef.current === user.id) {
+          loadCategories();
+        }
+        subscribedUserRef.current = user.id;
+      },
+    });
+  }, [isAuthenticated, isOnline, user?.id]);
+
+  // Pick up category changes made in other tabs of this browser, and
+  // category saves the database refused
+  useEffect(
+    () =>
+      local().subscribe({
+        onChange: () => setCategories(getAllCategories()),
+        onError: (error) => setError(getUserFriendlyError(error)),
+      }),
+    []
+  );
+
   // Auto-sync categories when user first authenticates
   useEffect(() => {
     if (isAuthenticated && user?.id && !syncing) {
@@ -45,28 +124,35 @@ export function useCategories() {
   }, [isAuthenticated, user?.id]);
 
   /**
-   * Load categories from appropriate storage (Supabase if authenticated, localStorage otherwise)
+   * Load categories from appropriate storage (Supabase if authenticated, the local repository otherwise)
    */
   const loadCategories = async () => {
     try {
       setLoading(true);
 
-      if (isAuthenticated && isOnline && user?.id) {
+      if (canReadRemote()) {
         // Load from Supabase
-        const { data, error: fetchError } = await fetchCategories(user.id);
+        const { data, error: fetchError } = await remote().list();
 
         if (fetchError) {
           console.error("Failed to load categories from Supabase:", fetchError);
-          // Fall back to localStorage
+          // Fall back to the local copy
           const localCategories = getAllCategories();
           setCategories(localCategories);
         } else {
-          // Cache in localStorage
-          setItem("categories", data);
-          setCategories(data);
+          // Merge into the cache, keeping changes the outbox hasn't pushed yet
+          replaceRecords(local(), (cached) =>
+            mergeCollections(
+              cached,
+              data,
+              CATEGORY_FIELDS,
+              getPendingChanges("category")
+            )
+          );
+          setCategories(getAllCategories());
         }
       } else {
-        // Use localStorage
+        // Use the local repository
         const localCategories = getAllCategories();
         setCategories(localCategories);
       }
@@ -90,10 +176,10 @@ export function useCategories() {
     try {
       setSyncing(true);
 
-      // Get categories from localStorage
-      let localCategories = getItem("categories", []);
+      // Get categories saved on this device
+      let localCategories = local().list().data;
 
-      // If localStorage is empty, initialize with demo categories
+      // If there are none, initialize with demo categories
       if (localCategories.length === 0) {
         console.log(
           "No local categories found, initializing demo categories..."
@@ -102,8 +188,9 @@ export function useCategories() {
       }
 
       // Get categories from Supabase
+      const cloudCategories = remote();
       const { data: supabaseCategories, error: fetchError } =
-        await fetchCategories(user.id);
+        await cloudCategories.list();
 
       if (fetchError) {
         console.error(
@@ -113,13 +200,36 @@ export function useCategories() {
         return;
       }
 
-      // Find categories that exist in localStorage but not in Supabase
-      const categoriesToSync = localCategories.filter((localCat) => {
-        // Check if this category name already exists in Supabase
-        return !supabaseCategories.some(
-          (supaCat) => supaCat.name === localCat.name
+      // Categories created offline are pushed by the outbox instead
+      const queuedIds = getPendingOperations()
+        .filter((op) => op.entity === "category" && op.type === "create")
+        .map((op) => op.targetId);
+
+      // A local category named like an existing cloud one (e.g. the demo
+      // categories of another device) takes over the cloud category's ID
+      const matchedIds = new Map();
+      localCategories.forEach((localCat) => {
+        if (localCat.deletedAt) return;
+        const match = supabaseCategories.find(
+          (supaCat) => supaCat.name === localCat.name && !supaCat.deletedAt
         );
+        if (
+          match &&
+          match.id !== localCat.id &&
+          !queuedIds.includes(localCat.id)
+        ) {
+          matchedIds.set(localCat.id, match.id);
+        }
       });
+      remapLocalIds("category", matchedIds);
+
+      // Push the rest with their own IDs
+      const categoriesToSync = localCategories.filter(
+        (localCat) =>
+          !queuedIds.includes(localCat.id) &&
+          !matchedIds.has(localCat.id) &&
+          !supabaseCategories.some((supaCat) => supaCat.id === localCat.id)
+      );
 
       if (categoriesToSync.length > 0) {
         console.log(
@@ -129,15 +239,14 @@ export function useCategories() {
 
         // Create each missing category in Supabase
         for (const category of categoriesToSync) {
-          const { error: createError } = await createCategoryInSupabase(
-            user.id,
-            {
-              name: category.name,
-              color: category.color,
-              createdAt: category.createdAt,
-              order: category.order || 0,
-            }
-          );
+          const { error: createError } = await cloudCategories.create({
+            id: category.id,
+            name: category.name,
+            color: category.color,
+            createdAt: category.createdAt,
+            order: category.order || 0,
+            deletedAt: category.deletedAt || null,
+          });
 
           if (createError) {
             console.error(
@@ -149,11 +258,11 @@ export function useCategories() {
           }
         }
 
-        // Reload categories from Supabase to get the new UUIDs
         await loadCategories();
         console.log("Category sync complete!");
       } else {
         console.log("All local categories already in Supabase, no sync needed");
+        if (matchedIds.size > 0) await loadCategories();
       }
     } catch (err) {
       console.error("Category sync error:", err);
@@ -177,42 +286,23 @@ export function useCategories() {
   };
 
   /**
-   * Add a new category (hybrid: try Supabase first, fall back to localStorage)
+   * Add a new category (hybrid: try Supabase first, fall back to the local repository)
    * @param {Object} categoryData - Category data
    * @returns {Object} Result
    */
-  const addCategory = async (categoryData) => {
-    if (isAuthenticated && isOnline && user?.id) {
-      // Try Supabase first
-      const { data, error: createError } = await createCategoryInSupabase(
-        user.id,
-        categoryData
-      );
-
-      if (createError) {
-        console.error("Failed to create category in Supabase:", createError);
-        // Fall back to localStorage
-        const result = createCategory(categoryData);
-        if (result.success) {
-          loadCategories();
-        }
-        return result;
-      }
-
-      // Success - reload from Supabase
-      await loadCategories();
-      return { success: true, category: data, error: null };
-    } else {
-      // Use localStorage
-      const result = createCategory(categoryData);
-      if (result.success) {
-        loadCategories();
-      } else {
-        setError(result.error);
-      }
-      return result;
-    }
-  };
+  const addCategory = (categoryData) =>
+    write({
+      remote: (repository) => repository.create(categoryData),
+      local: () => createCategory(categoryData),
+      queue: (result) => [
+        {
+          type: "create",
+          targetId: result.category.id,
+          payload: result.category,
+        },
+      ],
+      toResult: (category) => ({ success: true, category, error: null }),
+    });
 
   /**
    * Update a category (hybrid storage)
@@ -220,77 +310,86 @@ export function useCategories() {
    * @param {Object} updates - Fields to update
    * @returns {Object} Result
    */
-  const updateCategoryById = async (id, updates) => {
-    if (isAuthenticated && isOnline && user?.id) {
-      // Try Supabase first
-      const { data, error: updateError } = await updateCategoryInSupabase(
-        id,
-        updates
-      );
+  const updateCategoryById = (id, updates) =>
+    write({
+      remote: (repository) => repository.update(id, updates),
+      local: () => updateCategory(id, updates),
+      queue: () => [{ type: "update", targetId: id, payload: updates }],
+      toResult: (category) => ({ success: true, category, error: null }),
+    });
 
-      if (updateError) {
-        console.error("Failed to update category in Supabase:", updateError);
-        // Fall back to localStorage
-        const result = updateCategory(id, updates);
-        if (result.success) {
-          loadCategories();
-        }
-        return result;
-      }
+  /**
+   * Move a category to the trash (hybrid storage)
+   * Its tasks keep their categoryId until it's deleted permanently.
+   * @param {string} id - Category ID
+   * @returns {Object} Result
+   */
+  const removeCategory = (id) =>
+    updateCategoryById(id, { deletedAt: new Date().toISOString() });
 
-      // Success - reload
-      await loadCategories();
-      return { success: true, category: data, error: null };
-    } else {
-      // Use localStorage
-      const result = updateCategory(id, updates);
-      if (result.success) {
-        loadCategories();
-      } else {
-        setError(result.error);
-      }
-      return result;
-    }
-  };
+  /**
+   * Take a category back out of the trash (hybrid storage)
+   * @param {string} id - Category ID
+   * @returns {Object} Result
+   */
+  const restoreCategory = (id) => updateCategoryById(id, { deletedAt: null });
 
   /**
-   * Delete a category (hybrid storage)
+   * Permanently delete a category (hybrid storage)
+   * Its tasks are left without a category, as Supabase does on delete.
    * @param {string} id - Category ID
    * @returns {Object} Result
    */
-  const removeCategory = async (id) => {
-    if (isAuthenticated && isOnline && user?.id) {
-      // Try Supabase first
-      const { error: deleteError } = await deleteCategoryFromSupabase(id);
-
-      if (deleteError) {
-        console.error("Failed to delete category from Supabase:", deleteError);
-        // Fall back to localStorage
-        const result = deleteCategory(id);
-        if (result.success) {
-          loadCategories();
-        }
-        return result;
-      }
+  const purgeCategoryById = (id) => {
+    const purgeLocally = () => {
+      const result = purgeCategory(id);
+      if (result.success) clearCategoryFromTasks([id]);
+      return result;
+    };
 
-      // Success - reload
-      await loadCategories();
-      return { success: true, error: null };
-    } else {
-      // Use localStorage
-      const result = deleteCategory(id);
-      if (result.success) {
-        loadCategories();
-      } else {
-        setError(result.error);
-      }
+    return write({
+      remote: (repository) => repository.delete(id),
+      local: purgeLocally,
+      queue: () => [{ type: "delete", targetId: id }],
+      // Drop the cached copy too
+      afterRemote: purgeLocally,
+      toResult: () => ({ success: true, error: null }),
+    });
+  };
+
+  /**
+   * Permanently delete several categories at once (hybrid storage)
+   * One write and one reload, however many categories there are.
+   * @param {Array<string>} ids - Category IDs
+   * @returns {Object} Result, with the number deleted as count
+   */
+  const purgeCategoriesById = (ids) => {
+    const purgeLocally = () => {
+      const result = purgeCategories(ids);
+      if (result.success) clearCategoryFromTasks(ids);
       return result;
-    }
+    };
+
+    return write({
+      remote: (repository) =>
+        repository.batch(ids.map((id) => ({ type: "delete", id }))),
+      local: purgeLocally,
+      queue: () => ids.map((id) => ({ type: "delete", targetId: id })),
+      // Drop the cached copies too
+      afterRemote: purgeLocally,
+      toResult: () => ({ success: true, count: ids.length, error: null }),
+    });
   };
 
+  /**
+   * Categories in the trash, most recently deleted first
+   */
+  const trashedCategories = getTrashedCategories();
+
   return {
     // State
     categories,
+    trashedCategories,
     loading,
     error,
     syncing,
@@ -299,6 +398,9 @@ export function useCategories() {
     addCategory,
     updateCategory: updateCategoryById,
     removeCategory,
+    restoreCategory,
+    purgeCategory: purgeCategoryById,
+    purgeCategories: purgeCategoriesById,
     loadCategories,
     syncCategoriesToSupabase,
     initDemo,
@@ -0,0 +1,42 @@
+/**
+ * useConflicts Hook
+ * Exposes edit conflicts found while syncing and resolves them
+ */
+
+import { useState, useEffect } from "preact/hooks";
+import {
+  getConflicts,
+  removeConflict,
+  subscribeConflicts,
+} from "../services/conflictService";
+
+/**
+ * Custom hook for resolving sync conflicts
+ * @param {Object} tasksApi - Return value of useTasks()
+ * @returns {Object} { conflicts, resolveConflict }
+ */
+export function useConflicts(tasksApi) {
+  const [conflicts, setConflicts] = useState(getConflicts);
+
+  useEffect(() => subscribeConflicts(() => setConflicts(getConflicts())), []);
+
+  /**
+   * Keep one side of a conflict and push it everywhere
+   * @param {Object} conflict - Conflict from conflictService
+   * @param {*} value - Chosen value (conflict.local or conflict.remote)
+   * @returns {Promise<Object>} Result
+   */
+  const resolveConflict = async (conflict, value) => {
+    const result = await tasksApi.updateTask(conflict.targetId, {
+      [conflict.field]: value,
+    });
+
+    // A task deleted in the meantime has nothing left to resolve
+    if (result.success || result.error === "Task not found") {
+      removeConflict(conflict.id);
+    }
+    return result;
+  };
+
+  return { conflicts, resolveConflict };
+}
@@ -0,0 +1,174 @@
+/**
+ * useDragReorder Hook
+ * Pointer-based drag-and-drop reordering for a vertical list
+ *
+ * Drags start from a handle only. The handle stops touch events from reaching
+ * the row, so useTouchSwipe and useLongPress never see a drag gesture.
+ */
+
+import { useState, useRef, useCallback } from "preact/hooks";
+import { moveItem } from "../utils/helpers";
+
+const DRAG_START_DISTANCE = 4; // Movement before a press becomes a drag (px)
+
+/**
+ * Custom hook for reordering list items by dragging
+ * @param {Object} options - Configuration options
+ * @param {Array<string>} options.ids - Item IDs in their current order
+ * @param {Function} options.onReorder - Callback with the IDs in their new order
+ * @returns {Object} Drag state, item ref/style getters and handle props
+ */
+export function useDragReorder({ ids, onReorder }) {
+  const [drag, setDrag] = useState(null);
+  const itemElements = useRef(new Map());
+  const dragState = useRef(null);
+
+  /**
+   * Ref callback that tracks each item's element for hit testing
+   * @param {string} id - Item ID
+   * @returns {Function} Ref callback
+   */
+  const registerItem = useCallback(
+    (id) => (element) => {
+      if (element) {
+        itemElements.current.set(id, element);
+      } else {
+        itemElements.current.delete(id);
+      }
+    },
+    []
+  );
+
+  /**
+   * Reset drag state
+   */
+  const endDrag = () => {
+    dragState.current = null;
+    setDrag(null);
+  };
+
+  /**
+   * Handle pointer down on a drag handle
+   */
+  const handlePointerDown = (id, e) => {
+    if (e.button !== 0) return;
+    e.stopPropagation();
+
+    const fromIndex = ids.indexOf(id);
+    const rects = ids.map((itemId) =>
+      itemElements.current.get(itemId)?.getBoundingClientRect()
+    );
+    if (fromIndex === -1 || rects.some((rect) => !rect)) return;
+
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+
+    // Neighbours shift by the dragged item's height plus the list gap
+    const gap = rects.length > 1 ? rects[1].top - rects[0].bottom : 0;
+    dragState.current = {
+      id,
+      fromIndex,
+      rects,
+      startY: e.clientY,
+      size: rects[fromIndex].height + gap,
+      overIndex: fromIndex,
+      started: false,
+    };
+  };
+
+  /**
+   * Handle pointer move while dragging
+   */
+  const handlePointerMove = (e) => {
+    const state = dragState.current;
+    if (!state) return;
+
+    const offset = e.clientY - state.startY;
+    if (!state.started && Math.abs(offset) < DRAG_START_DISTANCE) return;
+    state.started = true;
+    e.preventDefault();
+
+    // Target index = number of other items whose midpoint is above the dragged item's
+    const dragged = state.rects[state.fromIndex];
+    const center = dragged.top + dragged.height / 2 + offset;
+    const overIndex = state.rects.reduce(
+      (count, rect, index) =>
+        index !== state.fromIndex && rect.top + rect.height / 2 < center
+          ? count + 1
+          : count,
+      0
+    );
+
+    state.overIndex = overIndex;
+    setDrag({
+      id: state.id,
+      fromIndex: state.fromIndex,
+      overIndex,
+      offset,
+      size: state.size,
+    });
+  };
+
+  /**
+   * Handle pointer up - drop the item in its new position
+   */
+  const handlePointerUp = (e) => {
+    const state = dragState.current;
+    if (!state) return;
+    e.stopPropagation();
+
+    if (state.started && state.overIndex !== state.fromIndex) {
+      onReorder(moveItem(ids, state.fromIndex, state.overIndex));
+    }
+    endDrag();
+  };
+
+  /**
+   * Props for an item's drag handle
+   * @param {string} id - Item ID
+   * @returns {Object} Pointer and touch handlers
+   */
+  const getHandleProps = (id) => ({
+    onPointerDown: (e) => handlePointerDown(id, e),
+    onPointerMove: handlePointerMove,
+    onPointerUp: handlePointerUp,
+    onPointerCancel: endDrag,
+    // Keep swipe and long-press gestures from starting on the handle
+    onTouchStart: (e) => e.stopPropagation(),
+    style: { touchAction: "none" },
+  });
+
+  /**
+   * Inline style for an item while a drag is in progress
+   * @param {string} id - Item ID
+   * @returns {Object|undefined} Style object
+   */
+  const getItemStyle = (id) => {
+    if (!drag) return undefined;
+
+    if (id === drag.id) {
+      return {
+        transform: `translateY(${drag.offset}px)`,
+        position: "relative",
+        zIndex: 10,
+      };
+    }
+
+    // Slide the items between the original and target slots out of the way
+    const index = ids.indexOf(id);
+    let shift = 0;
+    if (index > drag.fromIndex && index <= drag.overIndex) shift = -drag.size;
+    if (index < drag.fromIndex && index >= drag.overIndex) shift = drag.size;
+
+    return {
+      transform: `translateY(${shift}px)`,
+      transition: "transform 0.2s ease",
+    };
+  };
+
+  return {
+    draggingId: drag?.id || null,
+    registerItem,
+    getHandleProps,
+    getItemStyle,
+  };
+}
@@ -0,0 +1,127 @@
+/**
+ * useHybridStorage Hook
+ * Shared storage plumbing for useTasks and useCategories
+ * Signed-in changes are written to the Supabase repository first. When that
+ * fails, or while offline or older changes are still queued, they're applied
+ * to the local repository and queued in the outbox for replay (see useOutbox).
+ */
+
+import { useAuth } from "./useAuth";
+import { getRepository } from "../services/repository";
+import { createSupabaseAdapter } from "../services/supabaseRepository";
+import { enqueueOperation, getPendingCount } from "../services/outboxService";
+
+// Repository collection of each entity
+const COLLECTIONS = { task: "tasks", category: "categories" };
+
+/**
+ * Custom hook for writing one entity to Supabase or the local store
+ * @param {string} entity - "task" | "category"
+ * @param {Object} options - Hook callbacks
+ * @param {Function} options.reload - Reloads the calling hook's state
+ * @param {Function} options.onError - Called with the message of a failed local change
+ * @returns {Object} Repositories, connection checks and write helpers
+ */
+export function useHybridStorage(entity, { reload, onError }) {
+  const { user, isAuthenticated, isOnline } = useAuth();
+  const collection = COLLECTIONS[entity];
+
+  /**
+   * Check whether Supabase can be read (signed in and online)
+   * @returns {boolean} True if reads should go to Supabase
+   */
+  const canReadRemote = () => isAuthenticated && isOnline && !!user?.id;
+
+  /**
+   * Check whether changes can be written straight to Supabase
+   * While older changes are still queued, new ones queue behind them so
+   * they reach Supabase in order.
+   * @returns {boolean} True if signed in, online and the outbox is empty
+   */
+  const canWriteRemote = () => canReadRemote() && getPendingCount() === 0;
+
+  /**
+   * Queue a locally applied change for replay (signed-in users only)
+   * @param {Object} operation - { type, targetId, payload, base }
+   */
+  const queueChange = (operation) => {
+    if (isAuthenticated && user?.id) {
+      enqueueOperation({ entity, ...operation });
+    }
+  };
+
+  /**
+   * Get the repository on this device
+   * @returns {import("../services/repository").Repository} Local repository
+   */
+  const local = () => getRepository(collection);
+
+  /**
+   * Get the signed-in user's Supabase repository
+   * @returns {import("../services/repository").Repository} Remote repository
+   */
+  const remote = () => createSupabaseAdapter(user.id).repository(collection);
+
+  /**
+   * Apply a change, to Supabase first when possible
+   * @param {Object} change - How to apply the change in each store
+   * @param {Function} change.remote - (repository) => Promise of { data, error }
+   * @param {Function} change.local - Applies it through the service, returns
+   *   the service result
+   * @param {Function} change.queue - (serviceResult) => outbox operations
+   * @param {Function} change.toResult - (data) => result after a remote write
+   * @param {Function} [change.afterRemote] - Runs once Supabase accepted it,
+   *   e.g. to drop a cached copy
+   * @returns {Promise<Object>} Result
+   */
+  const write = async (change) => {
+    if (canWriteRemote()) {
+      const { data, error } = await change.remote(remote());
+
+      if (!error) {
+        if (change.afterRemote) change.afterRemote(data);
+        await reload();
+        return change.toResult(data);
+      }
+
+      // Fall back to the local store and push it later
+      console.error(`Failed to save ${entity} to Supabase:`, error);
+    }
+
+    const result = change.local();
+    if (result.success) {
+      change.queue(result).forEach(queueChange);
+      await reload();
+    } else {
+      onError(result.error);
+    }
+    return result;
+  };
+
+  /**
+   * Send a change that was already applied locally, or queue it
+   * @param {Array<Object>} operations - Outbox operations describing it
+   * @param {Function} send - (repository) => Promise of { error }
+   * @returns {Promise<boolean>} True if Supabase accepted it
+   */
+  const push = async (operations, send) => {
+    if (canWriteRemote()) {
+      const { error } = await send(remote());
+      if (!error) return true;
+      console.error(`Failed to save ${entity} to Supabase:`, error);
+    }
+
+    operations.forEach(queueChange);
+    return false;
+  };
+
+  return {
+    local,
+    remote,
+    canReadRemote,
+    canWriteRemote,
+    queueChange,
+    write,
+    push,
+  };
+}
@@ -0,0 +1,466 @@
+/**
+ * useImport Hook
+ * Reads a backup file, previews it and imports it with a merge strategy
+ * The import is applied locally first, then sent to Supabase one change at a
+ * time when signed in; whatever can't be sent is queued in the outbox.
+ *
+ * Files from other tools are read too: calendar (.ics) to-dos, todo.txt,
+ * CSV (after a column mapping step) and Todoist or Microsoft To Do JSON.
+ * Their tasks are created through the regular task operations, along with
+ * any categories they name that don't exist yet.
+ *
+ * Encrypted backups wait for their passphrase (unlock()) before the preview.
+ */
+
+import { useState } from "preact/hooks";
+import { useHybridStorage } from "./useHybridStorage";
+import {
+  previewImport,
+  planImport,
+  applyImport,
+} from "../services/importService";
+import { parseICS, toTaskDraft } from "../services/icalService";
+import {
+  parseTodoTxt,
+  parseCSV,
+  guessColumnMapping,
+  mapCsvRows,
+  parseTodoist,
+  parseMicrosoftToDo,
+  detectJsonFormat,
+  findCategoryByName,
+  pickCategoryColor,
+} from "../services/importAdapters";
+import {
+  isEncryptedBackup,
+  decryptBackup,
+} from "../services/encryptionService";
+import { getTaskById } from "../services/taskService";
+import { getUserFriendlyError } from "../utils/errorMessages";
+
+// Names of the formats read from other tools
+const FORMAT_LABELS = {
+  ics: "Calendar",
+  todotxt: "todo.txt",
+  csv: "CSV",
+  todoist: "Todoist",
+  "microsoft-todo": "Microsoft To Do",
+};
+
+/**
+ * Tell a picked file's format from its name and type
+ * @param {File} file - Picked file
+ * @returns {string} "ics" | "todotxt" | "csv" | "json"
+ */
+function getFileFormat(file) {
+  const name = (file.name || "").toLowerCase();
+  if (file.type === "text/calendar" || name.endsWith(".ics")) return "ics";
+  if (file.type === "text/csv" || name.endsWith(".csv")) return "csv";
+  if (name.endsWith(".txt") || name.endsWith(".todo")) return "todotxt";
+  return "json";
+}
+
+/**
+ * Describe a planned repository operation as an outbox operation
+ * @param {Object} operation - Operation from planImport()
+ * @returns {Object} { type, targetId, payload, base }
+ */
+function toOutboxOperation(operation) {
+  if (operation.type === "create") {
+    return {
+      type: "create",
+      targetId: operation.record.id,
+      payload: operation.record,
+    };
+  }
+
+  // The outbox stamps queued updates itself
+  const payload = { ...operation.changes };
+  delete payload.fieldUpdatedAt;
+  return {
+    type: "update",
+    targetId: operation.id,
+    payload,
+    base: operation.base,
+  };
+}
+
+/**
+ * Custom hook for importing backups
+ * @param {Object} tasksApi - Return value of useTasks()
+ * @param {Object} categoriesApi - Return value of useCategories()
+ * @returns {Object} Preview state and import operations
+ */
+export function useImport(tasksApi, categoriesApi) {
+  const [preview, setPreview] = useState(null);
+  const [external, setExternal] = useState(null);
+  const [csv, setCsv] = useState(null);
+  const [encrypted, setEncrypted] = useState(null);
+  const [error, setError] = useState(null);
+  const [importing, setImporting] = useState(false);
+
+  /**
+   * Show a service error the way the rest of the app words it
+   * @param {string} message - Error from a service
+   */
+  const showError = (message) => setError(getUserFriendlyError(message));
+
+  /**
+   * Report something that failed unexpectedly (reading the file, a write)
+   * @param {Error} err - What was thrown
+   * @returns {Object} { success: false, error }
+   */
+  const fail = (err) => {
+    console.error("Import error:", err);
+    const message = getUserFriendlyError(err);
+    setError(message);
+    return { success: false, error: message };
+  };
+
+  const storage = {
+    categories: useHybridStorage("category", {
+      reload: categoriesApi.loadCategories,
+      onError: showError,
+    }),
+    tasks: useHybridStorage("task", {
+      reload: tasksApi.loadTasks,
+      onError: showError,
+    }),
+  };
+
+  /**
+   * Read and check a backup, or a file from another tool
+   * @param {File} file - File picked by the user
+   * @returns {Promise<Object|null>} Preview or summary, or null if the file
+   *   is unusable
+   */
+  const readFile = async (file) => {
+    reset();
+
+    try {
+      const format = getFileFormat(file);
+      const text = await file.text();
+
+      if (format === "ics") {
+        const result = parseICS(text);
+        if (!result.success) {
+          showError(result.error);
+          return null;
+        }
+        return summarize(
+          "ics",
+          result.todos.map((todo) =>
+            toTaskDraft(todo, categoriesApi.categories)
+          )
+        );
+      }
+      if (format === "todotxt") {
+        return summarize("todotxt", parseTodoTxt(text));
+      }
+      if (format === "csv") {
+        const { headers, rows } = parseCSV(text);
+        return readCsv({
+          headers,
+          rows,
+          mapping: guessColumnMapping(headers),
+        });
+      }
+
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (err) {
+        setError("This file isn't a valid JSON backup");
+        return null;
+      }
+
+      const jsonFormat = detectJsonFormat(data);
+      if (jsonFormat === "todoist") {
+        return summarize(jsonFormat, parseTodoist(data));
+      }
+      if (jsonFormat === "microsoft-todo") {
+        return summarize(jsonFormat, parseMicrosoftToDo(data));
+      }
+      if (isEncryptedBackup(data)) {
+        setEncrypted(data);
+        return null;
+      }
+
+      return readBackup(data);
+    } catch (err) {
+      fail(err);
+      return null;
+    }
+  };
+
+  /**
+   * Check a backup and preview what importing it would change
+   * @param {Object} data - Parsed backup
+   * @returns {Object|null} Preview, or null if the backup is unusable
+   */
+  const readBackup = (data) => {
+    const result = previewImport(data);
+    if (!result.success) {
+      showError(result.error);
+      return null;
+    }
+
+    setError(null);
+    setPreview(result.preview);
+    return result.preview;
+  };
+
+  /**
+   * Decrypt the encrypted backup that was read, then preview it
+   * @param {string} passphrase - Passphrase the backup was encrypted with
+   * @returns {Promise<Object|null>} Preview, or null if it can't be opened
+   */
+  const unlock = async (passphrase) => {
+    if (!encrypted) return null;
+
+    setImporting(true);
+    try {
+      const result = await decryptBackup(encrypted, passphrase);
+      if (!result.success) {
+        showError(result.error);
+        return null;
+      }
+
+      setEncrypted(null);
+      return readBackup(result.data);
+    } catch (err) {
+      fail(err);
+      return null;
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  /**
+   * Summarize tasks read from another tool, ready to import
+   * @param {string} format - Key of FORMAT_LABELS
+   * @param {Array<Object>} drafts - Task drafts from an import adapter
+   * @returns {Object|null} { format, label, drafts, updates, newCategories },
+   *   or null if there are no tasks
+   */
+  const summarize = (format, drafts) => {
+    if (drafts.length === 0) {
+      setError(`No tasks found in this ${FORMAT_LABELS[format]} file`);
+      setExternal(null);
+      return null;
+    }
+
+    const newCategories = [];
+    drafts.forEach(({ category }) => {
+      if (
+        category &&
+        !findCategoryByName(category, categoriesApi.categories) &&
+        !newCategories.some(
+          (name) => name.toLowerCase() === category.toLowerCase()
+        )
+      ) {
+        newCategories.push(category);
+      }
+    });
+
+    const summary = {
+      format,
+      label: FORMAT_LABELS[format],
+      drafts,
+      // Calendar to-dos exported from tasks that are still here update them
+      updates: drafts.filter(
+        (draft) => draft.taskId && getTaskById(draft.taskId)
+      ).length,
+      newCategories,
+    };
+    setError(null);
+    setExternal(summary);
+    return summary;
+  };
+
+  /**
+   * Read CSV rows with a column mapping
+   * @param {Object} table - { headers, rows, mapping }
+   * @returns {Object|null} Summary from summarize()
+   */
+  const readCsv = (table) => {
+    setCsv(table);
+    if (table.mapping.title < 0) {
+      setError("Choose the column that holds task titles");
+      setExternal(null);
+      return null;
+    }
+    return summarize("csv", mapCsvRows(table.rows, table.mapping));
+  };
+
+  /**
+   * Map a CSV column to a task field
+   * @param {string} field - Key of CSV_FIELDS
+   * @param {number} column - Column index, or -1 for none
+   */
+  const setCsvColumn = (field, column) => {
+    if (!csv) return;
+    readCsv({ ...csv, mapping: { ...csv.mapping, [field]: column } });
+  };
+
+  /**
+   * Look up or create the categories the summarized tasks name
+   * @returns {Promise<Map<string, string>>} Lowercased name -> category ID
+   */
+  const resolveCategories = async () => {
+    const ids = new Map();
+    let created = 0;
+
+    for (const { category } of external.drafts) {
+      const key = category?.toLowerCase();
+      if (!category || ids.has(key)) continue;
+
+      const existing = findCategoryByName(category, categoriesApi.categories);
+      if (existing) {
+        ids.set(key, existing.id);
+        continue;
+      }
+
+      const result = await categoriesApi.addCategory({
+        name: category,
+        color: pickCategoryColor(created),
+      });
+      if (result.success) created++;
+      ids.set(key, result.success ? result.category.id : null);
+    }
+
+    return ids;
+  };
+
+  /**
+   * Import the tasks read from another tool
+   * New tasks are created with addTask(), which runs createTask(); calendar
+   * to-dos exported from an existing task update it instead.
+   * @returns {Promise<Object>} { success, created, updated, skipped, error }
+   */
+  const importExternal = async () => {
+    if (!external) {
+      return { success: false, error: "Nothing to import" };
+    }
+
+    setImporting(true);
+    let created = 0;
+    let updated = 0;
+    let skipped = 0;
+    try {
+      const categoryIds = await resolveCategories();
+
+      for (const draft of external.drafts) {
+        const taskData = {
+          title: draft.title,
+          dueDate: draft.dueDate,
+          categoryId: categoryIds.get(draft.category?.toLowerCase()) || null,
+          priority: draft.priority,
+          recurrence: draft.recurrence || null,
+        };
+        const completion = draft.completed
+          ? {
+              completed: true,
+              completedAt: draft.completedAt || new Date().toISOString(),
+            }
+          : { completed: false, completedAt: null };
+
+        if (draft.taskId && getTaskById(draft.taskId)) {
+          const result = await tasksApi.updateTask(draft.taskId, {
+            ...taskData,
+            ...completion,
+          });
+          result.success ? updated++ : skipped++;
+          continue;
+        }
+
+        const result = await tasksApi.addTask({
+          ...taskData,
+          subtasks: draft.subtasks,
+        });
+        if (!result.success) {
+          skipped++;
+          continue;
+        }
+        created++;
+        if (draft.completed) {
+          await tasksApi.updateTask(result.task.id, completion);
+        }
+      }
+
+      await Promise.all([categoriesApi.loadCategories(), tasksApi.loadTasks()]);
+      setExternal(null);
+      setCsv(null);
+      return { success: true, created, updated, skipped, error: null };
+    } catch (err) {
+      return fail(err);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  /**
+   * Import the previewed file
+   * @param {string} strategy - One of IMPORT_STRATEGIES
+   * @returns {Promise<Object>} { success, created, updated, error }
+   */
+  const importPreview = async (strategy) => {
+    if (!preview) {
+      return { success: false, error: "Nothing to import" };
+    }
+
+    setImporting(true);
+    try {
+      const plan = planImport(preview, strategy);
+      const result = applyImport(plan, preview.preferences);
+      if (!result.success) {
+        showError(result.error);
+        return result;
+      }
+
+      // Categories first, so no task refers to one Supabase doesn't have
+      for (const collection of ["categories", "tasks"]) {
+        for (const operation of plan[collection]) {
+          await storage[collection].push(
+            [toOutboxOperation(operation)],
+            (repository) => repository.batch([operation])
+          );
+        }
+      }
+
+      await Promise.all([categoriesApi.loadCategories(), tasksApi.loadTasks()]);
+      setPreview(null);
+      return result;
+    } catch (err) {
+      return fail(err);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  /**
+   * Forget the previewed file
+   */
+  const reset = () => {
+    setPreview(null);
+    setExternal(null);
+    setCsv(null);
+    setEncrypted(null);
+    setError(null);
+  };
+
+  return {
+    preview,
+    external,
+    csv,
+    encrypted,
+    error,
+    importing,
+    readFile,
+    unlock,
+    setCsvColumn,
+    importPreview,
+    importExternal,
+    reset,
+  };
+}
@@ -0,0 +1,93 @@
+/**
+ * useLongPress Hook
+ * Detects a press-and-hold touch gesture
+ *
+ * Designed to run alongside useTouchSwipe: any finger movement beyond a
+ * small tolerance cancels the long press, so swipes never trigger it.
+ */
+
+import { useRef, useCallback, useEffect } from "preact/hooks";
+
+const LONG_PRESS_DELAY = 500; // Hold duration to trigger (ms)
+const MOVE_TOLERANCE = 10; // Movement allowed while holding (px)
+
+/**
+ * Custom hook for detecting long presses
+ * @param {Function} onLongPress - Callback when the press is held long enough
+ * @param {Object} options - Configuration options
+ * @param {number} options.delay - Hold duration in ms (default: 500)
+ * @returns {Object} Touch handlers and a consumeLongPress() helper
+ */
+export function useLongPress(onLongPress, { delay = LONG_PRESS_DELAY } = {}) {
+  const timer = useRef(null);
+  const startX = useRef(0);
+  const startY = useRef(0);
+  const triggered = useRef(false);
+
+  const cancel = useCallback(() => {
+    if (timer.current) {
+      clearTimeout(timer.current);
+      timer.current = null;
+    }
+  }, []);
+
+  // Don't fire after unmount
+  useEffect(() => cancel, [cancel]);
+
+  /**
+   * Handle touch start event
+   */
+  const handleTouchStart = useCallback(
+    (e) => {
+      const touch = e.touches[0];
+      startX.current = touch.clientX;
+      startY.current = touch.clientY;
+      triggered.current = false;
+
+      cancel();
+      timer.current = setTimeout(() => {
+        timer.current = null;
+        triggered.current = true;
+        onLongPress?.();
+      }, delay);
+    },
+    [onLongPress, delay, cancel]
+  );
+
+  /**
+   * Handle touch move event - cancel when the finger wanders
+   */
+  const handleTouchMove = useCallback(
+    (e) => {
+      const touch = e.touches[0];
+      const deltaX = Math.abs(touch.clientX - startX.current);
+      const deltaY = Math.abs(touch.clientY - startY.current);
+
+      if (deltaX > MOVE_TOLERANCE || deltaY > MOVE_TOLERANCE) {
+        cancel();
+      }
+    },
+    [cancel]
+  );
+
+  /**
+   * Check (and reset) whether the last press was a long press
+   * Lets click handlers ignore the click that follows a long press.
+   * @returns {boolean} True if the last press triggered onLongPress
+   */
+  const consumeLongPress = useCallback(() => {
+    const wasLongPress = triggered.current;
+    triggered.current = false;
+    return wasLongPress;
+  }, []);
+
+  return {
+    consumeLongPress,
+    handlers: {
+      onTouchStart: handleTouchStart,
+      onTouchMove: handleTouchMove,
+      onTouchEnd: cancel,
+      onTouchCancel: cancel,
+    },
+  };
+}
@@ -0,0 +1,84 @@
+/**
+ * useOutbox Hook
+ * Replays queued offline changes to Supabase and exposes the pending count
+ *
+ * Replay starts as soon as the user is signed in and online, right away when
+ * the connection comes back, and otherwise follows the outbox retry backoff.
+ */
+
+import { useState, useEffect, useRef } from "preact/hooks";
+import { useAuth } from "./useAuth";
+import {
+  getPendingCount,
+  getRetryDelay,
+  resetRetryDelay,
+  processOutbox,
+  subscribeOutbox,
+} from "../services/outboxService";
+
+/**
+ * Custom hook for replaying the offline outbox
+ * @param {Object} options - Hook options
+ * @param {Function} options.onReplayed - Called with the result after a replay
+ *   pushed or dropped operations (e.g. to reload from Supabase)
+ * @returns {Object} { pendingCount, replaying, replay }
+ */
+export function useOutbox({ onReplayed } = {}) {
+  const { user, isAuthenticated, isOnline } = useAuth();
+  const [version, setVersion] = useState(0);
+  const [replaying, setReplaying] = useState(false);
+
+  const onReplayedRef = useRef(onReplayed);
+  onReplayedRef.current = onReplayed;
+
+  useEffect(() => subscribeOutbox(() => setVersion((v) => v + 1)), []);
+
+  const canReplay = isAuthenticated && isOnline && !!user?.id;
+
+  /**
+   * Push pending operations now
+   * @returns {Promise<Object>} processOutbox() result
+   */
+  const replay = async () => {
+    if (!canReplay) {
+      return {
+        success: false,
+        processed: 0,
+        dropped: [],
+        remaining: getPendingCount(),
+        error: "Offline",
+      };
+    }
+
+    setReplaying(true);
+    const result = await processOutbox(user.id);
+    setReplaying(false);
+
+    if (result.processed > 0 || result.dropped.length > 0) {
+      onReplayedRef.current?.(result);
+    }
+    return result;
+  };
+
+  // Coming back online skips whatever backoff was left
+  useEffect(() => {
+    if (canReplay) resetRetryDelay();
+  }, [canReplay]);
+
+  // Schedule the next replay whenever the queue changes
+  useEffect(() => {
+    if (!canReplay) return;
+
+    const delay = getRetryDelay();
+    if (delay === null) return;
+
+    const timer = setTimeout(replay, delay);
+    return () => clearTimeout(timer);
+  }, [canReplay, version]);
+
+  return {
+    pendingCount: getPendingCount(),
+    replaying,
+    replay,
+  };
+}
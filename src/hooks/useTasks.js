@@ -1,31 +1,47 @@
 /**
  * useTasks Hook
  * Custom hook for managing task state and CRUD operations
- * Now supports hybrid storage: Supabase (when authenticated) + localStorage (offline fallback)
+ * Now supports hybrid storage: Supabase (when authenticated) + the local
+ * repository (offline fallback), see useHybridStorage
  */
 
-import { useState, useEffect } from "preact/hooks";
+import { useState, useEffect, useRef } from "preact/hooks";
 import {
   getAllTasks,
+  searchTasks,
   createTask,
   updateTask,
+  prepareTask,
+  prepareTaskUpdates,
   toggleTaskCompletion,
-  deleteTask,
-  clearCompletedTasks,
+  purgeTask,
+  purgeTasks,
+  archiveTasks,
+  getTrashedTasks,
   getTaskStats,
   initializeDemoData,
+  getCompletionChanges,
+  addSubtask,
+  toggleSubtask,
+  updateSubtask,
+  deleteSubtask,
+  reorderTasks,
+  getNextTaskOrder,
+  insertTasks,
+  getTaskById,
 } from "../services/taskService";
-import {
-  fetchTasks,
-  createTaskInSupabase,
-  updateTaskInSupabase,
-  deleteTaskFromSupabase,
-  clearCompletedTasksFromSupabase,
-  syncLocalDataToSupabase,
-} from "../services/supabaseStorageService";
 import { useAuth } from "./useAuth";
-import { setItem, getItem } from "../services/storageService";
-import { getAllCategories } from "../services/categoryService";
+import { useHybridStorage } from "./useHybridStorage";
+import { migrateLocalDataToCloud } from "../services/cloudMigrationService";
+import { replaceRecords } from "../services/repository";
+import { getPendingChanges } from "../services/outboxService";
+import {
+  TASK_FIELDS,
+  mergeCollections,
+  applyRemoteChange,
+  getFieldTimes,
+} from "../services/mergeService";
+import { getUserFriendlyError } from "../utils/errorMessages";
 
 /**
  * Custom hook for task management with hybrid storage
@@ -40,6 +56,22 @@ export function useTasks() {
   const [filter, setFilter] = useState({
     categoryId: undefined,
     sortBy: "order",
+    query: "",
+  });
+  const [cacheVersion, setCacheVersion] = useState(0);
+  const [resyncCount, setResyncCount] = useState(0);
+  const subscribedUserRef = useRef(null);
+  const {
+    local,
+    remote,
+    canReadRemote,
+    canWriteRemote,
+    queueChange,
+    write,
+    push,
+  } = useHybridStorage("task", {
+    reload: () => loadTasks(),
+    onError: setError,
   });
 
   // Load tasks on mount and when user changes
@@ -47,44 +79,98 @@ export function useTasks() {
     loadTasks();
   }, [user?.id]);
 
-  // Reload tasks when filter changes
+  // Re-query the local cache when the filter or search changes, or a live
+  // update lands in it; it mirrors Supabase after every load, so typing a
+  // search never hits the network
   useEffect(() => {
     if (!loading) {
-      loadTasks();
+      setTasks(queryLocalTasks());
     }
-  }, [filter]);
+  }, [filter, cacheVersion]);
+
+  // Apply changes from other devices as they happen. The subscription is
+  // dropped while offline, and every resubscribe after the first for this
+  // user reloads to catch up on changes missed in between.
+  useEffect(() => {
+    if (!isAuthenticated || !isOnline || !user?.id) return;
+
+    return remote().subscribe({
+      onChange: (change) => {
+        replaceRecords(local(), (cached) =>
+          applyRemoteChange(
+            cached,
+            change,
+            TASK_FIELDS,
+            getPendingChanges("task")
+          )
+        );
+        setCacheVersion((v) => v + 1);
+      },
+      onStatus: (status) => {
+        if (status !== "SUBSCRIBED") return;
+        if (subscribedUserRef.current === user.id) {
+          setResyncCount((c) => c + 1);
+        }
+        subscribedUserRef.current = user.id;
+      },
+    });
+  }, [isAuthenticated, isOnline, user?.id]);
+
+  useEffect(() => {
+    if (resyncCount > 0) loadTasks();
+  }, [resyncCount]);
+
+  // Pick up writes from other tabs of this browser, which share the cache.
+  // IndexedDB saves finish after the write returns; show any that fail.
+  useEffect(
+    () =>
+      local().subscribe({
+        onChange: () => setCacheVersion((v) => v + 1),
+        onError: (error) => setError(getUserFriendlyError(error)),
+      }),
+    []
+  );
+
+  /**
+   * Read tasks from the local cache with the current filter and search applied
+   * @returns {Array} Tasks
+   */
+  const queryLocalTasks = () =>
+    filter.query ? searchTasks(filter.query, filter) : getAllTasks(filter);
 
   /**
-   * Load tasks from appropriate storage (Supabase if authenticated, localStorage otherwise)
+   * Load tasks from appropriate storage (Supabase if authenticated, the local repository otherwise)
    */
   const loadTasks = async () => {
     try {
       setLoading(true);
 
-      if (isAuthenticated && isOnline && user?.id) {
+      if (canReadRemote()) {
         // Load from Supabase
-        const { data, error: fetchError } = await fetchTasks(user.id);
+        const { data, error: fetchError } = await remote().list();
 
         if (fetchError) {
           console.error("Failed to load from Supabase:", fetchError);
-          // Fall back to localStorage
-          const localTasks = getAllTasks(filter);
-          setTasks(localTasks);
+          // Fall back to the local copy
+          setTasks(queryLocalTasks());
         } else {
-          // Cache in localStorage
-          setItem("tasks", data);
-
-          // Apply filter
-          let filtered = data;
-          if (filter.categoryId !== undefined) {
-            filtered = data.filter((t) => t.categoryId === filter.categoryId);
-          }
-          setTasks(filtered);
+          // Merge into the cache, keeping changes the outbox hasn't pushed yet
+          // and the archived tasks the fetch leaves out, then filter and sort
+          // the same way as offline
+          replaceRecords(local(), (cached) =>
+            mergeCollections(
+              cached,
+              data,
+              TASK_FIELDS,
+              getPendingChanges("task"),
+              (task) => !!task.archivedAt
+            )
+          );
+          setTasks(queryLocalTasks());
         }
       } else {
-        // Load from localStorage
-        const localTasks = getAllTasks(filter);
-        setTasks(localTasks);
+        // Load from the local repository
+        setTasks(queryLocalTasks());
       }
 
       setError(null);
@@ -97,33 +183,23 @@ export function useTasks() {
   };
 
   /**
-   * Sync local data to Supabase (called on first login)
+   * Upload the data saved on this device before signing in
+   * Resumes an interrupted upload (see cloudMigrationService).
+   * @returns {Promise<Object>} { success, report, error }
    */
   const syncToSupabase = async () => {
-    if (!isAuthenticated || !user?.id || syncing) return;
+    if (!isAuthenticated || !user?.id) {
+      return { success: false, report: null, error: "Failed to sync" };
+    }
 
     try {
       setSyncing(true);
-
-      const localTasks = getItem("tasks", []);
-      const localCategories = getItem("categories", []);
-
-      if (localTasks.length > 0 || localCategories.length > 0) {
-        const { success, error: syncError } = await syncLocalDataToSupabase(
-          user.id,
-          localTasks,
-          localCategories
-        );
-
-        if (success) {
-          console.log("Successfully synced local data to Supabase");
-          await loadTasks();
-        } else {
-          console.error("Failed to sync:", syncError);
-        }
-      }
+      const result = await migrateLocalDataToCloud(user.id);
+      await loadTasks();
+      return result;
     } catch (err) {
       console.error("Sync error:", err);
+      return { success: false, report: null, error: "Sync failed" };
     } finally {
       setSyncing(false);
     }
@@ -144,188 +220,388 @@ export function useTasks() {
   };
 
   /**
-   * Add a new task (hybrid: try Supabase first, fall back to localStorage)
+   * Add a new task (hybrid: try Supabase first, fall back to the local repository)
+   * Validated the same way for either store.
    * @param {Object} taskData - Task data
    * @returns {Object} Result
    */
   const addTask = async (taskData) => {
-    if (isAuthenticated && isOnline && user?.id) {
-      // Get local categories for ID resolution
-      const localCategories = getAllCategories();
-
-      // Try Supabase first
-      const { data, error: createError } = await createTaskInSupabase(
-        user.id,
-        taskData,
-        localCategories
-      );
-
-      if (createError) {
-        console.error("Failed to create in Supabase:", createError);
-        // Fall back to localStorage
-        const result = createTask(taskData);
-        if (result.success) {
-          loadTasks();
-        }
-        return result;
-      }
-
-      // Success - reload from Supabase
-      await loadTasks();
-      return { success: true, task: data, error: null };
-    } else {
-      // Use localStorage
-      const result = createTask(taskData);
-      if (result.success) {
-        loadTasks();
-      } else {
-        setError(result.error);
-      }
-      return result;
+    const prepared = prepareTask(taskData);
+    if (!prepared.success) {
+      setError(prepared.error);
+      return { success: false, task: null, error: prepared.error };
     }
+
+    return write({
+      // New tasks go to the end of the manual order
+      remote: (repository) =>
+        repository.create({
+          ...prepared.taskData,
+          order: getNextTaskOrder(),
+        }),
+      local: () => createTask(prepared.taskData),
+      queue: (result) => [
+        { type: "create", targetId: result.task.id, payload: result.task },
+      ],
+      toResult: (task) => ({ success: true, task, error: null }),
+    });
   };
 
   /**
    * Update a task (hybrid storage)
+   * Validated the same way for either store.
    * @param {string} id - Task ID
-   * @param {Object} updates - Fields to update
+   * @param {Object} changes - Fields to update
    * @returns {Object} Result
    */
-  const updateTaskById = async (id, updates) => {
-    if (isAuthenticated && isOnline && user?.id) {
-      // Get local categories for ID resolution
-      const localCategories = getAllCategories();
-
-      // Try Supabase first
-      const { data, error: updateError } = await updateTaskInSupabase(
-        id,
-        updates,
-        user.id,
-        localCategories
-      );
+  const updateTaskById = async (id, changes) => {
+    const prepared = prepareTaskUpdates(changes);
+    if (!prepared.success) {
+      setError(prepared.error);
+      return { success: false, task: null, error: prepared.error };
+    }
+    const { updates } = prepared;
 
-      if (updateError) {
-        console.error("Failed to update in Supabase:", updateError);
-        // Fall back to localStorage
-        const result = updateTask(id, updates);
-        if (result.success) {
-          loadTasks();
-        }
-        return result;
-      }
+    // Edit times of the values being replaced, to spot concurrent edits later
+    const base = getFieldTimes(getTaskById(id), updates);
 
-      // Success - reload
-      await loadTasks();
-      return { success: true, task: data, error: null };
-    } else {
-      // Use localStorage
-      const result = updateTask(id, updates);
-      if (result.success) {
-        loadTasks();
-      } else {
-        setError(result.error);
-      }
-      return result;
-    }
+    return write({
+      remote: (repository) => repository.update(id, updates),
+      local: () => updateTask(id, updates),
+      queue: () => [{ type: "update", targetId: id, payload: updates, base }],
+      toResult: (task) => ({ success: true, task, error: null }),
+    });
   };
 
   /**
    * Toggle task completion (hybrid storage)
+   * Completing a recurring task also creates its next occurrence.
    * @param {string} id - Task ID
-   * @returns {Object} Result
+   * @returns {Object} Result, with the next occurrence as nextTask
    */
   const toggleTask = async (id) => {
-    // Get current task state
-    const task = tasks.find((t) => t.id === id);
+    // Read the cached copy, which may be newer than this tab's state
+    const task = getTaskById(id);
     if (!task) {
-      return { success: false, error: "Task not found" };
+      return { success: false, nextTask: null, error: "Task not found" };
     }
 
-    const updates = {
-      completed: !task.completed,
-      completedAt: !task.completed ? new Date().toISOString() : null,
-    };
+    const { updates, nextTaskData } = getCompletionChanges(task);
+    const base = getFieldTimes(task, updates);
+
+    const result = await write({
+      remote: async (repository) => {
+        const updated = await repository.update(id, updates);
+        if (updated.error || !nextTaskData) {
+          return {
+            data: { task: updated.data, nextTask: null },
+            error: updated.error,
+          };
+        }
 
-    return updateTaskById(id, updates);
+        const next = await repository.create({
+          ...nextTaskData,
+          order: getNextTaskOrder(),
+        });
+        return {
+          data: { task: updated.data, nextTask: next.error ? null : next.data },
+          error: null,
+        };
+      },
+      local: () => toggleTaskCompletion(id),
+      queue: (local) => [
+        {
+          type: "update",
+          targetId: id,
+          // The values toggleTaskCompletion() stored
+          payload: Object.fromEntries(
+            Object.keys(updates).map((field) => [field, local.task[field]])
+          ),
+          base,
+        },
+        ...(local.nextTask
+          ? [
+              {
+                type: "create",
+                targetId: local.nextTask.id,
+                payload: local.nextTask,
+              },
+            ]
+          : []),
+      ],
+      toResult: ({ task: updatedTask, nextTask }) => ({
+        success: true,
+        task: updatedTask,
+        nextTask,
+        error: null,
+      }),
+    });
+
+    // Supabase took the completion but not the next occurrence: add it the
+    // usual way, which queues it if need be
+    if (result.success && nextTaskData && !result.nextTask) {
+      const nextResult = await addTask(nextTaskData);
+      return {
+        ...result,
+        nextTask: nextResult.success ? nextResult.task : null,
+      };
+    }
+    return result;
   };
 
   /**
-   * Delete a task (hybrid storage)
+   * Move a task to the trash (hybrid storage)
    * @param {string} id - Task ID
    * @returns {Object} Result
    */
-  const removeTask = async (id) => {
-    if (isAuthenticated && isOnline && user?.id) {
-      // Try Supabase first
-      const { error: deleteError } = await deleteTaskFromSupabase(id);
-
-      if (deleteError) {
-        console.error("Failed to delete from Supabase:", deleteError);
-        // Fall back to localStorage
-        const result = deleteTask(id);
-        if (result.success) {
-          loadTasks();
+  const removeTask = (id) =>
+    updateTaskById(id, { deletedAt: new Date().toISOString() });
+
+  /**
+   * Take a task back out of the trash (hybrid storage)
+   * @param {string} id - Task ID
+   * @returns {Object} Result
+   */
+  const restoreTask = (id) => updateTaskById(id, { deletedAt: null });
+
+  /**
+   * Permanently delete a task (hybrid storage)
+   * @param {string} id - Task ID
+   * @returns {Object} Result
+   */
+  const purgeTaskById = (id) =>
+    write({
+      remote: (repository) => repository.delete(id),
+      local: () => purgeTask(id),
+      queue: () => [{ type: "delete", targetId: id }],
+      // Drop the cached copy too
+      afterRemote: () => purgeTask(id),
+      toResult: () => ({ success: true, error: null }),
+    });
+
+  /**
+   * Permanently delete several tasks at once (hybrid storage)
+   * One write and one reload, however many tasks there are.
+   * @param {Array<string>} ids - Task IDs
+   * @returns {Object} Result, with the number deleted as count
+   */
+  const purgeTasksById = (ids) =>
+    write({
+      remote: (repository) =>
+        repository.batch(ids.map((id) => ({ type: "delete", id }))),
+      local: () => purgeTasks(ids),
+      queue: () => ids.map((id) => ({ type: "delete", targetId: id })),
+      // Drop the cached copies too
+      afterRemote: () => purgeTasks(ids),
+      toResult: () => ({ success: true, count: ids.length, error: null }),
+    });
+
+  /**
+   * Re-insert tasks with their original IDs (hybrid storage)
+   * Used by undo/redo, so restored tasks are re-created in Supabase as well.
+   * @param {Array<Object>} tasksToInsert - Complete task objects
+   * @returns {Object} Result
+   */
+  const insertTasksById = async (tasksToInsert) => {
+    let localTasks = tasksToInsert;
+
+    if (canWriteRemote()) {
+      const tasks = remote();
+      localTasks = [];
+
+      for (const task of tasksToInsert) {
+        const { error: createError } = await tasks.create(task);
+        if (createError) {
+          console.error("Failed to restore task in Supabase:", createError);
+          localTasks.push(task);
         }
-        return result;
       }
 
-      // Success - reload
-      await loadTasks();
-      return { success: true, error: null };
-    } else {
-      // Use localStorage
-      const result = deleteTask(id);
-      if (result.success) {
-        loadTasks();
-      } else {
-        setError(result.error);
+      if (localTasks.length === 0) {
+        // Success - reload from Supabase
+        await loadTasks();
+        return { success: true, tasks: tasksToInsert, error: null };
       }
+    }
+
+    // Fall back to the local repository for the tasks Supabase rejected
+    const result = insertTasks(localTasks);
+    if (result.success) {
+      result.tasks.forEach((task) =>
+        queueChange({ type: "create", targetId: task.id, payload: task })
+      );
+      loadTasks();
+    } else {
+      setError(result.error);
+    }
+    return result;
+  };
+
+  /**
+   * Apply a checklist change (hybrid storage)
+   * Subtasks are edited on the local copy first, then the parent's whole
+   * checklist is pushed to Supabase so both stores keep the same order.
+   * @param {string} taskId - Parent task ID
+   * @param {Function} change - taskService subtask operation to run
+   * @returns {Object} Result with the updated parent task
+   */
+  const applySubtaskChange = async (taskId, change) => {
+    const result = change();
+    if (!result.success) {
+      setError(result.error);
       return result;
     }
+
+    const payload = { subtasks: result.task.subtasks };
+    // A queued change survives the reload, which keeps pending edits
+    await push([{ type: "update", targetId: taskId, payload }], (repository) =>
+      repository.update(taskId, payload)
+    );
+
+    await loadTasks();
+    return result;
   };
 
   /**
-   * Clear all completed tasks (hybrid storage)
+   * Add a subtask to a task's checklist
+   * @param {string} taskId - Parent task ID
+   * @param {string} title - Subtask title
    * @returns {Object} Result
    */
-  const clearCompleted = async () => {
-    if (isAuthenticated && isOnline && user?.id) {
-      // Try Supabase first
-      const { data, error: clearError } = await clearCompletedTasksFromSupabase(
-        user.id
-      );
+  const addSubtaskToTask = (taskId, title) =>
+    applySubtaskChange(taskId, () => addSubtask(taskId, title));
 
-      if (clearError) {
-        console.error("Failed to clear from Supabase:", clearError);
-        // Fall back to localStorage
-        const result = clearCompletedTasks();
-        if (result.success) {
-          await loadTasks();
-        }
-        return result;
-      }
+  /**
+   * Toggle a subtask's completion
+   * @param {string} taskId - Parent task ID
+   * @param {string} subtaskId - Subtask ID
+   * @returns {Object} Result
+   */
+  const toggleSubtaskOfTask = (taskId, subtaskId) =>
+    applySubtaskChange(taskId, () => toggleSubtask(taskId, subtaskId));
 
-      // Success - reload from Supabase
-      await loadTasks();
-      return { success: true, count: data?.count || 0, error: null };
-    } else {
-      // Use localStorage
-      const result = clearCompletedTasks();
-      if (result.success) {
-        await loadTasks();
-      } else {
-        setError(result.error);
-      }
+  /**
+   * Update a subtask
+   * @param {string} taskId - Parent task ID
+   * @param {string} subtaskId - Subtask ID
+   * @param {Object} updates - Fields to update
+   * @returns {Object} Result
+   */
+  const updateSubtaskOfTask = (taskId, subtaskId, updates) =>
+    applySubtaskChange(taskId, () => updateSubtask(taskId, subtaskId, updates));
+
+  /**
+   * Delete a subtask
+   * @param {string} taskId - Parent task ID
+   * @param {string} subtaskId - Subtask ID
+   * @returns {Object} Result
+   */
+  const deleteSubtaskOfTask = (taskId, subtaskId) =>
+    applySubtaskChange(taskId, () => deleteSubtask(taskId, subtaskId));
+
+  /**
+   * Reorder tasks manually (hybrid storage)
+   * The new order is applied locally right away so the list doesn't jump
+   * back while the batched Supabase update is in flight.
+   * @param {Array<string>} orderedIds - Task IDs in their new display order
+   * @returns {Object} Result
+   */
+  const reorder = async (orderedIds) => {
+    const result = reorderTasks(orderedIds);
+    if (!result.success) {
+      setError(result.error);
       return result;
     }
+
+    setTasks(queryLocalTasks());
+
+    if (result.tasks.length === 0) return result;
+
+    const taskOrders = result.tasks.map((t) => ({ id: t.id, order: t.order }));
+    await push([{ type: "reorder", payload: { taskOrders } }], (repository) =>
+      repository.batch(
+        taskOrders.map(({ id, order }) => ({
+          type: "update",
+          id,
+          changes: { order },
+        }))
+      )
+    );
+
+    return result;
   };
 
+  /**
+   * Archive tasks (hybrid storage)
+   * Queued per task, so tasks completed on another device in the meantime
+   * aren't archived on replay.
+   * @param {Array<string>} ids - Task IDs
+   * @returns {Object} Result
+   */
+  const archiveTasksById = (ids) => {
+    const archivedAt = new Date().toISOString();
+    // Edit times from before archiving, for the queued updates
+    let bases = new Map();
+
+    return write({
+      remote: (repository) =>
+        repository.batch(
+          ids.map((id) => ({ type: "update", id, changes: { archivedAt } }))
+        ),
+      local: () => {
+        bases = new Map(
+          getAllTasks().map((task) => [
+            task.id,
+            getFieldTimes(task, { archivedAt: null }),
+          ])
+        );
+        return archiveTasks(ids);
+      },
+      queue: (result) =>
+        result.tasks.map((task) => ({
+          type: "update",
+          targetId: task.id,
+          payload: { archivedAt: task.archivedAt },
+          base: bases.get(task.id),
+        })),
+      toResult: (archived) => ({
+        success: true,
+        count: archived.length,
+        tasks: archived,
+        error: null,
+      }),
+    });
+  };
+
+  /**
+   * Move an archived task back to the main list (hybrid storage)
+   * @param {string} id - Task ID
+   * @returns {Object} Result
+   */
+  const unarchiveTask = (id) => updateTaskById(id, { archivedAt: null });
+
+  /**
+   * Archive all completed tasks (hybrid storage)
+   * @returns {Object} Result
+   */
+  const clearCompleted = () =>
+    archiveTasksById(
+      getAllTasks()
+        .filter((task) => task.completed)
+        .map((task) => task.id)
+    );
+
   /**
    * Get task statistics
    * @returns {Object} Stats
    */
   const stats = getTaskStats();
 
+  /**
+   * Tasks in the trash, most recently deleted first
+   */
+  const trashedTasks = getTrashedTasks();
+
   /**
    * Update filter
    * @param {Object} newFilter - New filter options
@@ -341,6 +617,7 @@ export function useTasks() {
     error,
     filter,
     stats,
+    trashedTasks,
     syncing,
     isOnline,
 
@@ -349,7 +626,18 @@ export function useTasks() {
     updateTask: updateTaskById,
     toggleTask,
     removeTask,
+    restoreTask,
+    purgeTask: purgeTaskById,
+    purgeTasks: purgeTasksById,
+    insertTasks: insertTasksById,
     clearCompleted,
+    archiveTasks: archiveTasksById,
+    unarchiveTask,
+    addSubtask: addSubtaskToTask,
+    toggleSubtask: toggleSubtaskOfTask,
+    updateSubtask: updateSubtaskOfTask,
+    deleteSubtask: deleteSubtaskOfTask,
+    reorderTasks: reorder,
     loadTasks,
     initDemo,
     updateFilter,
@@ -0,0 +1,97 @@
+/**
+ * useTrash Hook
+ * Lists deleted tasks and categories, and purges them after the retention
+ * period
+ */
+
+import { useState, useEffect, useRef } from "preact/hooks";
+import {
+  getTrashRetentionDays,
+  setTrashRetentionDays,
+  getExpiredTrash,
+} from "../services/trashService";
+
+/**
+ * Custom hook for the trash bin
+ * @param {Object} tasksApi - Return value of useTasks()
+ * @param {Object} categoriesApi - Return value of useCategories()
+ * @returns {Object} Trashed items, retention setting and purge operations
+ */
+export function useTrash(tasksApi, categoriesApi) {
+  const [retentionDays, setRetentionDays] = useState(getTrashRetentionDays);
+  const purging = useRef(false);
+  const ready = !tasksApi.loading && !categoriesApi.loading;
+
+  /**
+   * Permanently delete the given tasks and categories
+   * Each collection is purged in one batch, so it's reloaded once.
+   * @param {Object} items - { tasks, categories } to purge
+   * @returns {Promise<Object>} { success: boolean, count: number, error: string }
+   */
+  const purgeItems = async ({ tasks, categories }) => {
+    const results = [];
+    if (tasks.length > 0) {
+      results.push(await tasksApi.purgeTasks(tasks.map((task) => task.id)));
+    }
+    if (categories.length > 0) {
+      results.push(
+        await categoriesApi.purgeCategories(
+          categories.map((category) => category.id)
+        )
+      );
+    }
+
+    const error = results.find((result) => !result.success)?.error || null;
+    const count = results.reduce(
+      (total, result) => total + (result.success ? result.count : 0),
+      0
+    );
+    return { success: !error, count, error };
+  };
+
+  // Purge expired items once data has loaded and whenever the period changes
+  useEffect(() => {
+    if (!ready || purging.current) return;
+
+    const expired = getExpiredTrash();
+    if (expired.tasks.length === 0 && expired.categories.length === 0) return;
+
+    purging.current = true;
+    purgeItems(expired).finally(() => {
+      purging.current = false;
+    });
+  }, [ready, retentionDays]);
+
+  /**
+   * Change how long deleted items are kept
+   * @param {number} days - One of RETENTION_OPTIONS (0 = forever)
+   * @returns {Object} Result
+   */
+  const changeRetention = (days) => {
+    const result = setTrashRetentionDays(days);
+    if (result.success) {
+      setRetentionDays(days);
+    }
+    return result;
+  };
+
+  /**
+   * Permanently delete everything in the trash
+   * @returns {Promise<Object>} { success: boolean, count: number, error: string }
+   */
+  const emptyTrash = () =>
+    purgeItems({
+      tasks: tasksApi.trashedTasks,
+      categories: categoriesApi.trashedCategories,
+    });
+
+  return {
+    trashedTasks: tasksApi.trashedTasks,
+    trashedCategories: categoriesApi.trashedCategories,
+    count:
+      tasksApi.trashedTasks.length + categoriesApi.trashedCategories.length,
+    retentionDays,
+    setRetentionDays: changeRetention,
+    emptyTrash,
+  };
+}
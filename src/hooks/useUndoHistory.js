@@ -0,0 +1,209 @@
+/**
+ * useUndoHistory Hook
+ * Wraps task and category mutations so they can be undone and redone
+ *
+ * Each wrapped operation records a command holding just enough state to
+ * revert it. Commands always call the latest useTasks/useCategories
+ * operations, so undo uses whichever storage is active at that moment.
+ */
+
+import { useRef, useState, useEffect } from "preact/hooks";
+import { createHistory } from "../services/historyService";
+import { getTaskById, getAllTasks } from "../services/taskService";
+
+/**
+ * Pick the current values of the given fields from a task
+ * @param {Object} task - Task object
+ * @param {Array<string>} fields - Field names
+ * @returns {Object} Field values (missing fields become null)
+ */
+function pickFields(task, fields) {
+  return Object.fromEntries(
+    fields.map((field) => [field, task[field] ?? null])
+  );
+}
+
+/**
+ * Custom hook adding undo/redo to task and category operations
+ * @param {Object} tasksApi - Return value of useTasks()
+ * @param {Object} categoriesApi - Return value of useCategories()
+ * @returns {Object} Undoable operations plus undo/redo controls
+ */
+export function useUndoHistory(tasksApi, categoriesApi) {
+  const history = useRef(null);
+  if (!history.current) {
+    history.current = createHistory();
+  }
+
+  const [, setVersion] = useState(0);
+  useEffect(
+    () => history.current.subscribe(() => setVersion((v) => v + 1)),
+    []
+  );
+
+  // Commands run later, so they read the latest operations through a ref
+  const api = useRef(null);
+  api.current = { tasks: tasksApi, categories: categoriesApi };
+
+  const record = (command) => history.current.record(command);
+
+  /**
+   * Create a task (undo deletes it permanently)
+   * @param {Object} taskData - Task data
+   * @returns {Object} Result
+   */
+  const addTask = async (taskData) => {
+    const result = await tasksApi.addTask(taskData);
+    if (result.success && result.task) {
+      const id = result.task.id;
+      let snapshot = result.task;
+      record({
+        label: "Create task",
+        undo: () => {
+          snapshot = getTaskById(id) || snapshot;
+          return api.current.tasks.purgeTask(id);
+        },
+        redo: () => api.current.tasks.insertTasks([snapshot]),
+      });
+    }
+    return result;
+  };
+
+  /**
+   * Update a task (undo restores the previous field values)
+   * @param {string} id - Task ID
+   * @param {Object} updates - Fields to update
+   * @returns {Object} Result
+   */
+  const updateTask = async (id, updates) => {
+    const before = getTaskById(id);
+    const result = await tasksApi.updateTask(id, updates);
+    if (result.success && before) {
+      const previous = pickFields(before, Object.keys(updates));
+      record({
+        label: "Edit task",
+        undo: () => api.current.tasks.updateTask(id, previous),
+        redo: () => api.current.tasks.updateTask(id, updates),
+      });
+    }
+    return result;
+  };
+
+  /**
+   * Toggle task completion
+   * Undo also removes the next occurrence a recurring task created.
+   * @param {string} id - Task ID
+   * @returns {Object} Result
+   */
+  const toggleTask = async (id) => {
+    const toggleFields = ["completed", "completedAt", "recurrence"];
+    const before = getTaskById(id);
+    const result = await tasksApi.toggleTask(id);
+    const after = getTaskById(id);
+
+    if (result.success && before && after) {
+      const previous = pickFields(before, toggleFields);
+      const toggled = pickFields(after, toggleFields);
+      const nextTaskId = result.nextTask?.id || null;
+      let nextSnapshot = result.nextTask || null;
+
+      record({
+        label: before.completed ? "Reopen task" : "Complete task",
+        undo: async () => {
+          if (nextTaskId) {
+            nextSnapshot = getTaskById(nextTaskId) || nextSnapshot;
+            const removed = await api.current.tasks.purgeTask(nextTaskId);
+            if (!removed.success) return removed;
+          }
+          return api.current.tasks.updateTask(id, previous);
+        },
+        redo: async () => {
+          const updated = await api.current.tasks.updateTask(id, toggled);
+          if (!updated.success || !nextSnapshot) return updated;
+          return api.current.tasks.insertTasks([nextSnapshot]);
+        },
+      });
+    }
+    return result;
+  };
+
+  /**
+   * Move a task to the trash (undo restores it)
+   * @param {string} id - Task ID
+   * @returns {Object} Result
+   */
+  const removeTask = async (id) => {
+    const result = await tasksApi.removeTask(id);
+    if (result.success) {
+      record({
+        label: "Delete task",
+        undo: () => api.current.tasks.restoreTask(id),
+        redo: () => api.current.tasks.removeTask(id),
+      });
+    }
+    return result;
+  };
+
+  /**
+   * Archive completed tasks (undo moves all of them back)
+   * @returns {Object} Result
+   */
+  const clearCompleted = async () => {
+    const clearedIds = getAllTasks()
+      .filter((task) => task.completed)
+      .map((task) => task.id);
+    const result = await tasksApi.clearCompleted();
+    if (result.success && clearedIds.length > 0) {
+      record({
+        label: "Clear completed tasks",
+        undo: async () => {
+          for (const id of clearedIds) {
+            const restored = await api.current.tasks.unarchiveTask(id);
+            if (!restored.success) return restored;
+          }
+          return { success: true, error: null };
+        },
+        // Only the tasks cleared the first time, not ones completed since
+        redo: () => api.current.tasks.archiveTasks(clearedIds),
+      });
+    }
+    return result;
+  };
+
+  /**
+   * Move a category to the trash
+   * Its tasks keep their categoryId, so undo only has to restore it.
+   * @param {string} id - Category ID
+   * @returns {Object} Result
+   */
+  const removeCategory = async (id) => {
+    const result = await categoriesApi.removeCategory(id);
+    if (result.success) {
+      record({
+        label: "Delete category",
+        undo: () => api.current.categories.restoreCategory(id),
+        redo: () => api.current.categories.removeCategory(id),
+      });
+    }
+    return result;
+  };
+
+  return {
+    // Undoable operations
+    addTask,
+    updateTask,
+    toggleTask,
+    removeTask,
+    clearCompleted,
+    removeCategory,
+
+    // History controls
+    undo: () => history.current.undo(),
+    redo: () => history.current.redo(),
+    canUndo: history.current.canUndo(),
+    canRedo: history.current.canRedo(),
+    undoLabel: history.current.peekUndo()?.label || null,
+    redoLabel: history.current.peekRedo()?.label || null,
+    clearHistory: () => history.current.clear(),
+  };
+}
@@ -2,13 +2,36 @@ import { render } from "preact";
 import App from "./App";
 import { AuthProvider } from "./contexts/AuthContext";
 import { ToastProvider } from "./contexts/ToastContext";
+import { migrateLocalIds } from "./services/idMigrationService";
+import { initializeStorage } from "./services/indexedDbRepository";
+import { migrateLocalData } from "./services/schemaService";
 import "./styles/index.css";
 
-render(
-  <AuthProvider>
-    <ToastProvider>
-      <App />
-    </ToastProvider>
-  </AuthProvider>,
-  document.getElementById("app")
-);
+/**
+ * Load tasks from IndexedDB (or stay on localStorage), then upgrade data
+ * and IDs saved by older versions before anything reads them
+ * @returns {Promise<Error|string|null>} What went wrong, if anything; the
+ *   app renders either way and reports it
+ */
+async function prepareLocalData() {
+  try {
+    await initializeStorage();
+    const { error } = await migrateLocalData();
+    migrateLocalIds();
+    return error;
+  } catch (error) {
+    console.error("Error preparing local data:", error);
+    return error;
+  }
+}
+
+prepareLocalData().then((startupError) => {
+  render(
+    <AuthProvider>
+      <ToastProvider>
+        <App startupError={startupError} />
+      </ToastProvider>
+    </AuthProvider>,
+    document.getElementById("app")
+  );
+});
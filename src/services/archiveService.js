@@ -0,0 +1,64 @@
+/**
+ * Archive Service
+ * Auto-archiving of tasks completed a while ago
+ *
+ * Archived tasks keep their completion history but leave the main list. On
+ * a signed-in device they aren't cached locally: the archive is paged from
+ * Supabase (see fetchArchivedTasks).
+ */
+
+import { getPreference, setPreference } from "./preferencesService";
+import { getAllTasks } from "./taskService";
+
+// Auto-archive choices in days; 0 turns it off
+export const AUTO_ARCHIVE_OPTIONS = [0, 1, 7, 30];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get how many days after completion tasks are archived
+ * @returns {number} Days (0 = never)
+ */
+export function getAutoArchiveDays() {
+  const days = getPreference("autoArchiveDays");
+  return Number.isInteger(days) && days >= 0 ? days : 0;
+}
+
+/**
+ * Set how many days after completion tasks are archived
+ * @param {number} days - One of AUTO_ARCHIVE_OPTIONS
+ * @returns {Object} { success: boolean, error: string }
+ */
+export function setAutoArchiveDays(days) {
+  if (!AUTO_ARCHIVE_OPTIONS.includes(days)) {
+    return { success: false, error: "Invalid auto-archive period" };
+  }
+
+  setPreference("autoArchiveDays", days);
+  return { success: true, error: null };
+}
+
+/**
+ * Check whether a task was completed long enough ago to archive
+ * @param {Object} task - Task
+ * @param {number} days - Auto-archive period (0 = never)
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean} True if it should be archived
+ */
+export function isDueForArchive(task, days, now = Date.now()) {
+  if (days <= 0 || !task?.completed || !task.completedAt) return false;
+  if (task.archivedAt || task.deletedAt) return false;
+
+  const completedAt = new Date(task.completedAt).getTime();
+  return !isNaN(completedAt) && now - completedAt >= days * DAY_MS;
+}
+
+/**
+ * Get the tasks in the main list due to be archived
+ * @param {number} [now] - Current time in ms
+ * @returns {Array<Task>} Tasks to archive
+ */
+export function getTasksDueForArchive(now = Date.now()) {
+  const days = getAutoArchiveDays();
+  return getAllTasks().filter((task) => isDueForArchive(task, days, now));
+}
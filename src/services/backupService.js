@@ -0,0 +1,130 @@
+/**
+ * Backup Service
+ * Export tasks, categories and preferences as JSON and import them back
+ */
+
+import { readLocalData } from "./schemaService";
+import { previewImport, planImport, applyImport } from "./importService";
+import {
+  isEncryptedBackup,
+  encryptBackup,
+  decryptBackup,
+} from "./encryptionService";
+
+/**
+ * Export the user's data as JSON
+ * @returns {Object} Tasks, categories and preferences, with _schemaVersion
+ *   and _exportDate
+ */
+export function exportData() {
+  try {
+    return { ...readLocalData(), _exportDate: new Date().toISOString() };
+  } catch (error) {
+    console.error("Error exporting data:", error);
+    throw new Error("Failed to export data");
+  }
+}
+
+/**
+ * Import app data from JSON
+ * The file is checked and migrated by previewImport() first; only valid
+ * tasks, categories and preferences are written, and nothing at all if the
+ * file can't be read. This changes local data only; the app's import dialog
+ * (useImport) also sends the changes to Supabase.
+ * Encrypted backups are decrypted with the passphrase first; without one,
+ * the import fails asking for it.
+ * @param {Object} data - Data to import, or an encrypted backup
+ * @param {boolean} merge - If true, keep the newest of each field; if false,
+ *   replace (local tasks and categories missing from the file go to the trash)
+ * @param {string} [passphrase] - Passphrase of an encrypted backup
+ * @returns {Promise<Object>} { success: boolean, error: string|null }
+ */
+export async function importData(data, merge = false, passphrase = null) {
+  try {
+    if (isEncryptedBackup(data)) {
+      const decrypted = await decryptBackup(data, passphrase);
+      if (!decrypted.success) {
+        throw new Error(decrypted.error);
+      }
+      data = decrypted.data;
+    }
+
+    const { success, preview, error } = previewImport(data);
+    if (!success) {
+      throw new Error(error);
+    }
+
+    const result = applyImport(
+      planImport(preview, merge ? "newest" : "replace"),
+      preview.preferences
+    );
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return { success: true, error: null };
+  } catch (error) {
+    console.error("Error importing data:", error);
+    return { success: false, error: error.message || "Failed to import data" };
+  }
+}
+
+/**
+ * Save text as a file through the browser
+ * @param {string} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ * @returns {boolean} Success status
+ */
+export function downloadFile(content, filename, type) {
+  try {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    return true;
+  } catch (error) {
+    console.error("Error downloading file:", error);
+    return false;
+  }
+}
+
+/**
+ * Download exported data as JSON file
+ * @param {Object} [options]
+ * @param {string} [options.passphrase] - Encrypt the backup with this
+ *   passphrase (see encryptionService)
+ * @returns {Promise<Object>} { success: boolean, error: string|null }
+ */
+export async function downloadData({ passphrase = null } = {}) {
+  try {
+    let data = exportData();
+    if (passphrase) {
+      const result = await encryptBackup(data, passphrase);
+      if (!result.success) {
+        return { success: false, error: result.error };
+      }
+      data = result.envelope;
+    }
+
+    const date = new Date().toISOString().split("T")[0];
+    const saved = downloadFile(
+      JSON.stringify(data, null, 2),
+      passphrase
+        ? `coolest-todo-backup-${date}.encrypted.json`
+        : `coolest-todo-backup-${date}.json`,
+      "application/json"
+    );
+    return saved
+      ? { success: true, error: null }
+      : { success: false, error: "Failed to export data" };
+  } catch (error) {
+    console.error("Error downloading data:", error);
+    return { success: false, error: error.message || "Failed to export data" };
+  }
+}
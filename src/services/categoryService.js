@@ -3,11 +3,12 @@
  * Business logic for category operations (CRUD)
  */
 
-import { getItem, setItem } from "./storageService";
+import { getRepository, getStorageAdapter, replaceRecords } from "./repository";
 import { validateCategoryName, validateColor } from "../utils/validators";
 import { sanitizeCategoryName } from "../utils/sanitize";
 import { generateId } from "../utils/helpers";
 import { getDemoCategories } from "./demoData";
+import { CATEGORY_FIELDS, stampFields } from "./mergeService";
 
 const CATEGORIES_KEY = "categories";
 const CATEGORIES_INITIALIZED_KEY = "categories-initialized";
@@ -19,18 +20,33 @@ const CATEGORIES_INITIALIZED_KEY = "categories-initialized";
  * @property {string} name - Category name (1-50 chars)
  * @property {string} color - Hex color code (#RRGGBB)
  * @property {string} createdAt - ISO timestamp
+ * @property {string|null} deletedAt - When it was moved to the trash
+ * @property {Object} [fieldUpdatedAt] - Field name -> ISO time it was last edited
  */
 
+/**
+ * Get the repository categories are stored in
+ * @returns {import("./repository").Repository} Categories repository
+ */
+const categoriesRepository = () => getRepository(CATEGORIES_KEY);
+
+/**
+ * Read every stored category, including trashed ones
+ * @returns {Array<Category>} Categories
+ */
+const readCategories = () => categoriesRepository().list().data || [];
+
 /**
  * Initialize demo categories on first launch
  */
 export function initializeDemoCategories() {
-  const initialized = getItem(CATEGORIES_INITIALIZED_KEY, false);
+  const adapter = getStorageAdapter();
+  const initialized = adapter.getValue(CATEGORIES_INITIALIZED_KEY, false);
 
   if (!initialized) {
     const demoCategories = getDemoCategories();
-    setItem(CATEGORIES_KEY, demoCategories);
-    setItem(CATEGORIES_INITIALIZED_KEY, true);
+    replaceRecords(categoriesRepository(), () => demoCategories);
+    adapter.setValue(CATEGORIES_INITIALIZED_KEY, true);
     return demoCategories;
   }
 
@@ -38,21 +54,45 @@ export function initializeDemoCategories() {
 }
 
 /**
- * Get all categories
+ * Get all categories, excluding those in the trash
  * @returns {Array<Category>} Array of categories
  */
 export function getAllCategories() {
-  return getItem(CATEGORIES_KEY, []);
+  return readCategories().filter((category) => !category.deletedAt);
 }
 
 /**
- * Get category by ID
+ * Get category by ID, including categories in the trash
  * @param {string} id - Category ID
  * @returns {Category|null} Category object or null
  */
 export function getCategoryById(id) {
-  const categories = getAllCategories();
-  return categories.find((category) => category.id === id) || null;
+  return categoriesRepository().get(id).data || null;
+}
+
+/**
+ * Get the categories in the trash, most recently deleted first
+ * @returns {Array<Category>} Trashed categories
+ */
+export function getTrashedCategories() {
+  return readCategories()
+    .filter((category) => category.deletedAt)
+    .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+}
+
+/**
+ * Find a category that isn't in the trash with the given name
+ * @param {string} name - Category name (case-insensitive)
+ * @param {string} [excludeId] - Category to ignore
+ * @returns {Category|null} Matching category or null
+ */
+function findByName(name, excludeId) {
+  return (
+    getAllCategories().find(
+      (cat) =>
+        cat.id !== excludeId && cat.name.toLowerCase() === name.toLowerCase()
+    ) || null
+  );
 }
 
 /**
@@ -78,13 +118,8 @@ export function createCategory(categoryData) {
     return { success: false, category: null, error: colorValidation.error };
   }
 
-  const categories = getAllCategories();
-
   // Check for duplicate name
-  const duplicate = categories.find(
-    (cat) => cat.name.toLowerCase() === sanitizedName.toLowerCase()
-  );
-  if (duplicate) {
+  if (findByName(sanitizedName)) {
     return {
       success: false,
       category: null,
@@ -99,16 +134,53 @@ export function createCategory(categoryData) {
     createdAt: new Date().toISOString(),
   };
 
-  categories.push(newCategory);
-  const saved = setItem(CATEGORIES_KEY, categories);
+  const { error } = categoriesRepository().create(newCategory);
 
-  if (!saved) {
+  if (error) {
     return { success: false, category: null, error: "Failed to save category" };
   }
 
   return { success: true, category: newCategory, error: null };
 }
 
+/**
+ * Re-insert a category with its original ID (e.g. to undo a delete)
+ * @param {Category} category - Complete category object
+ * @returns {Object} { success: boolean, category: Category, error: string }
+ */
+export function insertCategory(category) {
+  const existing = getCategoryById(category.id);
+  if (existing) {
+    return { success: true, category: existing, error: null };
+  }
+
+  const sanitizedName = sanitizeCategoryName(category.name);
+  const nameValidation = validateCategoryName(sanitizedName);
+  if (!nameValidation.valid) {
+    return { success: false, category: null, error: nameValidation.error };
+  }
+
+  if (findByName(sanitizedName)) {
+    return {
+      success: false,
+      category: null,
+      error: "Category name already exists",
+    };
+  }
+
+  // Another tab may have re-inserted it in the meantime; that copy is kept
+  const restored = { ...category, name: sanitizedName };
+  const { error } = categoriesRepository().batch([
+    { type: "create", record: restored },
+  ]);
+
+  if (error) {
+    return { success: false, category: null, error: "Failed to save category" };
+  }
+
+  return { success: true, category: restored, error: null };
+}
+
 /**
  * Update an existing category
  * @param {string} id - Category ID
@@ -116,10 +188,8 @@ export function createCategory(categoryData) {
  * @returns {Object} { success: boolean, category: Category, error: string }
  */
 export function updateCategory(id, updates) {
-  const categories = getAllCategories();
-  const index = categories.findIndex((category) => category.id === id);
-
-  if (index === -1) {
+  const category = getCategoryById(id);
+  if (!category) {
     return { success: false, category: null, error: "Category not found" };
   }
 
@@ -133,11 +203,7 @@ export function updateCategory(id, updates) {
     }
 
     // Check for duplicate name (excluding current category)
-    const duplicate = categories.find(
-      (cat) =>
-        cat.id !== id && cat.name.toLowerCase() === sanitizedName.toLowerCase()
-    );
-    if (duplicate) {
+    if (findByName(sanitizedName, id)) {
       return {
         success: false,
         category: null,
@@ -148,6 +214,19 @@ export function updateCategory(id, updates) {
     updates.name = sanitizedName;
   }
 
+  // Another category may have taken the name while this one was in the trash
+  if (
+    updates.deletedAt === null &&
+    category.deletedAt &&
+    findByName(updates.name ?? category.name, id)
+  ) {
+    return {
+      success: false,
+      category: null,
+      error: "Category name already exists",
+    };
+  }
+
   // Validate color if being updated
   if (updates.color !== undefined) {
     const validation = validateColor(updates.color);
@@ -156,10 +235,18 @@ export function updateCategory(id, updates) {
     }
   }
 
-  categories[index] = { ...categories[index], ...updates };
-  const saved = setItem(CATEGORIES_KEY, categories);
+  const stampedFields = Object.keys(updates).filter((field) =>
+    CATEGORY_FIELDS.includes(field)
+  );
+  const { data: updatedCategory, error } = categoriesRepository().update(
+    id,
+    (stored) => ({
+      ...updates,
+      fieldUpdatedAt: stampFields(stored.fieldUpdatedAt, stampedFields),
+    })
+  );
 
-  if (!saved) {
+  if (error) {
     return {
       success: false,
       category: null,
@@ -167,29 +254,78 @@ export function updateCategory(id, updates) {
     };
   }
 
-  return { success: true, category: categories[index], error: null };
+  return { success: true, category: updatedCategory, error: null };
 }
 
 /**
- * Delete a category
- * Sets all tasks with this categoryId to null
+ * Move a category to the trash
+ * Tasks keep their categoryId so restoring the category brings them back
+ * into it; it's cleared when the category is deleted permanently.
  * @param {string} id - Category ID
- * @returns {Object} { success: boolean, error: string }
+ * @returns {Object} { success: boolean, category: Category, error: string }
  */
 export function deleteCategory(id) {
-  const categories = getAllCategories();
-  const filtered = categories.filter((category) => category.id !== id);
+  const category = getCategoryById(id);
+  if (!category || category.deletedAt) {
+    return { success: false, category: null, error: "Category not found" };
+  }
+
+  return updateCategory(id, { deletedAt: new Date().toISOString() });
+}
 
-  if (filtered.length === categories.length) {
+/**
+ * Take a category back out of the trash
+ * @param {string} id - Category ID
+ * @returns {Object} { success: boolean, category: Category, error: string }
+ */
+export function restoreCategory(id) {
+  const category = getCategoryById(id);
+  if (!category || !category.deletedAt) {
+    return {
+      success: false,
+      category: null,
+      error: "Category not found in trash",
+    };
+  }
+
+  return updateCategory(id, { deletedAt: null });
+}
+
+/**
+ * Permanently delete a category
+ * Tasks with this categoryId should be updated by the calling code
+ * @param {string} id - Category ID
+ * @returns {Object} { success: boolean, error: string }
+ */
+export function purgeCategory(id) {
+  if (!getCategoryById(id)) {
     return { success: false, error: "Category not found" };
   }
 
-  const saved = setItem(CATEGORIES_KEY, filtered);
+  const { error } = categoriesRepository().delete(id);
 
-  if (!saved) {
+  if (error) {
     return { success: false, error: "Failed to delete category" };
   }
 
-  // Note: Tasks with this categoryId should be updated by the calling code
   return { success: true, error: null };
 }
+
+/**
+ * Permanently delete several categories in one write
+ * IDs that aren't stored are skipped. Tasks in them should be updated by
+ * the calling code.
+ * @param {Array<string>} ids - Category IDs
+ * @returns {Object} { success: boolean, count: number, error: string }
+ */
+export function purgeCategories(ids) {
+  const { data, error } = categoriesRepository().batch(
+    ids.map((id) => ({ type: "delete", id }))
+  );
+
+  if (error) {
+    return { success: false, count: 0, error: "Failed to delete categories" };
+  }
+
+  return { success: true, count: data.filter(Boolean).length, error: null };
+}
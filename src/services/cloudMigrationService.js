@@ -0,0 +1,448 @@
+/**
+ * Cloud Migration Service
+ * Uploads the tasks and categories saved on this device to a user's account
+ *
+ * The local data is snapshotted when a guest signs in and uploaded once the
+ * user agrees. Every record's outcome is checkpointed as soon as it's known,
+ * so an interrupted upload resumes where it stopped. Records already in the
+ * cloud (same ID, a category with the same name, or a task with the same
+ * title, due date and category) are skipped or merged instead of duplicated,
+ * so running it again is harmless.
+ */
+
+import { getItem, setItem, removeItem } from "./storageService";
+import { createSupabaseAdapter } from "./supabaseRepository";
+import { remapLocalIds } from "./idMigrationService";
+import { toDate } from "./dateParser";
+
+const MIGRATION_KEY = "cloud-migration";
+// Account whose data the local cache holds, if any
+const OWNER_KEY = "local-data-owner";
+
+// Postgres error code for a UNIQUE or primary key violation
+const UNIQUE_VIOLATION = "23505";
+
+const STATUSES = ["created", "merged", "skipped", "failed"];
+
+/**
+ * Upload in progress or waiting for the user's go-ahead
+ * @typedef {Object} CloudMigration
+ * @property {string} userId - Account the data is uploaded to
+ * @property {string} status - "pending" | "running" | "incomplete"
+ * @property {string} stagedAt - ISO timestamp of the snapshot
+ * @property {Array<Object>} tasks - Local tasks to upload
+ * @property {Array<Object>} categories - Local categories to upload
+ * @property {Object<string, MigrationResult>} results - Outcome per record,
+ *   keyed by "task:<id>" or "category:<id>"
+ */
+
+/**
+ * Outcome of uploading one record
+ * @typedef {Object} MigrationResult
+ * @property {string} entity - "task" | "category"
+ * @property {string} localId - ID on this device
+ * @property {string} label - Task title or category name
+ * @property {string} status - "created" | "merged" | "skipped" | "failed"
+ * @property {string|null} cloudId - ID of the matching cloud record
+ * @property {string|null} reason - Why it was merged, skipped or failed
+ */
+
+let running = null;
+
+/**
+ * Get the upload staged for a user
+ * @param {string} userId - User ID
+ * @returns {CloudMigration|null} Migration, or null if there is none
+ */
+export function getCloudMigration(userId) {
+  const migration = getItem(MIGRATION_KEY, null);
+  return migration && migration.userId === userId ? migration : null;
+}
+
+/**
+ * Record which account the data on this device belongs to
+ * Set while a user is signed in, so a cache left behind by one account (e.g.
+ * after its session expired) is never offered for upload to another.
+ * @param {string|null} userId - User ID, or null once the cache is cleared
+ */
+export function setLocalDataOwner(userId) {
+  if (userId) {
+    setItem(OWNER_KEY, userId);
+  } else {
+    removeItem(OWNER_KEY);
+  }
+}
+
+/**
+ * Snapshot local data for upload to a user's account
+ * Only guest data, or data this user already owns, is staged. An upload
+ * already staged for the same user is kept, so its progress isn't lost; one
+ * staged for another account is replaced.
+ * @param {string} userId - User ID
+ * @param {Object} localData - { tasks, categories } saved on this device
+ * @returns {CloudMigration|null} Staged migration, or null if nothing to upload
+ */
+export function stageCloudMigration(userId, { tasks = [], categories = [] }) {
+  const existing = getCloudMigration(userId);
+  if (existing) return existing;
+
+  const owner = getItem(OWNER_KEY, null);
+  if (owner && owner !== userId) {
+    return null;
+  }
+
+  if (tasks.length === 0 && categories.length === 0) {
+    return null;
+  }
+
+  const migration = {
+    userId,
+    status: "pending",
+    stagedAt: new Date().toISOString(),
+    tasks,
+    categories,
+    results: {},
+  };
+  setItem(MIGRATION_KEY, migration);
+  return migration;
+}
+
+/**
+ * Forget a staged upload without running it
+ */
+export function discardCloudMigration() {
+  removeItem(MIGRATION_KEY);
+}
+
+/**
+ * Key used to match a local task to a cloud task with the same content
+ * @param {Object} task - Task
+ * @param {string|null} categoryId - Category ID in the cloud
+ * @returns {string} Fingerprint
+ */
+function getTaskFingerprint(task, categoryId) {
+  return [
+    (task.title || "").trim().toLowerCase(),
+    task.dueDate ? toDate(task.dueDate).toISOString() : "",
+    categoryId || "",
+  ].join("|");
+}
+
+/**
+ * Build a result record
+ * @param {string} entity - "task" | "category"
+ * @param {Object} record - Local task or category
+ * @param {string} status - Outcome
+ * @param {string|null} cloudId - Matching cloud ID
+ * @param {string|null} reason - Explanation
+ * @returns {MigrationResult} Result
+ */
+function toResult(entity, record, status, cloudId = null, reason = null) {
+  return {
+    entity,
+    localId: record.id,
+    label: entity === "task" ? record.title : record.name,
+    status,
+    cloudId,
+    reason,
+  };
+}
+
+/**
+ * Find a cloud category that a local one is already stored as
+ * Category names are unique per user (outside the trash), so a name match
+ * is the same category.
+ * @param {Object} category - Local category
+ * @param {Array<Object>} remoteCategories - Cloud categories
+ * @returns {MigrationResult|null} Skipped or merged result, or null
+ */
+function matchCategory(category, remoteCategories) {
+  if (remoteCategories.some((remote) => remote.id === category.id)) {
+    return toResult(
+      "category",
+      category,
+      "skipped",
+      category.id,
+      "Already in the cloud"
+    );
+  }
+
+  const name = category.name.toLowerCase();
+  const sameName = remoteCategories.find(
+    (remote) => !remote.deletedAt && remote.name.toLowerCase() === name
+  );
+  if (sameName) {
+    return toResult(
+      "category",
+      category,
+      "merged",
+      sameName.id,
+      "A category with this name already exists"
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Upload one category
+ * @param {import("./repository").Repository} cloudCategories - Supabase categories
+ * @param {Object} category - Local category
+ * @param {Array<Object>} remoteCategories - Cloud categories (kept up to date)
+ * @returns {Promise<MigrationResult>} Result
+ */
+async function migrateCategory(cloudCategories, category, remoteCategories) {
+  const match = matchCategory(category, remoteCategories);
+  if (match) return match;
+
+  const { data, error } = await cloudCategories.create(category);
+  if (!error) {
+    remoteCategories.push(data);
+    return toResult("category", category, "created", data.id);
+  }
+
+  // Created in the meantime, e.g. by the category sync on sign in
+  if (error.code === UNIQUE_VIOLATION) {
+    const { data: latest } = await cloudCategories.list();
+    const retry = matchCategory(category, latest || []);
+    if (retry) {
+      remoteCategories.push(...(latest || []));
+      return retry;
+    }
+  }
+
+  return toResult(
+    "category",
+    category,
+    "failed",
+    null,
+    error.message || "Failed to create category"
+  );
+}
+
+/**
+ * Upload one task
+ * @param {import("./repository").Repository} cloudTasks - Supabase tasks
+ * @param {Object} task - Local task
+ * @param {string|null} categoryId - Category ID in the cloud
+ * @param {Object} remote - { ids: Set, byFingerprint: Map } of cloud tasks
+ * @returns {Promise<MigrationResult>} Result
+ */
+async function migrateTask(cloudTasks, task, categoryId, remote) {
+  if (remote.ids.has(task.id)) {
+    return toResult("task", task, "skipped", task.id, "Already in the cloud");
+  }
+
+  // Each cloud task absorbs at most one local copy
+  const sameContent = remote.byFingerprint.get(
+    getTaskFingerprint(task, categoryId)
+  );
+  if (sameContent && sameContent.length > 0) {
+    return toResult(
+      "task",
+      task,
+      "merged",
+      sameContent.shift(),
+      "The same task already exists"
+    );
+  }
+
+  const { data, error } = await cloudTasks.create({ ...task, categoryId });
+  if (!error) {
+    remote.ids.add(data.id);
+    return toResult("task", task, "created", data.id);
+  }
+
+  if (error.code === UNIQUE_VIOLATION) {
+    return toResult("task", task, "skipped", task.id, "Already in the cloud");
+  }
+
+  return toResult(
+    "task",
+    task,
+    "failed",
+    null,
+    error.message || "Failed to create task"
+  );
+}
+
+/**
+ * Summarize a migration's results
+ * @param {CloudMigration|null} migration - Migration
+ * @returns {Object} { categories: counts, tasks: counts, items }
+ *   counts are { created, merged, skipped, failed }
+ */
+export function buildMigrationReport(migration) {
+  const emptyCounts = () =>
+    Object.fromEntries(STATUSES.map((status) => [status, 0]));
+  const report = { categories: emptyCounts(), tasks: emptyCounts(), items: [] };
+
+  Object.values(migration?.results || {}).forEach((result) => {
+    const counts = result.entity === "task" ? report.tasks : report.categories;
+    counts[result.status]++;
+    report.items.push(result);
+  });
+
+  return report;
+}
+
+/**
+ * Describe a report in one line, e.g. "3 created, 1 merged"
+ * @param {Object} report - Report from buildMigrationReport
+ * @returns {string} Summary
+ */
+export function describeMigrationReport(report) {
+  const parts = STATUSES.map((status) => [
+    status,
+    report.tasks[status] + report.categories[status],
+  ])
+    .filter(([, count]) => count > 0)
+    .map(([status, count]) => `${count} ${status}`);
+
+  return parts.length > 0 ? parts.join(", ") : "nothing to upload";
+}
+
+/**
+ * Upload the staged data, resuming from the last checkpoint
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { success: boolean, report: Object, error: string|null }
+ */
+async function runMigration(userId) {
+  const migration = getCloudMigration(userId);
+  if (!migration) {
+    return { success: true, report: buildMigrationReport(null), error: null };
+  }
+
+  const save = () => setItem(MIGRATION_KEY, migration);
+  migration.status = "running";
+  save();
+
+  const cloud = createSupabaseAdapter(userId);
+  const cloudCategories = cloud.repository("categories");
+  const cloudTasks = cloud.repository("tasks");
+  const [categoriesResult, tasksResult] = await Promise.all([
+    cloudCategories.list(),
+    cloudTasks.list(),
+  ]);
+  const fetchError = categoriesResult.error || tasksResult.error;
+  if (fetchError) {
+    migration.status = "incomplete";
+    save();
+    return {
+      success: false,
+      report: buildMigrationReport(migration),
+      error: fetchError.message || "Failed to sync",
+    };
+  }
+
+  const isDone = (key) =>
+    migration.results[key] && migration.results[key].status !== "failed";
+
+  // Categories first; tasks reference them
+  const remoteCategories = [...categoriesResult.data];
+  for (const category of migration.categories) {
+    const key = `category:${category.id}`;
+    if (isDone(key)) continue;
+
+    migration.results[key] = await migrateCategory(
+      cloudCategories,
+      category,
+      remoteCategories
+    );
+    save();
+  }
+
+  const categoryIds = new Map();
+  remoteCategories.forEach((category) =>
+    categoryIds.set(category.id, category.id)
+  );
+  Object.values(migration.results).forEach((result) => {
+    if (result.entity === "category" && result.cloudId) {
+      categoryIds.set(result.localId, result.cloudId);
+    }
+  });
+
+  // Cloud tasks already matched before an interruption stay matched
+  const claimed = new Set(
+    Object.values(migration.results)
+      .filter((result) => result.status === "merged")
+      .map((result) => result.cloudId)
+  );
+  const remote = { ids: new Set(), byFingerprint: new Map() };
+  tasksResult.data.forEach((task) => {
+    remote.ids.add(task.id);
+    if (claimed.has(task.id)) return;
+    const fingerprint = getTaskFingerprint(task, task.categoryId);
+    remote.byFingerprint.set(fingerprint, [
+      ...(remote.byFingerprint.get(fingerprint) || []),
+      task.id,
+    ]);
+  });
+
+  for (const task of migration.tasks) {
+    const key = `task:${task.id}`;
+    if (isDone(key)) continue;
+
+    // A task keeps its category only if that category made it to the cloud
+    const categoryId = categoryIds.get(task.categoryId) || null;
+    migration.results[key] = await migrateTask(
+      cloudTasks,
+      task,
+      categoryId,
+      remote
+    );
+    save();
+  }
+
+  // Point the local copies at the cloud records they were merged into
+  ["category", "task"].forEach((entity) => {
+    const idMap = new Map(
+      Object.values(migration.results)
+        .filter(
+          (result) =>
+            result.entity === entity &&
+            result.status === "merged" &&
+            result.cloudId !== result.localId
+        )
+        .map((result) => [result.localId, result.cloudId])
+    );
+    remapLocalIds(entity, idMap);
+  });
+
+  const report = buildMigrationReport(migration);
+  const failed = report.tasks.failed + report.categories.failed;
+  if (failed > 0) {
+    migration.status = "incomplete";
+    save();
+    return {
+      success: false,
+      report,
+      error: `${failed} item${failed === 1 ? "" : "s"} couldn't be uploaded`,
+    };
+  }
+
+  discardCloudMigration();
+  return { success: true, report, error: null };
+}
+
+/**
+ * Upload the data staged for a user to Supabase
+ * Safe to call repeatedly: a run already in progress is shared, and records
+ * uploaded by an earlier run are not uploaded again.
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { success: boolean, report: Object, error: string|null }
+ */
+export async function migrateLocalDataToCloud(userId) {
+  if (!running) {
+    running = runMigration(userId)
+      .catch((err) => ({
+        success: false,
+        report: buildMigrationReport(getCloudMigration(userId)),
+        error: err.message || "Sync failed",
+      }))
+      .finally(() => {
+        running = null;
+      });
+  }
+  return running;
+}
@@ -0,0 +1,107 @@
+/**
+ * Conflict Service
+ * Stores edit conflicts found while syncing until the user resolves them
+ */
+
+import { getItem, setItem } from "./storageService";
+import { generateId } from "../utils/helpers";
+
+const CONFLICTS_KEY = "conflicts";
+
+/**
+ * Unresolved edit conflict
+ * @typedef {Object} Conflict
+ * @property {string} id - Conflict ID
+ * @property {string} entity - "task" | "category"
+ * @property {string} targetId - Task or category ID
+ * @property {string} field - Conflicting field (e.g. "title")
+ * @property {*} local - Value edited on this device
+ * @property {*} remote - Value edited on another device
+ * @property {string} detectedAt - ISO timestamp
+ */
+
+const listeners = new Set();
+
+/**
+ * Save conflicts and tell subscribers
+ * @param {Array<Conflict>} conflicts - Conflicts to save
+ */
+function saveConflicts(conflicts) {
+  setItem(CONFLICTS_KEY, conflicts);
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * Get all unresolved conflicts, oldest first
+ * @returns {Array<Conflict>} Conflicts
+ */
+export function getConflicts() {
+  return getItem(CONFLICTS_KEY, []);
+}
+
+/**
+ * Record a conflict, replacing an older one for the same field
+ * @param {Object} conflict - { entity, targetId, field, local, remote }
+ * @returns {Conflict} Stored conflict
+ */
+export function addConflict({ entity, targetId, field, local, remote }) {
+  const conflicts = getConflicts().filter(
+    (c) =>
+      !(c.entity === entity && c.targetId === targetId && c.field === field)
+  );
+
+  const conflict = {
+    id: generateId(),
+    entity,
+    targetId,
+    field,
+    local,
+    remote,
+    detectedAt: new Date().toISOString(),
+  };
+
+  saveConflicts([...conflicts, conflict]);
+  return conflict;
+}
+
+/**
+ * Remove a conflict once it has been resolved
+ * @param {string} id - Conflict ID
+ */
+export function removeConflict(id) {
+  saveConflicts(getConflicts().filter((c) => c.id !== id));
+}
+
+/**
+ * Point conflicts at records whose IDs changed
+ * @param {string} entity - "task" | "category"
+ * @param {Map<string, string>} idMap - Old ID -> new ID
+ */
+export function remapConflictTargets(entity, idMap) {
+  const conflicts = getConflicts();
+  const affected = (c) => c.entity === entity && idMap.has(c.targetId);
+  if (!conflicts.some(affected)) return;
+
+  saveConflicts(
+    conflicts.map((c) =>
+      affected(c) ? { ...c, targetId: idMap.get(c.targetId) } : c
+    )
+  );
+}
+
+/**
+ * Discard all conflicts (e.g. on sign out)
+ */
+export function clearConflicts() {
+  saveConflicts([]);
+}
+
+/**
+ * Subscribe to conflict changes
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeConflicts(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
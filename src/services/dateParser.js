@@ -1,22 +1,122 @@
 /**
  * Date Parser Service
  * Natural language date parsing and date utilities
+ *
+ * Due dates without a time of day are stored as a calendar day
+ * ("2026-11-01") and treated as "all day": due any time that day, overdue
+ * from the next day. Due dates with a time are stored as ISO timestamps, so
+ * midnight is a time like any other.
  */
 
+const TIME_OF_DAY =
+  "\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)|\\d{1,2}:\\d{2}|noon|midnight";
+
+// "<day> [at] <time>" or "[at] <time>"
+const DAY_AND_TIME_PATTERN = new RegExp(
+  `^(?:(.*?)\\s+)??(?:at\\s+)?(${TIME_OF_DAY})$`,
+  "i"
+);
+
+// A calendar day with no time of day, how all-day due dates are stored
+const DAY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const TONIGHT_HOUR = 20;
+
 /**
  * Parse natural language date strings into Date objects
+ * Inputs with a time ("tomorrow at 3pm", "14:30", "tonight", "in 2 hours")
+ * keep it; day-only inputs return local midnight. Use parseDueDate to keep
+ * the two apart.
  * @param {string} input - Natural language input (e.g., "today", "tomorrow", "next week")
+ * @param {Date} [now] - Reference "now" (for testing)
  * @returns {Date|null} Parsed date or null if invalid
  */
-export function parseNaturalLanguageDate(input) {
+export function parseNaturalLanguageDate(input, now = new Date()) {
+  return parseDateInput(input, now)?.date ?? null;
+}
+
+/**
+ * Parse natural language into a due date
+ * @param {string} input - Natural language input (e.g., "tomorrow", "friday at 3pm")
+ * @param {Date} [now] - Reference "now" (for testing)
+ * @returns {string|null} Day ("2026-11-01", all day) for day-only inputs,
+ *   ISO timestamp for inputs with a time, or null if invalid
+ */
+export function parseDueDate(input, now = new Date()) {
+  const parsed = parseDateInput(input, now);
+  if (!parsed) return null;
+  return parsed.allDay ? toDay(parsed.date) : parsed.date.toISOString();
+}
+
+/**
+ * Parse natural language into a date and whether it has a time of day
+ * @param {string} input - Natural language input
+ * @param {Date} now - Reference "now"
+ * @returns {{date: Date, allDay: boolean}|null} Parsed date or null if invalid
+ */
+function parseDateInput(input, now) {
   if (!input || typeof input !== "string") return null;
 
-  const normalized = input.toLowerCase().trim();
-  const today = new Date();
+  const trimmed = input.trim().replace(/\s+/g, " ");
+  const normalized = trimmed.toLowerCase();
+
+  // In X hours/minutes (e.g., "in 2 hours", "in 30 minutes")
+  const inTimeMatch = normalized.match(
+    /^in (\d+) (hours?|hrs?|minutes?|mins?)$/
+  );
+  if (inTimeMatch) {
+    const amount = parseInt(inTimeMatch[1], 10);
+    const unitMs = inTimeMatch[2].startsWith("h") ? 3600000 : 60000;
+    const later = new Date(now.getTime() + amount * unitMs);
+    later.setSeconds(0, 0);
+    return { date: later, allDay: false };
+  }
+
+  // Tonight (8pm today)
+  if (normalized === "tonight") {
+    const tonight = new Date(now);
+    tonight.setHours(TONIGHT_HOUR, 0, 0, 0);
+    return { date: tonight, allDay: false };
+  }
+
+  // Day with a time of day (e.g., "tomorrow at 3pm", "friday 9:30am", "14:30")
+  const dayAndTimeMatch = trimmed.match(DAY_AND_TIME_PATTERN);
+  if (dayAndTimeMatch) {
+    const [, dayPart, timePart] = dayAndTimeMatch;
+    const time = parseTimeOfDay(timePart);
+    if (!time) return null;
+
+    if (dayPart) {
+      const day = parseDay(dayPart.replace(/^(?:on|by)\s+/i, ""), now);
+      if (!day) return null;
+      day.setHours(time.hours, time.minutes, 0, 0);
+      return { date: day, allDay: false };
+    }
+
+    // Time only: today, or tomorrow if that time has already passed
+    const at = new Date(now);
+    at.setHours(time.hours, time.minutes, 0, 0);
+    if (at <= now) at.setDate(at.getDate() + 1);
+    return { date: at, allDay: false };
+  }
+
+  const day = parseDay(trimmed, now);
+  return day ? { date: day, allDay: true } : null;
+}
+
+/**
+ * Parse a day phrase into local midnight
+ * @param {string} input - Trimmed day phrase (e.g., "tomorrow", "next friday")
+ * @param {Date} now - Reference "now"
+ * @returns {Date|null} Start of the day or null if invalid
+ */
+function parseDay(input, now) {
+  const normalized = input.toLowerCase();
+  const today = new Date(now);
   today.setHours(0, 0, 0, 0);
 
-  // Today
-  if (normalized === "today") {
+  // Today ("tonight at 9pm" is today too)
+  if (normalized === "today" || normalized === "tonight") {
     return today;
   }
 
@@ -74,7 +174,7 @@ export function parseNaturalLanguageDate(input) {
     return futureDate;
   }
 
-  // Specific weekday (e.g., "monday", "tuesday")
+  // Specific weekday (e.g., "monday", "next tuesday", "this friday")
   const weekdays = [
     "sunday",
     "monday",
@@ -84,7 +184,9 @@ export function parseNaturalLanguageDate(input) {
     "friday",
     "saturday",
   ];
-  const weekdayIndex = weekdays.indexOf(normalized);
+  const weekdayIndex = weekdays.indexOf(
+    normalized.replace(/^(?:next|this|on)\s+/, "")
+  );
   if (weekdayIndex !== -1) {
     const targetDay = new Date(today);
     const currentDay = today.getDay();
@@ -99,7 +201,17 @@ export function parseNaturalLanguageDate(input) {
     return targetDay;
   }
 
-  // Try parsing as a standard date string
+  // ISO day (e.g., "2026-11-01") - parsed as local midnight, not UTC
+  const isoDayMatch = normalized.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (isoDayMatch) {
+    const [, year, month, day] = isoDayMatch.map(Number);
+    const isoDay = new Date(year, month - 1, day);
+    return isoDay.getMonth() === month - 1 ? isoDay : null;
+  }
+
+  // Try parsing as a standard date string. Without a year, Date fills in
+  // 2001 ("Nov 5"), so a year is required
+  if (!/\d{4}/.test(normalized)) return null;
   try {
     const parsed = new Date(input);
     if (!isNaN(parsed.getTime())) {
@@ -113,19 +225,134 @@ export function parseNaturalLanguageDate(input) {
   return null;
 }
 
+/**
+ * Parse a date written by another app or file
+ * ISO date-times keep their time of day (with their offset, or in local time
+ * without one); anything else goes through parseDueDate, so ISO days and
+ * phrases like "tomorrow" are all-day.
+ * @param {string} input - Date text (e.g., "2026-11-01", "2026-11-01T09:30:00Z")
+ * @param {Date} [now] - Reference "now" (for testing)
+ * @returns {string|null} Due date (day or ISO timestamp), or null if invalid
+ */
+export function parseDateValue(input, now = new Date()) {
+  if (!input || typeof input !== "string") return null;
+
+  const trimmed = input.trim();
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(trimmed)) {
+    const date = new Date(trimmed);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  return parseDueDate(trimmed, now);
+}
+
+/**
+ * Parse a time of day (e.g., "3pm", "9:30 am", "14:30", "noon", "midnight")
+ * @param {string} input - Time string
+ * @returns {{hours: number, minutes: number}|null} Parsed time or null if invalid
+ */
+export function parseTimeOfDay(input) {
+  if (!input || typeof input !== "string") return null;
+
+  const normalized = input.toLowerCase().trim();
+
+  if (normalized === "noon") return { hours: 12, minutes: 0 };
+  if (normalized === "midnight") return { hours: 0, minutes: 0 };
+
+  const match = normalized.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  // Bare numbers ("at 3") are ambiguous, so require am/pm or minutes
+  if (!match || (!match[2] && !match[3])) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3];
+
+  if (minutes > 59) return null;
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (meridiem === "am" && hours === 12) hours = 0;
+    if (meridiem === "pm" && hours !== 12) hours += 12;
+  } else if (hours > 23) {
+    return null;
+  }
+
+  return { hours, minutes };
+}
+
+/**
+ * Check whether a due date has no time of day
+ * @param {Date|string} date - Due date to check
+ * @returns {boolean} True if the date is a day ("2026-11-01"), i.e. all day
+ */
+export function isAllDay(date) {
+  return typeof date === "string" && DAY_PATTERN.test(date);
+}
+
+/**
+ * Get a date's local calendar day, the all-day due date for it
+ * @param {Date} date - Date
+ * @returns {string} YYYY-MM-DD
+ */
+export function toDay(date) {
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+}
+
+/**
+ * Turn a due date or timestamp into a Date
+ * Days are read as local midnight; new Date() would read them as UTC.
+ * @param {Date|string} value - Day, ISO timestamp or Date
+ * @returns {Date} Date (invalid if the value is)
+ */
+export function toDate(value) {
+  if (value instanceof Date) return new Date(value);
+  const day = typeof value === "string" && value.match(DAY_PATTERN);
+  if (day) return new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3]));
+  return new Date(value);
+}
+
+/**
+ * Convert a due date saved before days were stored as days
+ * All-day due dates used to be local midnight timestamps, and midnight
+ * couldn't be picked as a time, so those become days.
+ * @param {string|null} dueDate - Stored due date
+ * @returns {string|null} Due date in the current format
+ */
+export function fromLegacyDueDate(dueDate) {
+  if (typeof dueDate !== "string" || isAllDay(dueDate)) return dueDate;
+
+  const date = new Date(dueDate);
+  if (isNaN(date.getTime())) return dueDate;
+  const midnight =
+    date.getHours() === 0 &&
+    date.getMinutes() === 0 &&
+    date.getSeconds() === 0 &&
+    date.getMilliseconds() === 0;
+  return midnight ? toDay(date) : dueDate;
+}
+
 /**
  * Check if a date is overdue
+ * All-day dates are overdue from the next day; timed dates once the time passes.
  * @param {Date|string} dueDate - Due date to check
+ * @param {Date} [now] - Reference "now" (for testing)
  * @returns {boolean} True if overdue
  */
-export function isOverdue(dueDate) {
+export function isOverdue(dueDate, now = new Date()) {
   if (!dueDate) return false;
 
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+  const due = toDate(dueDate);
+  if (isNaN(due.getTime())) return false;
+
+  // Timed tasks are overdue the moment their time passes
+  if (!isAllDay(dueDate)) return due < now;
 
-  const due = new Date(dueDate);
-  due.setHours(0, 0, 0, 0);
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
 
   return due < today;
 }
@@ -139,38 +366,41 @@ export function isOverdue(dueDate) {
 export function formatDate(date, options = {}) {
   if (!date) return "";
 
-  const dateObj = date instanceof Date ? date : new Date(date);
+  const dateObj = toDate(date);
 
-  const { includeTime = false, relative = true } = options;
+  // Times are shown whenever one is set
+  const { includeTime = !isAllDay(date), relative = true } = options;
+  const time = includeTime
+    ? dateObj.toLocaleTimeString("en-US", {
+        hour: "numeric",
+        minute: "2-digit",
+      })
+    : "";
 
   if (relative) {
     const relativeStr = getRelativeDate(dateObj);
-    if (relativeStr) return relativeStr;
+    if (relativeStr) return time ? `${relativeStr} at ${time}` : relativeStr;
   }
 
-  const dateOptions = {
+  const dateStr = dateObj.toLocaleDateString("en-US", {
     year: "numeric",
     month: "short",
     day: "numeric",
-    ...(includeTime && {
-      hour: "2-digit",
-      minute: "2-digit",
-    }),
-  };
+  });
 
-  return dateObj.toLocaleDateString("en-US", dateOptions);
+  return time ? `${dateStr} at ${time}` : dateStr;
 }
 
 /**
  * Get relative date string (e.g., "Today", "Tomorrow", "Yesterday")
- * @param {Date} date - Date to format
+ * @param {Date|string} date - Date or due date to format
  * @returns {string|null} Relative date string or null
  */
 export function getRelativeDate(date) {
   const today = new Date();
   today.setHours(0, 0, 0, 0);
 
-  const compareDate = new Date(date);
+  const compareDate = toDate(date);
   compareDate.setHours(0, 0, 0, 0);
 
   const diffTime = compareDate - today;
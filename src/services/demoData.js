@@ -4,6 +4,7 @@
  */
 
 import { generateId } from "../utils/helpers";
+import { toDay } from "./dateParser";
 
 /**
  * Get demo tasks
@@ -17,6 +18,7 @@ export function getDemoTasks() {
   tomorrow.setDate(tomorrow.getDate() + 1);
   const nextWeek = new Date(now);
   nextWeek.setDate(nextWeek.getDate() + 7);
+  // Demo due dates are all day (no time of day)
 
   return [
     {
@@ -57,7 +59,7 @@ export function getDemoTasks() {
       createdAt: now.toISOString(),
       order: 3,
       categoryId: null,
-      dueDate: tomorrow.toISOString(),
+      dueDate: toDay(tomorrow),
     },
     {
       id: generateId(),
@@ -67,7 +69,7 @@ export function getDemoTasks() {
       createdAt: now.toISOString(),
       order: 4,
       categoryId: null,
-      dueDate: nextWeek.toISOString(),
+      dueDate: toDay(nextWeek),
     },
   ];
 }
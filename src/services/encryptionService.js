@@ -0,0 +1,268 @@
+/**
+ * Encryption Service
+ * Password-protect backups with WebCrypto
+ *
+ * An encrypted backup is a JSON envelope around the backup JSON. The key is
+ * derived from the passphrase with PBKDF2 (SHA-256) and a random salt, and
+ * the backup is encrypted with AES-GCM, whose authentication tag makes a
+ * wrong passphrase and a changed file fail the same way. The derivation and
+ * cipher parameters are stored in the envelope, so later versions can raise
+ * them and still open older files.
+ */
+
+// Marks a JSON file as an encrypted backup
+export const ENCRYPTED_BACKUP_FORMAT = "coolest-todo-encrypted-backup";
+
+// Envelope version written by encryptBackup()
+export const ENCRYPTION_VERSION = 1;
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+// PBKDF2 rounds for new backups; files asking for more than MAX_ITERATIONS
+// are refused rather than freezing the tab
+const ITERATIONS = 600000;
+const MAX_ITERATIONS = 10000000;
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+/**
+ * Check whether parsed JSON is an encrypted backup
+ * @param {*} data - Parsed file contents
+ * @returns {boolean}
+ */
+export function isEncryptedBackup(data) {
+  return (
+    !!data &&
+    typeof data === "object" &&
+    data.format === ENCRYPTED_BACKUP_FORMAT
+  );
+}
+
+/**
+ * Get WebCrypto's SubtleCrypto, which needs a secure context (HTTPS or
+ * localhost)
+ * @returns {SubtleCrypto}
+ */
+function getSubtle() {
+  if (typeof crypto === "undefined" || !crypto.subtle) {
+    throw new Error("Encryption is not available in this browser");
+  }
+  return crypto.subtle;
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Derive the AES-GCM key for a passphrase
+ * @param {string} passphrase
+ * @param {Object} kdf - Envelope's key derivation parameters
+ * @param {Uint8Array} salt
+ * @param {Array<string>} usages - "encrypt" or "decrypt"
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKey(passphrase, kdf, salt, usages) {
+  const subtle = getSubtle();
+  const material = await subtle.importKey(
+    "raw",
+    // The same passphrase can be typed as different code points
+    new TextEncoder().encode(passphrase.normalize("NFC")),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return subtle.deriveKey(
+    { name: "PBKDF2", hash: kdf.hash, salt, iterations: kdf.iterations },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    usages
+  );
+}
+
+/**
+ * Authenticated with the ciphertext, so the envelope's format and version
+ * can't be swapped either
+ * @param {number} version
+ * @returns {Uint8Array}
+ */
+function getAdditionalData(version) {
+  return new TextEncoder().encode(`${ENCRYPTED_BACKUP_FORMAT}:${version}`);
+}
+
+/**
+ * Encrypt a backup with a passphrase
+ * @param {Object} data - Backup from exportData()
+ * @param {string} passphrase
+ * @returns {Promise<Object>} { success, envelope, error }
+ */
+export async function encryptBackup(data, passphrase) {
+  try {
+    if (
+      typeof passphrase !== "string" ||
+      passphrase.length < MIN_PASSPHRASE_LENGTH
+    ) {
+      throw new Error(
+        `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`
+      );
+    }
+
+    const subtle = getSubtle();
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const kdf = { name: "PBKDF2", hash: "SHA-256", iterations: ITERATIONS };
+    const key = await deriveKey(passphrase, kdf, salt, ["encrypt"]);
+
+    const ciphertext = await subtle.encrypt(
+      {
+        name: "AES-GCM",
+        iv,
+        additionalData: getAdditionalData(ENCRYPTION_VERSION),
+      },
+      key,
+      new TextEncoder().encode(JSON.stringify(data))
+    );
+
+    return {
+      success: true,
+      envelope: {
+        format: ENCRYPTED_BACKUP_FORMAT,
+        version: ENCRYPTION_VERSION,
+        kdf: { ...kdf, salt: toBase64(salt) },
+        cipher: { name: "AES-GCM", iv: toBase64(iv) },
+        data: toBase64(new Uint8Array(ciphertext)),
+      },
+      error: null,
+    };
+  } catch (error) {
+    console.error("Error encrypting backup:", error);
+    return {
+      success: false,
+      envelope: null,
+      error: error.message || "Failed to encrypt backup",
+    };
+  }
+}
+
+/**
+ * Read the binary fields of an envelope, or null if they're malformed
+ * @param {Object} envelope
+ * @returns {Object|null} { salt, iv, ciphertext }
+ */
+function readEnvelope(envelope) {
+  const { kdf, cipher, data } = envelope;
+  if (
+    kdf?.name !== "PBKDF2" ||
+    !["SHA-256", "SHA-384", "SHA-512"].includes(kdf.hash) ||
+    !Number.isInteger(kdf.iterations) ||
+    kdf.iterations < 1 ||
+    kdf.iterations > MAX_ITERATIONS ||
+    cipher?.name !== "AES-GCM" ||
+    typeof kdf.salt !== "string" ||
+    typeof cipher.iv !== "string" ||
+    typeof data !== "string"
+  ) {
+    return null;
+  }
+
+  try {
+    return {
+      salt: fromBase64(kdf.salt),
+      iv: fromBase64(cipher.iv),
+      ciphertext: fromBase64(data),
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Decrypt an encrypted backup
+ * @param {Object} envelope - Parsed encrypted backup file
+ * @param {string} passphrase
+ * @returns {Promise<Object>} { success, data, error }; data is the backup
+ *   as exportData() returned it
+ */
+export async function decryptBackup(envelope, passphrase) {
+  try {
+    if (!isEncryptedBackup(envelope)) {
+      throw new Error("This file isn't an encrypted backup");
+    }
+    if (!passphrase) {
+      throw new Error("Passphrase is required to open this encrypted backup");
+    }
+    if (!Number.isInteger(envelope.version) || envelope.version < 1) {
+      throw new Error("Encrypted backup is damaged");
+    }
+    if (envelope.version > ENCRYPTION_VERSION) {
+      throw new Error(
+        "This backup was encrypted by a newer version of the app. Update the app and try again."
+      );
+    }
+
+    const fields = readEnvelope(envelope);
+    if (!fields) {
+      throw new Error("Encrypted backup is damaged");
+    }
+
+    const key = await deriveKey(passphrase, envelope.kdf, fields.salt, [
+      "decrypt",
+    ]);
+
+    let plaintext;
+    try {
+      plaintext = await getSubtle().decrypt(
+        {
+          name: "AES-GCM",
+          iv: fields.iv,
+          additionalData: getAdditionalData(envelope.version),
+        },
+        key,
+        fields.ciphertext
+      );
+    } catch (error) {
+      // AES-GCM can't tell a wrong key from a changed file
+      throw new Error("Wrong passphrase, or the backup has been changed");
+    }
+
+    let data;
+    try {
+      data = JSON.parse(new TextDecoder().decode(plaintext));
+    } catch (error) {
+      throw new Error("Encrypted backup is damaged");
+    }
+
+    return { success: true, data, error: null };
+  } catch (error) {
+    return {
+      success: false,
+      data: null,
+      error: error.message || "Failed to decrypt backup",
+    };
+  }
+}
@@ -0,0 +1,255 @@
+/**
+ * Export Service
+ * Turns tasks into formats other tools read: CSV for spreadsheets, a
+ * Markdown checklist for reports, todo.txt for plain-text task managers and
+ * iCalendar for calendar apps
+ */
+
+import { exportData, downloadFile } from "./backupService";
+import { toICS } from "./icalService";
+import { toDate, toDay } from "./dateParser";
+
+/**
+ * Formats tasks can be exported as
+ * datedOnly formats leave out tasks without a due date.
+ */
+export const EXPORT_FORMATS = {
+  csv: { label: "CSV", extension: "csv", type: "text/csv" },
+  markdown: { label: "Markdown", extension: "md", type: "text/markdown" },
+  todotxt: { label: "todo.txt", extension: "txt", type: "text/plain" },
+  ics: {
+    label: "Calendar",
+    extension: "ics",
+    type: "text/calendar",
+    datedOnly: true,
+  },
+};
+
+const CSV_COLUMNS = [
+  "Title",
+  "Category",
+  "Priority",
+  "Due Date",
+  "Completed",
+  "Completed At",
+  "Created At",
+];
+
+// todo.txt priorities are letters, A being the most urgent
+const TODO_TXT_PRIORITIES = { urgent: "A", high: "B", medium: "C", low: "D" };
+
+/**
+ * Format a due date or timestamp as a local calendar date
+ * @param {string} timestamp - Day or ISO timestamp
+ * @returns {string} YYYY-MM-DD
+ */
+function toLocalDate(timestamp) {
+  return toDay(toDate(timestamp));
+}
+
+/**
+ * Put text on a single line
+ * @param {string} text - Title or name
+ * @returns {string} Text with runs of whitespace collapsed
+ */
+function toLine(text) {
+  return String(text ?? "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Quote a CSV field when needed
+ * Fields a spreadsheet would read as a formula get a leading apostrophe.
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function toCsvField(value) {
+  let text = value == null ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export tasks as CSV
+ * @param {Array<Object>} tasks - Tasks to export
+ * @param {Map<string, string>} categoryNames - Category ID -> name
+ * @returns {string} CSV with a header row
+ */
+export function toCSV(tasks, categoryNames) {
+  const rows = tasks.map((task) =>
+    [
+      toLine(task.title),
+      categoryNames.get(task.categoryId) || "",
+      task.priority && task.priority !== "none" ? task.priority : "",
+      task.dueDate || "",
+      task.completed ? "true" : "false",
+      task.completedAt || "",
+      task.createdAt || "",
+    ]
+      .map(toCsvField)
+      .join(",")
+  );
+
+  return [CSV_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+}
+
+/**
+ * Export tasks as a Markdown checklist grouped by category
+ * Groups follow the order of the categories; tasks without one come last.
+ * @param {Array<Object>} tasks - Tasks to export
+ * @param {Map<string, string>} categoryNames - Category ID -> name
+ * @returns {string} Markdown
+ */
+export function toMarkdown(tasks, categoryNames) {
+  const groups = new Map(
+    [...categoryNames.keys(), null].map((categoryId) => [categoryId, []])
+  );
+  tasks.forEach((task) => {
+    const key = categoryNames.has(task.categoryId) ? task.categoryId : null;
+    groups.get(key).push(task);
+  });
+
+  const sections = [];
+  groups.forEach((groupTasks, categoryId) => {
+    if (groupTasks.length === 0) return;
+
+    const lines = [
+      `## ${categoryNames.get(categoryId) || "Uncategorized"}`,
+      "",
+    ];
+    groupTasks.forEach((task) => {
+      const due = task.dueDate ? ` (due ${toLocalDate(task.dueDate)})` : "";
+      lines.push(
+        `- [${task.completed ? "x" : " "}] ${toLine(task.title)}${due}`
+      );
+      (task.subtasks || []).forEach((subtask) => {
+        lines.push(
+          `  - [${subtask.completed ? "x" : " "}] ${toLine(subtask.title)}`
+        );
+      });
+    });
+    sections.push(lines.join("\n"));
+  });
+
+  return sections.length > 0 ? `${sections.join("\n\n")}\n` : "";
+}
+
+/**
+ * Export tasks in the todo.txt format
+ * Each line is: x (completed), completion and creation dates, (A)-(D)
+ * priority, the title, +project from the category and a due: key. Completed
+ * tasks keep their priority as a pri: key, since todo.txt drops the letter.
+ * @param {Array<Object>} tasks - Tasks to export
+ * @param {Map<string, string>} categoryNames - Category ID -> name
+ * @returns {string} One task per line
+ */
+export function toTodoTxt(tasks, categoryNames) {
+  const lines = tasks.map((task) => {
+    const parts = [];
+    const priority = TODO_TXT_PRIORITIES[task.priority];
+
+    if (task.completed) {
+      parts.push("x");
+      if (task.completedAt) {
+        parts.push(toLocalDate(task.completedAt));
+        if (task.createdAt) parts.push(toLocalDate(task.createdAt));
+      }
+    } else {
+      if (priority) parts.push(`(${priority})`);
+      if (task.createdAt) parts.push(toLocalDate(task.createdAt));
+    }
+
+    parts.push(toLine(task.title));
+
+    const category = categoryNames.get(task.categoryId);
+    if (category) parts.push(`+${toLine(category).replace(/ /g, "-")}`);
+    if (task.dueDate) parts.push(`due:${toLocalDate(task.dueDate)}`);
+    if (task.completed && priority) parts.push(`pri:${priority}`);
+
+    return parts.join(" ");
+  });
+
+  return lines.length > 0 ? `${lines.join("\n")}\n` : "";
+}
+
+const FORMATTERS = {
+  csv: toCSV,
+  markdown: toMarkdown,
+  todotxt: toTodoTxt,
+  ics: toICS,
+};
+
+/**
+ * Export tasks from the data exportData() returns
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Array<string>} taskIds - Tasks to include, in order (the current
+ *   view); tasks that no longer exist are skipped
+ * @param {Object} [options] - Format options (ics: { component })
+ * @returns {Object} { success, content, count, error }
+ */
+export function exportTasks(format, taskIds, options = {}) {
+  const formatter = FORMATTERS[format];
+  if (!formatter) {
+    return {
+      success: false,
+      content: null,
+      count: 0,
+      error: `Unknown export format: ${format}`,
+    };
+  }
+
+  try {
+    const { tasks = [], categories = [] } = exportData();
+    const taskById = new Map(tasks.map((task) => [task.id, task]));
+    const selected = taskIds
+      .map((id) => taskById.get(id))
+      .filter(
+        (task) =>
+          task &&
+          !task.deletedAt &&
+          (!EXPORT_FORMATS[format].datedOnly || task.dueDate)
+      );
+    const categoryNames = new Map(
+      categories
+        .filter((category) => !category.deletedAt)
+        .map((category) => [category.id, category.name])
+    );
+
+    return {
+      success: true,
+      content: formatter(selected, categoryNames, options),
+      count: selected.length,
+      error: null,
+    };
+  } catch (error) {
+    console.error("Error exporting tasks:", error);
+    return {
+      success: false,
+      content: null,
+      count: 0,
+      error: "Failed to export tasks",
+    };
+  }
+}
+
+/**
+ * Download tasks as a file
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Array<string>} taskIds - Tasks to include, in order
+ * @param {Object} [options] - Format options
+ * @returns {boolean} Success status
+ */
+export function downloadTasks(format, taskIds, options = {}) {
+  const result = exportTasks(format, taskIds, options);
+  if (!result.success) return false;
+
+  const { extension, type } = EXPORT_FORMATS[format];
+  return downloadFile(
+    result.content,
+    `coolest-todo-tasks-${toLocalDate(new Date().toISOString())}.${extension}`,
+    type
+  );
+}
@@ -0,0 +1,162 @@
+/**
+ * History Service
+ * Undo/redo stacks of reversible commands
+ */
+
+/**
+ * Reversible command
+ * @typedef {Object} Command
+ * @property {string} label - Short description shown to the user (e.g. "Delete task")
+ * @property {Function} undo - Reverts the change; may be async and return a result object
+ * @property {Function} redo - Re-applies the change; may be async and return a result object
+ */
+
+const DEFAULT_LIMIT = 50;
+
+/**
+ * Create an undo/redo history
+ * @param {Object} options - Configuration options
+ * @param {number} options.limit - Maximum number of undo steps kept (default: 50)
+ * @returns {Object} History API
+ */
+export function createHistory({ limit = DEFAULT_LIMIT } = {}) {
+  let past = [];
+  let future = [];
+  let busy = false;
+  const listeners = new Set();
+
+  const notify = () => listeners.forEach((listener) => listener());
+
+  /**
+   * Run a command step and move it between stacks
+   * A command that fails is dropped so it doesn't block older entries.
+   * @param {string} direction - "undo" | "redo"
+   * @returns {Promise<Object>} { success: boolean, command: Command, error: string }
+   */
+  async function step(direction) {
+    const source = direction === "undo" ? past : future;
+
+    if (busy) {
+      return { success: false, command: null, error: "History is busy" };
+    }
+    if (source.length === 0) {
+      return {
+        success: false,
+        command: null,
+        error: `Nothing to ${direction}`,
+      };
+    }
+
+    const command = source[source.length - 1];
+    busy = true;
+
+    try {
+      const result = await command[direction]();
+      const failed = result && result.success === false;
+
+      if (direction === "undo") {
+        past = past.slice(0, -1);
+        if (!failed) future = [...future, command];
+      } else {
+        future = future.slice(0, -1);
+        if (!failed) past = [...past, command];
+      }
+
+      return failed
+        ? { success: false, command, error: result.error }
+        : { success: true, command, error: null };
+    } catch (err) {
+      if (direction === "undo") {
+        past = past.slice(0, -1);
+      } else {
+        future = future.slice(0, -1);
+      }
+      return {
+        success: false,
+        command,
+        error: err.message || `Failed to ${direction}`,
+      };
+    } finally {
+      busy = false;
+      notify();
+    }
+  }
+
+  return {
+    /**
+     * Record a command that has just been applied
+     * Recording clears the redo stack.
+     * @param {Command} command - Reversible command
+     */
+    record(command) {
+      past = [...past, command].slice(-limit);
+      future = [];
+      notify();
+    },
+
+    /**
+     * Revert the most recent command
+     * @returns {Promise<Object>} { success: boolean, command: Command, error: string }
+     */
+    undo() {
+      return step("undo");
+    },
+
+    /**
+     * Re-apply the most recently undone command
+     * @returns {Promise<Object>} { success: boolean, command: Command, error: string }
+     */
+    redo() {
+      return step("redo");
+    },
+
+    /**
+     * @returns {boolean} True if there is something to undo
+     */
+    canUndo() {
+      return past.length > 0;
+    },
+
+    /**
+     * @returns {boolean} True if there is something to redo
+     */
+    canRedo() {
+      return future.length > 0;
+    },
+
+    /**
+     * Get the command the next undo would revert
+     * @returns {Command|null} Command or null
+     */
+    peekUndo() {
+      return past[past.length - 1] || null;
+    },
+
+    /**
+     * Get the command the next redo would re-apply
+     * @returns {Command|null} Command or null
+     */
+    peekRedo() {
+      return future[future.length - 1] || null;
+    },
+
+    /**
+     * Forget all history
+     */
+    clear() {
+      past = [];
+      future = [];
+      notify();
+    },
+
+    /**
+     * Subscribe to history changes
+     * @param {Function} listener - Called after every change
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
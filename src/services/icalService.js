@@ -0,0 +1,526 @@
+/**
+ * iCalendar Service
+ * Converts tasks with due dates to iCalendar (.ics, RFC 5545) and reads
+ * to-dos back from .ics files
+ *
+ * Each task keeps the same UID in every export, so calendar apps update
+ * the entries they already have instead of adding duplicates, and
+ * importing an exported file updates the tasks it came from.
+ */
+
+import { isUUID } from "../utils/helpers";
+import { findCategoryByName } from "./importAdapters";
+import { isAllDay, toDate, toDay } from "./dateParser";
+
+/**
+ * Calendar components tasks can be exported as
+ * - VTODO: a to-do with completion status (most task and calendar apps)
+ * - VEVENT: an event on the due date, for calendars that don't show to-dos
+ */
+export const ICS_COMPONENTS = ["VTODO", "VEVENT"];
+
+const UID_DOMAIN = "coolest-todo-app";
+const PRODUCT_ID = "-//The Coolest Todo App Ever//Tasks//EN";
+
+// Weekday codes, indexed like Date.getDay()
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+// iCalendar priorities run from 1 (highest) to 9 (lowest), 0 meaning none
+const PRIORITY_VALUES = { urgent: 1, high: 3, medium: 5, low: 7 };
+
+/**
+ * Map an iCalendar priority to a task priority
+ * @param {number} value - PRIORITY value
+ * @returns {string} Task priority
+ */
+function toPriority(value) {
+  if (!Number.isInteger(value) || value < 1 || value > 9) return "none";
+  if (value <= 2) return "urgent";
+  if (value <= 4) return "high";
+  if (value === 5) return "medium";
+  return "low";
+}
+
+/**
+ * Pad a number to two digits
+ * @param {number} value - Number
+ * @returns {string} Padded number
+ */
+function pad(value) {
+  return String(value).padStart(2, "0");
+}
+
+/**
+ * Format a local calendar date
+ * @param {Date} date - Date
+ * @returns {string} YYYYMMDD
+ */
+function formatDate(date) {
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(
+    date.getDate()
+  )}`;
+}
+
+/**
+ * Format a UTC date-time
+ * @param {Date} date - Date
+ * @returns {string} YYYYMMDDTHHMMSSZ
+ */
+function formatDateTime(date) {
+  return date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+}
+
+/**
+ * Build a date property, as a DATE for all-day due dates
+ * @param {string} name - Property name
+ * @param {string} dueDate - Day or ISO timestamp
+ * @returns {string} Property line
+ */
+function dateProperty(name, dueDate) {
+  const date = toDate(dueDate);
+  return isAllDay(dueDate)
+    ? `${name};VALUE=DATE:${formatDate(date)}`
+    : `${name}:${formatDateTime(date)}`;
+}
+
+/**
+ * Escape a TEXT value
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Unescape a TEXT value
+ * @param {string} text - Escaped text
+ * @returns {string} Raw text
+ */
+function unescapeText(text) {
+  return text.replace(/\\([\\;,nN])/g, (match, char) =>
+    char === "n" || char === "N" ? "\n" : char
+  );
+}
+
+/**
+ * Fold a content line to at most 75 octets per line
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = "";
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts toward the limit
+    if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+}
+
+/**
+ * Get the UID a task is exported with
+ * @param {string} taskId - Task ID
+ * @returns {string} UID
+ */
+export function getTaskUid(taskId) {
+  return `${taskId}@${UID_DOMAIN}`;
+}
+
+/**
+ * Get the task a UID was exported from
+ * @param {string} uid - UID from a .ics file
+ * @returns {string|null} Task ID, or null if another app made the UID
+ */
+export function getTaskIdFromUid(uid) {
+  const suffix = `@${UID_DOMAIN}`;
+  if (typeof uid !== "string" || !uid.endsWith(suffix)) return null;
+  const id = uid.slice(0, -suffix.length);
+  return isUUID(id) ? id : null;
+}
+
+/**
+ * Convert a recurrence rule to an RRULE value
+ * @param {Object} recurrence - Task recurrence rule
+ * @param {boolean} allDay - Whether the due date is all-day (UNTIL matches it)
+ * @returns {string} RRULE value
+ */
+function toRRule(recurrence, allDay) {
+  const parts = [`FREQ=${recurrence.frequency.toUpperCase()}`];
+
+  if (recurrence.interval > 1) {
+    parts.push(`INTERVAL=${recurrence.interval}`);
+  }
+
+  const days = (recurrence.daysOfWeek || []).map((day) => WEEKDAYS[day]);
+  if (recurrence.frequency === "weekly" && days.length > 0) {
+    parts.push(`BYDAY=${days.join(",")}`);
+  }
+  if (recurrence.frequency === "monthly") {
+    if (recurrence.weekOfMonth && days.length > 0) {
+      parts.push(`BYDAY=${recurrence.weekOfMonth}${days[0]}`);
+    } else if (recurrence.dayOfMonth) {
+      parts.push(`BYMONTHDAY=${recurrence.dayOfMonth}`);
+    }
+  }
+
+  if (recurrence.until) {
+    const until = toDate(recurrence.until);
+    parts.push(`UNTIL=${allDay ? formatDate(until) : formatDateTime(until)}`);
+  }
+
+  return parts.join(";");
+}
+
+/**
+ * Read an RRULE value into a recurrence rule
+ * Only rules this app can repeat are kept; anything else (yearly rules,
+ * COUNT, several BY parts) returns null, so the task is imported once.
+ * @param {string} value - RRULE value
+ * @returns {Object|null} Recurrence rule
+ */
+function parseRRule(value) {
+  const parts = {};
+  value.split(";").forEach((part) => {
+    const [key, partValue] = part.split("=");
+    if (key && partValue) parts[key.toUpperCase()] = partValue.toUpperCase();
+  });
+
+  const frequency = (parts.FREQ || "").toLowerCase();
+  if (!["daily", "weekly", "monthly"].includes(frequency)) return null;
+
+  const supported = [
+    "FREQ",
+    "INTERVAL",
+    "BYDAY",
+    "BYMONTHDAY",
+    "UNTIL",
+    "WKST",
+  ];
+  if (Object.keys(parts).some((key) => !supported.includes(key))) return null;
+
+  const recurrence = { frequency, interval: 1 };
+  if (parts.INTERVAL) {
+    const interval = Number(parts.INTERVAL);
+    if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+      return null;
+    }
+    recurrence.interval = interval;
+  }
+
+  if (parts.BYDAY) {
+    const days = parts.BYDAY.split(",").map((day) =>
+      day.match(/^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/)
+    );
+    if (days.some((day) => !day)) return null;
+
+    if (frequency === "weekly" && days.every((day) => !day[1])) {
+      recurrence.daysOfWeek = days.map((day) => WEEKDAYS.indexOf(day[2]));
+    } else if (frequency === "monthly" && days.length === 1 && days[0][1]) {
+      const week = Number(days[0][1]);
+      if (![1, 2, 3, 4, -1].includes(week)) return null;
+      recurrence.weekOfMonth = week;
+      recurrence.daysOfWeek = [WEEKDAYS.indexOf(days[0][2])];
+    } else {
+      return null;
+    }
+  }
+
+  if (parts.BYMONTHDAY) {
+    const day = Number(parts.BYMONTHDAY);
+    if (
+      frequency !== "monthly" ||
+      !Number.isInteger(day) ||
+      day < 1 ||
+      day > 31
+    ) {
+      return null;
+    }
+    recurrence.dayOfMonth = day;
+  }
+
+  if (parts.UNTIL) {
+    const until = parseTimestamp(parts.UNTIL);
+    if (!until) return null;
+    recurrence.until = until;
+  }
+
+  return recurrence;
+}
+
+/**
+ * Build the calendar entry for one task
+ * @param {Object} task - Task with a due date
+ * @param {Map<string, string>} categoryNames - Category ID -> name
+ * @param {string} component - One of ICS_COMPONENTS
+ * @param {string} stamp - DTSTAMP value
+ * @returns {Array<string>} Content lines
+ */
+function toComponent(task, categoryNames, component, stamp) {
+  const allDay = isAllDay(task.dueDate);
+  const lines = [
+    `BEGIN:${component}`,
+    `UID:${getTaskUid(task.id)}`,
+    `DTSTAMP:${stamp}`,
+  ];
+
+  if (task.createdAt) {
+    lines.push(`CREATED:${formatDateTime(new Date(task.createdAt))}`);
+  }
+
+  if (component === "VTODO") {
+    lines.push(`SUMMARY:${escapeText(task.title)}`);
+    // Recurring to-dos need a start for RRULE to count from
+    if (task.recurrence) lines.push(dateProperty("DTSTART", task.dueDate));
+    lines.push(dateProperty("DUE", task.dueDate));
+    lines.push(`STATUS:${task.completed ? "COMPLETED" : "NEEDS-ACTION"}`);
+    if (task.completed && task.completedAt) {
+      lines.push(`COMPLETED:${formatDateTime(new Date(task.completedAt))}`);
+    }
+  } else {
+    // Events have no completion status, so it's shown in the title
+    lines.push(
+      `SUMMARY:${escapeText(`${task.completed ? "✓ " : ""}${task.title}`)}`
+    );
+    lines.push(dateProperty("DTSTART", task.dueDate));
+    lines.push("TRANSP:TRANSPARENT");
+  }
+
+  const category = categoryNames.get(task.categoryId);
+  if (category) lines.push(`CATEGORIES:${escapeText(category)}`);
+  if (PRIORITY_VALUES[task.priority]) {
+    lines.push(`PRIORITY:${PRIORITY_VALUES[task.priority]}`);
+  }
+  if (task.recurrence) {
+    lines.push(`RRULE:${toRRule(task.recurrence, allDay)}`);
+  }
+
+  lines.push(`END:${component}`);
+  return lines;
+}
+
+/**
+ * Export tasks as an iCalendar file
+ * Tasks without a due date are left out.
+ * @param {Array<Object>} tasks - Tasks to export
+ * @param {Map<string, string>} categoryNames - Category ID -> name
+ * @param {Object} [options]
+ * @param {string} [options.component="VTODO"] - One of ICS_COMPONENTS
+ * @returns {string} .ics file contents
+ */
+export function toICS(tasks, categoryNames, options = {}) {
+  const component = ICS_COMPONENTS.includes(options.component)
+    ? options.component
+    : "VTODO";
+  const stamp = formatDateTime(new Date());
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    ...tasks
+      .filter((task) => task.dueDate)
+      .flatMap((task) => toComponent(task, categoryNames, component, stamp)),
+    "END:VCALENDAR",
+  ];
+
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
+
+/**
+ * Read a DATE or DATE-TIME value as a due date
+ * Floating times and times with a TZID are read as local time.
+ * @param {string} value - YYYYMMDD or YYYYMMDDTHHMMSS[Z]
+ * @returns {string|null} Day (YYYY-MM-DD) for dates, ISO timestamp for
+ *   date-times
+ */
+function parseDate(value) {
+  const match = value.match(
+    /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/
+  );
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  const parts = [
+    Number(year),
+    Number(month) - 1,
+    Number(day),
+    Number(hours || 0),
+    Number(minutes || 0),
+    Number(seconds || 0),
+  ];
+  const date = utc ? new Date(Date.UTC(...parts)) : new Date(...parts);
+  if (isNaN(date.getTime())) return null;
+  return hours === undefined ? toDay(date) : date.toISOString();
+}
+
+/**
+ * Read a DATE or DATE-TIME value as a timestamp
+ * @param {string} value - YYYYMMDD or YYYYMMDDTHHMMSS[Z]
+ * @returns {string|null} ISO timestamp (local midnight for dates)
+ */
+function parseTimestamp(value) {
+  const date = parseDate(value);
+  return date ? toDate(date).toISOString() : null;
+}
+
+/**
+ * Split a content line into name, parameters and value
+ * @param {string} line - Unfolded content line
+ * @returns {Object|null} { name, params, value }
+ */
+function parseLine(line) {
+  // The value starts at the first colon outside a quoted parameter
+  let quoted = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    if (line[i] === ":" && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, colon).split(";");
+  const params = {};
+  paramParts.forEach((part) => {
+    const [key, paramValue = ""] = part.split("=");
+    params[key.toUpperCase()] = paramValue.replace(/^"|"$/g, "");
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Split a comma-separated TEXT list
+ * @param {string} value - Escaped list
+ * @returns {Array<string>} Unescaped items
+ */
+function splitList(value) {
+  return value
+    .split(/(?<!\\),/)
+    .map((item) => unescapeText(item).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Read the to-dos in an iCalendar file
+ * Events, alarms and other components are skipped.
+ * @param {string} text - .ics file contents
+ * @returns {Object} { success, todos, error } where each to-do is
+ *   { uid, taskId, title, dueDate, completed, completedAt, categories,
+ *   priority, recurrence }
+ */
+export function parseICS(text) {
+  if (typeof text !== "string" || !/^\s*BEGIN:VCALENDAR/i.test(text)) {
+    return { success: false, todos: [], error: "Not an iCalendar file" };
+  }
+
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const todos = [];
+  const stack = [];
+  let current = null;
+
+  lines.forEach((raw) => {
+    const line = parseLine(raw);
+    if (!line) return;
+
+    if (line.name === "BEGIN") {
+      stack.push(line.value.toUpperCase());
+      if (stack.join("/") === "VCALENDAR/VTODO") {
+        current = { categories: [], properties: {} };
+      }
+      return;
+    }
+    if (line.name === "END") {
+      if (stack.join("/") === "VCALENDAR/VTODO" && current) {
+        todos.push(current);
+        current = null;
+      }
+      stack.pop();
+      return;
+    }
+
+    // Properties of the to-do itself, not of its alarms
+    if (!current || stack.length !== 2) return;
+    if (line.name === "CATEGORIES") {
+      current.categories.push(...splitList(line.value));
+    } else {
+      current.properties[line.name] = line.value;
+    }
+  });
+
+  return {
+    success: true,
+    todos: todos.map(({ categories, properties }) => {
+      const uid = properties.UID || null;
+      const due = properties.DUE || properties.DTSTART;
+      const completed =
+        (properties.STATUS || "").toUpperCase() === "COMPLETED" ||
+        !!properties.COMPLETED;
+
+      return {
+        uid,
+        taskId: getTaskIdFromUid(uid),
+        title: unescapeText(properties.SUMMARY || ""),
+        dueDate: due ? parseDate(due) : null,
+        completed,
+        completedAt:
+          completed && properties.COMPLETED
+            ? parseTimestamp(properties.COMPLETED)
+            : null,
+        categories,
+        priority: toPriority(Number(properties.PRIORITY)),
+        recurrence: properties.RRULE ? parseRRule(properties.RRULE) : null,
+      };
+    }),
+    error: null,
+  };
+}
+
+/**
+ * Turn an imported to-do into a task draft, like the other import adapters
+ * The category is the first of the to-do's CATEGORIES that matches an
+ * existing category, or else the first one, which is created on import.
+ * @param {Object} todo - To-do from parseICS()
+ * @param {Array<Object>} categories - Existing categories
+ * @returns {Object} TaskDraft plus the taskId it was exported from, if any
+ */
+export function toTaskDraft(todo, categories) {
+  const match = todo.categories
+    .map((name) => findCategoryByName(name, categories))
+    .find(Boolean);
+
+  return {
+    taskId: todo.taskId,
+    title: todo.title.trim(),
+    completed: todo.completed,
+    completedAt: todo.completedAt,
+    dueDate: todo.dueDate,
+    priority: todo.priority,
+    recurrence: todo.recurrence,
+    category: match ? match.name : todo.categories[0] || null,
+    subtasks: [],
+  };
+}
@@ -0,0 +1,78 @@
+/**
+ * ID Migration Service
+ * One-time upgrade of locally stored IDs to UUIDs
+ *
+ * Older versions generated `timestamp-random` IDs, which can't be stored in
+ * Supabase's UUID columns, so local categories had to be matched to cloud
+ * ones by name. Rewriting them once lets every record keep the same ID
+ * locally and in the cloud.
+ */
+
+import { getItem, setItem } from "./storageService";
+import { getRepository, remapRecordIds, replaceRecords } from "./repository";
+import { generateId, isUUID } from "../utils/helpers";
+import { remapIds } from "./outboxService";
+import { remapConflictTargets } from "./conflictService";
+
+const MIGRATED_KEY = "uuid-ids-migrated";
+const COLLECTIONS = { task: "tasks", category: "categories" };
+
+/**
+ * Assign a new UUID to every record whose ID isn't one
+ * @param {Array<Object>} records - Tasks or categories
+ * @returns {Map<string, string>} Old ID -> new ID
+ */
+function buildIdMap(records) {
+  const idMap = new Map();
+  records.forEach((record) => {
+    if (record?.id && !isUUID(record.id) && !idMap.has(record.id)) {
+      idMap.set(record.id, generateId());
+    }
+  });
+  return idMap;
+}
+
+/**
+ * Give local records new IDs
+ * Used when legacy IDs are upgraded to UUIDs, when a category is matched to
+ * an existing cloud category, and when local copies are merged into cloud
+ * records. Queued operations and open conflicts follow the records.
+ * @param {string} entity - "task" | "category"
+ * @param {Map<string, string>} idMap - Old ID -> new ID
+ */
+export function remapLocalIds(entity, idMap) {
+  if (idMap.size === 0) return;
+  remapRecordIds(COLLECTIONS[entity], idMap);
+  remapIds(entity, idMap);
+  remapConflictTargets(entity, idMap);
+}
+
+/**
+ * Rewrite legacy task and category IDs as UUIDs
+ * Task categoryId references, queued outbox operations and open conflicts
+ * are updated to match. Runs once per browser.
+ * @returns {Object} { migrated: boolean, tasks: number, categories: number }
+ */
+export function migrateLocalIds() {
+  if (getItem(MIGRATED_KEY, false)) {
+    return { migrated: false, tasks: 0, categories: 0 };
+  }
+
+  const categoryIds = buildIdMap(getRepository("categories").list().data);
+  const taskIds = buildIdMap(getRepository("tasks").list().data);
+
+  remapLocalIds("category", categoryIds);
+  remapLocalIds("task", taskIds);
+
+  // References to categories that no longer exist can't be migrated
+  replaceRecords(getRepository("tasks"), (tasks) =>
+    tasks.map((task) =>
+      task.categoryId && !isUUID(task.categoryId)
+        ? { ...task, categoryId: null }
+        : task
+    )
+  );
+
+  setItem(MIGRATED_KEY, true);
+  return { migrated: true, tasks: taskIds.size, categories: categoryIds.size };
+}
@@ -0,0 +1,462 @@
+/**
+ * Import Adapters
+ * Read task lists exported by other tools: todo.txt, CSV (with a column
+ * mapping) and JSON exports from Todoist and Microsoft To Do
+ *
+ * Every adapter returns drafts in the same shape, which the import dialog
+ * turns into tasks through createTask(); categories are referred to by
+ * name and matched or created when the drafts are imported.
+ */
+
+import { parseDateValue, toDate } from "./dateParser";
+import { sanitizeTaskTitle } from "../utils/sanitize";
+import { validateTaskTitle } from "../utils/validators";
+import { generateId } from "../utils/helpers";
+
+/**
+ * Task read from another app's export
+ * @typedef {Object} TaskDraft
+ * @property {string} title - Task title
+ * @property {boolean} completed - Completion status
+ * @property {string|null} completedAt - ISO timestamp
+ * @property {string|null} dueDate - ISO timestamp (local midnight = all day)
+ * @property {string} priority - "none" | "low" | "medium" | "high" | "urgent"
+ * @property {string|null} category - Category name
+ * @property {Array<Object>} subtasks - { id, title, completed }
+ */
+
+/**
+ * Fields a CSV column can be mapped to
+ */
+export const CSV_FIELDS = {
+  title: "Title",
+  category: "Category",
+  priority: "Priority",
+  dueDate: "Due date",
+  completed: "Completed",
+  completedAt: "Completed at",
+};
+
+// Header names recognized for each field, lowercased
+const CSV_HEADERS = {
+  title: ["title", "task", "name", "content", "subject", "summary"],
+  category: ["category", "project", "list", "folder"],
+  priority: ["priority", "importance"],
+  dueDate: ["due date", "due", "deadline", "due_date", "duedate"],
+  completed: ["completed", "done", "status", "is_completed", "complete"],
+  completedAt: [
+    "completed at",
+    "completed date",
+    "completed_at",
+    "date completed",
+  ],
+};
+
+// todo.txt priority letters
+const TODO_TXT_PRIORITIES = { A: "urgent", B: "high", C: "medium", D: "low" };
+
+// Todoist priorities run from 4 (p1, highest) to 1 (p4, none)
+const TODOIST_PRIORITIES = { 4: "urgent", 3: "high", 2: "medium" };
+
+// Microsoft To Do has three importance levels
+const MICROSOFT_PRIORITIES = { high: "high", low: "low" };
+
+const TASK_PRIORITIES = ["none", "low", "medium", "high", "urgent"];
+
+/**
+ * Parse a date into a due date
+ * @param {*} value - Date text
+ * @returns {string|null} Day for dates without a time, else ISO timestamp
+ */
+function toDueDate(value) {
+  return typeof value === "string" ? parseDateValue(value) : null;
+}
+
+/**
+ * Parse a date into an ISO timestamp
+ * @param {*} value - Date text
+ * @returns {string|null} ISO timestamp (local midnight for days)
+ */
+function toTimestamp(value) {
+  const date = toDueDate(value);
+  return date ? toDate(date).toISOString() : null;
+}
+
+/**
+ * Build a draft with defaults for missing fields
+ * @param {Object} fields - Fields read from the file
+ * @returns {TaskDraft} Draft
+ */
+function toDraft(fields) {
+  const completed = fields.completed === true;
+  return {
+    title: typeof fields.title === "string" ? fields.title.trim() : "",
+    completed,
+    completedAt: completed ? fields.completedAt || null : null,
+    dueDate: fields.dueDate || null,
+    priority: TASK_PRIORITIES.includes(fields.priority)
+      ? fields.priority
+      : "none",
+    category:
+      typeof fields.category === "string" && fields.category.trim()
+        ? fields.category.trim()
+        : null,
+    subtasks: fields.subtasks || [],
+  };
+}
+
+/**
+ * Build subtasks, leaving out any without a usable title
+ * @param {Array<Object>} items - { title, completed }
+ * @returns {Array<Object>} Subtasks as stored on a task
+ */
+function toSubtasks(items) {
+  return items
+    .map((item) => ({
+      id: generateId(),
+      title: sanitizeTaskTitle(item.title),
+      completed: item.completed === true,
+    }))
+    .filter((subtask) => validateTaskTitle(subtask.title).valid);
+}
+
+/**
+ * Read a todo.txt file
+ * Supports completion (x), completion and creation dates, (A)-(D)
+ * priorities (later letters read as low), the first +project as the
+ * category, and due: and pri: keys. Other key:value tags and +projects are
+ * dropped from the title; @contexts are kept in it.
+ * @param {string} text - File contents
+ * @returns {Array<TaskDraft>} Drafts, one per non-empty line
+ */
+export function parseTodoTxt(text) {
+  return String(text)
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      let rest = line;
+      let completed = false;
+      let completedAt = null;
+      let priority = null;
+
+      const done = rest.match(/^x\s+(?:(\d{4}-\d{2}-\d{2})\s+)?/);
+      if (done) {
+        completed = true;
+        completedAt = done[1] ? toTimestamp(done[1]) : null;
+        rest = rest.slice(done[0].length);
+      }
+
+      const letter = rest.match(/^\(([A-Z])\)\s+/);
+      if (letter) {
+        priority = TODO_TXT_PRIORITIES[letter[1]] || "low";
+        rest = rest.slice(letter[0].length);
+      }
+
+      // Creation date, which createTask() sets itself
+      rest = rest.replace(/^\d{4}-\d{2}-\d{2}\s+/, "");
+
+      const fields = { completed, completedAt, priority };
+      const words = rest.split(/\s+/).filter((word) => {
+        const project = word.match(/^\+(\S+)$/);
+        if (project) {
+          fields.category = fields.category || project[1];
+          return false;
+        }
+
+        const tag = word.match(/^([A-Za-z]+):(\S+)$/);
+        if (!tag || /^https?$/i.test(tag[1])) return true;
+        if (tag[1].toLowerCase() === "due") {
+          fields.dueDate = toDueDate(tag[2]);
+        } else if (tag[1].toLowerCase() === "pri" && !priority) {
+          fields.priority = TODO_TXT_PRIORITIES[tag[2].toUpperCase()] || "low";
+        }
+        return false;
+      });
+
+      return toDraft({ ...fields, title: words.join(" ") });
+    });
+}
+
+/**
+ * Split CSV text into rows of fields
+ * Handles quoted fields with commas, quotes and line breaks. The
+ * delimiter (comma, semicolon or tab) is picked from the header row.
+ * @param {string} text - File contents
+ * @returns {Object} { headers, rows } where rows are arrays of strings
+ */
+export function parseCSV(text) {
+  const source = String(text).replace(/^\uFEFF/, "");
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = [",", ";", "\t"].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length
+      ? candidate
+      : best
+  );
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [headers = [], ...data] = rows.filter((r) =>
+    r.some((value) => value.trim() !== "")
+  );
+  return { headers: headers.map((header) => header.trim()), rows: data };
+}
+
+/**
+ * Guess which CSV column holds each field from the header names
+ * @param {Array<string>} headers - Header row
+ * @returns {Object} Field -> column index, or -1 when there's none
+ */
+export function guessColumnMapping(headers) {
+  const names = headers.map((header) => header.trim().toLowerCase());
+  const mapping = {};
+  Object.keys(CSV_FIELDS).forEach((field) => {
+    mapping[field] = names.findIndex((name) =>
+      CSV_HEADERS[field].includes(name)
+    );
+  });
+  return mapping;
+}
+
+/**
+ * Read a yes/no value
+ * @param {string} value - Cell text
+ * @returns {boolean} True for values meaning done
+ */
+function isDone(value) {
+  return [
+    "true",
+    "yes",
+    "y",
+    "1",
+    "x",
+    "done",
+    "completed",
+    "complete",
+  ].includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * Turn CSV rows into drafts with a column mapping
+ * A leading apostrophe that protected a value from being read as a formula
+ * is removed.
+ * @param {Array<Array<string>>} rows - Rows from parseCSV()
+ * @param {Object} mapping - Field -> column index (-1 for none)
+ * @returns {Array<TaskDraft>} Drafts, one per row
+ */
+export function mapCsvRows(rows, mapping) {
+  const read = (row, field) => {
+    const value = mapping[field] >= 0 ? row[mapping[field]] ?? "" : "";
+    return value.replace(/^'(?=[=+\-@])/, "").trim();
+  };
+
+  return rows.map((row) => {
+    const priority = read(row, "priority").toLowerCase();
+    return toDraft({
+      title: read(row, "title"),
+      category: read(row, "category"),
+      priority: TASK_PRIORITIES.includes(priority) ? priority : "none",
+      dueDate: toDueDate(read(row, "dueDate")),
+      completed: isDone(read(row, "completed")),
+      completedAt: toTimestamp(read(row, "completedAt")),
+    });
+  });
+}
+
+/**
+ * Read a Todoist JSON export
+ * Accepts the Sync API shape ({ projects, items }) and the REST API shape
+ * ({ projects, tasks }). Projects become categories and sub-tasks become
+ * subtasks of their parent. Recurring due dates are imported once, since
+ * Todoist stores the rule as free text.
+ * @param {Object} data - Parsed JSON
+ * @returns {Array<TaskDraft>} Drafts for top-level tasks
+ */
+export function parseTodoist(data) {
+  const items = data.items || data.tasks || [];
+  const projects = new Map(
+    (data.projects || []).map((project) => [String(project.id), project.name])
+  );
+
+  const children = new Map();
+  items
+    .filter((item) => item.parent_id != null)
+    .forEach((item) => {
+      const key = String(item.parent_id);
+      children.set(key, [...(children.get(key) || []), item]);
+    });
+
+  const isCompleted = (item) =>
+    item.checked === true || item.checked === 1 || item.is_completed === true;
+
+  return items
+    .filter((item) => item.parent_id == null)
+    .map((item) =>
+      toDraft({
+        title: item.content,
+        completed: isCompleted(item),
+        completedAt: toTimestamp(item.completed_at),
+        dueDate: item.due
+          ? toDueDate(item.due.datetime || item.due.date)
+          : null,
+        priority: TODOIST_PRIORITIES[item.priority],
+        category: projects.get(String(item.project_id)),
+        subtasks: toSubtasks(
+          (children.get(String(item.id)) || []).map((child) => ({
+            title: child.content,
+            completed: isCompleted(child),
+          }))
+        ),
+      })
+    );
+}
+
+/**
+ * Read a Microsoft Graph date-time ({ dateTime, timeZone })
+ * @param {Object} value - Graph dateTimeTimeZone
+ * @param {boolean} dayOnly - Keep only the day (To Do due dates are days)
+ * @returns {string|null} Day if dayOnly, else ISO timestamp
+ */
+function fromGraphDate(value, dayOnly) {
+  if (!value || typeof value.dateTime !== "string") return null;
+
+  const dateTime = value.dateTime.slice(0, 19);
+  if (dayOnly) return toDueDate(dateTime.slice(0, 10));
+  return toTimestamp(value.timeZone === "UTC" ? `${dateTime}Z` : dateTime);
+}
+
+/**
+ * Read a Microsoft To Do export
+ * Accepts { lists: [...] } or a Graph response ({ value: [...] }) of task
+ * lists with their tasks. Lists become categories and checklist items
+ * become subtasks.
+ * @param {Object} data - Parsed JSON
+ * @returns {Array<TaskDraft>} Drafts
+ */
+export function parseMicrosoftToDo(data) {
+  const lists = data.lists || data.value || [];
+
+  return lists.flatMap((list) =>
+    (list.tasks || []).map((task) =>
+      toDraft({
+        title: task.title,
+        completed: task.status === "completed",
+        completedAt: fromGraphDate(task.completedDateTime, false),
+        dueDate: fromGraphDate(task.dueDateTime, true),
+        priority: MICROSOFT_PRIORITIES[task.importance],
+        category: list.displayName,
+        subtasks: toSubtasks(
+          (task.checklistItems || []).map((item) => ({
+            title: item.displayName,
+            completed: item.isChecked === true,
+          }))
+        ),
+      })
+    )
+  );
+}
+
+/**
+ * Tell which app a JSON file came from
+ * @param {Object} data - Parsed JSON
+ * @returns {string|null} "todoist" | "microsoft-todo", or null for this
+ *   app's backups and anything unknown
+ */
+export function detectJsonFormat(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) return null;
+
+  const todoistItems = data.items || data.tasks;
+  if (
+    Array.isArray(data.projects) &&
+    Array.isArray(todoistItems) &&
+    todoistItems.every((item) => typeof item?.content === "string")
+  ) {
+    return "todoist";
+  }
+
+  const lists = data.lists || data.value;
+  if (
+    Array.isArray(lists) &&
+    lists.length > 0 &&
+    lists.every(
+      (list) =>
+        typeof list?.displayName === "string" &&
+        (list.tasks === undefined || Array.isArray(list.tasks))
+    )
+  ) {
+    return "microsoft-todo";
+  }
+
+  return null;
+}
+
+/**
+ * Find the existing category a name refers to
+ * Names match case-insensitively, with hyphens standing for spaces (as in
+ * todo.txt +projects).
+ * @param {string} name - Category name from a file
+ * @param {Array<Object>} categories - Existing categories
+ * @returns {Object|undefined} Matching category
+ */
+export function findCategoryByName(name, categories) {
+  const key = name.trim().toLowerCase();
+  return categories.find((category) => {
+    if (category.deletedAt) return false;
+    const existing = category.name.toLowerCase();
+    return existing === key || existing.replace(/ /g, "-") === key;
+  });
+}
+
+// Colors the app has styles for (see getCategoryColorClasses)
+const CATEGORY_COLORS = [
+  "#3b82f6",
+  "#10b981",
+  "#f59e0b",
+  "#ef4444",
+  "#8b5cf6",
+  "#ec4899",
+  "#06b6d4",
+];
+
+/**
+ * Pick a color for a category an import creates
+ * @param {number} index - How many categories this import created before
+ * @returns {string} Hex color
+ */
+export function pickCategoryColor(index) {
+  return CATEGORY_COLORS[index % CATEGORY_COLORS.length];
+}
@@ -0,0 +1,595 @@
+/**
+ * Import Service
+ * Checks backup files before they touch local data, previews what importing
+ * them would change and plans the writes for a merge strategy
+ *
+ * Only tasks, categories and preferences are imported. Each record is
+ * rebuilt from the fields the app knows, with text sanitized and validated
+ * as createTask() and createCategory() do, so a malformed or tampered file
+ * can't add unknown keys, markup or references to missing categories.
+ */
+
+import { migrateData } from "./schemaService";
+import { getRepository } from "./repository";
+import { getPreferences, updatePreferences } from "./preferencesService";
+import {
+  TASK_FIELDS,
+  CATEGORY_FIELDS,
+  stampFields,
+  mergeRecord,
+  getFieldTimes,
+} from "./mergeService";
+import {
+  validateTaskTitle,
+  validateCategoryName,
+  validateDate,
+  validateColor,
+  validateRecurrence,
+  validatePriority,
+} from "../utils/validators";
+import {
+  sanitizeText,
+  sanitizeTaskTitle,
+  sanitizeCategoryName,
+  containsXSS,
+} from "../utils/sanitize";
+import { generateId, isUUID } from "../utils/helpers";
+
+/**
+ * How records that exist on both sides are handled
+ * - replace: the file wins, and local records missing from it go to the trash
+ * - newest: each field keeps whichever side edited it last
+ * - both: changed tasks are added as copies; changed categories keep the
+ *   local version, since category names must stay unique
+ */
+export const IMPORT_STRATEGIES = ["replace", "newest", "both"];
+
+const TASK_DATES = [
+  "createdAt",
+  "dueDate",
+  "completedAt",
+  "deletedAt",
+  "archivedAt",
+];
+const CATEGORY_DATES = ["createdAt", "deletedAt"];
+
+/**
+ * One record from the file, compared with local data
+ * @typedef {Object} ImportItem
+ * @property {string} status - "new" | "changed" | "identical" | "invalid"
+ * @property {string} label - Title or name to show
+ * @property {Object|null} record - Record as it would be stored
+ * @property {Object|null} local - Local record it matches
+ * @property {Array<string>} fields - Fields that differ (changed only)
+ * @property {Array<string>} errors - Why it can't be imported (invalid only)
+ * @property {Array<string>} warnings - What was fixed to import it
+ */
+
+/**
+ * Compare two field values as stored
+ * @returns {boolean} True if equal (missing counts as null)
+ */
+function isSame(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Sanitize and validate a piece of text
+ * Text with script-like content is rejected rather than cleaned up, since
+ * it can only come from a tampered file.
+ * @param {*} value - Raw value
+ * @param {string} label - Name for the error message
+ * @param {Function} sanitize - Sanitizer
+ * @param {Function} validate - Validator returning { valid, error }
+ * @returns {Object} { value, error }
+ */
+function readText(value, label, sanitize, validate) {
+  if (typeof value === "string" && containsXSS(value)) {
+    return { value: null, error: `${label} contains unsafe content` };
+  }
+
+  const sanitized = sanitize(value);
+  const validation = validate(sanitized);
+  return validation.valid
+    ? { value: sanitized, error: null }
+    : { value: null, error: validation.error };
+}
+
+/**
+ * Check the optional timestamps of a record
+ * @param {Object} raw - Record from the file
+ * @param {Array<string>} fields - Timestamp fields
+ * @returns {Array<string>} Errors
+ */
+function checkDates(raw, fields) {
+  return fields
+    .filter(
+      (field) =>
+        raw[field] != null &&
+        (typeof raw[field] !== "string" || !validateDate(raw[field]).valid)
+    )
+    .map((field) => `Invalid date in ${field}`);
+}
+
+/**
+ * Keep the valid edit times of tracked fields
+ * @param {*} stamps - fieldUpdatedAt from the file
+ * @param {Array<string>} fields - Tracked fields
+ * @returns {Object} Field -> ISO timestamp
+ */
+function readStamps(stamps, fields) {
+  const valid = {};
+  if (!stamps || typeof stamps !== "object") return valid;
+
+  fields.forEach((field) => {
+    if (
+      typeof stamps[field] === "string" &&
+      validateDate(stamps[field]).valid
+    ) {
+      valid[field] = stamps[field];
+    }
+  });
+  return valid;
+}
+
+/**
+ * Get a printable name for a record, even an invalid one
+ * @param {*} value - Title or name from the file
+ * @param {string} fallback - Shown when there's nothing usable
+ * @returns {string} Label
+ */
+function toLabel(value, fallback) {
+  return (typeof value === "string" && sanitizeText(value)) || fallback;
+}
+
+/**
+ * Rebuild a task from the file
+ * @param {Object} raw - Task from the file
+ * @returns {Object} { record, errors } where record is null if invalid;
+ *   the record keeps the file's ID and categoryId, resolved later
+ */
+function readTask(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { record: null, errors: ["Not a task"] };
+  }
+
+  const errors = checkDates(raw, TASK_DATES);
+  const title = readText(
+    raw.title,
+    "Title",
+    sanitizeTaskTitle,
+    validateTaskTitle
+  );
+  if (title.error) errors.push(title.error);
+
+  if (raw.completed != null && typeof raw.completed !== "boolean") {
+    errors.push("Invalid completion status");
+  }
+  if (raw.order != null && !Number.isFinite(raw.order)) {
+    errors.push("Invalid order");
+  }
+  if (raw.categoryId != null && typeof raw.categoryId !== "string") {
+    errors.push("Invalid category reference");
+  }
+
+  const recurrence = validateRecurrence(raw.recurrence);
+  if (!recurrence.valid) errors.push(recurrence.error);
+  const priority = validatePriority(raw.priority);
+  if (!priority.valid) errors.push(priority.error);
+
+  const subtasks = [];
+  if (raw.subtasks != null && !Array.isArray(raw.subtasks)) {
+    errors.push("Invalid subtasks");
+  }
+  (Array.isArray(raw.subtasks) ? raw.subtasks : []).forEach((subtask) => {
+    const text = readText(
+      subtask?.title,
+      "Subtask title",
+      sanitizeTaskTitle,
+      validateTaskTitle
+    );
+    if (text.error) {
+      errors.push(text.error);
+      return;
+    }
+    subtasks.push({
+      id: isUUID(subtask.id) ? subtask.id : generateId(),
+      title: text.value,
+      completed: subtask.completed === true,
+    });
+  });
+
+  if (errors.length > 0) return { record: null, errors };
+
+  return {
+    record: {
+      id: raw.id,
+      title: title.value,
+      completed: raw.completed === true,
+      createdAt: raw.createdAt || new Date().toISOString(),
+      order: raw.order ?? 0,
+      categoryId: raw.categoryId || null,
+      dueDate: raw.dueDate || null,
+      completedAt: raw.completedAt || null,
+      recurrence: raw.recurrence || null,
+      subtasks,
+      priority: raw.priority || "none",
+      deletedAt: raw.deletedAt || null,
+      archivedAt: raw.archivedAt || null,
+      fieldUpdatedAt: readStamps(raw.fieldUpdatedAt, TASK_FIELDS),
+    },
+    errors: [],
+  };
+}
+
+/**
+ * Rebuild a category from the file
+ * @param {Object} raw - Category from the file
+ * @returns {Object} { record, errors } where record is null if invalid
+ */
+function readCategory(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { record: null, errors: ["Not a category"] };
+  }
+
+  const errors = checkDates(raw, CATEGORY_DATES);
+  const name = readText(
+    raw.name,
+    "Name",
+    sanitizeCategoryName,
+    validateCategoryName
+  );
+  if (name.error) errors.push(name.error);
+
+  const color = validateColor(raw.color);
+  if (!color.valid) errors.push(color.error);
+  if (raw.order != null && !Number.isFinite(raw.order)) {
+    errors.push("Invalid order");
+  }
+
+  if (errors.length > 0) return { record: null, errors };
+
+  return {
+    record: {
+      id: raw.id,
+      name: name.value,
+      color: raw.color,
+      createdAt: raw.createdAt || new Date().toISOString(),
+      ...(raw.order != null && { order: raw.order }),
+      deletedAt: raw.deletedAt || null,
+      fieldUpdatedAt: readStamps(raw.fieldUpdatedAt, CATEGORY_FIELDS),
+    },
+    errors: [],
+  };
+}
+
+/**
+ * Build the preview entry for a valid record
+ * @param {Object} record - Record as it would be stored
+ * @param {Object|undefined} local - Matching local record
+ * @param {Array<string>} fields - Tracked fields to compare
+ * @param {string} label - Title or name
+ * @param {Array<string>} warnings - Fixes made while reading it
+ * @returns {ImportItem} Preview entry
+ */
+function compareRecord(record, local, fields, label, warnings = []) {
+  const base = { label, record, local: local || null, errors: [], warnings };
+  if (!local) return { ...base, status: "new", fields: [] };
+
+  const changed = fields.filter(
+    (field) => !isSame(record[field], local[field])
+  );
+  return {
+    ...base,
+    status: changed.length > 0 ? "changed" : "identical",
+    fields: changed,
+  };
+}
+
+/**
+ * Build the preview entry for a record that can't be imported
+ * @param {Object} raw - Record from the file
+ * @param {string} label - Title or name
+ * @param {Array<string>} errors - What's wrong with it
+ * @returns {ImportItem} Preview entry
+ */
+function invalidItem(raw, label, errors) {
+  return {
+    status: "invalid",
+    label,
+    record: null,
+    local: null,
+    fields: [],
+    errors,
+    warnings: [],
+    // Keeps "replace" from trashing the local copy of a broken record
+    id: typeof raw?.id === "string" ? raw.id : null,
+  };
+}
+
+/**
+ * Keep the preferences this version knows, with values of the right type
+ * @param {*} stored - Preferences from the file
+ * @returns {Object|null} Preferences to apply, or null if none
+ */
+function readPreferences(stored) {
+  if (!stored || typeof stored !== "object" || Array.isArray(stored)) {
+    return null;
+  }
+
+  const current = getPreferences();
+  const preferences = {};
+  Object.keys(current).forEach((key) => {
+    const value = stored[key];
+    const expected = current[key] === null ? "string" : typeof current[key];
+    if (value === null || typeof value === expected) {
+      preferences[key] = value;
+    }
+  });
+  return Object.keys(preferences).length > 0 ? preferences : null;
+}
+
+/**
+ * Count preview entries by status
+ * @param {Array<ImportItem>} items - Preview entries
+ * @returns {Object} { new, changed, identical, invalid }
+ */
+function countStatuses(items) {
+  const counts = { new: 0, changed: 0, identical: 0, invalid: 0 };
+  items.forEach((item) => counts[item.status]++);
+  return counts;
+}
+
+/**
+ * Check a backup and compare it with local data, without writing anything
+ * Backups from older versions are migrated first. Legacy (non-UUID) IDs get
+ * new ones, and categories are matched to local ones by ID or by name.
+ * @param {Object} data - Parsed backup file
+ * @returns {Object} { success, preview, error } where preview is
+ *   { tasks, categories, preferences, counts: { tasks, categories } }
+ */
+export function previewImport(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { success: false, preview: null, error: "Invalid data format" };
+  }
+
+  const migrated = migrateData(data);
+  if (!migrated.success) {
+    return { success: false, preview: null, error: migrated.error };
+  }
+
+  const { tasks = [], categories = [] } = migrated.data;
+  if (!Array.isArray(tasks) || !Array.isArray(categories)) {
+    return { success: false, preview: null, error: "Invalid data format" };
+  }
+
+  const localCategories = getRepository("categories").list().data || [];
+  const localTasks = getRepository("tasks").list().data || [];
+  const localCategoryById = new Map(localCategories.map((c) => [c.id, c]));
+  const localCategoryByName = new Map(
+    localCategories
+      .filter((category) => !category.deletedAt)
+      .map((category) => [category.name.toLowerCase(), category])
+  );
+
+  // Category ID in the file -> ID it's stored under
+  const categoryIds = new Map();
+  const usedNames = new Set();
+
+  const categoryItems = categories.map((raw) => {
+    const label = toLabel(raw?.name, "(unnamed category)");
+    const { record, errors } = readCategory(raw);
+    if (!record) return invalidItem(raw, label, errors);
+
+    const key = record.name.toLowerCase();
+    const sameName = localCategoryByName.get(key);
+    const local = localCategoryById.get(record.id) || sameName;
+    const id = local ? local.id : isUUID(record.id) ? record.id : generateId();
+
+    if (
+      usedNames.has(key) ||
+      [...categoryIds.values()].includes(id) ||
+      (sameName && sameName.id !== id)
+    ) {
+      return invalidItem(raw, label, ["Category name already exists"]);
+    }
+    usedNames.add(key);
+    if (record.id) categoryIds.set(record.id, id);
+
+    return compareRecord({ ...record, id }, local, CATEGORY_FIELDS, label);
+  });
+
+  const knownCategoryIds = new Set([
+    ...localCategories.map((category) => category.id),
+    ...categoryIds.values(),
+  ]);
+  const localTaskById = new Map(localTasks.map((task) => [task.id, task]));
+  const usedTaskIds = new Set();
+
+  const taskItems = tasks.map((raw) => {
+    const label = toLabel(raw?.title, "(untitled task)");
+    const { record, errors } = readTask(raw);
+    if (!record) return invalidItem(raw, label, errors);
+
+    const id = isUUID(record.id) ? record.id : generateId();
+    if (usedTaskIds.has(id)) {
+      return invalidItem(raw, label, ["Duplicate task ID"]);
+    }
+    usedTaskIds.add(id);
+
+    const warnings = [];
+    let categoryId = record.categoryId
+      ? categoryIds.get(record.categoryId) || record.categoryId
+      : null;
+    if (categoryId && !knownCategoryIds.has(categoryId)) {
+      warnings.push("Its category wasn't found, so it's imported without one");
+      categoryId = null;
+    }
+
+    return compareRecord(
+      { ...record, id, categoryId },
+      localTaskById.get(id),
+      TASK_FIELDS,
+      label,
+      warnings
+    );
+  });
+
+  return {
+    success: true,
+    preview: {
+      tasks: taskItems,
+      categories: categoryItems,
+      preferences: readPreferences(migrated.data["user-preferences"]),
+      counts: {
+        tasks: countStatuses(taskItems),
+        categories: countStatuses(categoryItems),
+      },
+    },
+    error: null,
+  };
+}
+
+/**
+ * Pick some fields of a record
+ * @param {Object} record - Source record
+ * @param {Array<string>} fields - Fields to copy
+ * @returns {Object} Picked fields
+ */
+function pick(record, fields) {
+  const picked = {};
+  fields.forEach((field) => {
+    picked[field] = record[field] ?? null;
+  });
+  return picked;
+}
+
+/**
+ * Build an update that keeps the edit times of the values it replaces
+ * @param {Object} local - Local record
+ * @param {Object} changes - Tracked fields to change
+ * @param {Object} fieldUpdatedAt - Edit times to store
+ * @returns {Object} Repository update operation, with base for the outbox
+ */
+function updateOperation(local, changes, fieldUpdatedAt) {
+  return {
+    type: "update",
+    id: local.id,
+    changes: { ...changes, fieldUpdatedAt },
+    base: getFieldTimes(local, changes),
+  };
+}
+
+/**
+ * Plan the writes for one collection
+ * @param {Array<ImportItem>} items - Preview entries
+ * @param {string} collection - "tasks" | "categories"
+ * @param {string} strategy - One of IMPORT_STRATEGIES
+ * @param {string} now - ISO timestamp for the edits
+ * @returns {Array<Object>} Repository operations
+ */
+function planCollection(items, collection, strategy, now) {
+  const fields = collection === "tasks" ? TASK_FIELDS : CATEGORY_FIELDS;
+  const operations = [];
+
+  items.forEach((item) => {
+    if (item.status === "new") {
+      operations.push({ type: "create", record: item.record });
+    }
+    if (item.status !== "changed") return;
+
+    const { record, local } = item;
+    if (strategy === "replace") {
+      operations.push(
+        updateOperation(
+          local,
+          pick(record, item.fields),
+          stampFields(local.fieldUpdatedAt, item.fields, now)
+        )
+      );
+    } else if (strategy === "newest") {
+      const merged = mergeRecord(record, local, fields);
+      const changed = fields.filter(
+        (field) => !isSame(merged[field], local[field])
+      );
+      if (changed.length > 0) {
+        operations.push(
+          updateOperation(local, pick(merged, changed), merged.fieldUpdatedAt)
+        );
+      }
+    } else if (collection === "tasks") {
+      operations.push({
+        type: "create",
+        record: { ...record, id: generateId(), fieldUpdatedAt: {} },
+      });
+    }
+  });
+
+  if (strategy === "replace") {
+    const kept = new Set(items.map((item) => item.record?.id || item.id));
+    (getRepository(collection).list().data || [])
+      .filter((local) => !kept.has(local.id) && !local.deletedAt)
+      .forEach((local) => {
+        operations.push(
+          updateOperation(
+            local,
+            { deletedAt: now },
+            stampFields(local.fieldUpdatedAt, ["deletedAt"], now)
+          )
+        );
+      });
+  }
+
+  return operations;
+}
+
+/**
+ * Plan the writes an import makes
+ * @param {Object} preview - Preview from previewImport()
+ * @param {string} strategy - One of IMPORT_STRATEGIES
+ * @returns {Object} { categories, tasks } repository operations, categories
+ *   first so tasks never refer to one that isn't saved yet
+ */
+export function planImport(preview, strategy) {
+  if (!IMPORT_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown import strategy: ${strategy}`);
+  }
+
+  const now = new Date().toISOString();
+  return {
+    categories: planCollection(preview.categories, "categories", strategy, now),
+    tasks: planCollection(preview.tasks, "tasks", strategy, now),
+  };
+}
+
+/**
+ * Apply a planned import to local data
+ * @param {Object} plan - Plan from planImport()
+ * @param {Object|null} [preferences] - Preferences from the preview
+ * @returns {Object} { success, created, updated, error }
+ */
+export function applyImport(plan, preferences = null) {
+  let created = 0;
+  let updated = 0;
+
+  for (const collection of ["categories", "tasks"]) {
+    const operations = plan[collection];
+    if (operations.length === 0) continue;
+
+    const { data, error } = getRepository(collection).batch(operations);
+    if (error) {
+      return { success: false, created, updated, error: "Failed to import" };
+    }
+    data.forEach((record, index) => {
+      if (!record) return;
+      if (operations[index].type === "create") created++;
+      else updated++;
+    });
+  }
+
+  if (preferences) {
+    updatePreferences(preferences);
+  }
+
+  return { success: true, created, updated, error: null };
+}
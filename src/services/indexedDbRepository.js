@@ -0,0 +1,492 @@
+/**
+ * IndexedDB Repository
+ * Repository adapter (see repository.js) that keeps tasks and categories in
+ * IndexedDB, one row per record
+ *
+ * IndexedDB only answers asynchronously while taskService and
+ * categoryService are synchronous, so both collections are loaded into
+ * memory once, before the app renders. Reads are served from that copy and
+ * writes update it at once, then save only the rows they touched. Data kept
+ * in localStorage by older versions is moved over on first run; browsers
+ * without IndexedDB (or that refuse to open it) stay on localStorage.
+ */
+
+import { getItem, setItem, removeItem } from "./storageService";
+import {
+  createAdapter,
+  getStorageAdapter,
+  setStorageAdapter,
+  matchesField,
+} from "./repository";
+
+const DB_NAME = "coolest-todo";
+const DB_VERSION = 2;
+const COLLECTIONS = ["tasks", "categories"];
+const TASK_INDEXES = ["categoryId", "dueDate", "completed"];
+
+// Fields each collection is indexed on, in the database and in memory
+const INDEXES = { tasks: TASK_INDEXES, categories: [] };
+
+// Copies taken before writes that span collections (see schemaService.js)
+const BACKUPS = "backups";
+
+// Tells other tabs which rows changed, as storage events do for localStorage
+const CHANNEL_NAME = "coolest-todo-records";
+
+/**
+ * Check if this browser has IndexedDB
+ * @returns {boolean} True if indexedDB exists
+ */
+export function isIndexedDbAvailable() {
+  return typeof indexedDB !== "undefined" && indexedDB !== null;
+}
+
+/**
+ * Wait for an IndexedDB request
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>} The request's result
+ */
+function settle(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction - Open transaction
+ * @returns {Promise<void>} Resolves once every write in it is saved
+ */
+function committed(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () =>
+      reject(transaction.error || new Error("Transaction aborted"));
+  });
+}
+
+/**
+ * Open (and on first use create) the app's database
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+export function openDatabase() {
+  if (!isIndexedDbAvailable()) {
+    return Promise.reject(new Error("IndexedDB is not available"));
+  }
+
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = (event) => {
+    const db = request.result;
+    if (event.oldVersion < 1) {
+      const tasks = db.createObjectStore("tasks", { keyPath: "id" });
+      TASK_INDEXES.forEach((field) => tasks.createIndex(field, field));
+      db.createObjectStore("categories", { keyPath: "id" });
+    }
+    if (event.oldVersion < 2) {
+      db.createObjectStore(BACKUPS);
+    }
+  };
+  return settle(request);
+}
+
+/**
+ * Wrap a record as a database row
+ * Index fields are copied next to the record. IndexedDB can't index
+ * booleans, so completed is stored as 0 or 1; rows without a categoryId or
+ * dueDate are simply left out of those indexes.
+ * @param {Object} record - Task or category
+ * @param {number} position - Place in the collection, to keep list order
+ * @returns {Object} Row
+ */
+export function toRow(record, position) {
+  return {
+    id: record.id,
+    position,
+    categoryId: record.categoryId,
+    dueDate: record.dueDate,
+    completed: record.completed ? 1 : 0,
+    record,
+  };
+}
+
+/**
+ * Create the backend that reads and writes rows in an open database
+ * @param {IDBDatabase} db - Database from openDatabase()
+ * @returns {Object} { loadAll, load, write, findByIndex, readBackup,
+ *   writeBackup, deleteBackup }
+ */
+export function createIndexedDbBackend(db) {
+  const store = (collection, mode) =>
+    db.transaction(collection, mode).objectStore(collection);
+
+  return {
+    /**
+     * @param {string} collection - "tasks" | "categories"
+     * @returns {Promise<Array<Object>>} Every row
+     */
+    loadAll: (collection) => settle(store(collection, "readonly").getAll()),
+
+    /**
+     * @param {string} collection - "tasks" | "categories"
+     * @param {Array<string>} ids - Row IDs
+     * @returns {Promise<Array<Object|undefined>>} Row per ID, undefined if gone
+     */
+    load: (collection, ids) => {
+      const rows = store(collection, "readonly");
+      return Promise.all(ids.map((id) => settle(rows.get(id))));
+    },
+
+    /**
+     * Save and delete rows in one transaction
+     * @param {string} collection - "tasks" | "categories"
+     * @param {Array<Object>} rows - Rows to save
+     * @param {Array<string>} deletedIds - IDs of rows to delete
+     * @returns {Promise<void>} Resolves once committed
+     */
+    write: (collection, rows, deletedIds) => {
+      const transaction = db.transaction(collection, "readwrite");
+      const objectStore = transaction.objectStore(collection);
+      rows.forEach((row) => objectStore.put(row));
+      deletedIds.forEach((id) => objectStore.delete(id));
+      return committed(transaction);
+    },
+
+    /**
+     * @param {string} collection - "tasks"
+     * @param {string} index - "categoryId" | "dueDate" | "completed"
+     * @param {*} value - Value to match
+     * @returns {Promise<Array<Object>>} Matching records
+     */
+    findByIndex: async (collection, index, value) => {
+      const key = typeof value === "boolean" ? Number(value) : value;
+      const rows = await settle(
+        store(collection, "readonly").index(index).getAll(key)
+      );
+      return rows.map((row) => row.record);
+    },
+
+    /**
+     * @param {string} name - Backup name
+     * @returns {Promise<*>} Saved value, undefined if there's none
+     */
+    readBackup: (name) => settle(store(BACKUPS, "readonly").get(name)),
+
+    /**
+     * @param {string} name - Backup name
+     * @param {*} value - Value to save
+     * @returns {Promise<void>} Resolves once committed
+     */
+    writeBackup: (name, value) => {
+      const transaction = db.transaction(BACKUPS, "readwrite");
+      transaction.objectStore(BACKUPS).put(value, name);
+      return committed(transaction);
+    },
+
+    /**
+     * @param {string} name - Backup name
+     * @returns {Promise<void>} Resolves once committed
+     */
+    deleteBackup: (name) => {
+      const transaction = db.transaction(BACKUPS, "readwrite");
+      transaction.objectStore(BACKUPS).delete(name);
+      return committed(transaction);
+    },
+  };
+}
+
+/**
+ * Copy collections saved in localStorage by older versions into the backend
+ * Rows already in the backend keep their position. The localStorage copies
+ * are left in place; the caller removes them once the adapter is ready.
+ * @param {Object} backend - Backend from createIndexedDbBackend()
+ * @returns {Promise<Array<string>>} Collections that were copied
+ */
+async function copyFromLocalStorage(backend) {
+  const copied = [];
+
+  for (const collection of COLLECTIONS) {
+    const records = getItem(collection, null);
+    if (!Array.isArray(records)) continue;
+
+    const existing = await backend.loadAll(collection);
+    const positions = new Map(existing.map((row) => [row.id, row.position]));
+    let next = existing.reduce((max, row) => Math.max(max, row.position), -1);
+
+    const rows = records
+      .filter((record) => record?.id)
+      .map((record) =>
+        toRow(
+          record,
+          positions.has(record.id) ? positions.get(record.id) : ++next
+        )
+      );
+    await backend.write(collection, rows, []);
+    copied.push(collection);
+  }
+
+  return copied;
+}
+
+/**
+ * Create an adapter over a backend, loading both collections into memory
+ * Records handed out are the cached objects themselves; like everything the
+ * repositories return, treat them as read-only. The in-memory copy keeps
+ * the database's task indexes too, so repository find() calls on them
+ * don't scan the collection.
+ * @param {Object} backend - Backend from createIndexedDbBackend()
+ * @returns {Promise<import("./repository").StorageAdapter>} Adapter, with an
+ *   extra findByIndex(collection, index, value) for queries that should go
+ *   to the database rather than the in-memory copy
+ */
+export async function createIndexedDbAdapter(backend) {
+  const migrated = await copyFromLocalStorage(backend);
+
+  const caches = {};
+  // Collection -> field -> value -> records, rebuilt on the first find()
+  // after a change
+  const indexes = {};
+  const listeners = {};
+  const errorListeners = {};
+  const pending = {};
+  for (const collection of COLLECTIONS) {
+    const rows = await backend.loadAll(collection);
+    rows.sort((a, b) => a.position - b.position);
+    caches[collection] = new Map(rows.map((row) => [row.id, row]));
+    listeners[collection] = new Set();
+    errorListeners[collection] = new Set();
+    pending[collection] = new Set();
+  }
+
+  // Only now that the rows are loaded is the old copy safe to drop
+  migrated.forEach((collection) => removeItem(collection));
+
+  const channel =
+    typeof BroadcastChannel === "undefined"
+      ? null
+      : new BroadcastChannel(CHANNEL_NAME);
+
+  const read = (collection) =>
+    [...caches[collection].values()].map((row) => row.record);
+
+  /**
+   * Look records up in an in-memory index
+   * Matches by value read one index entry; a function is called once per
+   * distinct value, and its results are grouped by value.
+   * @param {string} collection - "tasks" | "categories"
+   * @param {string} field - Indexed field
+   * @param {*|Function} match - Value to equal, or a test of the value
+   * @returns {Array<Object>|null} Matching records, or null if the field
+   *   isn't indexed
+   */
+  const find = (collection, field, match) => {
+    if (!INDEXES[collection].includes(field)) return null;
+
+    if (!indexes[collection]) {
+      indexes[collection] = new Map(
+        INDEXES[collection].map((name) => [name, new Map()])
+      );
+      caches[collection].forEach(({ record }) => {
+        indexes[collection].forEach((index, name) => {
+          if (record[name] == null) return;
+          if (!index.has(record[name])) index.set(record[name], []);
+          index.get(record[name]).push(record);
+        });
+      });
+    }
+
+    const index = indexes[collection].get(field);
+    if (typeof match !== "function") return index.get(match) || [];
+    return [...index]
+      .filter(([value]) => matchesField(value, match))
+      .flatMap(([, records]) => records);
+  };
+
+  /**
+   * Put rows back as they were before a write that failed
+   * Rows changed again since are left alone; the later write saves them.
+   * @param {string} collection - "tasks" | "categories"
+   * @param {Map<string, Object|undefined>} previous - ID -> row before the
+   *   write (undefined if it didn't exist)
+   * @param {Map<string, Object|undefined>} written - ID -> row the write
+   *   saved (undefined if it deleted it)
+   */
+  const rollBack = (collection, previous, written) => {
+    const cache = caches[collection];
+    previous.forEach((row, id) => {
+      if (cache.get(id) !== written.get(id)) return;
+      if (row) cache.set(id, row);
+      else cache.delete(id);
+    });
+    indexes[collection] = null;
+    caches[collection] = new Map(
+      [...cache].sort(([, a], [, b]) => a.position - b.position)
+    );
+  };
+
+  /**
+   * Replace a collection in memory and save the rows that changed
+   * Records the updater passed through untouched are recognised by
+   * identity, so a change to one task writes one row. The save finishes
+   * later; if the database refuses it, the rows are rolled back and the
+   * collection's error listeners are told.
+   */
+  const modify = (collection, updater) => {
+    const cache = caches[collection];
+    const next = new Map();
+    const rows = [];
+    let position = -1;
+    cache.forEach((row) => (position = Math.max(position, row.position)));
+
+    updater(read(collection)).forEach((record) => {
+      const row = cache.get(record.id);
+      if (row && row.record === record) {
+        next.set(record.id, row);
+        return;
+      }
+      const saved = toRow(record, row ? row.position : ++position);
+      next.set(record.id, saved);
+      rows.push(saved);
+    });
+    const deletedIds = [...cache.keys()].filter((id) => !next.has(id));
+
+    caches[collection] = next;
+    if (rows.length === 0 && deletedIds.length === 0) return true;
+    indexes[collection] = null;
+
+    const ids = [...rows.map((row) => row.id), ...deletedIds];
+    const previous = new Map(ids.map((id) => [id, cache.get(id)]));
+    const written = new Map(ids.map((id) => [id, next.get(id)]));
+
+    const write = backend.write(collection, rows, deletedIds).then(
+      () => {
+        channel?.postMessage({ collection, ids });
+        return { error: null };
+      },
+      (error) => {
+        console.error(`Error writing to IndexedDB (${collection}):`, error);
+        const failure = {
+          message:
+            error?.name === "QuotaExceededError"
+              ? "QuotaExceededError: the database is full"
+              : "Failed to save changes",
+        };
+        rollBack(collection, previous, written);
+        listeners[collection].forEach((listener) => listener());
+        errorListeners[collection].forEach((listener) => listener(failure));
+        return { error: failure };
+      }
+    );
+
+    pending[collection].add(write);
+    write.then(() => pending[collection].delete(write));
+    return true;
+  };
+
+  /**
+   * Wait for every write started so far on a collection
+   * @param {string} collection - "tasks" | "categories"
+   * @returns {Promise<Object>} { error }; the first write that failed, if any
+   */
+  const flush = async (collection) => {
+    const results = await Promise.all([...pending[collection]]);
+    return { error: results.find((result) => result.error)?.error || null };
+  };
+
+  if (channel) {
+    channel.onmessage = async ({ data }) => {
+      const { collection, ids } = data || {};
+      if (!listeners[collection] || !Array.isArray(ids)) return;
+
+      try {
+        const rows = await backend.load(collection, ids);
+        const cache = caches[collection];
+        ids.forEach((id, index) => {
+          if (rows[index]) cache.set(id, rows[index]);
+          else cache.delete(id);
+        });
+        indexes[collection] = null;
+        listeners[collection].forEach((listener) => listener());
+      } catch (error) {
+        console.error(`Error reading from IndexedDB (${collection}):`, error);
+      }
+    };
+  }
+
+  const adapter = createAdapter(
+    "indexedDB",
+    (collection) => {
+      if (!caches[collection]) {
+        throw new Error(`Unknown collection: ${collection}`);
+      }
+      return {
+        read: () => read(collection),
+        get: (id) => caches[collection].get(id)?.record || null,
+        find: (field, match) => find(collection, field, match),
+        modify: (updater) => modify(collection, updater),
+        subscribe: (listener) => {
+          listeners[collection].add(listener);
+          return () => listeners[collection].delete(listener);
+        },
+        subscribeToErrors: (listener) => {
+          errorListeners[collection].add(listener);
+          return () => errorListeners[collection].delete(listener);
+        },
+        flush: () => flush(collection),
+      };
+    },
+    {
+      // Flags and settings are small; they stay in localStorage
+      getValue: getItem,
+      setValue: setItem,
+      // Backups hold whole collections, so they go where the rows are
+      backups: {
+        read: (name) =>
+          backend.readBackup(name).then(
+            (data) => ({ data: data ?? null, error: null }),
+            (error) => ({ data: null, error: { message: error.message } })
+          ),
+        write: (name, value) =>
+          backend.writeBackup(name, value).then(
+            () => ({ error: null }),
+            (error) => ({ error: { message: error.message } })
+          ),
+        remove: (name) =>
+          backend.deleteBackup(name).then(
+            () => ({ error: null }),
+            (error) => ({ error: { message: error.message } })
+          ),
+      },
+    }
+  );
+
+  adapter.findByIndex = async (collection, index, value) => {
+    try {
+      const data = await backend.findByIndex(collection, index, value);
+      return { data, error: null };
+    } catch (error) {
+      return { data: null, error: { message: error.message } };
+    }
+  };
+
+  return adapter;
+}
+
+/**
+ * Switch the services to IndexedDB when the browser supports it
+ * Call once before rendering. Never rejects: if IndexedDB is missing or
+ * can't be opened, tasks and categories stay in localStorage.
+ * @returns {Promise<import("./repository").StorageAdapter>} Adapter in use
+ */
+export async function initializeStorage() {
+  if (!isIndexedDbAvailable()) return getStorageAdapter();
+
+  try {
+    const db = await openDatabase();
+    setStorageAdapter(await createIndexedDbAdapter(createIndexedDbBackend(db)));
+  } catch (error) {
+    console.error("IndexedDB unavailable, using localStorage:", error);
+  }
+  return getStorageAdapter();
+}
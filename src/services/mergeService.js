@@ -0,0 +1,232 @@
+/**
+ * Merge Service
+ * Field-level merging of local and Supabase copies of tasks and categories
+ *
+ * Every edit stamps the fields it touched in the record's fieldUpdatedAt map,
+ * locally and in Supabase (field_updated_at). When two devices edit the same
+ * record, each field keeps whichever value was written last. Only concurrent
+ * edits of a task's title, where neither side could have seen the other, are
+ * reported as conflicts for the user to resolve.
+ */
+
+export const TASK_FIELDS = [
+  "title",
+  "completed",
+  "completedAt",
+  "categoryId",
+  "dueDate",
+  "order",
+  "recurrence",
+  "subtasks",
+  "priority",
+  "deletedAt",
+  "archivedAt",
+];
+
+export const CATEGORY_FIELDS = ["name", "color", "order", "deletedAt"];
+
+// Fields where silently keeping the newest value could lose real work
+const CONFLICT_FIELDS = {
+  task: ["title"],
+  category: [],
+};
+
+/**
+ * Get the tracked fields for an entity
+ * @param {string} entity - "task" | "category"
+ * @returns {Array<string>} Field names
+ */
+export function getTrackedFields(entity) {
+  return entity === "category" ? CATEGORY_FIELDS : TASK_FIELDS;
+}
+
+/**
+ * Stamp fields with a modification time
+ * @param {Object} fieldUpdatedAt - Existing field timestamps
+ * @param {Array<string>} fields - Fields that changed
+ * @param {string} [at] - ISO timestamp (defaults to now)
+ * @returns {Object} New field timestamps
+ */
+export function stampFields(fieldUpdatedAt, fields, at) {
+  const stamp = at || new Date().toISOString();
+  const stamped = { ...(fieldUpdatedAt || {}) };
+  fields.forEach((field) => {
+    stamped[field] = stamp;
+  });
+  return stamped;
+}
+
+/**
+ * Get when a field was last modified
+ * Records from before field tracking fall back to their row updatedAt; once
+ * any field is stamped, unstamped ones date from createdAt.
+ * @param {Object} record - Task or category
+ * @param {string} field - Field name
+ * @returns {number} Epoch ms (0 if unknown)
+ */
+export function getFieldTime(record, field) {
+  const stamps = record?.fieldUpdatedAt || {};
+  const stamp =
+    stamps[field] ||
+    (Object.keys(stamps).length === 0 && record?.updatedAt) ||
+    record?.createdAt;
+  return stamp ? Date.parse(stamp) || 0 : 0;
+}
+
+/**
+ * Get the current timestamps of the given fields (the base of an edit)
+ * @param {Object|null} record - Record before the edit
+ * @param {Object} updates - Fields about to change
+ * @returns {Object} Field name -> ISO timestamp
+ */
+export function getFieldTimes(record, updates) {
+  if (!record) return {};
+  const times = {};
+  Object.keys(updates).forEach((field) => {
+    const time = getFieldTime(record, field);
+    if (time) times[field] = new Date(time).toISOString();
+  });
+  return times;
+}
+
+/**
+ * Merge two copies of the same record field by field
+ * Each field keeps the newer value; ties go to the remote copy.
+ * @param {Object} local - Local copy
+ * @param {Object} remote - Supabase copy
+ * @param {Array<string>} fields - Tracked fields
+ * @returns {Object} Merged record
+ */
+export function mergeRecord(local, remote, fields) {
+  const merged = { ...remote };
+  const fieldUpdatedAt = { ...(remote.fieldUpdatedAt || {}) };
+
+  fields.forEach((field) => {
+    const localTime = getFieldTime(local, field);
+    if (localTime > getFieldTime(remote, field)) {
+      merged[field] = local[field];
+      fieldUpdatedAt[field] = new Date(localTime).toISOString();
+    }
+  });
+
+  merged.fieldUpdatedAt = fieldUpdatedAt;
+  return merged;
+}
+
+/**
+ * Merge the local cache with freshly fetched Supabase records
+ * Local edits only count for records with changes still waiting in the
+ * outbox; everything else has already reached Supabase and takes its copy.
+ * @param {Array<Object>} localRecords - Local cache
+ * @param {Array<Object>} remoteRecords - Records from Supabase
+ * @param {Array<string>} fields - Tracked fields
+ * @param {Object} pending - { changed: Set<string>, deleted: Set<string> } IDs
+ * @param {Function} [keepLocal] - (record) => true for cached records to keep
+ *   although Supabase didn't return them, e.g. archived tasks it leaves out
+ * @returns {Array<Object>} Merged records
+ */
+export function mergeCollections(
+  localRecords,
+  remoteRecords,
+  fields,
+  pending,
+  keepLocal = () => false
+) {
+  const localById = new Map(localRecords.map((record) => [record.id, record]));
+  const remoteIds = new Set(remoteRecords.map((record) => record.id));
+
+  const merged = remoteRecords
+    .filter((remote) => !pending.deleted.has(remote.id))
+    .map((remote) => {
+      const local = localById.get(remote.id);
+      return local && pending.changed.has(remote.id)
+        ? mergeRecord(local, remote, fields)
+        : remote;
+    });
+
+  // Records created offline that haven't been pushed yet, and those the
+  // caller keeps although the fetch doesn't cover them
+  const localOnly = localRecords.filter(
+    (local) =>
+      !remoteIds.has(local.id) &&
+      (pending.changed.has(local.id) ||
+        (keepLocal(local) && !pending.deleted.has(local.id)))
+  );
+
+  return [...merged, ...localOnly];
+}
+
+/**
+ * Apply a single live change from Supabase to the local cache
+ * Records with changes waiting in the outbox are merged field by field, and
+ * records deleted locally but not yet pushed stay deleted.
+ * @param {Array<Object>} records - Local cache
+ * @param {Object} change - { type: "insert"|"update"|"delete", id, record }
+ * @param {Array<string>} fields - Tracked fields
+ * @param {Object} pending - { changed: Set<string>, deleted: Set<string> } IDs
+ * @returns {Array<Object>} Updated records
+ */
+export function applyRemoteChange(records, change, fields, pending) {
+  if (pending.deleted.has(change.id)) return records;
+
+  if (change.type === "delete") {
+    return records.filter((record) => record.id !== change.id);
+  }
+
+  const local = records.find((record) => record.id === change.id);
+  if (!local) return [...records, change.record];
+
+  const next = pending.changed.has(change.id)
+    ? mergeRecord(local, change.record, fields)
+    : change.record;
+  return records.map((record) => (record.id === change.id ? next : record));
+}
+
+/**
+ * Decide which fields of a queued update still need pushing
+ * Fields changed in Supabase after the local edit are left alone. A conflict
+ * field that Supabase changed since the copy the edit was based on is
+ * reported instead of pushed.
+ * @param {string} entity - "task" | "category"
+ * @param {Object} operation - Outbox update ({ payload, stamps, base })
+ * @param {Object} remote - Current Supabase copy
+ * @returns {Object} { payload, fieldUpdatedAt, conflicts: Array<{field, local, remote}> }
+ */
+export function resolveUpdate(entity, operation, remote) {
+  const tracked = getTrackedFields(entity);
+  const conflictFields = CONFLICT_FIELDS[entity] || [];
+  const stamps = operation.stamps || {};
+  const base = operation.base || {};
+
+  const payload = {};
+  const fieldUpdatedAt = {};
+  const conflicts = [];
+
+  Object.entries(operation.payload || {}).forEach(([field, value]) => {
+    if (!tracked.includes(field)) {
+      payload[field] = value;
+      return;
+    }
+
+    const remoteTime = getFieldTime(remote, field);
+    const baseTime = base[field] ? Date.parse(base[field]) : null;
+
+    if (
+      conflictFields.includes(field) &&
+      baseTime !== null &&
+      remoteTime > baseTime &&
+      remote[field] !== value
+    ) {
+      conflicts.push({ field, local: value, remote: remote[field] });
+      return;
+    }
+
+    const localTime = stamps[field] ? Date.parse(stamps[field]) : 0;
+    if (remoteTime > localTime) return;
+
+    payload[field] = value;
+    if (stamps[field]) fieldUpdatedAt[field] = stamps[field];
+  });
+
+  return { payload, fieldUpdatedAt, conflicts };
+}
@@ -0,0 +1,454 @@
+/**
+ * Outbox Service
+ * Persistent queue of changes made while signed in but unable to reach
+ * Supabase (offline or a failed request), replayed in order once back online
+ *
+ * Operations are applied to the local cache immediately; the outbox only
+ * remembers what still has to be pushed. Replay stops at the first failure so
+ * later changes never overtake earlier ones, and retries with backoff.
+ * Queued updates are merged field by field with the current Supabase copy
+ * (see mergeService) before they're pushed.
+ */
+
+import { getItem, setItem } from "./storageService";
+import { generateId } from "../utils/helpers";
+import { addConflict, remapConflictTargets } from "./conflictService";
+import { resolveUpdate, stampFields } from "./mergeService";
+import { remapRecordIds } from "./repository";
+import { createSupabaseAdapter } from "./supabaseRepository";
+
+const OUTBOX_KEY = "outbox";
+
+// Repository collection of each entity
+const COLLECTIONS = { task: "tasks", category: "categories" };
+
+const BASE_RETRY_DELAY = 2000; // First retry after 2s, doubling each time (ms)
+const MAX_RETRY_DELAY = 5 * 60 * 1000; // Never wait more than 5 minutes (ms)
+export const MAX_ATTEMPTS = 10; // Give up on an operation after this many failures
+
+// PostgREST "no rows" error: the record is already gone on the server
+const NOT_FOUND_CODE = "PGRST116";
+
+// Postgres error code for a UNIQUE or primary key violation
+const UNIQUE_VIOLATION = "23505";
+
+/**
+ * Pending operation
+ * @typedef {Object} OutboxOperation
+ * @property {string} id - Operation ID
+ * @property {string} entity - "task" | "category"
+ * @property {string} type - "create" | "update" | "delete" | "reorder"
+ *   (moving to the trash is an update of deletedAt; delete is permanent)
+ * @property {string|null} targetId - Task or category ID (null for reorder)
+ * @property {Object|null} payload - Full record (create), changed fields (update)
+ *   or { taskOrders } (reorder)
+ * @property {Object} [stamps] - Update only: field name -> ISO time it was edited
+ * @property {Object} [base] - Update only: field name -> ISO edit time of the
+ *   value the change was made on top of
+ * @property {string} createdAt - ISO timestamp
+ * @property {number} attempts - Failed replay attempts so far
+ * @property {number} nextAttemptAt - Epoch ms before which no retry is scheduled
+ * @property {string|null} lastError - Last replay error message
+ */
+
+const listeners = new Set();
+let processing = false;
+let inFlightId = null;
+
+const notify = () => listeners.forEach((listener) => listener());
+
+/**
+ * Save the queue and tell subscribers
+ * @param {Array<OutboxOperation>} operations - Queue to save
+ */
+function saveOperations(operations) {
+  setItem(OUTBOX_KEY, operations);
+  notify();
+}
+
+/**
+ * Get all pending operations, oldest first
+ * @returns {Array<OutboxOperation>} Pending operations
+ */
+export function getPendingOperations() {
+  return getItem(OUTBOX_KEY, []);
+}
+
+/**
+ * Get the number of pending operations
+ * @returns {number} Pending count
+ */
+export function getPendingCount() {
+  return getPendingOperations().length;
+}
+
+/**
+ * Queue a change for replay
+ * Consecutive updates to the same record are merged, and deleting a record
+ * that was never pushed drops its queued operations instead.
+ * @param {Object} operation - { entity, type, targetId, payload, base }
+ *   base holds the edit times of the fields an update replaced
+ * @returns {OutboxOperation|null} Queued operation, or null if it cancelled out
+ */
+export function enqueueOperation({
+  entity,
+  type,
+  targetId = null,
+  payload,
+  base = {},
+}) {
+  let operations = getPendingOperations();
+  const isTarget = (op) =>
+    op.entity === entity && op.targetId === targetId && op.id !== inFlightId;
+  const stamps =
+    type === "update" ? stampFields({}, Object.keys(payload || {})) : undefined;
+
+  if (type === "update") {
+    const last = operations[operations.length - 1];
+    if (
+      last &&
+      isTarget(last) &&
+      (last.type === "create" || last.type === "update")
+    ) {
+      last.payload = { ...last.payload, ...payload };
+      if (last.type === "update") {
+        last.stamps = { ...last.stamps, ...stamps };
+        // The first queued edit of a field knows what it was based on
+        last.base = { ...base, ...last.base };
+      }
+      saveOperations(operations);
+      return last;
+    }
+  }
+
+  if (type === "delete") {
+    const neverPushed = operations.some(
+      (op) => isTarget(op) && op.type === "create"
+    );
+    // Queued changes to a deleted record are pointless either way
+    operations = operations.filter((op) => !isTarget(op));
+    if (neverPushed) {
+      saveOperations(operations);
+      return null;
+    }
+  }
+
+  const queued = {
+    id: generateId(),
+    entity,
+    type,
+    targetId,
+    payload: payload ?? null,
+    ...(type === "update" && { stamps, base }),
+    createdAt: new Date().toISOString(),
+    attempts: 0,
+    nextAttemptAt: 0,
+    lastError: null,
+  };
+
+  saveOperations([...operations, queued]);
+  return queued;
+}
+
+/**
+ * Get the IDs of records with changes still waiting to be pushed
+ * @param {string} entity - "task" | "category"
+ * @returns {Object} { changed: Set<string>, deleted: Set<string> }
+ */
+export function getPendingChanges(entity) {
+  const changed = new Set();
+  const deleted = new Set();
+
+  getPendingOperations()
+    .filter((op) => op.entity === entity)
+    .forEach((op) => {
+      if (op.type === "delete") {
+        deleted.add(op.targetId);
+      } else if (op.type === "reorder") {
+        op.payload.taskOrders.forEach((t) => changed.add(t.id));
+      } else {
+        changed.add(op.targetId);
+      }
+    });
+
+  return { changed, deleted };
+}
+
+/**
+ * Get how long to wait before the next replay attempt
+ * @param {number} [now] - Reference time in epoch ms (for testing)
+ * @returns {number|null} Delay in ms, or null if nothing is pending
+ */
+export function getRetryDelay(now = Date.now()) {
+  const [next] = getPendingOperations();
+  if (!next) return null;
+  return Math.max(0, next.nextAttemptAt - now);
+}
+
+/**
+ * Clear retry backoff so the next replay runs right away (e.g. back online)
+ */
+export function resetRetryDelay() {
+  const operations = getPendingOperations();
+  if (operations.length === 0) return;
+  saveOperations(operations.map((op) => ({ ...op, nextAttemptAt: 0 })));
+}
+
+/**
+ * Calculate the backoff delay after a failed attempt
+ * @param {number} attempts - Failed attempts so far (1 after the first failure)
+ * @returns {number} Delay in ms
+ */
+export function getBackoffDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+}
+
+/**
+ * Point queued operations at new record IDs
+ * Only the queue is rewritten; idMigrationService.remapLocalIds also updates
+ * the records and conflicts.
+ * @param {string} entity - "task" | "category"
+ * @param {Map<string, string>} idMap - Old ID -> new ID
+ */
+export function remapIds(entity, idMap) {
+  if (idMap.size === 0) return;
+  const swap = (id) => (idMap.has(id) ? idMap.get(id) : id);
+
+  const operations = getPendingOperations().map((op) => {
+    const updated = { ...op };
+    if (op.entity === entity) {
+      updated.targetId = swap(op.targetId);
+      if (op.type === "create" && op.payload) {
+        updated.payload = { ...op.payload, id: swap(op.payload.id) };
+      }
+    }
+
+    if (entity === "task" && op.type === "reorder") {
+      updated.payload = {
+        taskOrders: op.payload.taskOrders.map((t) => ({
+          ...t,
+          id: swap(t.id),
+        })),
+      };
+    }
+    if (entity === "category" && op.entity === "task" && op.payload) {
+      if (op.payload.categoryId !== undefined) {
+        updated.payload = {
+          ...updated.payload,
+          categoryId: swap(op.payload.categoryId),
+        };
+      }
+    }
+    return updated;
+  });
+  setItem(OUTBOX_KEY, operations);
+}
+
+/**
+ * Get the Supabase repository an operation is pushed to
+ * @param {string} userId - User ID from auth
+ * @param {OutboxOperation} op - Operation
+ * @returns {import("./repository").Repository} Repository
+ */
+function getRemoteRepository(userId, op) {
+  return createSupabaseAdapter(userId).repository(COLLECTIONS[op.entity]);
+}
+
+/**
+ * Push a queued update, merged with the current Supabase copy
+ * Fields changed in Supabase since the edit are skipped, and conflicting
+ * title edits are recorded for the user instead of pushed.
+ * @param {string} userId - User ID from auth
+ * @param {OutboxOperation} op - Update operation
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+async function sendUpdate(userId, op) {
+  const repository = getRemoteRepository(userId, op);
+  const { data: remote, error } = await repository.get(op.targetId);
+  if (error) return { data: null, error };
+
+  const { payload, fieldUpdatedAt, conflicts } = resolveUpdate(
+    op.entity,
+    op,
+    remote
+  );
+  conflicts.forEach((conflict) =>
+    addConflict({ entity: op.entity, targetId: op.targetId, ...conflict })
+  );
+
+  if (Object.keys(payload).length === 0) {
+    return { data: remote, error: null };
+  }
+
+  return repository.update(op.targetId, { ...payload, fieldUpdatedAt });
+}
+
+/**
+ * Push a queued create
+ * A create replayed after its first response was lost finds its row already
+ * there; that row counts as the result instead of a failure.
+ * @param {string} userId - User ID from auth
+ * @param {OutboxOperation} op - Create operation
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+async function sendCreate(userId, op) {
+  const repository = getRemoteRepository(userId, op);
+  const result = await repository.create(op.payload);
+  if (result.error?.code !== UNIQUE_VIOLATION) return result;
+
+  const { data: existing } = await repository.get(op.targetId);
+  return existing ? { data: existing, error: null } : result;
+}
+
+/**
+ * Push a single operation to Supabase
+ * @param {string} userId - User ID from auth
+ * @param {OutboxOperation} op - Operation
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+async function sendOperation(userId, op) {
+  if (COLLECTIONS[op.entity]) {
+    if (op.type === "update") {
+      return sendUpdate(userId, op);
+    }
+    if (op.type === "create") {
+      return sendCreate(userId, op);
+    }
+
+    const repository = getRemoteRepository(userId, op);
+    switch (op.type) {
+      case "delete":
+        return repository.delete(op.targetId);
+      case "reorder":
+        if (op.entity !== "task") break;
+        return repository.batch(
+          op.payload.taskOrders.map(({ id, order }) => ({
+            type: "update",
+            id,
+            changes: { order },
+          }))
+        );
+    }
+  }
+
+  return {
+    data: null,
+    error: { message: `Unknown outbox operation: ${op.entity} ${op.type}` },
+  };
+}
+
+/**
+ * Replay pending operations to Supabase, oldest first
+ * Stops at the first failure and schedules its retry with exponential
+ * backoff; an operation that keeps failing is dropped after MAX_ATTEMPTS.
+ * @param {string} userId - User ID from auth
+ * @returns {Promise<Object>} { success, processed, dropped: Array<OutboxOperation>, remaining, error }
+ */
+export async function processOutbox(userId) {
+  if (processing) {
+    return {
+      success: false,
+      processed: 0,
+      dropped: [],
+      remaining: getPendingCount(),
+      error: "Outbox is busy",
+    };
+  }
+
+  processing = true;
+  let processed = 0;
+  const dropped = [];
+
+  try {
+    for (;;) {
+      const [op] = getPendingOperations();
+      if (!op) break;
+
+      inFlightId = op.id;
+      let result;
+      try {
+        result = await sendOperation(userId, op);
+      } catch (err) {
+        result = { data: null, error: { message: err.message } };
+      }
+      inFlightId = null;
+
+      // Updating a record deleted elsewhere has nothing left to do
+      const alreadyGone =
+        result.error?.code === NOT_FOUND_CODE && op.type === "update";
+
+      if (result.error && !alreadyGone) {
+        const attempts = op.attempts + 1;
+        const message = result.error.message || "Sync failed";
+        const rest = getPendingOperations().filter((o) => o.id !== op.id);
+
+        if (attempts >= MAX_ATTEMPTS) {
+          console.error(
+            "Dropping outbox operation after retries:",
+            op,
+            message
+          );
+          dropped.push({ ...op, attempts, lastError: message });
+          setItem(OUTBOX_KEY, rest);
+          continue;
+        }
+
+        setItem(OUTBOX_KEY, [
+          {
+            ...op,
+            attempts,
+            nextAttemptAt: Date.now() + getBackoffDelay(attempts),
+            lastError: message,
+          },
+          ...rest,
+        ]);
+        return {
+          success: false,
+          processed,
+          dropped,
+          remaining: rest.length + 1,
+          error: message,
+        };
+      }
+
+      // Done: remove it, keeping anything queued while it was in flight
+      setItem(
+        OUTBOX_KEY,
+        getPendingOperations().filter((o) => o.id !== op.id)
+      );
+      processed++;
+
+      // Supabase kept a different ID: follow it everywhere
+      const newId = result.data?.id;
+      if (op.type === "create" && newId && newId !== op.targetId) {
+        const idMap = new Map([[op.targetId, newId]]);
+        remapIds(op.entity, idMap);
+        remapConflictTargets(op.entity, idMap);
+        remapRecordIds(COLLECTIONS[op.entity], idMap);
+      }
+    }
+
+    return { success: true, processed, dropped, remaining: 0, error: null };
+  } finally {
+    processing = false;
+    inFlightId = null;
+    notify();
+  }
+}
+
+/**
+ * Discard all pending operations (e.g. on sign out)
+ */
+export function clearOutbox() {
+  saveOperations([]);
+}
+
+/**
+ * Subscribe to outbox changes
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeOutbox(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -18,8 +18,10 @@ const DEFAULT_PREFERENCES = {
   soundEnabled: false,
   notificationsEnabled: false,
   defaultCategoryId: null,
-  sortBy: "order", // 'order', 'dueDate', 'title'
+  sortBy: "order", // 'order', 'dueDate', 'priority', 'title'
   sortDirection: "asc",
+  trashRetentionDays: 30, // 0 keeps deleted items until removed by hand
+  autoArchiveDays: 0, // 0 = off; otherwise archive tasks completed that long ago
 };
 
 /**
@@ -29,18 +31,12 @@ const DEFAULT_PREFERENCES = {
 export function getPreferences() {
   const stored = storageService.getItem(PREFERENCES_KEY);
 
-  if (!stored) {
+  if (!stored || typeof stored !== "object") {
     return { ...DEFAULT_PREFERENCES };
   }
 
-  try {
-    const parsed = JSON.parse(stored);
-    // Merge with defaults to handle new preference keys
-    return { ...DEFAULT_PREFERENCES, ...parsed };
-  } catch (error) {
-    console.error("Error parsing preferences:", error);
-    return { ...DEFAULT_PREFERENCES };
-  }
+  // Merge with defaults to handle new preference keys
+  return { ...DEFAULT_PREFERENCES, ...stored };
 }
 
 /**
@@ -52,7 +48,7 @@ export function updatePreferences(updates) {
   const current = getPreferences();
   const updated = { ...current, ...updates };
 
-  storageService.setItem(PREFERENCES_KEY, JSON.stringify(updated));
+  storageService.setItem(PREFERENCES_KEY, updated);
 
   return updated;
 }
@@ -62,7 +58,7 @@ export function updatePreferences(updates) {
  * @returns {Object} Default preferences
  */
 export function resetPreferences() {
-  storageService.setItem(PREFERENCES_KEY, JSON.stringify(DEFAULT_PREFERENCES));
+  storageService.setItem(PREFERENCES_KEY, DEFAULT_PREFERENCES);
   return { ...DEFAULT_PREFERENCES };
 }
 
@@ -0,0 +1,179 @@
+/**
+ * Quick-Add Parser
+ * Extracts due dates, categories and priority from a task title as it is typed
+ *
+ * "Pay rent tomorrow #Personal !high" -> title "Pay rent", due tomorrow,
+ * category Personal, priority high. Unrecognized tokens stay in the title.
+ */
+
+import { parseDueDate } from "./dateParser";
+
+/**
+ * Recognized token
+ * @typedef {Object} QuickAddToken
+ * @property {string} type - "date" | "category" | "priority"
+ * @property {string} text - Matched text as typed (used to dismiss the token)
+ * @property {string} value - Extracted value (ISO date, category ID or priority level)
+ */
+
+export const PRIORITY_ALIASES = {
+  low: "low",
+  med: "medium",
+  medium: "medium",
+  high: "high",
+  urgent: "urgent",
+};
+
+const WEEKDAYS = "sunday|monday|tuesday|wednesday|thursday|friday|saturday";
+
+const DATE_PHRASE = [
+  "today",
+  "tonight",
+  "tomorrow",
+  "tmr",
+  "next week",
+  "this week",
+  "end of week",
+  "next month",
+  "in \\d+ days?",
+  "in \\d+ weeks?",
+  "in \\d+ (?:hours?|hrs?|minutes?|mins?)",
+  `(?:next |this )?(?:${WEEKDAYS})`,
+  "\\d{4}-\\d{2}-\\d{2}",
+].join("|");
+
+// Clock times need am/pm or minutes, so they can stand on their own
+const CLOCK_TIME = "\\d{1,2}(?::\\d{2})?\\s?(?:am|pm)|\\d{1,2}:\\d{2}";
+const TIME_PHRASE = `${CLOCK_TIME}|noon|midnight`;
+
+// "[on|by|due] <date> [at|by <time>]", "at|by <time>" or a bare clock time,
+// as whole words
+const DATE_PATTERN = new RegExp(
+  `(^|\\s)((?:(?:on|by|due)\\s+)?(?:${DATE_PHRASE})(?:\\s+(?:at|by)\\s+(?:${TIME_PHRASE}))?|(?:at|by)\\s+(?:${TIME_PHRASE})|${CLOCK_TIME})(?=\\s|$)`,
+  "gi"
+);
+const CATEGORY_PATTERN = /(^|\s)(#(\S+))(?=\s|$)/g;
+const PRIORITY_PATTERN = /(^|\s)(!(\w+))(?=\s|$)/g;
+
+/**
+ * Normalize a category name for loose matching ("#work-stuff" = "Work Stuff")
+ * @param {string} name - Category name
+ * @returns {string} Normalized name
+ */
+function normalizeName(name) {
+  return name.toLowerCase().replace(/[\s_-]+/g, "");
+}
+
+/**
+ * Find the first match of a pattern that isn't dismissed
+ * @param {string} text - Input text
+ * @param {RegExp} pattern - Global pattern; group 2 is the token text
+ * @param {Set<string>} ignore - Dismissed token texts (lowercase)
+ * @param {Function} resolve - Maps a match to a value, or null if unrecognized
+ * @returns {{text: string, value: *, index: number}|null} Match
+ */
+function findToken(text, pattern, ignore, resolve) {
+  for (const match of text.matchAll(pattern)) {
+    const tokenText = match[2];
+    if (ignore.has(tokenText.toLowerCase())) continue;
+
+    const value = resolve(match);
+    if (value != null) {
+      return { text: tokenText, value, index: match.index + match[1].length };
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve a date phrase match to a due date
+ * @param {Array} match - DATE_PATTERN match
+ * @param {Date} now - Reference "now"
+ * @returns {string|null} Day or ISO timestamp (see parseDueDate)
+ */
+function resolveDate(match, now) {
+  const phrase = match[2]
+    .replace(/^(?:on|by|due)\s+/i, "")
+    .replace(/\s+by\s+/i, " at ");
+  return parseDueDate(phrase, now);
+}
+
+/**
+ * Parse quick-add tokens out of a task title
+ * @param {string} input - Raw title input
+ * @param {Object} options - Parse options
+ * @param {Array<Object>} options.categories - Available categories
+ * @param {Array<string>} options.ignore - Token texts the user dismissed (kept in the title)
+ * @param {Date} options.now - Reference "now" (for testing)
+ * @returns {{title: string, dueDate: string|null, categoryId: string|null, priority: string|null, tokens: Array<QuickAddToken>}}
+ */
+export function parseQuickAdd(
+  input,
+  { categories = [], ignore = [], now = new Date() } = {}
+) {
+  const empty = {
+    title: (input || "").trim(),
+    dueDate: null,
+    categoryId: null,
+    priority: null,
+    tokens: [],
+  };
+  if (!input || typeof input !== "string") return empty;
+
+  const ignored = new Set(ignore.map((text) => text.toLowerCase()));
+  const categoriesByName = new Map(
+    categories.map((category) => [normalizeName(category.name), category])
+  );
+
+  const found = [
+    {
+      type: "date",
+      ...findToken(input, DATE_PATTERN, ignored, (match) =>
+        resolveDate(match, now)
+      ),
+    },
+    {
+      type: "category",
+      ...findToken(
+        input,
+        CATEGORY_PATTERN,
+        ignored,
+        (match) => categoriesByName.get(normalizeName(match[3]))?.id ?? null
+      ),
+    },
+    {
+      type: "priority",
+      ...findToken(
+        input,
+        PRIORITY_PATTERN,
+        ignored,
+        (match) => PRIORITY_ALIASES[match[3].toLowerCase()] ?? null
+      ),
+    },
+  ].filter((token) => token.text);
+
+  // Cut tokens out from the end so earlier indexes stay valid
+  let title = input;
+  [...found]
+    .sort((a, b) => b.index - a.index)
+    .forEach((token) => {
+      title =
+        title.slice(0, token.index) +
+        title.slice(token.index + token.text.length);
+    });
+  title = title.replace(/\s+/g, " ").trim();
+
+  // A title made only of tokens ("tomorrow") is more likely meant literally
+  if (!title) return empty;
+
+  const valueOf = (type) =>
+    found.find((token) => token.type === type)?.value ?? null;
+
+  return {
+    title,
+    dueDate: valueOf("date"),
+    categoryId: valueOf("category"),
+    priority: valueOf("priority"),
+    tokens: found.map(({ type, text, value }) => ({ type, text, value })),
+  };
+}
@@ -0,0 +1,322 @@
+/**
+ * Recurrence Service
+ * RRULE-style recurrence rules for repeating tasks
+ */
+
+import { toDate } from "./dateParser";
+
+/**
+ * Recurrence Rule Structure
+ * @typedef {Object} Recurrence
+ * @property {string} frequency - "daily" | "weekly" | "monthly"
+ * @property {number} interval - Repeat every N days/weeks/months (default: 1)
+ * @property {Array<number>} [daysOfWeek] - Weekdays (0 = Sunday ... 6 = Saturday).
+ *   Weekly: the chosen weekdays. Monthly: the weekday used with weekOfMonth.
+ * @property {number} [dayOfMonth] - Monthly: day of the month (1-31)
+ * @property {number} [weekOfMonth] - Monthly: nth weekday (1-4, or -1 for last)
+ * @property {string|null} [until] - Optional ISO date after which no occurrences are generated
+ */
+
+export const RECURRENCE_FREQUENCIES = ["daily", "weekly", "monthly"];
+
+export const WEEKDAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+export const ORDINALS = {
+  1: "first",
+  2: "second",
+  3: "third",
+  4: "fourth",
+  "-1": "last",
+};
+
+// Safety limit when fast-forwarding an overdue series past today
+const MAX_ITERATIONS = 1000;
+
+/**
+ * Get which occurrence of its weekday a date is within its month
+ * @param {Date} date - Date
+ * @returns {number} 1-4, or -1 for the last one (including any fifth)
+ */
+export function getWeekOfMonth(date) {
+  const nth = Math.ceil(date.getDate() / 7);
+  const lastDay = daysInMonth(date.getFullYear(), date.getMonth());
+  return nth > 4 || date.getDate() + 7 > lastDay ? -1 : nth;
+}
+
+/**
+ * Build the starting rule for a frequency in the custom repeat editor
+ * @param {string} frequency - "daily" | "weekly" | "monthly"
+ * @param {Date} [referenceDate] - Date used to pick the weekday/day of month
+ * @param {number} [interval] - Repeat every N days/weeks/months
+ * @returns {Recurrence} Recurrence rule
+ */
+export function createRecurrence(
+  frequency,
+  referenceDate = new Date(),
+  interval = 1
+) {
+  if (frequency === "weekly") {
+    return { frequency, interval, daysOfWeek: [referenceDate.getDay()] };
+  }
+  if (frequency === "monthly") {
+    return { frequency, interval, dayOfMonth: referenceDate.getDate() };
+  }
+  return { frequency: "daily", interval };
+}
+
+/**
+ * Preset recurrence rules offered in the task input and editor
+ * @param {Date} [referenceDate] - Date used to pick the weekday/day of month
+ * @returns {Array<{id: string, label: string, recurrence: Recurrence|null}>}
+ */
+export function getRecurrencePresets(referenceDate = new Date()) {
+  const weekday = referenceDate.getDay();
+  const weekOfMonth = getWeekOfMonth(referenceDate);
+
+  return [
+    { id: "none", label: "Does not repeat", recurrence: null },
+    {
+      id: "daily",
+      label: "Every day",
+      recurrence: { frequency: "daily", interval: 1 },
+    },
+    {
+      id: "weekdays",
+      label: "Every weekday (Mon-Fri)",
+      recurrence: {
+        frequency: "weekly",
+        interval: 1,
+        daysOfWeek: [1, 2, 3, 4, 5],
+      },
+    },
+    {
+      id: "weekly",
+      label: `Every week on ${WEEKDAY_NAMES[weekday]}`,
+      recurrence: { frequency: "weekly", interval: 1, daysOfWeek: [weekday] },
+    },
+    {
+      id: "biweekly",
+      label: `Every 2 weeks on ${WEEKDAY_NAMES[weekday]}`,
+      recurrence: { frequency: "weekly", interval: 2, daysOfWeek: [weekday] },
+    },
+    {
+      id: "monthly",
+      label: `Every month on day ${referenceDate.getDate()}`,
+      recurrence: {
+        frequency: "monthly",
+        interval: 1,
+        dayOfMonth: referenceDate.getDate(),
+      },
+    },
+    {
+      id: "monthly-weekday",
+      label: `Every month on the ${ORDINALS[weekOfMonth]} ${WEEKDAY_NAMES[weekday]}`,
+      recurrence: {
+        frequency: "monthly",
+        interval: 1,
+        daysOfWeek: [weekday],
+        weekOfMonth,
+      },
+    },
+  ];
+}
+
+/**
+ * Find the preset a rule is identical to
+ * @param {Recurrence|null} recurrence - Recurrence rule
+ * @param {Date} [referenceDate] - Date the presets are based on
+ * @returns {string|null} Preset ID, or null for a custom rule
+ */
+export function findRecurrencePreset(recurrence, referenceDate = new Date()) {
+  const preset = getRecurrencePresets(referenceDate).find((p) =>
+    isSameRecurrence(p.recurrence, recurrence)
+  );
+  return preset ? preset.id : null;
+}
+
+/**
+ * Check whether two rules repeat on the same schedule
+ * Key order is ignored, since Supabase's jsonb column doesn't keep it.
+ * @param {Recurrence|null} a - Recurrence rule
+ * @param {Recurrence|null} b - Recurrence rule
+ * @returns {boolean} True if both are equal (or both absent)
+ */
+export function isSameRecurrence(a, b) {
+  if (!a || !b) return !a && !b;
+
+  const normalize = (rule) => [
+    rule.frequency,
+    rule.interval || 1,
+    [...(rule.daysOfWeek || [])].sort((x, y) => x - y).join(),
+    rule.dayOfMonth ?? null,
+    rule.weekOfMonth ?? null,
+    rule.until ?? null,
+  ];
+  return normalize(a).every((value, i) => value === normalize(b)[i]);
+}
+
+/**
+ * Get number of days in a month
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @returns {number} Days in month
+ */
+function daysInMonth(year, month) {
+  return new Date(year, month + 1, 0).getDate();
+}
+
+/**
+ * Find the nth weekday of a month (e.g. 2nd Tuesday, last Friday)
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @param {number} weekday - Weekday (0-6)
+ * @param {number} nth - 1-4, or -1 for the last occurrence
+ * @returns {number} Day of month
+ */
+function nthWeekdayOfMonth(year, month, weekday, nth) {
+  if (nth === -1) {
+    const lastDay = daysInMonth(year, month);
+    const lastWeekday = new Date(year, month, lastDay).getDay();
+    return lastDay - ((lastWeekday - weekday + 7) % 7);
+  }
+
+  const firstWeekday = new Date(year, month, 1).getDay();
+  const firstMatch = 1 + ((weekday - firstWeekday + 7) % 7);
+  return Math.min(firstMatch + (nth - 1) * 7, daysInMonth(year, month));
+}
+
+/**
+ * Compute a single step of the series after the given date
+ * @param {Date} from - Current occurrence
+ * @param {Recurrence} recurrence - Recurrence rule
+ * @returns {Date} Next occurrence
+ */
+function stepOccurrence(from, recurrence) {
+  const interval = Math.max(1, recurrence.interval || 1);
+  const next = new Date(from);
+
+  if (recurrence.frequency === "daily") {
+    next.setDate(next.getDate() + interval);
+    return next;
+  }
+
+  if (recurrence.frequency === "weekly") {
+    const days = [...(recurrence.daysOfWeek || [])].sort((a, b) => a - b);
+    if (days.length === 0) {
+      next.setDate(next.getDate() + interval * 7);
+      return next;
+    }
+
+    // Later day in the same week
+    const current = from.getDay();
+    const laterDay = days.find((day) => day > current);
+    if (laterDay !== undefined) {
+      next.setDate(next.getDate() + (laterDay - current));
+      return next;
+    }
+
+    // Otherwise jump to the first chosen day of the next active week
+    next.setDate(next.getDate() - current + interval * 7 + days[0]);
+    return next;
+  }
+
+  if (recurrence.frequency === "monthly") {
+    // Set day to 1 before moving months so short months don't overflow
+    next.setDate(1);
+    next.setMonth(next.getMonth() + interval);
+    const year = next.getFullYear();
+    const month = next.getMonth();
+
+    if (recurrence.weekOfMonth) {
+      const weekday = recurrence.daysOfWeek?.[0] ?? from.getDay();
+      next.setDate(
+        nthWeekdayOfMonth(year, month, weekday, recurrence.weekOfMonth)
+      );
+    } else {
+      const day = recurrence.dayOfMonth || from.getDate();
+      next.setDate(Math.min(day, daysInMonth(year, month)));
+    }
+    return next;
+  }
+
+  throw new Error(`Unsupported recurrence frequency: ${recurrence.frequency}`);
+}
+
+/**
+ * Get the next occurrence of a recurring task
+ * Overdue series are fast-forwarded so the next occurrence is not in the past.
+ * @param {Date|string} fromDate - Current due date (or completion date)
+ * @param {Recurrence} recurrence - Recurrence rule
+ * @param {Date} [now] - Reference "now" (for testing)
+ * @returns {Date|null} Next occurrence, or null if the series has ended
+ */
+export function getNextOccurrence(fromDate, recurrence, now = new Date()) {
+  if (!fromDate || !recurrence) return null;
+
+  const base = toDate(fromDate);
+  if (isNaN(base.getTime())) return null;
+
+  const startOfToday = new Date(now);
+  startOfToday.setHours(0, 0, 0, 0);
+
+  let next = stepOccurrence(base, recurrence);
+  let iterations = 0;
+  while (next < startOfToday && iterations < MAX_ITERATIONS) {
+    next = stepOccurrence(next, recurrence);
+    iterations++;
+  }
+
+  if (recurrence.until && next > toDate(recurrence.until)) {
+    return null;
+  }
+
+  return next;
+}
+
+/**
+ * Describe a recurrence rule in plain English
+ * @param {Recurrence|null} recurrence - Recurrence rule
+ * @returns {string} Human-readable description (empty when not recurring)
+ */
+export function describeRecurrence(recurrence) {
+  if (!recurrence) return "";
+
+  const interval = recurrence.interval || 1;
+
+  if (recurrence.frequency === "daily") {
+    return interval === 1 ? "Every day" : `Every ${interval} days`;
+  }
+
+  if (recurrence.frequency === "weekly") {
+    const prefix = interval === 1 ? "Every week" : `Every ${interval} weeks`;
+    const days = recurrence.daysOfWeek || [];
+    if (days.length === 5 && [1, 2, 3, 4, 5].every((d) => days.includes(d))) {
+      return interval === 1 ? "Every weekday" : `${prefix} on weekdays`;
+    }
+    if (days.length === 0) return prefix;
+    return `${prefix} on ${days
+      .map((d) => WEEKDAY_NAMES[d].slice(0, 3))
+      .join(", ")}`;
+  }
+
+  if (recurrence.frequency === "monthly") {
+    const prefix = interval === 1 ? "Every month" : `Every ${interval} months`;
+    if (recurrence.weekOfMonth) {
+      const weekday = WEEKDAY_NAMES[recurrence.daysOfWeek?.[0] ?? 0];
+      return `${prefix} on the ${ORDINALS[recurrence.weekOfMonth]} ${weekday}`;
+    }
+    return recurrence.dayOfMonth
+      ? `${prefix} on day ${recurrence.dayOfMonth}`
+      : prefix;
+  }
+
+  return "";
+}
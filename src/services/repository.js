@@ -0,0 +1,416 @@
+/**
+ * Repository
+ * One interface for reading and writing tasks and categories, whatever
+ * stores them
+ *
+ * A repository holds one collection ("tasks" or "categories") and answers
+ * every call with { data, error }, the same shape supabaseStorageService
+ * uses. Local adapters answer synchronously; the Supabase adapter (see
+ * supabaseRepository.js) returns promises, so code that may get either
+ * simply awaits the result. taskService and categoryService work on the
+ * active local adapter, which tests can swap for createMemoryAdapter().
+ */
+
+import {
+  getItem,
+  setItem,
+  removeItem,
+  updateItem,
+  subscribeToKey,
+} from "./storageService";
+
+/**
+ * Result of a repository call
+ * @typedef {Object} RepositoryResult
+ * @property {*} data - Record(s) read or written (null on failure)
+ * @property {Object|null} error - { message } on failure
+ */
+
+/**
+ * A single write, on its own or as part of a batch
+ * @typedef {Object} RepositoryOperation
+ * @property {string} type - "create" | "update" | "delete"
+ * @property {string} [id] - Record ID (update, delete)
+ * @property {Object} [record] - Complete record (create)
+ * @property {Object|Function} [changes] - Update only: fields to change, or a
+ *   function that receives the stored record and returns them
+ */
+
+/**
+ * Storage for one collection
+ * @typedef {Object} Repository
+ * @property {Function} list - () => every record
+ * @property {Function} get - (id) => the record, or null
+ * @property {Function} create - (record) => the stored record
+ * @property {Function} update - (id, changes) => the updated record
+ * @property {Function} delete - (id) => the removed record
+ * @property {Function} batch - (operations) => one record per operation,
+ *   null where a local adapter skipped it
+ * @property {Function} subscribe - ({ onChange, onStatus, onError }) =>
+ *   unsubscribe; onChange fires when another tab or device changes the
+ *   collection, onError ({ message }) when a write that was already
+ *   answered fails to save
+ * @property {Function} [flush] - () => Promise of { error } once every write
+ *   so far is saved (local adapters only)
+ * @property {Function} [find] - (field, match) => records whose field equals
+ *   match, or passes it when match is a function; records without the field
+ *   are left out (local adapters only)
+ */
+
+/**
+ * Where repositories come from
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - e.g. "localStorage"
+ * @property {Function} repository - (collection) => Repository
+ * @property {Function} [getValue] - (key, defaultValue) => stored flag or
+ *   setting (local adapters only)
+ * @property {Function} [setValue] - (key, value) => boolean (local adapters only)
+ * @property {Object} [backups] - Copies of data taken before a write that
+ *   spans several collections, kept in the same store as the records
+ *   (local adapters only). { read(name), write(name, value), remove(name) }
+ *   each return a Promise; read of { data, error }, the others of { error }
+ */
+
+/**
+ * Apply operations to a collection
+ * Creating an ID that exists, or changing one that doesn't, is skipped so a
+ * batch started on a stale read can't duplicate or resurrect records.
+ * @param {Array<Object>} records - Current records
+ * @param {Array<RepositoryOperation>} operations - Writes to apply, in order
+ * @returns {Object} { records, results } where results holds one record (or
+ *   null if skipped) per operation
+ */
+function applyOperations(records, operations) {
+  const byId = new Map(records.map((record) => [record.id, record]));
+
+  const results = operations.map((operation) => {
+    const id =
+      operation.type === "create" ? operation.record?.id : operation.id;
+    const stored = byId.get(id);
+
+    switch (operation.type) {
+      case "create":
+        if (stored || !id) return null;
+        byId.set(id, operation.record);
+        return operation.record;
+      case "update": {
+        if (!stored) return null;
+        const changes =
+          typeof operation.changes === "function"
+            ? operation.changes(stored)
+            : operation.changes;
+        const updated = { ...stored, ...changes, id };
+        byId.set(id, updated);
+        return updated;
+      }
+      case "delete":
+        if (!stored) return null;
+        byId.delete(id);
+        return stored;
+      default:
+        throw new Error(`Unknown repository operation: ${operation.type}`);
+    }
+  });
+
+  return { records: [...byId.values()], results };
+}
+
+/**
+ * Check a field value against a find() match
+ * @param {*} value - Field value
+ * @param {*|Function} match - Value to equal, or a test of the value
+ * @returns {boolean} True if the value matches
+ */
+export function matchesField(value, match) {
+  if (value == null) return false;
+  return typeof match === "function" ? match(value) : value === match;
+}
+
+/**
+ * Build a repository on top of a store that keeps a collection as one array
+ * @param {Object} store - Backing store
+ * @param {Function} store.read - () => Array of records
+ * @param {Function} store.modify - (updater) => boolean; writes
+ *   updater(latest records)
+ * @param {Function} store.subscribe - (listener) => unsubscribe
+ * @param {Function} [store.get] - (id) => record or null, if the store can
+ *   look one up without reading the whole collection
+ * @param {Function} [store.find] - (field, match) => matching records, if
+ *   the store keeps an index on field; null if it doesn't
+ * @param {Function} [store.subscribeToErrors] - (listener) => unsubscribe,
+ *   if the store saves after modify() returns; listener gets { message }
+ * @param {Function} [store.flush] - () => Promise of { error } once pending
+ *   saves finish
+ * @returns {Repository} Synchronous repository
+ */
+export function createCollectionRepository(store) {
+  const batch = (operations) => {
+    if (operations.length === 0) return { data: [], error: null };
+
+    let results = [];
+    const saved = store.modify((latest) => {
+      const applied = applyOperations(latest, operations);
+      results = applied.results;
+      return applied.records;
+    });
+
+    if (!saved) {
+      return { data: null, error: { message: "Failed to save changes" } };
+    }
+    return { data: results, error: null };
+  };
+
+  const writeOne = (operation, skippedMessage) => {
+    const { data, error } = batch([operation]);
+    if (error) return { data: null, error };
+    if (!data[0]) return { data: null, error: { message: skippedMessage } };
+    return { data: data[0], error: null };
+  };
+
+  return {
+    list: () => ({ data: store.read(), error: null }),
+    get: (id) => ({
+      data: store.get
+        ? store.get(id)
+        : store.read().find((record) => record.id === id) || null,
+      error: null,
+    }),
+    find: (field, match) => ({
+      data:
+        store.find?.(field, match) ??
+        store.read().filter((record) => matchesField(record[field], match)),
+      error: null,
+    }),
+    create: (record) =>
+      writeOne({ type: "create", record }, "Record already exists"),
+    update: (id, changes) =>
+      writeOne({ type: "update", id, changes }, "Record not found"),
+    delete: (id) => writeOne({ type: "delete", id }, "Record not found"),
+    batch,
+    subscribe: ({ onChange, onError }) => {
+      const unsubscribe = store.subscribe(() => onChange());
+      const unsubscribeErrors =
+        onError && store.subscribeToErrors
+          ? store.subscribeToErrors(onError)
+          : () => {};
+      return () => {
+        unsubscribe();
+        unsubscribeErrors();
+      };
+    },
+    flush: async () => (store.flush ? store.flush() : { error: null }),
+  };
+}
+
+/**
+ * Keep backups as values, for adapters whose records are values too
+ * @param {Object} values - { getValue, setValue, removeValue }
+ * @returns {Object} Backups for createAdapter()
+ */
+function createValueBackups({ getValue, setValue, removeValue }) {
+  return {
+    read: async (name) => ({ data: getValue(name, null), error: null }),
+    write: async (name, value) => ({
+      error: setValue(name, value)
+        ? null
+        : { message: "Not enough storage space for the backup" },
+    }),
+    remove: async (name) => ({
+      error: removeValue(name) ? null : { message: "Failed to remove backup" },
+    }),
+  };
+}
+
+/**
+ * Build an adapter that creates each collection's repository on first use
+ * @param {string} name - Adapter name
+ * @param {Function} createStore - (collection) => store for createCollectionRepository
+ * @param {Object} values - { getValue, setValue } for flags and settings, and
+ *   backups (see StorageAdapter)
+ * @returns {StorageAdapter} Adapter
+ */
+export function createAdapter(
+  name,
+  createStore,
+  { getValue, setValue, backups }
+) {
+  const repositories = new Map();
+
+  return {
+    name,
+    repository(collection) {
+      if (!repositories.has(collection)) {
+        repositories.set(
+          collection,
+          createCollectionRepository(createStore(collection))
+        );
+      }
+      return repositories.get(collection);
+    },
+    getValue,
+    setValue,
+    backups,
+  };
+}
+
+/**
+ * Adapter over localStorage (via storageService), shared by every tab of
+ * this browser
+ */
+export const localStorageAdapter = createAdapter(
+  "localStorage",
+  (collection) => ({
+    read: () => getItem(collection, []),
+    modify: (updater) => updateItem(collection, updater, []),
+    subscribe: (listener) => subscribeToKey(collection, listener),
+  }),
+  {
+    getValue: getItem,
+    setValue: setItem,
+    backups: createValueBackups({
+      getValue: getItem,
+      setValue: setItem,
+      removeValue: removeItem,
+    }),
+  }
+);
+
+/**
+ * Create an adapter that keeps everything in memory
+ * Records are copied on the way in and out, as if they were serialized, so
+ * callers can't change stored data by mutating what they got back.
+ * @param {Object} [initialData] - Key -> value, e.g. { tasks: [...] }
+ * @returns {StorageAdapter} Adapter
+ */
+export function createMemoryAdapter(initialData = {}) {
+  const copy = (value) =>
+    value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  const values = new Map(
+    Object.entries(initialData).map(([key, value]) => [key, copy(value)])
+  );
+
+  const getValue = (key, defaultValue = null) =>
+    values.has(key) ? copy(values.get(key)) : defaultValue;
+  const setValue = (key, value) => {
+    values.set(key, copy(value));
+    return true;
+  };
+  const removeValue = (key) => {
+    values.delete(key);
+    return true;
+  };
+
+  return createAdapter(
+    "memory",
+    (collection) => ({
+      read: () => getValue(collection, []),
+      modify: (updater) =>
+        setValue(collection, updater(getValue(collection, []))),
+      // Nothing else can write to this memory
+      subscribe: () => () => {},
+    }),
+    {
+      getValue,
+      setValue,
+      backups: createValueBackups({ getValue, setValue, removeValue }),
+    }
+  );
+}
+
+let activeAdapter = localStorageAdapter;
+
+/**
+ * Get the adapter the services read and write through
+ * @returns {StorageAdapter} Active adapter
+ */
+export function getStorageAdapter() {
+  return activeAdapter;
+}
+
+/**
+ * Switch the adapter the services read and write through
+ * @param {StorageAdapter} adapter - New adapter
+ * @returns {StorageAdapter} The adapter it replaced
+ */
+export function setStorageAdapter(adapter) {
+  const previous = activeAdapter;
+  activeAdapter = adapter;
+  return previous;
+}
+
+/**
+ * Get a collection's repository from the active adapter
+ * @param {string} collection - "tasks" | "categories"
+ * @returns {Repository} Repository
+ */
+export function getRepository(collection) {
+  return activeAdapter.repository(collection);
+}
+
+/**
+ * Drop later copies of records that share an ID
+ * @param {Array<Object>} records - Records
+ * @returns {Array<Object>} Records with unique IDs
+ */
+function uniqueById(records) {
+  const seen = new Set();
+  return records.filter((record) => {
+    if (seen.has(record.id)) return false;
+    seen.add(record.id);
+    return true;
+  });
+}
+
+/**
+ * Rewrite a collection with a function of all its records
+ * Only records that were added, changed or removed are written, as one
+ * batch. For synchronous (local) repositories.
+ * @param {Repository} repository - Local repository
+ * @param {Function} transform - (records) => new records
+ * @returns {RepositoryResult} Result of the batch
+ */
+export function replaceRecords(repository, transform) {
+  const current = repository.list().data || [];
+  const next = transform(current);
+  const currentById = new Map(current.map((record) => [record.id, record]));
+  const nextIds = new Set(next.map((record) => record.id));
+
+  const operations = [];
+  next.forEach((record) => {
+    const stored = currentById.get(record.id);
+    if (!stored) {
+      operations.push({ type: "create", record });
+    } else if (JSON.stringify(stored) !== JSON.stringify(record)) {
+      operations.push({ type: "update", id: record.id, changes: record });
+    }
+  });
+  current.forEach((record) => {
+    if (!nextIds.has(record.id)) {
+      operations.push({ type: "delete", id: record.id });
+    }
+  });
+
+  if (operations.length === 0) return { data: [], error: null };
+  return repository.batch(operations);
+}
+
+/**
+ * Move local records to new IDs
+ * A live update may already have added the record under its new ID, so the
+ * collection is de-duplicated. Tasks follow their category to its new ID.
+ * @param {string} collection - "tasks" | "categories"
+ * @param {Map<string, string>} idMap - Old ID -> new ID
+ */
+export function remapRecordIds(collection, idMap) {
+  if (idMap.size === 0) return;
+  const swap = (id) => (idMap.has(id) ? idMap.get(id) : id);
+
+  replaceRecords(getRepository(collection), (records) =>
+    uniqueById(records.map((record) => ({ ...record, id: swap(record.id) })))
+  );
+  if (collection === "categories") {
+    replaceRecords(getRepository("tasks"), (tasks) =>
+      tasks.map((task) => ({ ...task, categoryId: swap(task.categoryId) }))
+    );
+  }
+}
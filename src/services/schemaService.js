@@ -0,0 +1,259 @@
+/**
+ * Schema Service
+ * Versioned shape of the data the app keeps on this device
+ *
+ * Local data is handled as a snapshot: one object with the user's data
+ * (tasks, categories and user-preferences) plus the _schemaVersion it
+ * follows. Sync state such as the outbox and conflicts belongs to this
+ * device and is never part of a snapshot, so backups don't carry it. Each
+ * migration upgrades a snapshot by one version. They run at startup on what
+ * this browser has stored, and on import for backup files written by older
+ * versions.
+ */
+
+import { getItem, setItem, removeItem } from "./storageService";
+import { getRepository, getStorageAdapter, replaceRecords } from "./repository";
+import { fromLegacyDueDate } from "./dateParser";
+
+export const SCHEMA_VERSION = 2;
+
+const VERSION_KEY = "schema-version";
+const BACKUP_NAME = "schema-backup";
+
+// Kept in the storage adapter rather than as plain keys
+const COLLECTIONS = ["tasks", "categories"];
+
+// Plain keys that hold user data
+const VALUE_KEYS = ["user-preferences"];
+
+/**
+ * Upgrades in order; each takes a snapshot from version - 1 to version and
+ * returns a new object rather than changing the one it's given
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Store preferences as an object, not a JSON string",
+    migrate(data) {
+      const preferences = data["user-preferences"];
+      if (typeof preferences !== "string") return data;
+
+      const migrated = { ...data };
+      try {
+        migrated["user-preferences"] = JSON.parse(preferences);
+      } catch (error) {
+        // Unreadable preferences already fell back to the defaults
+        delete migrated["user-preferences"];
+      }
+      return migrated;
+    },
+  },
+  {
+    version: 2,
+    description: "Store all-day due dates as days, not local midnight",
+    migrate(data) {
+      if (!Array.isArray(data.tasks)) return data;
+      return {
+        ...data,
+        tasks: data.tasks.map((task) =>
+          task.dueDate
+            ? { ...task, dueDate: fromLegacyDueDate(task.dueDate) }
+            : task
+        ),
+      };
+    },
+  },
+];
+
+/**
+ * Get the schema version a snapshot follows
+ * Backups from before versioning carry no number (or the app's "1.0.0"
+ * label) and count as version 0.
+ * @param {Object} data - Snapshot
+ * @returns {number} Schema version
+ */
+export function getSchemaVersion(data) {
+  const version = data?._schemaVersion;
+  return Number.isInteger(version) && version >= 0 ? version : 0;
+}
+
+/**
+ * Upgrade a snapshot to the current schema
+ * Migrations run on a copy, so the snapshot passed in is never changed.
+ * @param {Object} data - Snapshot, e.g. a parsed backup file
+ * @returns {Object} { success, data, applied, error } where applied counts
+ *   the migrations that ran
+ */
+export function migrateData(data) {
+  const from = getSchemaVersion(data);
+  if (from > SCHEMA_VERSION) {
+    return {
+      success: false,
+      data: null,
+      applied: 0,
+      error: "This data was saved by a newer version of the app",
+    };
+  }
+
+  try {
+    const pending = MIGRATIONS.filter((migration) => migration.version > from);
+    const migrated = pending.reduce(
+      (snapshot, migration) => migration.migrate(snapshot),
+      JSON.parse(JSON.stringify(data))
+    );
+
+    return {
+      success: true,
+      data: { ...migrated, _schemaVersion: SCHEMA_VERSION },
+      applied: pending.length,
+      error: null,
+    };
+  } catch (error) {
+    console.error("Error migrating data:", error);
+    return {
+      success: false,
+      data: null,
+      applied: 0,
+      error: error.message || "Failed to migrate data",
+    };
+  }
+}
+
+/**
+ * Read the user's data stored on this device as a snapshot
+ * @returns {Object} Snapshot, including _schemaVersion; keys with nothing
+ *   stored are left out
+ */
+export function readLocalData() {
+  const data = {};
+
+  VALUE_KEYS.forEach((key) => {
+    const value = getItem(key);
+    if (value !== null) data[key] = value;
+  });
+  COLLECTIONS.forEach((collection) => {
+    data[collection] = getRepository(collection).list().data || [];
+  });
+  data._schemaVersion = getItem(VERSION_KEY, 0);
+
+  return data;
+}
+
+/**
+ * List the keys whose value differs between two snapshots
+ * Only user data keys are compared; anything else a snapshot carries is
+ * ignored.
+ * @param {Object} data - New snapshot
+ * @param {Object} current - Stored snapshot
+ * @returns {Array<string>} Keys to write
+ */
+function changedKeys(data, current) {
+  return [...COLLECTIONS, ...VALUE_KEYS].filter(
+    (key) => JSON.stringify(data[key]) !== JSON.stringify(current[key])
+  );
+}
+
+/**
+ * Write some keys of a snapshot, removing those it doesn't have
+ * Collections are only counted as written once the store has saved them;
+ * IndexedDB answers before its transaction commits.
+ * @param {Array<string>} keys - Keys to write
+ * @param {Object} data - Values to write
+ * @returns {Promise<boolean>} True if every write succeeded
+ */
+async function writeKeys(keys, data) {
+  for (const key of keys) {
+    if (COLLECTIONS.includes(key)) {
+      const repository = getRepository(key);
+      const records = Array.isArray(data[key]) ? data[key] : [];
+      if (replaceRecords(repository, () => records).error) return false;
+      if ((await repository.flush()).error) return false;
+    } else if (
+      !(data[key] === undefined ? removeItem(key) : setItem(key, data[key]))
+    ) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Put back the keys saved by an interrupted writeLocalData()
+ * @returns {Promise<boolean>} True if there was a backup to restore
+ */
+async function restoreBackup() {
+  const { backups } = getStorageAdapter();
+  const { data: backup } = await backups.read(BACKUP_NAME);
+  if (!backup) return false;
+
+  if (await writeKeys(backup.keys, backup.values)) {
+    await backups.remove(BACKUP_NAME);
+  } else {
+    console.error("Failed to restore local data from backup");
+  }
+  return true;
+}
+
+/**
+ * Replace local data with a snapshot in the current schema
+ * The keys about to change are backed up first, in the storage adapter that
+ * holds the collections. If a write fails they are restored straight away;
+ * if the page closes midway, migrateLocalData() restores them at the next
+ * start.
+ * @param {Object} data - Snapshot, already migrated
+ * @returns {Promise<Object>} { success, changed, error } where changed lists
+ *   the keys written
+ */
+export async function writeLocalData(data) {
+  const { backups } = getStorageAdapter();
+  const current = readLocalData();
+  const keys = changedKeys(data, current);
+  const values = {};
+  keys.forEach((key) => {
+    if (current[key] !== undefined) values[key] = current[key];
+  });
+
+  if ((await backups.write(BACKUP_NAME, { keys, values })).error) {
+    return {
+      success: false,
+      changed: [],
+      error: "Not enough storage space to back up the current data",
+    };
+  }
+
+  if (!(await writeKeys(keys, data))) {
+    await restoreBackup();
+    return { success: false, changed: [], error: "Failed to save data" };
+  }
+
+  setItem(VERSION_KEY, SCHEMA_VERSION);
+  await backups.remove(BACKUP_NAME);
+  return { success: true, changed: keys, error: null };
+}
+
+/**
+ * Bring this browser's data up to the current schema
+ * Call once at startup, after the storage adapter is chosen, and wait for it
+ * before anything reads local data. Data from a newer version is left alone.
+ * @returns {Promise<Object>} { migrated: boolean, from, to, error }
+ */
+export async function migrateLocalData() {
+  if (await restoreBackup()) {
+    console.warn("Restored local data after an interrupted write");
+  }
+
+  const current = readLocalData();
+  const from = getSchemaVersion(current);
+  if (from >= SCHEMA_VERSION) {
+    return { migrated: false, from, to: from, error: null };
+  }
+
+  const result = migrateData(current);
+  const saved = result.success ? await writeLocalData(result.data) : result;
+  if (!saved.success) {
+    console.error("Local data migration failed:", saved.error);
+    return { migrated: false, from, to: from, error: saved.error };
+  }
+
+  return { migrated: true, from, to: SCHEMA_VERSION, error: null };
+}
@@ -0,0 +1,241 @@
+/**
+ * Search Query
+ * Parses the task search syntax and matches tasks against it
+ *
+ * Syntax (all parts must match):
+ *   milk               word in the title or a subtask (case-insensitive)
+ *   "buy milk"         quoted phrase
+ *   cat:Work           category name; cat:none for uncategorized, quote names with spaces
+ *   due:<2026-11-01    due date before/after a day (<, <=, >, >=) or on it (due:2026-11-01);
+ *                      also due:today, due:tomorrow, due:none
+ *   is:overdue         also is:done, is:active, is:recurring
+ *   -term / -cat:Work  negates any word, phrase or operator
+ */
+
+import { isOverdue, parseNaturalLanguageDate, toDate } from "./dateParser";
+
+// [negation] [field:] "quoted value" | bare value
+const TOKEN_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+// An operator name with nothing after it yet (e.g. "is:" while typing)
+const BARE_OPERATOR_PATTERN = /^(cat|category|due|is):$/i;
+
+const DUE_PATTERN = /^(<=|>=|<|>|=)?(.+)$/;
+const ISO_DAY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const STATUS_ALIASES = {
+  done: "done",
+  completed: "done",
+  complete: "done",
+  active: "active",
+  open: "active",
+  todo: "active",
+  overdue: "overdue",
+  recurring: "recurring",
+};
+
+/**
+ * Parse a day value (YYYY-MM-DD or a natural language date) as local midnight
+ * @param {string} value - Day value
+ * @returns {Date|null} Start of the day, or null if invalid
+ */
+function parseDay(value) {
+  const iso = value.match(ISO_DAY_PATTERN);
+  if (iso) {
+    const date = new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+    return isNaN(date.getTime()) ? null : date;
+  }
+  return parseNaturalLanguageDate(value);
+}
+
+/**
+ * Build a due date filter as a half-open time range [from, to)
+ * @param {string} value - Operator and day, e.g. "<2026-11-01"
+ * @returns {Object|null} Filter, or null if the date is invalid
+ */
+function parseDueFilter(value) {
+  if (value.toLowerCase() === "none") {
+    return { field: "due", none: true };
+  }
+
+  const [, operator = "=", dayValue] = value.match(DUE_PATTERN) || [];
+  const dayStart = dayValue ? parseDay(dayValue) : null;
+  if (!dayStart) return null;
+
+  const nextDay = new Date(dayStart);
+  nextDay.setDate(nextDay.getDate() + 1);
+  const start = dayStart.getTime();
+  const end = nextDay.getTime();
+
+  const ranges = {
+    "<": { from: -Infinity, to: start },
+    "<=": { from: -Infinity, to: end },
+    ">": { from: end, to: Infinity },
+    ">=": { from: start, to: Infinity },
+    "=": { from: start, to: end },
+  };
+
+  return { field: "due", ...ranges[operator] };
+}
+
+/**
+ * Parse a search query
+ * Incomplete operators (e.g. "due:<" while typing) are ignored rather than
+ * filtering everything out.
+ * @param {string} query - Raw search input
+ * @returns {{terms: Array<{value: string, negated: boolean}>, filters: Array<Object>}}
+ */
+export function parseSearchQuery(query) {
+  const parsed = { terms: [], filters: [] };
+  if (!query || typeof query !== "string") return parsed;
+
+  for (const match of query.matchAll(TOKEN_PATTERN)) {
+    const [raw, minus, rawField, quoted, bare] = match;
+    const negated = minus === "-";
+    const value = (quoted ?? bare ?? "").trim();
+    const field = rawField?.toLowerCase();
+
+    if (field === "cat" || field === "category") {
+      if (value) {
+        parsed.filters.push({
+          field: "cat",
+          value: value.toLowerCase(),
+          negated,
+        });
+      }
+    } else if (field === "due") {
+      const filter = value ? parseDueFilter(value) : null;
+      if (filter) parsed.filters.push({ ...filter, negated });
+    } else if (field === "is") {
+      const status = STATUS_ALIASES[value.toLowerCase()];
+      if (status) parsed.filters.push({ field: "is", value: status, negated });
+    } else {
+      // Plain text, including unknown "word:" prefixes such as URLs
+      const text = (field ? raw.slice(minus.length) : value).toLowerCase();
+      if (text && text !== "-" && !BARE_OPERATOR_PATTERN.test(text)) {
+        parsed.terms.push({ value: text, negated });
+      }
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Check whether a parsed query has anything to match
+ * @param {Object} parsed - Result of parseSearchQuery()
+ * @returns {boolean} True if the query is empty
+ */
+export function isEmptySearch(parsed) {
+  return parsed.terms.length === 0 && parsed.filters.length === 0;
+}
+
+/**
+ * Check a single operator filter against a task
+ * @param {Object} task - Task object
+ * @param {Object} filter - Parsed filter
+ * @param {Map<string, string>} categoryNames - Category ID -> lowercase name
+ * @returns {boolean} True if the task matches (before negation)
+ */
+function matchesFilter(task, filter, categoryNames) {
+  if (filter.field === "cat") {
+    const name = task.categoryId ? categoryNames.get(task.categoryId) : null;
+    return filter.value === "none" ? !name : name === filter.value;
+  }
+
+  if (filter.field === "due") {
+    if (filter.none) return !task.dueDate;
+    if (!task.dueDate) return false;
+    const due = toDate(task.dueDate).getTime();
+    return due >= filter.from && due < filter.to;
+  }
+
+  if (filter.field === "is") {
+    switch (filter.value) {
+      case "done":
+        return !!task.completed;
+      case "active":
+        return !task.completed;
+      case "overdue":
+        return !task.completed && isOverdue(task.dueDate);
+      case "recurring":
+        return !!task.recurrence;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Check whether a task matches a parsed query
+ * @param {Object} task - Task object
+ * @param {Object} parsed - Result of parseSearchQuery()
+ * @param {Map<string, string>} categoryNames - Category ID -> lowercase name
+ * @returns {boolean} True if the task matches every term and filter
+ */
+export function matchesSearch(task, parsed, categoryNames = new Map()) {
+  if (parsed.terms.length > 0) {
+    const haystack = [task.title, ...(task.subtasks || []).map((s) => s.title)]
+      .join("\n")
+      .toLowerCase();
+
+    for (const term of parsed.terms) {
+      if (haystack.includes(term.value) === term.negated) return false;
+    }
+  }
+
+  for (const filter of parsed.filters) {
+    if (matchesFilter(task, filter, categoryNames) === filter.negated) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Get the words to highlight for a query (positive text terms only)
+ * @param {string} query - Raw search input
+ * @returns {Array<string>} Lowercase terms
+ */
+export function getHighlightTerms(query) {
+  return parseSearchQuery(query)
+    .terms.filter((term) => !term.negated)
+    .map((term) => term.value);
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} str - Input
+ * @returns {string} Escaped string
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Split text into highlighted and plain segments
+ * @param {string} text - Text to highlight
+ * @param {Array<string>} terms - Terms to highlight (case-insensitive)
+ * @returns {Array<{text: string, match: boolean}>} Segments in order
+ */
+export function highlightMatches(text, terms) {
+  if (!text || !terms || terms.length === 0) {
+    return [{ text: text || "", match: false }];
+  }
+
+  // Longest first so "milk" wins over "mil" at the same position
+  const pattern = new RegExp(
+    `(${[...terms]
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegExp)
+      .join("|")})`,
+    "gi"
+  );
+
+  // split() with a capture group alternates plain/matched parts
+  return text
+    .split(pattern)
+    .map((part, index) => ({ text: part, match: index % 2 === 1 }))
+    .filter((segment) => segment.text);
+}
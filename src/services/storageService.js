@@ -41,6 +41,19 @@ export function setItem(key, value) {
   }
 }
 
+/**
+ * Read, change and write an item in one step
+ * The updater always receives the value currently in storage, so a change
+ * made by another tab since this tab last read the key is kept.
+ * @param {string} key - Storage key (will be prefixed)
+ * @param {Function} updater - Receives the current value, returns the new one
+ * @param {*} defaultValue - Value passed to the updater if key doesn't exist
+ * @returns {boolean} Success status
+ */
+export function updateItem(key, updater, defaultValue = null) {
+  return setItem(key, updater(getItem(key, defaultValue)));
+}
+
 /**
  * Remove item from localStorage
  * @param {string} key - Storage key (will be prefixed)
@@ -57,20 +70,33 @@ export function removeItem(key) {
 }
 
 /**
- * Clear all app data from localStorage
- * @returns {boolean} Success status
+ * List the keys of all app data in localStorage
+ * @returns {Array<string>} Keys without the prefix
  */
-export function clearAll() {
+export function getKeys() {
   try {
     const keys = [];
     for (let i = 0; i < localStorage.length; i++) {
       const key = localStorage.key(i);
       if (key && key.startsWith(STORAGE_PREFIX)) {
-        keys.push(key);
+        keys.push(key.slice(STORAGE_PREFIX.length));
       }
     }
-    keys.forEach((key) => {
-      localStorage.removeItem(key);
+    return keys;
+  } catch (error) {
+    console.error("Error listing localStorage keys:", error);
+    return [];
+  }
+}
+
+/**
+ * Clear all app data from localStorage
+ * @returns {boolean} Success status
+ */
+export function clearAll() {
+  try {
+    getKeys().forEach((key) => {
+      localStorage.removeItem(STORAGE_PREFIX + key);
     });
     return true;
   } catch (error) {
@@ -79,6 +105,29 @@ export function clearAll() {
   }
 }
 
+/**
+ * Listen for changes another tab makes to an item
+ * Browsers fire storage events only in the other tabs of the same origin, so
+ * this tab's own writes are not reported back to it.
+ * @param {string} key - Storage key (will be prefixed)
+ * @param {Function} listener - Called with the new value
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToKey(key, listener) {
+  if (typeof window === "undefined") {
+    return () => {};
+  }
+
+  const handleStorage = (event) => {
+    // A null key means another tab cleared all of localStorage
+    if (event.key !== null && event.key !== STORAGE_PREFIX + key) return;
+    listener(getItem(key));
+  };
+
+  window.addEventListener("storage", handleStorage);
+  return () => window.removeEventListener("storage", handleStorage);
+}
+
 /**
  * Check if localStorage is available
  * @returns {boolean} True if localStorage is available
@@ -115,98 +164,14 @@ export function getStorageSize() {
   }
 }
 
-/**
- * Export all app data as JSON
- * @returns {Object} All app data
- */
-export function exportData() {
-  try {
-    const data = {};
-
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key && key.startsWith(STORAGE_PREFIX)) {
-        const cleanKey = key.replace(STORAGE_PREFIX, "");
-        const value = localStorage.getItem(key);
-        data[cleanKey] = value ? JSON.parse(value) : null;
-      }
-    }
-
-    data._exportDate = new Date().toISOString();
-    data._version = "1.0.0";
-
-    return data;
-  } catch (error) {
-    console.error("Error exporting data:", error);
-    throw new Error("Failed to export data");
-  }
-}
-
-/**
- * Import app data from JSON
- * @param {Object} data - Data to import
- * @param {boolean} merge - If true, merge with existing data; if false, replace
- * @returns {Object} { success: boolean, error: string|null }
- */
-export function importData(data, merge = false) {
-  try {
-    if (!data || typeof data !== "object") {
-      throw new Error("Invalid data format");
-    }
-
-    // Clear existing data if not merging
-    if (!merge) {
-      clearAll();
-    }
-
-    // Import each key
-    Object.keys(data).forEach((key) => {
-      // Skip metadata fields
-      if (key.startsWith("_")) return;
-
-      setItem(key, data[key]);
-    });
-
-    return { success: true, error: null };
-  } catch (error) {
-    console.error("Error importing data:", error);
-    return { success: false, error: error.message || "Failed to import data" };
-  }
-}
-
-/**
- * Download exported data as JSON file
- */
-export function downloadData() {
-  try {
-    const data = exportData();
-    const json = JSON.stringify(data, null, 2);
-    const blob = new Blob([json], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `coolest-todo-backup-${
-      new Date().toISOString().split("T")[0]
-    }.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-    return true;
-  } catch (error) {
-    console.error("Error downloading data:", error);
-    return false;
-  }
-}
-
 export const storageService = {
   getItem,
   setItem,
+  updateItem,
   removeItem,
   clearAll,
+  subscribeToKey,
   isAvailable,
+  getKeys,
   getStorageSize,
-  exportData,
-  importData,
-  downloadData,
 };
@@ -0,0 +1,158 @@
+/**
+ * Supabase Repository
+ * Repository adapter (see repository.js) over supabaseStorageService for
+ * one signed-in user
+ *
+ * Every call is asynchronous. Writes the server rejects are reported as
+ * errors rather than skipped, and get() reports a row that doesn't exist as
+ * PostgREST's PGRST116 error.
+ */
+
+import {
+  fetchTasks,
+  fetchTaskById,
+  createTaskInSupabase,
+  updateTaskInSupabase,
+  deleteTaskFromSupabase,
+  deleteTasksFromSupabase,
+  reorderTasksInSupabase,
+  subscribeToTaskChanges,
+  fetchCategories,
+  fetchCategoryById,
+  createCategoryInSupabase,
+  updateCategoryInSupabase,
+  deleteCategoryFromSupabase,
+  deleteCategoriesFromSupabase,
+  subscribeToCategoryChanges,
+} from "./supabaseStorageService";
+
+/**
+ * Check whether a batch only moves tasks around
+ * @param {Array<import("./repository").RepositoryOperation>} operations
+ * @returns {boolean} True if every operation changes nothing but order
+ */
+function isReorder(operations) {
+  return (
+    operations.length > 0 &&
+    operations.every(
+      (operation) =>
+        operation.type === "update" &&
+        typeof operation.changes === "object" &&
+        Object.keys(operation.changes).join() === "order"
+    )
+  );
+}
+
+/**
+ * Check whether a batch only deletes records
+ * @param {Array<import("./repository").RepositoryOperation>} operations
+ * @returns {boolean} True if every operation is a delete
+ */
+function isDeleteOnly(operations) {
+  return (
+    operations.length > 0 &&
+    operations.every((operation) => operation.type === "delete")
+  );
+}
+
+/**
+ * Create a Supabase adapter for a user
+ * @param {string} userId - User ID from auth
+ * @returns {import("./repository").StorageAdapter} Adapter
+ */
+export function createSupabaseAdapter(userId) {
+  const repository = (collection) => {
+    if (collection !== "tasks" && collection !== "categories") {
+      throw new Error(`Unknown collection: ${collection}`);
+    }
+    const isTasks = collection === "tasks";
+
+    const get = (id) => (isTasks ? fetchTaskById : fetchCategoryById)(id);
+
+    const update = async (id, changes) => {
+      const send = isTasks ? updateTaskInSupabase : updateCategoryInSupabase;
+      if (typeof changes !== "function") {
+        return send(id, changes);
+      }
+
+      const { data: stored, error } = await get(id);
+      if (error) return { data: null, error };
+      return send(id, changes(stored));
+    };
+
+    const write = async (operation) => {
+      switch (operation.type) {
+        case "create":
+          return (isTasks ? createTaskInSupabase : createCategoryInSupabase)(
+            userId,
+            operation.record
+          );
+        case "update":
+          return update(operation.id, operation.changes);
+        case "delete": {
+          const { error } = await (isTasks
+            ? deleteTaskFromSupabase
+            : deleteCategoryFromSupabase)(operation.id);
+          return { data: null, error };
+        }
+        default:
+          return {
+            data: null,
+            error: { message: `Unknown operation: ${operation.type}` },
+          };
+      }
+    };
+
+    /**
+     * Apply several writes in order, stopping at the first failure
+     * Reordering tasks goes through reorder_tasks() in one round trip, and
+     * deletes go out as one request.
+     */
+    const batch = async (operations) => {
+      if (isDeleteOnly(operations)) {
+        const { error } = await (isTasks
+          ? deleteTasksFromSupabase
+          : deleteCategoriesFromSupabase)(operations.map(({ id }) => id));
+        return error
+          ? { data: null, error }
+          : { data: operations.map(() => null), error: null };
+      }
+
+      if (isTasks && isReorder(operations)) {
+        const { error } = await reorderTasksInSupabase(
+          operations.map((operation) => ({
+            id: operation.id,
+            order: operation.changes.order,
+          }))
+        );
+        return error
+          ? { data: null, error }
+          : { data: operations.map(() => null), error: null };
+      }
+
+      const results = [];
+      for (const operation of operations) {
+        const { data, error } = await write(operation);
+        if (error) return { data: results, error };
+        results.push(data);
+      }
+      return { data: results, error: null };
+    };
+
+    return {
+      list: () => (isTasks ? fetchTasks : fetchCategories)(userId),
+      get,
+      create: (record) => write({ type: "create", record }),
+      update,
+      delete: (id) => write({ type: "delete", id }),
+      batch,
+      subscribe: (handlers) =>
+        (isTasks ? subscribeToTaskChanges : subscribeToCategoryChanges)(
+          userId,
+          handlers
+        ),
+    };
+  };
+
+  return { name: "supabase", repository };
+}
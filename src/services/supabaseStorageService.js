@@ -7,9 +7,214 @@
 
 import supabase, { isSupabaseAvailable } from "../config/supabase.js";
 import { sanitizeTaskTitle, sanitizeCategoryName } from "../utils/sanitize.js";
+import { generateId, isUUID } from "../utils/helpers.js";
+import { stampFields } from "./mergeService.js";
+import { isAllDay, fromLegacyDueDate } from "./dateParser.js";
+
+/**
+ * Read a task row's due date
+ * Days are stored as UTC midnight with due_all_day set. Rows from before
+ * that column (NULL) stored days as local midnight.
+ * @param {object} row - Row from the tasks table
+ * @returns {string|null} Day or ISO timestamp
+ */
+function mapDueDateFromSupabase(row) {
+  if (!row.due_date) return null;
+  if (row.due_all_day == null) return fromLegacyDueDate(row.due_date);
+  return row.due_all_day
+    ? new Date(row.due_date).toISOString().slice(0, 10)
+    : row.due_date;
+}
+
+/**
+ * Build the due date columns of a task row
+ * @param {string|null} dueDate - Day or ISO timestamp
+ * @returns {object} { due_date, due_all_day }
+ */
+function toDueDateColumns(dueDate) {
+  if (!dueDate) return { due_date: null, due_all_day: false };
+  return isAllDay(dueDate)
+    ? { due_date: `${dueDate}T00:00:00Z`, due_all_day: true }
+    : { due_date: dueDate, due_all_day: false };
+}
+
+/**
+ * Transform a Supabase task row to app format
+ * Sanitizes the title since it comes from an external source.
+ * @param {object} row - Row from the tasks table
+ * @returns {object} Task in app format
+ */
+function mapTaskFromSupabase(row) {
+  return {
+    id: row.id,
+    title: sanitizeTaskTitle(row.title),
+    completed: row.completed,
+    createdAt: row.created_at,
+    completedAt: row.completed_at,
+    categoryId: row.category_id,
+    dueDate: mapDueDateFromSupabase(row),
+    order: row.task_order,
+    recurrence: row.recurrence || null,
+    subtasks: (row.subtasks || []).map((subtask) => ({
+      ...subtask,
+      title: sanitizeTaskTitle(subtask.title),
+    })),
+    priority: row.priority || "none",
+    deletedAt: row.deleted_at || null,
+    archivedAt: row.archived_at || null,
+    updatedAt: row.updated_at,
+    fieldUpdatedAt: row.field_updated_at || {},
+  };
+}
+
+/**
+ * Transform a Supabase category row to app format
+ * @param {object} row - Row from the categories table
+ * @returns {object} Category in app format
+ */
+function mapCategoryFromSupabase(row) {
+  return {
+    id: row.id,
+    name: sanitizeCategoryName(row.name), // Sanitize data from external source
+    color: row.color,
+    createdAt: row.created_at,
+    order: row.category_order,
+    deletedAt: row.deleted_at || null,
+    updatedAt: row.updated_at,
+    fieldUpdatedAt: row.field_updated_at || {},
+  };
+}
+
+/**
+ * Fetch a single row by ID
+ * Returns the PGRST116 error when the row no longer exists.
+ * @param {string} table - "tasks" | "categories"
+ * @param {string} id - Row ID
+ * @param {Function} mapRow - Row to app format transform
+ * @returns {Promise<{data: object|null, error: object|null}>}
+ */
+async function fetchRowById(table, id, mapRow) {
+  if (!isSupabaseAvailable()) {
+    return { data: null, error: { message: "Supabase not available" } };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from(table)
+      .select("*")
+      .eq("id", id)
+      .single();
+
+    if (error) {
+      return { data: null, error };
+    }
+
+    return { data: mapRow(data), error: null };
+  } catch (err) {
+    return {
+      data: null,
+      error: { message: err.message || `Failed to fetch from ${table}` },
+    };
+  }
+}
+
+/**
+ * Fetch a single task from Supabase
+ * @param {string} taskId - Task ID
+ * @returns {Promise<{data: object|null, error: object|null}>}
+ */
+export function fetchTaskById(taskId) {
+  return fetchRowById("tasks", taskId, mapTaskFromSupabase);
+}
+
+/**
+ * Fetch a single category from Supabase
+ * @param {string} categoryId - Category ID
+ * @returns {Promise<{data: object|null, error: object|null}>}
+ */
+export function fetchCategoryById(categoryId) {
+  return fetchRowById("categories", categoryId, mapCategoryFromSupabase);
+}
+
+/**
+ * Subscribe to live changes of one of the user's tables
+ * Delete events can't be filtered by column, so every delete is passed on;
+ * unknown IDs are simply not in the caller's cache.
+ * @param {string} table - "tasks" | "categories"
+ * @param {string} userId - User ID from auth
+ * @param {Function} mapRow - Row to app format transform
+ * @param {Object} handlers - { onChange, onStatus }
+ *   onChange receives { type: "insert"|"update"|"delete", id, record }
+ *   onStatus receives the channel status ("SUBSCRIBED", "CHANNEL_ERROR", ...)
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeToTable(table, userId, mapRow, { onChange, onStatus }) {
+  if (!isSupabaseAvailable() || !userId) {
+    return () => {};
+  }
+
+  const handleChange = (payload) => {
+    const type = payload.eventType.toLowerCase();
+    onChange({
+      type,
+      id: type === "delete" ? payload.old?.id : payload.new.id,
+      record: type === "delete" ? null : mapRow(payload.new),
+    });
+  };
+
+  const filter = `user_id=eq.${userId}`;
+  const channel = supabase
+    .channel(`${table}:${userId}`)
+    .on(
+      "postgres_changes",
+      { event: "INSERT", schema: "public", table, filter },
+      handleChange
+    )
+    .on(
+      "postgres_changes",
+      { event: "UPDATE", schema: "public", table, filter },
+      handleChange
+    )
+    .on(
+      "postgres_changes",
+      { event: "DELETE", schema: "public", table },
+      handleChange
+    )
+    .subscribe((status) => onStatus?.(status));
+
+  return () => {
+    supabase.removeChannel(channel);
+  };
+}
+
+/**
+ * Subscribe to live task changes for the current user
+ * @param {string} userId - User ID from auth
+ * @param {Object} handlers - { onChange, onStatus } (see subscribeToTable)
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToTaskChanges(userId, handlers) {
+  return subscribeToTable("tasks", userId, mapTaskFromSupabase, handlers);
+}
+
+/**
+ * Subscribe to live category changes for the current user
+ * @param {string} userId - User ID from auth
+ * @param {Object} handlers - { onChange, onStatus } (see subscribeToTable)
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToCategoryChanges(userId, handlers) {
+  return subscribeToTable(
+    "categories",
+    userId,
+    mapCategoryFromSupabase,
+    handlers
+  );
+}
 
 /**
  * Fetch all tasks for the current user from Supabase
+ * Archived tasks are left out; they're paged with fetchArchivedTasks.
  * @param {string} userId - User ID from auth
  * @returns {Promise<{data: Array, error: object|null}>}
  */
@@ -26,23 +231,15 @@ export async function fetchTasks(userId) {
       .from("tasks")
       .select("*")
       .eq("user_id", userId)
-      .order("task_order", { ascending: false });
+      .is("archived_at", null)
+      .order("task_order", { ascending: true });
 
     if (error) {
       return { data: [], error };
     }
 
-    // Transform Supabase format to app format and sanitize data from database
-    const tasks = data.map((task) => ({
-      id: task.id,
-      title: sanitizeTaskTitle(task.title), // Sanitize data from external source
-      completed: task.completed,
-      createdAt: task.created_at,
-      completedAt: task.completed_at,
-      categoryId: task.category_id,
-      dueDate: task.due_date,
-      order: task.task_order,
-    }));
+    // Transform Supabase format to app format
+    const tasks = data.map(mapTaskFromSupabase);
 
     return { data: tasks, error: null };
   } catch (err) {
@@ -54,120 +251,86 @@ export async function fetchTasks(userId) {
 }
 
 /**
- * Helper function to check if a string is a valid UUID
- * @param {string} str - String to check
- * @returns {boolean} True if valid UUID
- */
-function isValidUUID(str) {
-  if (!str) return false;
-  const uuidRegex =
-    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-  return uuidRegex.test(str);
-}
-
-/**
- * Find a Supabase category by name for the current user
- * @param {string} userId - User ID
- * @param {string} categoryName - Category name to find
- * @returns {Promise<string|null>} Category UUID or null
+ * Fetch one page of a user's archived tasks, most recently completed first
+ * @param {string} userId - User ID from auth
+ * @param {object} options - Page options
+ * @param {string} [options.query] - Only tasks whose title contains this
+ * @param {number} [options.offset] - Tasks to skip
+ * @param {number} [options.limit] - Page size
+ * @returns {Promise<{data: {tasks: Array, total: number}|null, error: object|null}>}
  */
-async function findCategoryIdByName(userId, categoryName) {
-  if (!isSupabaseAvailable() || !userId || !categoryName) {
-    return null;
+export async function fetchArchivedTasks(
+  userId,
+  { query = "", offset = 0, limit = 20 } = {}
+) {
+  if (!isSupabaseAvailable() || !userId) {
+    return {
+      data: null,
+      error: { message: "Supabase not available or no user ID" },
+    };
   }
 
   try {
-    const { data, error } = await supabase
-      .from("categories")
-      .select("id")
+    let request = supabase
+      .from("tasks")
+      .select("*", { count: "exact" })
       .eq("user_id", userId)
-      .eq("name", categoryName)
-      .single();
+      .not("archived_at", "is", null)
+      .is("deleted_at", null);
+
+    const needle = query.trim();
+    if (needle) {
+      // Match the text literally: % and _ are LIKE wildcards
+      request = request.ilike(
+        "title",
+        `%${needle.replace(/[%_\\]/g, "\\$&")}%`
+      );
+    }
+
+    const { data, error, count } = await request
+      .order("completed_at", { ascending: false, nullsFirst: false })
+      .order("archived_at", { ascending: false })
+      .range(offset, offset + limit - 1);
 
-    if (error || !data) {
-      return null;
+    if (error) {
+      return { data: null, error };
     }
 
-    return data.id;
+    return {
+      data: { tasks: data.map(mapTaskFromSupabase), total: count || 0 },
+      error: null,
+    };
   } catch (err) {
-    console.error("Error finding category by name:", err);
-    return null;
+    return {
+      data: null,
+      error: { message: err.message || "Failed to fetch archived tasks" },
+    };
   }
 }
 
 /**
- * Resolve category ID - if not a valid UUID, try to find or create matching category
- * @param {string} userId - User ID
- * @param {string} categoryId - Category ID (might be localStorage ID)
- * @param {Array} localCategories - Local categories for name lookup
- * @returns {Promise<string|null>} Valid UUID or null
+ * Convert a category ID for the category_id column
+ * IDs are generated on the client as UUIDs; anything else predates that and
+ * has no matching row, so the task is left uncategorized.
+ * @param {string|null} categoryId - Category ID
+ * @returns {string|null} Category UUID or null
  */
-async function resolveCategoryId(userId, categoryId, localCategories = []) {
+function toCategoryColumn(categoryId) {
   if (!categoryId) return null;
-
-  // If already a valid UUID, return it
-  if (isValidUUID(categoryId)) {
-    return categoryId;
-  }
-
-  // Not a UUID - try to find the category by name
-  // First, find the category name in localStorage
-  const localCategory = localCategories.find((cat) => cat.id === categoryId);
-  if (!localCategory) {
-    console.warn(
-      `Category with ID ${categoryId} not found in local categories`
-    );
+  if (!isUUID(categoryId)) {
+    console.warn(`Invalid UUID format for categoryId: ${categoryId}`);
     return null;
   }
-
-  // Try to find the matching Supabase category by name
-  let supabaseCategoryId = await findCategoryIdByName(
-    userId,
-    localCategory.name
-  );
-
-  if (supabaseCategoryId) {
-    console.log(
-      `Mapped localStorage category "${localCategory.name}" (${categoryId}) to Supabase UUID ${supabaseCategoryId}`
-    );
-    return supabaseCategoryId;
-  }
-
-  // Category doesn't exist in Supabase - create it
-  console.log(`Creating category "${localCategory.name}" in Supabase`);
-  const { data, error } = await createCategoryInSupabase(userId, {
-    name: localCategory.name,
-    color: localCategory.color,
-    createdAt: localCategory.createdAt,
-    order: localCategory.order || 0,
-  });
-
-  if (error) {
-    console.error(
-      `Failed to create category "${localCategory.name}" in Supabase:`,
-      error
-    );
-    return null;
-  }
-
-  console.log(
-    `Created category "${localCategory.name}" in Supabase with ID ${data.id}`
-  );
-  return data.id;
+  return categoryId;
 }
 
 /**
  * Create a new task in Supabase
  * @param {string} userId - User ID from auth
  * @param {object} taskData - Task data
- * @param {Array} localCategories - Optional: local categories for ID resolution
  * @returns {Promise<{data: object|null, error: object|null}>}
  */
-export async function createTaskInSupabase(
-  userId,
-  taskData,
-  localCategories = []
-) {
+export async function createTaskInSupabase(userId, taskData) {
   if (!isSupabaseAvailable() || !userId) {
     return {
       data: null,
@@ -176,24 +339,25 @@ export async function createTaskInSupabase(
   }
 
   try {
-    // Resolve categoryId - if it's not a valid UUID, try to find matching category
-    let categoryId = await resolveCategoryId(
-      userId,
-      taskData.categoryId,
-      localCategories
-    );
-
     const { data, error } = await supabase
       .from("tasks")
       .insert({
+        // IDs are generated on the client so local and cloud copies match
+        id: isUUID(taskData.id) ? taskData.id : generateId(),
         user_id: userId,
         title: taskData.title,
         completed: taskData.completed || false,
         created_at: taskData.createdAt || new Date().toISOString(),
         completed_at: taskData.completedAt || null,
-        category_id: categoryId,
-        due_date: taskData.dueDate || null,
+        category_id: toCategoryColumn(taskData.categoryId),
+        ...toDueDateColumns(taskData.dueDate),
         task_order: taskData.order || 0,
+        recurrence: taskData.recurrence || null,
+        subtasks: taskData.subtasks || [],
+        priority: taskData.priority || "none",
+        deleted_at: taskData.deletedAt || null,
+        archived_at: taskData.archivedAt || null,
+        field_updated_at: taskData.fieldUpdatedAt || {},
       })
       .select()
       .single();
@@ -202,19 +366,7 @@ export async function createTaskInSupabase(
       return { data: null, error };
     }
 
-    // Transform to app format
-    const task = {
-      id: data.id,
-      title: data.title,
-      completed: data.completed,
-      createdAt: data.created_at,
-      completedAt: data.completed_at,
-      categoryId: data.category_id,
-      dueDate: data.due_date,
-      order: data.task_order,
-    };
-
-    return { data: task, error: null };
+    return { data: mapTaskFromSupabase(data), error: null };
   } catch (err) {
     return {
       data: null,
@@ -227,16 +379,9 @@ export async function createTaskInSupabase(
  * Update a task in Supabase
  * @param {string} taskId - Task ID
  * @param {object} updates - Fields to update
- * @param {string} userId - User ID for category resolution
- * @param {Array} localCategories - Optional: local categories for ID resolution
  * @returns {Promise<{data: object|null, error: object|null}>}
  */
-export async function updateTaskInSupabase(
-  taskId,
-  updates,
-  userId = null,
-  localCategories = []
-) {
+export async function updateTaskInSupabase(taskId, updates) {
   if (!isSupabaseAvailable()) {
     return { data: null, error: { message: "Supabase not available" } };
   }
@@ -249,30 +394,29 @@ export async function updateTaskInSupabase(
       supabaseUpdates.completed = updates.completed;
     if (updates.completedAt !== undefined)
       supabaseUpdates.completed_at = updates.completedAt;
-    if (updates.categoryId !== undefined) {
-      // Resolve categoryId - if it's not a valid UUID, try to find matching category
-      if (userId) {
-        const resolvedCategoryId = await resolveCategoryId(
-          userId,
-          updates.categoryId,
-          localCategories
-        );
-        supabaseUpdates.category_id = resolvedCategoryId;
-      } else {
-        // Fallback to old behavior if userId not provided
-        if (updates.categoryId && !isValidUUID(updates.categoryId)) {
-          console.warn(
-            `Invalid UUID format for categoryId: ${updates.categoryId}. Setting to null.`
-          );
-          supabaseUpdates.category_id = null;
-        } else {
-          supabaseUpdates.category_id = updates.categoryId;
-        }
-      }
-    }
+    if (updates.categoryId !== undefined)
+      supabaseUpdates.category_id = toCategoryColumn(updates.categoryId);
     if (updates.dueDate !== undefined)
-      supabaseUpdates.due_date = updates.dueDate;
+      Object.assign(supabaseUpdates, toDueDateColumns(updates.dueDate));
     if (updates.order !== undefined) supabaseUpdates.task_order = updates.order;
+    if (updates.recurrence !== undefined)
+      supabaseUpdates.recurrence = updates.recurrence;
+    if (updates.subtasks !== undefined)
+      supabaseUpdates.subtasks = updates.subtasks;
+    if (updates.priority !== undefined)
+      supabaseUpdates.priority = updates.priority || "none";
+    if (updates.deletedAt !== undefined)
+      supabaseUpdates.deleted_at = updates.deletedAt;
+    if (updates.archivedAt !== undefined)
+      supabaseUpdates.archived_at = updates.archivedAt;
+    // Stamp the edited fields (replayed edits carry their original times);
+    // the database merges these into the row's existing stamps
+    supabaseUpdates.field_updated_at =
+      updates.fieldUpdatedAt ||
+      stampFields(
+        {},
+        Object.keys(updates).filter((field) => field !== "fieldUpdatedAt")
+      );
 
     const { data, error } = await supabase
       .from("tasks")
@@ -285,19 +429,7 @@ export async function updateTaskInSupabase(
       return { data: null, error };
     }
 
-    // Transform to app format
-    const task = {
-      id: data.id,
-      title: data.title,
-      completed: data.completed,
-      createdAt: data.created_at,
-      completedAt: data.completed_at,
-      categoryId: data.category_id,
-      dueDate: data.due_date,
-      order: data.task_order,
-    };
-
-    return { data: task, error: null };
+    return { data: mapTaskFromSupabase(data), error: null };
   } catch (err) {
     return {
       data: null,
@@ -307,7 +439,9 @@ export async function updateTaskInSupabase(
 }
 
 /**
- * Delete a task from Supabase
+ * Permanently delete a task from Supabase
+ * Deleting from the UI moves tasks to the trash (an update of deletedAt);
+ * this is for "Delete forever" and the trash's automatic purge.
  * @param {string} taskId - Task ID
  * @returns {Promise<{error: object|null}>}
  */
@@ -330,36 +464,56 @@ export async function deleteTaskFromSupabase(taskId) {
 }
 
 /**
- * Clear all completed tasks for a user from Supabase
- * @param {string} userId - User ID from auth
- * @returns {Promise<{data: {count: number}|null, error: object|null}>}
+ * Permanently delete several tasks from Supabase in one request
+ * @param {Array<string>} taskIds - Task IDs
+ * @returns {Promise<{error: object|null}>}
  */
-export async function clearCompletedTasksFromSupabase(userId) {
-  if (!isSupabaseAvailable() || !userId) {
-    return {
-      data: null,
-      error: { message: "Supabase not available or no user ID" },
-    };
+export async function deleteTasksFromSupabase(taskIds) {
+  if (!isSupabaseAvailable()) {
+    return { error: { message: "Supabase not available" } };
   }
 
   try {
-    const { data, error } = await supabase
-      .from("tasks")
-      .delete()
-      .eq("user_id", userId)
-      .eq("completed", true)
-      .select();
+    const { error } = await supabase.from("tasks").delete().in("id", taskIds);
 
     if (error) {
-      return { data: null, error };
+      return { error };
     }
 
-    return { data: { count: data?.length || 0 }, error: null };
+    return { error: null };
   } catch (err) {
-    return {
-      data: null,
-      error: { message: err.message || "Failed to clear completed tasks" },
-    };
+    return { error: { message: err.message || "Failed to delete tasks" } };
+  }
+}
+
+/**
+ * Persist manual task order to Supabase in a single round trip
+ * Calls the reorder_tasks() database function (see supabase-setup.sql).
+ * @param {Array<{id: string, order: number}>} taskOrders - New order values
+ * @returns {Promise<{error: object|null}>}
+ */
+export async function reorderTasksInSupabase(taskOrders) {
+  if (!isSupabaseAvailable()) {
+    return { error: { message: "Supabase not available" } };
+  }
+
+  if (!taskOrders || taskOrders.length === 0) {
+    return { error: null };
+  }
+
+  try {
+    const { error } = await supabase.rpc("reorder_tasks", {
+      task_ids: taskOrders.map((t) => t.id),
+      task_orders: taskOrders.map((t) => t.order),
+    });
+
+    if (error) {
+      return { error };
+    }
+
+    return { error: null };
+  } catch (err) {
+    return { error: { message: err.message || "Failed to reorder tasks" } };
   }
 }
 
@@ -388,13 +542,7 @@ export async function fetchCategories(userId) {
     }
 
     // Transform to app format and sanitize data from database
-    const categories = data.map((cat) => ({
-      id: cat.id,
-      name: sanitizeCategoryName(cat.name), // Sanitize data from external source
-      color: cat.color,
-      createdAt: cat.created_at,
-      order: cat.category_order,
-    }));
+    const categories = data.map(mapCategoryFromSupabase);
 
     return { data: categories, error: null };
   } catch (err) {
@@ -423,11 +571,14 @@ export async function createCategoryInSupabase(userId, categoryData) {
     const { data, error } = await supabase
       .from("categories")
       .insert({
+        id: isUUID(categoryData.id) ? categoryData.id : generateId(),
         user_id: userId,
         name: categoryData.name,
         color: categoryData.color || "gray",
         created_at: categoryData.createdAt || new Date().toISOString(),
         category_order: categoryData.order || 0,
+        deleted_at: categoryData.deletedAt || null,
+        field_updated_at: categoryData.fieldUpdatedAt || {},
       })
       .select()
       .single();
@@ -436,16 +587,7 @@ export async function createCategoryInSupabase(userId, categoryData) {
       return { data: null, error };
     }
 
-    // Transform to app format
-    const category = {
-      id: data.id,
-      name: data.name,
-      color: data.color,
-      createdAt: data.created_at,
-      order: data.category_order,
-    };
-
-    return { data: category, error: null };
+    return { data: mapCategoryFromSupabase(data), error: null };
   } catch (err) {
     return {
       data: null,
@@ -471,6 +613,14 @@ export async function updateCategoryInSupabase(categoryId, updates) {
     if (updates.color !== undefined) supabaseUpdates.color = updates.color;
     if (updates.order !== undefined)
       supabaseUpdates.category_order = updates.order;
+    if (updates.deletedAt !== undefined)
+      supabaseUpdates.deleted_at = updates.deletedAt;
+    supabaseUpdates.field_updated_at =
+      updates.fieldUpdatedAt ||
+      stampFields(
+        {},
+        Object.keys(updates).filter((field) => field !== "fieldUpdatedAt")
+      );
 
     const { data, error } = await supabase
       .from("categories")
@@ -483,15 +633,7 @@ export async function updateCategoryInSupabase(categoryId, updates) {
       return { data: null, error };
     }
 
-    const category = {
-      id: data.id,
-      name: data.name,
-      color: data.color,
-      createdAt: data.created_at,
-      order: data.category_order,
-    };
-
-    return { data: category, error: null };
+    return { data: mapCategoryFromSupabase(data), error: null };
   } catch (err) {
     return {
       data: null,
@@ -501,7 +643,8 @@ export async function updateCategoryInSupabase(categoryId, updates) {
 }
 
 /**
- * Delete a category from Supabase
+ * Permanently delete a category from Supabase
+ * The database clears category_id on its tasks (ON DELETE SET NULL).
  * @param {string} categoryId - Category ID
  * @returns {Promise<{error: object|null}>}
  */
@@ -527,54 +670,29 @@ export async function deleteCategoryFromSupabase(categoryId) {
 }
 
 /**
- * Sync local data to Supabase (for data migration on first login)
- * @param {string} userId - User ID from auth
- * @param {Array} localTasks - Tasks from localStorage
- * @param {Array} localCategories - Categories from localStorage
- * @returns {Promise<{success: boolean, error: object|null}>}
+ * Permanently delete several categories from Supabase in one request
+ * @param {Array<string>} categoryIds - Category IDs
+ * @returns {Promise<{error: object|null}>}
  */
-export async function syncLocalDataToSupabase(
-  userId,
-  localTasks = [],
-  localCategories = []
-) {
-  if (!isSupabaseAvailable() || !userId) {
-    return {
-      success: false,
-      error: { message: "Supabase not available or no user ID" },
-    };
+export async function deleteCategoriesFromSupabase(categoryIds) {
+  if (!isSupabaseAvailable()) {
+    return { error: { message: "Supabase not available" } };
   }
 
   try {
-    // First, sync categories (tasks reference them)
-    const categoryIdMap = {}; // old ID -> new ID mapping
-
-    for (const category of localCategories) {
-      const { data, error } = await createCategoryInSupabase(userId, category);
-      if (error) {
-        console.error("Failed to sync category:", category.name, error);
-      } else {
-        categoryIdMap[category.id] = data.id;
-      }
-    }
-
-    // Then sync tasks with updated category IDs
-    for (const task of localTasks) {
-      const taskData = { ...task };
-
-      // Update category ID if it was remapped
-      if (taskData.categoryId && categoryIdMap[taskData.categoryId]) {
-        taskData.categoryId = categoryIdMap[taskData.categoryId];
-      }
+    const { error } = await supabase
+      .from("categories")
+      .delete()
+      .in("id", categoryIds);
 
-      const { error } = await createTaskInSupabase(userId, taskData);
-      if (error) {
-        console.error("Failed to sync task:", task.title, error);
-      }
+    if (error) {
+      return { error };
     }
 
-    return { success: true, error: null };
+    return { error: null };
   } catch (err) {
-    return { success: false, error: { message: err.message || "Sync failed" } };
+    return {
+      error: { message: err.message || "Failed to delete categories" },
+    };
   }
 }
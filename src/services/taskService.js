@@ -3,15 +3,28 @@
  * Business logic for task operations (CRUD)
  */
 
-import { getItem, setItem } from "./storageService";
-import { validateTaskTitle } from "../utils/validators";
+import { getRepository, getStorageAdapter, replaceRecords } from "./repository";
+import {
+  validateTaskTitle,
+  validateRecurrence,
+  validatePriority,
+  validateDueDate,
+} from "../utils/validators";
 import { sanitizeTaskTitle } from "../utils/sanitize";
 import { generateId } from "../utils/helpers";
 import { getDemoTasks } from "./demoData";
+import { getNextOccurrence } from "./recurrenceService";
+import { isOverdue, isAllDay, toDate, toDay } from "./dateParser";
+import { getAllCategories } from "./categoryService";
+import { parseSearchQuery, isEmptySearch, matchesSearch } from "./searchQuery";
+import { TASK_FIELDS, stampFields } from "./mergeService";
 
 const TASKS_KEY = "tasks";
 const INITIALIZED_KEY = "initialized";
 
+// Lowest to highest
+export const PRIORITY_LEVELS = ["none", "low", "medium", "high", "urgent"];
+
 /**
  * Task Entity Structure
  * @typedef {Object} Task
@@ -21,20 +34,63 @@ const INITIALIZED_KEY = "initialized";
  * @property {string} createdAt - ISO timestamp
  * @property {number} order - Display order
  * @property {string|null} categoryId - Category reference
- * @property {string|null} dueDate - Due date ISO timestamp
+ * @property {string|null} dueDate - Day ("YYYY-MM-DD", all day) or ISO timestamp
  * @property {string|null} completedAt - Completion timestamp
+ * @property {import("./recurrenceService").Recurrence|null} recurrence - Repeat rule
+ * @property {Array<Subtask>} subtasks - Ordered checklist items
+ * @property {string} priority - "none" | "low" | "medium" | "high" | "urgent"
+ * @property {string|null} deletedAt - When it was moved to the trash
+ * @property {string|null} archivedAt - When it was archived
+ * @property {Object} [fieldUpdatedAt] - Field name -> ISO time it was last edited
+ */
+
+/**
+ * Subtask (checklist item) Structure
+ * @typedef {Object} Subtask
+ * @property {string} id - Unique identifier
+ * @property {string} title - Subtask title (1-500 chars)
+ * @property {boolean} completed - Completion status
+ */
+
+/**
+ * Get the repository tasks are stored in
+ * @returns {import("./repository").Repository} Tasks repository
+ */
+const tasksRepository = () => getRepository(TASKS_KEY);
+
+/**
+ * Read every stored task, including archived and trashed ones
+ * @returns {Array<Task>} Tasks
+ */
+const readTasks = () => tasksRepository().list().data || [];
+
+/**
+ * Find stored tasks by an indexed field (categoryId, dueDate or completed)
+ * @param {string} field - Field to match
+ * @param {*|Function} match - Value to equal, or a test of the value
+ * @returns {Array<Task>} Matching tasks, including archived and trashed ones
+ */
+const findTasks = (field, match) =>
+  tasksRepository().find(field, match).data || [];
+
+/**
+ * Check whether a task is in the main list (not archived or trashed)
+ * @param {Task} task - Task
+ * @returns {boolean} True if the task is listed
  */
+const isListed = (task) => !task.deletedAt && !task.archivedAt;
 
 /**
  * Initialize demo data on first launch
  */
 export function initializeDemoData() {
-  const initialized = getItem(INITIALIZED_KEY, false);
+  const adapter = getStorageAdapter();
+  const initialized = adapter.getValue(INITIALIZED_KEY, false);
 
   if (!initialized) {
     const demoTasks = getDemoTasks();
-    setItem(TASKS_KEY, demoTasks);
-    setItem(INITIALIZED_KEY, true);
+    replaceRecords(tasksRepository(), () => demoTasks);
+    adapter.setValue(INITIALIZED_KEY, true);
     return demoTasks;
   }
 
@@ -42,22 +98,23 @@ export function initializeDemoData() {
 }
 
 /**
- * Get all tasks
+ * Get all tasks, excluding archived ones and those in the trash
  * @param {Object} options - Query options
  * @param {string} options.categoryId - Filter by category
- * @param {string} options.sortBy - Sort field (order, dueDate, title, createdAt)
+ * @param {string} options.sortBy - Sort field (order, dueDate, title, createdAt, priority)
  * @param {string} options.sortDirection - Sort direction (asc, desc)
  * @returns {Array<Task>} Array of tasks
  */
 export function getAllTasks(options = {}) {
-  const tasks = getItem(TASKS_KEY, []);
-  let filtered = [...tasks];
-
-  // Filter by category
-  if (options.categoryId !== undefined) {
-    filtered = filtered.filter(
-      (task) => task.categoryId === options.categoryId
-    );
+  // Filter by category; uncategorized tasks aren't in the index
+  let filtered;
+  if (options.categoryId != null) {
+    filtered = findTasks("categoryId", options.categoryId).filter(isListed);
+  } else {
+    filtered = readTasks().filter(isListed);
+    if (options.categoryId === null) {
+      filtered = filtered.filter((task) => !task.categoryId);
+    }
   }
 
   // Sort
@@ -74,8 +131,8 @@ export function getAllTasks(options = {}) {
       if (!aVal) return 1; // a is null, move to end
       if (!bVal) return -1; // b is null, move to end
 
-      aVal = new Date(aVal).getTime();
-      bVal = new Date(bVal).getTime();
+      aVal = toDate(aVal).getTime();
+      bVal = toDate(bVal).getTime();
     }
     // Handle other date fields
     else if (sortBy === "createdAt" || sortBy === "completedAt") {
@@ -86,6 +143,21 @@ export function getAllTasks(options = {}) {
       aVal = new Date(aVal).getTime();
       bVal = new Date(bVal).getTime();
     }
+    // Highest priority first, then earliest due date (undated last)
+    else if (sortBy === "priority") {
+      const rankDiff =
+        PRIORITY_LEVELS.indexOf(b.priority || "none") -
+        PRIORITY_LEVELS.indexOf(a.priority || "none");
+      if (rankDiff !== 0) {
+        return sortDirection === "desc" ? -rankDiff : rankDiff;
+      }
+
+      if (!a.dueDate && !b.dueDate) return 0;
+      if (!a.dueDate) return 1;
+      if (!b.dueDate) return -1;
+      aVal = toDate(a.dueDate).getTime();
+      bVal = toDate(b.dueDate).getTime();
+    }
     // Handle title sorting case-insensitively
     else if (sortBy === "title") {
       if (aVal == null) return 1;
@@ -112,52 +184,185 @@ export function getAllTasks(options = {}) {
 }
 
 /**
- * Get task by ID
+ * Search tasks with the query syntax described in searchQuery.js
+ * e.g. `milk cat:Shopping -is:done due:<2026-11-01`
+ * @param {string} query - Search input
+ * @param {Object} options - Same options as getAllTasks (categoryId, sortBy, sortDirection)
+ * @returns {Array<Task>} Matching tasks, sorted like getAllTasks
+ */
+export function searchTasks(query, options = {}) {
+  const parsed = parseSearchQuery(query);
+  const tasks = getAllTasks(options);
+  if (isEmptySearch(parsed)) return tasks;
+
+  // Resolve category names once, not per task
+  const categoryNames = new Map(
+    getAllCategories().map((category) => [
+      category.id,
+      category.name.toLowerCase(),
+    ])
+  );
+
+  return tasks.filter((task) => matchesSearch(task, parsed, categoryNames));
+}
+
+/**
+ * Get task by ID, including tasks in the trash
  * @param {string} id - Task ID
  * @returns {Task|null} Task object or null
  */
 export function getTaskById(id) {
-  const tasks = getAllTasks();
-  return tasks.find((task) => task.id === id) || null;
+  return tasksRepository().get(id).data || null;
 }
 
 /**
- * Create a new task
- * @param {Object} taskData - Task data
- * @param {string} taskData.title - Task title (required)
- * @param {string} taskData.categoryId - Category ID (optional)
- * @param {string} taskData.dueDate - Due date ISO string (optional)
- * @returns {Object} { success: boolean, task: Task, error: string }
+ * Get the tasks in the trash, most recently deleted first
+ * @returns {Array<Task>} Trashed tasks
  */
-export function createTask(taskData) {
+export function getTrashedTasks() {
+  return readTasks()
+    .filter((task) => task.deletedAt)
+    .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+}
+
+/**
+ * Get the order value for a newly created task (end of the list)
+ * @returns {number} Next order value
+ */
+export function getNextTaskOrder() {
+  const tasks = readTasks();
+  return tasks.length > 0 ? Math.max(...tasks.map((t) => t.order || 0)) + 1 : 0;
+}
+
+/**
+ * Sanitize and validate the data for a new task
+ * Run before a task is created in any store, local or Supabase.
+ * @param {Object} taskData - Task data, as for createTask
+ * @returns {Object} { success: boolean, taskData: Object, error: string }
+ */
+export function prepareTask(taskData) {
   // Sanitize title first
   const sanitizedTitle = sanitizeTaskTitle(taskData.title);
 
   // Validate sanitized title
   const validation = validateTaskTitle(sanitizedTitle);
   if (!validation.valid) {
-    return { success: false, task: null, error: validation.error };
+    return { success: false, taskData: null, error: validation.error };
   }
 
-  const tasks = getAllTasks();
-  const maxOrder =
-    tasks.length > 0 ? Math.max(...tasks.map((t) => t.order)) : -1;
+  const recurrenceValidation = validateRecurrence(taskData.recurrence);
+  if (!recurrenceValidation.valid) {
+    return {
+      success: false,
+      taskData: null,
+      error: recurrenceValidation.error,
+    };
+  }
+
+  const priorityValidation = validatePriority(taskData.priority);
+  if (!priorityValidation.valid) {
+    return { success: false, taskData: null, error: priorityValidation.error };
+  }
+
+  const dueDateValidation = validateDueDate(taskData.dueDate);
+  if (!dueDateValidation.valid) {
+    return { success: false, taskData: null, error: dueDateValidation.error };
+  }
+
+  return {
+    success: true,
+    taskData: {
+      ...taskData,
+      title: sanitizedTitle,
+      recurrence: taskData.recurrence || null,
+      priority: taskData.priority || "none",
+    },
+    error: null,
+  };
+}
+
+/**
+ * Sanitize and validate the fields of a task update
+ * Run before a task is updated in any store, local or Supabase. The
+ * caller's object is left as it was.
+ * @param {Object} changes - Fields to update
+ * @returns {Object} { success: boolean, updates: Object, error: string }
+ */
+export function prepareTaskUpdates(changes) {
+  const updates = { ...changes };
+
+  // Validate title if being updated
+  if (updates.title !== undefined) {
+    // Sanitize title first
+    const sanitizedTitle = sanitizeTaskTitle(updates.title);
+    const validation = validateTaskTitle(sanitizedTitle);
+    if (!validation.valid) {
+      return { success: false, updates: null, error: validation.error };
+    }
+    updates.title = sanitizedTitle;
+  }
+
+  // Validate recurrence if being updated
+  if (updates.recurrence !== undefined) {
+    const validation = validateRecurrence(updates.recurrence);
+    if (!validation.valid) {
+      return { success: false, updates: null, error: validation.error };
+    }
+  }
+
+  // Validate priority if being updated
+  if (updates.priority !== undefined) {
+    const validation = validatePriority(updates.priority);
+    if (!validation.valid) {
+      return { success: false, updates: null, error: validation.error };
+    }
+    updates.priority = updates.priority || "none";
+  }
+
+  // Validate due date if being updated
+  if (updates.dueDate !== undefined) {
+    const validation = validateDueDate(updates.dueDate);
+    if (!validation.valid) {
+      return { success: false, updates: null, error: validation.error };
+    }
+  }
+
+  return { success: true, updates, error: null };
+}
+
+/**
+ * Create a new task
+ * @param {Object} taskData - Task data
+ * @param {string} taskData.title - Task title (required)
+ * @param {string} taskData.categoryId - Category ID (optional)
+ * @param {string} taskData.dueDate - Day ("YYYY-MM-DD") or ISO timestamp (optional)
+ * @param {Object} taskData.recurrence - Recurrence rule (optional)
+ * @returns {Object} { success: boolean, task: Task, error: string }
+ */
+export function createTask(taskData) {
+  const prepared = prepareTask(taskData);
+  if (!prepared.success) {
+    return { success: false, task: null, error: prepared.error };
+  }
+  const data = prepared.taskData;
 
   const newTask = {
     id: generateId(),
-    title: sanitizedTitle,
+    title: data.title,
     completed: false,
     createdAt: new Date().toISOString(),
-    order: maxOrder + 1,
-    categoryId: taskData.categoryId || null,
-    dueDate: taskData.dueDate || null,
+    order: getNextTaskOrder(),
+    categoryId: data.categoryId || null,
+    dueDate: data.dueDate || null,
     completedAt: null,
+    recurrence: data.recurrence,
+    subtasks: data.subtasks || [],
+    priority: data.priority,
   };
 
-  tasks.push(newTask);
-  const saved = setItem(TASKS_KEY, tasks);
+  const { error } = tasksRepository().create(newTask);
 
-  if (!saved) {
+  if (error) {
     return { success: false, task: null, error: "Failed to save task" };
   }
 
@@ -171,71 +376,154 @@ export function createTask(taskData) {
  * @returns {Object} { success: boolean, task: Task, error: string }
  */
 export function updateTask(id, updates) {
-  const tasks = getAllTasks();
-  const index = tasks.findIndex((task) => task.id === id);
-
-  if (index === -1) {
+  if (!getTaskById(id)) {
     return { success: false, task: null, error: "Task not found" };
   }
 
-  // Validate title if being updated
-  if (updates.title !== undefined) {
-    // Sanitize title first
-    const sanitizedTitle = sanitizeTaskTitle(updates.title);
-    const validation = validateTaskTitle(sanitizedTitle);
-    if (!validation.valid) {
-      return { success: false, task: null, error: validation.error };
-    }
-    updates.title = sanitizedTitle;
+  const prepared = prepareTaskUpdates(updates);
+  if (!prepared.success) {
+    return { success: false, task: null, error: prepared.error };
   }
-
-  tasks[index] = { ...tasks[index], ...updates };
-  const saved = setItem(TASKS_KEY, tasks);
-
-  if (!saved) {
+  updates = prepared.updates;
+
+  const stampedFields = Object.keys(updates).filter((field) =>
+    TASK_FIELDS.includes(field)
+  );
+  // Applied to the latest stored copy, which another tab may have changed
+  const { data: updatedTask, error } = tasksRepository().update(id, (task) => ({
+    ...updates,
+    fieldUpdatedAt: stampFields(task.fieldUpdatedAt, stampedFields),
+  }));
+
+  if (error) {
     return { success: false, task: null, error: "Failed to update task" };
   }
 
-  return { success: true, task: tasks[index], error: null };
+  return { success: true, task: updatedTask, error: null };
+}
+
+/**
+ * Build the task data for the next occurrence of a recurring task
+ * The series continues from the due date, or from today (all day) when
+ * there is none, so an undated task never picks up the completion time.
+ * @param {Task} task - Recurring task being completed
+ * @returns {Object|null} Task data for createTask, or null if the series ended
+ */
+export function getNextOccurrenceData(task) {
+  if (!task || !task.recurrence) return null;
+
+  const dueDate = task.dueDate || toDay(new Date());
+  const nextDate = getNextOccurrence(dueDate, task.recurrence);
+  if (!nextDate) return null;
+
+  return {
+    title: task.title,
+    categoryId: task.categoryId,
+    dueDate: isAllDay(dueDate) ? toDay(nextDate) : nextDate.toISOString(),
+    recurrence: task.recurrence,
+    priority: task.priority || "none",
+    // Start the checklist over for the next occurrence
+    subtasks: (task.subtasks || []).map((subtask) => ({
+      ...subtask,
+      id: generateId(),
+      completed: false,
+    })),
+  };
+}
+
+/**
+ * Work out what toggling a task's completion changes
+ * Completing a recurring task hands its recurrence rule over to the next
+ * occurrence, so completing it again never duplicates the series.
+ * @param {Task} task - Task to toggle
+ * @returns {Object} { updates, nextTaskData }; nextTaskData is null unless
+ *   a recurring task is being completed
+ */
+export function getCompletionChanges(task) {
+  const completing = !task.completed;
+  const nextTaskData = completing ? getNextOccurrenceData(task) : null;
+
+  return {
+    updates: {
+      completed: completing,
+      completedAt: completing ? new Date().toISOString() : null,
+      ...(nextTaskData && { recurrence: null }),
+    },
+    nextTaskData,
+  };
 }
 
 /**
  * Toggle task completion status
+ * Completing a recurring task also creates its next occurrence (see
+ * getCompletionChanges).
  * @param {string} id - Task ID
- * @returns {Object} { success: boolean, task: Task, error: string }
+ * @returns {Object} { success: boolean, task: Task, nextTask: Task|null, error: string }
  */
 export function toggleTaskCompletion(id) {
   const tasks = getAllTasks();
   const task = tasks.find((t) => t.id === id);
 
   if (!task) {
-    return { success: false, task: null, error: "Task not found" };
+    return {
+      success: false,
+      task: null,
+      nextTask: null,
+      error: "Task not found",
+    };
   }
 
-  const updates = {
-    completed: !task.completed,
-    completedAt: !task.completed ? new Date().toISOString() : null,
-  };
+  const { updates, nextTaskData } = getCompletionChanges(task);
+  const result = updateTask(id, updates);
+  if (!result.success || !nextTaskData) {
+    return { ...result, nextTask: null };
+  }
 
-  return updateTask(id, updates);
+  const nextResult = createTask(nextTaskData);
+  return { ...result, nextTask: nextResult.success ? nextResult.task : null };
 }
 
 /**
- * Delete a task
+ * Move a task to the trash
  * @param {string} id - Task ID
- * @returns {Object} { success: boolean, error: string }
+ * @returns {Object} { success: boolean, task: Task, error: string }
  */
 export function deleteTask(id) {
-  const tasks = getAllTasks();
-  const filtered = tasks.filter((task) => task.id !== id);
+  const task = getTaskById(id);
+  if (!task || task.deletedAt) {
+    return { success: false, task: null, error: "Task not found" };
+  }
+
+  return updateTask(id, { deletedAt: new Date().toISOString() });
+}
 
-  if (filtered.length === tasks.length) {
+/**
+ * Take a task back out of the trash
+ * @param {string} id - Task ID
+ * @returns {Object} { success: boolean, task: Task, error: string }
+ */
+export function restoreTask(id) {
+  const task = getTaskById(id);
+  if (!task || !task.deletedAt) {
+    return { success: false, task: null, error: "Task not found in trash" };
+  }
+
+  return updateTask(id, { deletedAt: null });
+}
+
+/**
+ * Permanently delete a task
+ * @param {string} id - Task ID
+ * @returns {Object} { success: boolean, error: string }
+ */
+export function purgeTask(id) {
+  if (!getTaskById(id)) {
     return { success: false, error: "Task not found" };
   }
 
-  const saved = setItem(TASKS_KEY, filtered);
+  const { error } = tasksRepository().delete(id);
 
-  if (!saved) {
+  if (error) {
     return { success: false, error: "Failed to delete task" };
   }
 
@@ -243,40 +531,346 @@ export function deleteTask(id) {
 }
 
 /**
- * Get task statistics
- * @returns {Object} Statistics object
+ * Permanently delete several tasks in one write
+ * IDs that aren't stored are skipped.
+ * @param {Array<string>} ids - Task IDs
+ * @returns {Object} { success: boolean, count: number, error: string }
  */
-export function getTaskStats() {
-  const tasks = getAllTasks();
+export function purgeTasks(ids) {
+  const { data, error } = tasksRepository().batch(
+    ids.map((id) => ({ type: "delete", id }))
+  );
+
+  if (error) {
+    return { success: false, count: 0, error: "Failed to delete tasks" };
+  }
+
+  return { success: true, count: data.filter(Boolean).length, error: null };
+}
+
+/**
+ * Add a subtask to the end of a task's checklist
+ * @param {string} taskId - Parent task ID
+ * @param {string} title - Subtask title
+ * @returns {Object} { success: boolean, task: Task, error: string }
+ */
+export function addSubtask(taskId, title) {
+  const task = getTaskById(taskId);
+  if (!task) {
+    return { success: false, task: null, error: "Task not found" };
+  }
+
+  const sanitizedTitle = sanitizeTaskTitle(title);
+  const validation = validateTaskTitle(sanitizedTitle);
+  if (!validation.valid) {
+    return { success: false, task: null, error: validation.error };
+  }
+
+  const subtask = { id: generateId(), title: sanitizedTitle, completed: false };
+  return updateTask(taskId, { subtasks: [...(task.subtasks || []), subtask] });
+}
+
+/**
+ * Update a subtask
+ * @param {string} taskId - Parent task ID
+ * @param {string} subtaskId - Subtask ID
+ * @param {Object} updates - Fields to update (title, completed)
+ * @returns {Object} { success: boolean, task: Task, error: string }
+ */
+export function updateSubtask(taskId, subtaskId, updates) {
+  const task = getTaskById(taskId);
+  if (!task) {
+    return { success: false, task: null, error: "Task not found" };
+  }
+
+  const subtasks = task.subtasks || [];
+  if (!subtasks.some((subtask) => subtask.id === subtaskId)) {
+    return { success: false, task: null, error: "Subtask not found" };
+  }
+
+  const changes = { ...updates };
+  if (changes.title !== undefined) {
+    const sanitizedTitle = sanitizeTaskTitle(changes.title);
+    const validation = validateTaskTitle(sanitizedTitle);
+    if (!validation.valid) {
+      return { success: false, task: null, error: validation.error };
+    }
+    changes.title = sanitizedTitle;
+  }
+
+  return updateTask(taskId, {
+    subtasks: subtasks.map((subtask) =>
+      subtask.id === subtaskId ? { ...subtask, ...changes } : subtask
+    ),
+  });
+}
+
+/**
+ * Toggle subtask completion status
+ * @param {string} taskId - Parent task ID
+ * @param {string} subtaskId - Subtask ID
+ * @returns {Object} { success: boolean, task: Task, error: string }
+ */
+export function toggleSubtask(taskId, subtaskId) {
+  const task = getTaskById(taskId);
+  const subtask = task?.subtasks?.find((s) => s.id === subtaskId);
+
+  if (!subtask) {
+    return {
+      success: false,
+      task: null,
+      error: task ? "Subtask not found" : "Task not found",
+    };
+  }
+
+  return updateSubtask(taskId, subtaskId, { completed: !subtask.completed });
+}
+
+/**
+ * Delete a subtask
+ * @param {string} taskId - Parent task ID
+ * @param {string} subtaskId - Subtask ID
+ * @returns {Object} { success: boolean, task: Task, error: string }
+ */
+export function deleteSubtask(taskId, subtaskId) {
+  const task = getTaskById(taskId);
+  if (!task) {
+    return { success: false, task: null, error: "Task not found" };
+  }
+
+  const subtasks = task.subtasks || [];
+  const filtered = subtasks.filter((subtask) => subtask.id !== subtaskId);
+  if (filtered.length === subtasks.length) {
+    return { success: false, task: null, error: "Subtask not found" };
+  }
+
+  return updateTask(taskId, { subtasks: filtered });
+}
 
+/**
+ * Get checklist progress for a task
+ * @param {Task} task - Task object
+ * @returns {Object} { completed: number, total: number }
+ */
+export function getSubtaskProgress(task) {
+  const subtasks = task?.subtasks || [];
   return {
-    total: tasks.length,
-    active: tasks.filter((t) => !t.completed).length,
-    completed: tasks.filter((t) => t.completed).length,
-    overdue: tasks.filter(
-      (t) => !t.completed && t.dueDate && new Date(t.dueDate) < new Date()
-    ).length,
+    completed: subtasks.filter((subtask) => subtask.completed).length,
+    total: subtasks.length,
   };
 }
 
 /**
- * Clear completed tasks
- * @returns {Object} { success: boolean, count: number, error: string }
+ * Re-insert tasks with their original IDs (e.g. to undo a delete)
+ * Tasks whose ID already exists are skipped.
+ * @param {Array<Task>} tasksToInsert - Complete task objects
+ * @returns {Object} { success: boolean, tasks: Array<Task>, error: string }
  */
-export function clearCompletedTasks() {
+export function insertTasks(tasksToInsert) {
   const tasks = getAllTasks();
-  const activeTasks = tasks.filter((task) => !task.completed);
-  const clearedCount = tasks.length - activeTasks.length;
+  const existingIds = new Set(tasks.map((task) => task.id));
+  const inserted = [];
+
+  for (const task of tasksToInsert) {
+    if (existingIds.has(task.id)) continue;
+
+    const sanitizedTitle = sanitizeTaskTitle(task.title);
+    const validation = validateTaskTitle(sanitizedTitle);
+    if (!validation.valid) {
+      return { success: false, tasks: [], error: validation.error };
+    }
 
-  const saved = setItem(TASKS_KEY, activeTasks);
+    inserted.push({ ...task, title: sanitizedTitle });
+    existingIds.add(task.id);
+  }
+
+  if (inserted.length === 0) {
+    return { success: true, tasks: [], error: null };
+  }
+
+  // Tasks another tab re-inserted in the meantime are skipped
+  const { error } = tasksRepository().batch(
+    inserted.map((task) => ({ type: "create", record: task }))
+  );
+  if (error) {
+    return { success: false, tasks: [], error: "Failed to save task" };
+  }
 
-  if (!saved) {
+  return { success: true, tasks: inserted, error: null };
+}
+
+/**
+ * Reorder tasks manually
+ * The given tasks swap their existing order values among themselves, so a
+ * filtered list can be rearranged without moving tasks that aren't shown.
+ * @param {Array<string>} orderedIds - Task IDs in their new display order
+ * @returns {Object} { success: boolean, tasks: Array<Task>, error: string }
+ *   tasks holds only the tasks whose order changed
+ */
+export function reorderTasks(orderedIds) {
+  const tasks = getAllTasks();
+  const byId = new Map(tasks.map((task) => [task.id, task]));
+
+  if (!Array.isArray(orderedIds) || orderedIds.some((id) => !byId.has(id))) {
+    return { success: false, tasks: [], error: "Task not found" };
+  }
+
+  const slots = orderedIds
+    .map((id) => byId.get(id).order || 0)
+    .sort((a, b) => a - b);
+  // Tasks that share an order value (e.g. older synced data) need distinct slots
+  for (let i = 1; i < slots.length; i++) {
+    if (slots[i] <= slots[i - 1]) slots[i] = slots[i - 1] + 1;
+  }
+
+  const changed = [];
+  orderedIds.forEach((id, index) => {
+    const task = byId.get(id);
+    if (task.order !== slots[index]) {
+      changed.push({
+        ...task,
+        order: slots[index],
+        fieldUpdatedAt: stampFields(task.fieldUpdatedAt, ["order"]),
+      });
+    }
+  });
+
+  if (changed.length === 0) {
+    return { success: true, tasks: [], error: null };
+  }
+
+  // Only the order values move; other fields may have changed in another tab
+  const { error } = tasksRepository().batch(
+    changed.map((task) => ({
+      type: "update",
+      id: task.id,
+      changes: (stored) => ({
+        order: task.order,
+        fieldUpdatedAt: stampFields(stored.fieldUpdatedAt, ["order"]),
+      }),
+    }))
+  );
+  if (error) {
+    return { success: false, tasks: [], error: "Failed to save task order" };
+  }
+
+  return { success: true, tasks: changed, error: null };
+}
+
+/**
+ * Get task statistics
+ * @returns {Object} Statistics object
+ */
+export function getTaskStats() {
+  const total = readTasks().filter(isListed).length;
+  const completed = findTasks("completed", true).filter(isListed).length;
+  // Each distinct due date is checked once
+  const overdue = findTasks("dueDate", isOverdue).filter(
+    (task) => isListed(task) && !task.completed
+  ).length;
+
+  return { total, active: total - completed, completed, overdue };
+}
+
+/**
+ * Archive the given stored tasks
+ * Tasks already archived or in the trash are left alone.
+ * @param {Array<Task>} tasks - Stored tasks
+ * @returns {Object} { success: boolean, count: number, tasks: Array<Task>, error: string }
+ */
+function archiveStored(tasks) {
+  const archivedAt = new Date().toISOString();
+  const ids = tasks.filter(isListed).map((task) => task.id);
+
+  const { data, error } = tasksRepository().batch(
+    ids.map((id) => ({
+      type: "update",
+      id,
+      changes: (stored) => ({
+        archivedAt,
+        fieldUpdatedAt: stampFields(
+          stored.fieldUpdatedAt,
+          ["archivedAt"],
+          archivedAt
+        ),
+      }),
+    }))
+  );
+
+  if (error) {
     return {
       success: false,
       count: 0,
-      error: "Failed to clear completed tasks",
+      tasks: [],
+      error: "Failed to archive tasks",
     };
   }
 
-  return { success: true, count: clearedCount, error: null };
+  const archived = data.filter(Boolean);
+  return {
+    success: true,
+    count: archived.length,
+    tasks: archived,
+    error: null,
+  };
+}
+
+/**
+ * Archive all completed tasks
+ * They keep their completedAt, so completion history survives clearing.
+ * @returns {Object} { success: boolean, count: number, tasks: Array<Task>, error: string }
+ */
+export function clearCompletedTasks() {
+  return archiveStored(findTasks("completed", true));
+}
+
+/**
+ * Archive the given tasks
+ * @param {Array<string>} ids - Task IDs
+ * @returns {Object} { success: boolean, count: number, tasks: Array<Task>, error: string }
+ */
+export function archiveTasks(ids) {
+  return archiveStored(ids.map(getTaskById).filter(Boolean));
+}
+
+/**
+ * Move an archived task back to the main list
+ * @param {string} id - Task ID
+ * @returns {Object} { success: boolean, task: Task, error: string }
+ */
+export function unarchiveTask(id) {
+  const task = getTaskById(id);
+  if (!task || !task.archivedAt) {
+    return { success: false, task: null, error: "Task not found in archive" };
+  }
+
+  return updateTask(id, { archivedAt: null });
+}
+
+/**
+ * Get a page of archived tasks, most recently completed first
+ * @param {Object} options - Query options
+ * @param {string} [options.query] - Only tasks whose title contains this
+ * @param {number} [options.offset] - Tasks to skip
+ * @param {number} [options.limit] - Page size
+ * @returns {Object} { tasks: Array<Task>, total: number }
+ */
+export function getArchivedTasks({ query = "", offset = 0, limit = 20 } = {}) {
+  const needle = query.trim().toLowerCase();
+  const completedTime = (task) =>
+    new Date(task.completedAt || task.archivedAt).getTime();
+
+  const archived = readTasks()
+    .filter(
+      (task) =>
+        task.archivedAt &&
+        !task.deletedAt &&
+        (!needle || task.title.toLowerCase().includes(needle))
+    )
+    .sort((a, b) => completedTime(b) - completedTime(a));
+
+  return {
+    tasks: archived.slice(offset, offset + limit),
+    total: archived.length,
+  };
 }
@@ -0,0 +1,73 @@
+/**
+ * Trash Service
+ * Retention rules for deleted tasks and categories
+ *
+ * Deleting only sets deletedAt, so items can be restored from the trash.
+ * Items older than the retention period are purged automatically; the
+ * period is a per-device preference, so a device with a shorter one purges
+ * items for all devices once it syncs.
+ */
+
+import { getPreference, setPreference } from "./preferencesService";
+import { getTrashedTasks } from "./taskService";
+import { getTrashedCategories } from "./categoryService";
+
+// Retention choices in days; 0 means never purge automatically
+export const RETENTION_OPTIONS = [7, 30, 90, 0];
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get how many days deleted items are kept
+ * @returns {number} Days (0 = forever)
+ */
+export function getTrashRetentionDays() {
+  const days = getPreference("trashRetentionDays");
+  return Number.isInteger(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Set how many days deleted items are kept
+ * @param {number} days - One of RETENTION_OPTIONS
+ * @returns {Object} { success: boolean, error: string }
+ */
+export function setTrashRetentionDays(days) {
+  if (!RETENTION_OPTIONS.includes(days)) {
+    return { success: false, error: "Invalid retention period" };
+  }
+
+  setPreference("trashRetentionDays", days);
+  return { success: true, error: null };
+}
+
+/**
+ * Check whether a trashed item has outlived the retention period
+ * @param {Object} record - Task or category
+ * @param {number} days - Retention period (0 = forever)
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean} True if it should be purged
+ */
+export function isExpired(record, days, now = Date.now()) {
+  if (!record?.deletedAt || days <= 0) return false;
+
+  const deletedAt = new Date(record.deletedAt).getTime();
+  return !isNaN(deletedAt) && now - deletedAt >= days * DAY_MS;
+}
+
+/**
+ * Get the trashed items due to be purged
+ * @param {number} [now] - Current time in ms
+ * @returns {Object} { tasks: Array<Task>, categories: Array<Category> }
+ */
+export function getExpiredTrash(now = Date.now()) {
+  const days = getTrashRetentionDays();
+
+  return {
+    tasks: getTrashedTasks().filter((task) => isExpired(task, days, now)),
+    categories: getTrashedCategories().filter((category) =>
+      isExpired(category, days, now)
+    ),
+  };
+}
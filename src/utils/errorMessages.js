@@ -64,13 +64,39 @@ export function getUserFriendlyError(error) {
     "Category name already exists": "A category with this name already exists.",
     "Invalid date format": "Please enter a valid date.",
     "Invalid color format": "Please select a valid color.",
+    "Invalid recurrence": "Please choose a valid repeat schedule.",
+    "Recurrence interval must be between 1 and 365":
+      "Repeat interval must be between 1 and 365.",
+
+    // Trash errors (listed first; they contain the not-found messages)
+    "Task not found in trash": "This task is no longer in the trash.",
+    "Category not found in trash": "This category is no longer in the trash.",
+    "Invalid retention period": "Please choose a valid retention period.",
+    "Task not found in archive": "This task is no longer in the archive.",
+    "Invalid auto-archive period": "Please choose a valid auto-archive period.",
 
     // Data errors
     "Category not found": "Category not found. It may have been deleted.",
     "Task not found": "Task not found. It may have been deleted.",
+    "Subtask not found": "Subtask not found. It may have been deleted.",
     "Failed to create": "Unable to create. Please try again.",
     "Failed to update": "Unable to save changes. Please try again.",
     "Failed to delete": "Unable to delete. Please try again.",
+    "Failed to export": "Unable to export. Please try again.",
+    "Failed to copy": "Unable to copy. Try downloading the file instead.",
+    "Failed to import": "Unable to import. Please try again.",
+    "Invalid data format": "This file isn't a backup from this app.",
+    "Not an iCalendar file": "This file isn't a calendar (.ics) file.",
+
+    // Encrypted backup errors
+    "Wrong passphrase":
+      "Wrong passphrase, or the backup file has been changed since it was saved.",
+    "Encrypted backup is damaged":
+      "This encrypted backup is damaged and can't be opened.",
+    "Passphrase is required": "Enter the passphrase for this backup.",
+    "Passphrase must be at least": "Use a passphrase of at least 8 characters.",
+    "Encryption is not available":
+      "Encryption isn't available here. Open the app over HTTPS and try again.",
 
     // Sync errors
     "Supabase not available": "Cloud sync unavailable. Changes saved locally.",
@@ -160,20 +186,29 @@ export const SuccessMessages = {
   taskCreated: "Task created successfully",
   taskUpdated: "Task updated",
   taskCompleted: "Task completed! 🎉",
-  taskDeleted: "Task deleted",
-  tasksCleared: "Completed tasks cleared",
+  taskDeleted: "Task moved to trash",
+  tasksCleared: "Completed tasks archived",
+  taskUnarchived: "Task restored from archive",
 
   categoryCreated: "Category created",
   categoryUpdated: "Category updated",
-  categoryDeleted: "Category deleted",
+  categoryDeleted: "Category moved to trash",
+
+  itemRestored: "Restored from trash",
+  itemPurged: "Deleted forever",
+  trashEmptied: "Trash emptied",
 
   syncSuccess: "Synced to cloud successfully",
+  offlineChangesSynced: "Offline changes synced to cloud",
+  conflictResolved: "Conflict resolved",
 
   authSignIn: "Welcome back!",
   authSignUp: "Account created! Welcome!",
   authSignOut: "Signed out successfully",
 
   dataExported: "Data exported successfully",
+  dataEncrypted: "Encrypted backup downloaded",
+  dataCopied: "Copied to clipboard",
   dataImported: "Data imported successfully",
 };
 
@@ -184,6 +219,14 @@ export const InfoMessages = {
   offline: "You're offline. Changes will sync when connected.",
   syncing: "Syncing to cloud...",
   savedLocally: "Saved locally (offline mode)",
+  changesDropped: "Some offline changes couldn't be synced and were discarded.",
+  localDataFound: "Upload the tasks saved on this device to your account?",
+  uploadIncomplete: "Upload incomplete:",
+  localDataProblem: "There was a problem loading the data on this device.",
+  nextOccurrence: "Next occurrence scheduled:",
+  allSubtasksDone: "All subtasks done! Complete the task too?",
+  undone: "Undone:",
+  redone: "Redone:",
   noTasks: "No tasks yet. Create one to get started!",
   noCategories: "No categories yet.",
 };
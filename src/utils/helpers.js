@@ -3,12 +3,42 @@
  * Common utility functions used throughout the application
  */
 
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 /**
  * Generate a unique ID
+ * Returns an RFC 4122 version 4 UUID, so records keep the same ID locally
+ * and in Supabase.
  * @returns {string} Unique identifier
  */
 export function generateId() {
-  return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  if (typeof crypto !== "undefined" && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+
+  // crypto.randomUUID needs a secure context (HTTPS or localhost)
+  const bytes = new Uint8Array(16);
+  crypto.getRandomValues(bytes);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40; // version 4
+  bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+  const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0"));
+  return [
+    hex.slice(0, 4).join(""),
+    hex.slice(4, 6).join(""),
+    hex.slice(6, 8).join(""),
+    hex.slice(8, 10).join(""),
+    hex.slice(10).join(""),
+  ].join("-");
+}
+
+/**
+ * Check if a string is a UUID
+ * @param {string} str - String to check
+ * @returns {boolean} True if valid UUID
+ */
+export function isUUID(str) {
+  return typeof str === "string" && UUID_PATTERN.test(str);
 }
 
 /**
@@ -115,6 +145,20 @@ export function sortBy(items, property, direction = "asc") {
   });
 }
 
+/**
+ * Move an item to a new position in an array
+ * @param {Array} items - Array of items
+ * @param {number} fromIndex - Current index of the item
+ * @param {number} toIndex - Index the item should end up at
+ * @returns {Array} New array with the item moved
+ */
+export function moveItem(items, fromIndex, toIndex) {
+  const result = [...items];
+  const [item] = result.splice(fromIndex, 1);
+  result.splice(toIndex, 0, item);
+  return result;
+}
+
 /**
  * Debounce function calls
  * @param {Function} func - Function to debounce
@@ -198,6 +242,26 @@ export function getCategoryColorClasses(color) {
   );
 }
 
+/**
+ * Get priority classes and label for Tailwind
+ * @param {string} priority - Priority level
+ * @returns {Object|null} { label, bg, border } or null for no priority
+ */
+export function getPriorityClasses(priority) {
+  const priorityMap = {
+    low: { label: "Low", bg: "bg-slate-500", border: "border-l-slate-400" },
+    medium: {
+      label: "Medium",
+      bg: "bg-yellow-500",
+      border: "border-l-yellow-500",
+    },
+    high: { label: "High", bg: "bg-orange-500", border: "border-l-orange-500" },
+    urgent: { label: "Urgent", bg: "bg-red-600", border: "border-l-red-600" },
+  };
+
+  return priorityMap[priority] || null;
+}
+
 /**
  * Clamp a number between min and max
  * @param {number} num - Number to clamp
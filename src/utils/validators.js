@@ -71,9 +71,51 @@ export function validateDate(date) {
   return { valid: true, error: null };
 }
 
+/**
+ * Validate a task due date
+ * All-day due dates are days ("2026-11-01"); due times are ISO timestamps
+ * with an offset ("2026-11-01T09:30:00.000Z").
+ * @param {string|null} dueDate - Due date to validate
+ * @returns {Object} { valid: boolean, error: string }
+ */
+export function validateDueDate(dueDate) {
+  if (dueDate == null || dueDate === "") {
+    return { valid: true, error: null }; // Due dates are optional
+  }
+
+  if (typeof dueDate !== "string") {
+    return { valid: false, error: "Invalid due date" };
+  }
+
+  const day = dueDate.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (day) {
+    // Reject days that roll over, like 2026-02-30
+    const date = new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3]));
+    const exists =
+      date.getFullYear() === Number(day[1]) &&
+      date.getMonth() === Number(day[2]) - 1 &&
+      date.getDate() === Number(day[3]);
+    return exists
+      ? { valid: true, error: null }
+      : { valid: false, error: "Invalid due date" };
+  }
+
+  const timestampPattern =
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+  if (!timestampPattern.test(dueDate) || isNaN(Date.parse(dueDate))) {
+    return { valid: false, error: "Invalid due date" };
+  }
+
+  return { valid: true, error: null };
+}
+
+// Colors Supabase gives the default categories (see supabase-setup.sql)
+const COLOR_NAMES = ["blue", "purple", "green", "red"];
+
 /**
  * Validate color hex code
- * @param {string} color - Hex color code to validate
+ * Also accepts the color names of the categories Supabase seeds.
+ * @param {string} color - Hex color code or seeded color name to validate
  * @returns {Object} { valid: boolean, error: string }
  */
 export function validateColor(color) {
@@ -83,9 +125,87 @@ export function validateColor(color) {
 
   const hexPattern = /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/;
 
-  if (!hexPattern.test(color)) {
+  if (!hexPattern.test(color) && !COLOR_NAMES.includes(color)) {
     return { valid: false, error: "Invalid color format (use hex: #RRGGBB)" };
   }
 
   return { valid: true, error: null };
 }
+
+/**
+ * Validate recurrence rule
+ * @param {Object|null} recurrence - Recurrence rule to validate
+ * @returns {Object} { valid: boolean, error: string }
+ */
+export function validateRecurrence(recurrence) {
+  if (!recurrence) {
+    return { valid: true, error: null }; // Recurrence is optional
+  }
+
+  if (typeof recurrence !== "object") {
+    return { valid: false, error: "Invalid recurrence rule" };
+  }
+
+  if (!["daily", "weekly", "monthly"].includes(recurrence.frequency)) {
+    return { valid: false, error: "Invalid recurrence frequency" };
+  }
+
+  if (
+    recurrence.interval !== undefined &&
+    (!Number.isInteger(recurrence.interval) ||
+      recurrence.interval < 1 ||
+      recurrence.interval > 365)
+  ) {
+    return {
+      valid: false,
+      error: "Recurrence interval must be between 1 and 365",
+    };
+  }
+
+  if (
+    recurrence.daysOfWeek !== undefined &&
+    (!Array.isArray(recurrence.daysOfWeek) ||
+      recurrence.daysOfWeek.some((d) => !Number.isInteger(d) || d < 0 || d > 6))
+  ) {
+    return { valid: false, error: "Invalid recurrence weekdays" };
+  }
+
+  if (
+    recurrence.dayOfMonth !== undefined &&
+    (!Number.isInteger(recurrence.dayOfMonth) ||
+      recurrence.dayOfMonth < 1 ||
+      recurrence.dayOfMonth > 31)
+  ) {
+    return { valid: false, error: "Invalid recurrence day of month" };
+  }
+
+  if (
+    recurrence.weekOfMonth !== undefined &&
+    ![1, 2, 3, 4, -1].includes(recurrence.weekOfMonth)
+  ) {
+    return { valid: false, error: "Invalid recurrence week of month" };
+  }
+
+  if (recurrence.until && isNaN(new Date(recurrence.until).getTime())) {
+    return { valid: false, error: "Invalid date format" };
+  }
+
+  return { valid: true, error: null };
+}
+
+/**
+ * Validate task priority
+ * @param {string|null} priority - Priority level to validate
+ * @returns {Object} { valid: boolean, error: string }
+ */
+export function validatePriority(priority) {
+  if (priority == null) {
+    return { valid: true, error: null }; // Defaults to "none"
+  }
+
+  if (!["none", "low", "medium", "high", "urgent"].includes(priority)) {
+    return { valid: false, error: "Invalid priority level" };
+  }
+
+  return { valid: true, error: null };
+}
@@ -0,0 +1,131 @@
+/**
+ * Test Helpers
+ * Shared fixtures and module mocks for the unit tests
+ */
+
+import { vi } from "vitest";
+
+/**
+ * All-day due date for a day, as the app stores it
+ * @param {number} year - Full year
+ * @param {number} month - Month, 1-12
+ * @param {number} day - Day of the month
+ * @returns {string} YYYY-MM-DD
+ */
+export function allDay(year, month, day) {
+  return [year, month, day].map((n) => String(n).padStart(2, "0")).join("-");
+}
+
+/**
+ * Local midnight on a day, as a timestamp (e.g. a completion date read from
+ * a date without a time)
+ * @param {number} year - Full year
+ * @param {number} month - Month, 1-12
+ * @param {number} day - Day of the month
+ * @returns {string} ISO timestamp
+ */
+export function localMidnight(year, month, day) {
+  return new Date(year, month - 1, day).toISOString();
+}
+
+/**
+ * A time some days before another, as a timestamp
+ * @param {number} days - Days back
+ * @param {number} now - Reference time in epoch ms
+ * @returns {string} ISO timestamp
+ */
+export function daysAgo(days, now) {
+  return new Date(now - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Task with every field set to its default
+ * @param {Object} [overrides] - Fields to set
+ * @returns {Object} Task
+ */
+export function makeTask(overrides = {}) {
+  return {
+    id: "11111111-1111-4111-8111-111111111111",
+    title: "Write report",
+    completed: false,
+    createdAt: "2025-01-01T00:00:00.000Z",
+    order: 0,
+    categoryId: null,
+    dueDate: null,
+    completedAt: null,
+    recurrence: null,
+    subtasks: [],
+    priority: "none",
+    deletedAt: null,
+    archivedAt: null,
+    fieldUpdatedAt: {},
+    ...overrides,
+  };
+}
+
+/**
+ * Successful { data, error } result, as Supabase and the repositories answer
+ * @param {*} [data] - Result data
+ * @returns {Object} { data, error: null }
+ */
+export function ok(data = null) {
+  return { data, error: null };
+}
+
+/**
+ * Module factory for mocking storageService
+ * updateItem reads and writes through the getItem and setItem mocks, so
+ * tests only need to stub those two:
+ *   vi.mock("../../src/services/storageService", async () =>
+ *     (await import("../helpers")).mockStorageService()
+ *   );
+ * @returns {Object} Mocked module
+ */
+export function mockStorageService() {
+  const getItem = vi.fn();
+  const setItem = vi.fn();
+  return {
+    getItem,
+    setItem,
+    updateItem: (key, updater, defaultValue) =>
+      setItem(key, updater(getItem(key, defaultValue))),
+    removeItem: vi.fn(),
+  };
+}
+
+/**
+ * IndexedDB backend (see indexedDbRepository.js) that keeps rows in Maps,
+ * recording every write; jsdom has no IndexedDB
+ * @param {Object} [initialRows] - Collection -> rows from toRow()
+ * @returns {Object} Backend, plus its tables and backups
+ */
+export function createFakeBackend(initialRows = {}) {
+  const tables = {
+    tasks: new Map((initialRows.tasks || []).map((row) => [row.id, row])),
+    categories: new Map(
+      (initialRows.categories || []).map((row) => [row.id, row])
+    ),
+  };
+  const backups = new Map();
+
+  return {
+    tables,
+    backups,
+    loadAll: vi.fn(async (collection) => [...tables[collection].values()]),
+    load: vi.fn(async (collection, ids) =>
+      ids.map((id) => tables[collection].get(id))
+    ),
+    write: vi.fn(async (collection, rows, deletedIds) => {
+      rows.forEach((row) => tables[collection].set(row.id, row));
+      deletedIds.forEach((id) => tables[collection].delete(id));
+    }),
+    findByIndex: vi.fn(async () => []),
+    readBackup: vi.fn(async (name) => backups.get(name)),
+    writeBackup: vi.fn(async (name, value) => {
+      backups.set(name, JSON.parse(JSON.stringify(value)));
+    }),
+    deleteBackup: vi.fn(async (name) => {
+      backups.delete(name);
+    }),
+  };
+}
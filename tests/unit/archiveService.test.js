@@ -0,0 +1,80 @@
+/**
+ * Archive Service Tests
+ * Test the auto-archive setting and which completed tasks it picks up
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  getAutoArchiveDays,
+  setAutoArchiveDays,
+  isDueForArchive,
+  getTasksDueForArchive,
+} from "../../src/services/archiveService";
+import { setItem } from "../../src/services/storageService";
+import { daysAgo } from "../helpers";
+
+const NOW = Date.parse("2025-03-01T12:00:00.000Z");
+const done = (id, days) => ({
+  id,
+  title: id,
+  completed: true,
+  completedAt: daysAgo(days, NOW),
+});
+
+describe("archiveService", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe("auto-archive period", () => {
+    it("is off by default", () => {
+      expect(getAutoArchiveDays()).toBe(0);
+    });
+
+    it("saves one of the offered periods and rejects others", () => {
+      expect(setAutoArchiveDays(7).success).toBe(true);
+      expect(getAutoArchiveDays()).toBe(7);
+
+      expect(setAutoArchiveDays(5).error).toBe("Invalid auto-archive period");
+      expect(getAutoArchiveDays()).toBe(7);
+    });
+  });
+
+  describe("isDueForArchive", () => {
+    it("picks tasks completed at least the period ago", () => {
+      expect(isDueForArchive(done("a", 7), 7, NOW)).toBe(true);
+      expect(isDueForArchive(done("b", 6), 7, NOW)).toBe(false);
+    });
+
+    it("skips open, archived and trashed tasks", () => {
+      expect(
+        isDueForArchive({ ...done("a", 9), completed: false }, 7, NOW)
+      ).toBe(false);
+      expect(
+        isDueForArchive(
+          { ...done("b", 9), archivedAt: daysAgo(1, NOW) },
+          7,
+          NOW
+        )
+      ).toBe(false);
+      expect(
+        isDueForArchive({ ...done("c", 9), deletedAt: daysAgo(1, NOW) }, 7, NOW)
+      ).toBe(false);
+    });
+
+    it("archives nothing while turned off", () => {
+      expect(isDueForArchive(done("a", 400), 0, NOW)).toBe(false);
+    });
+  });
+
+  describe("getTasksDueForArchive", () => {
+    it("uses the saved period", () => {
+      setItem("tasks", [done("old", 10), done("new", 1)]);
+
+      expect(getTasksDueForArchive(NOW)).toEqual([]);
+
+      setAutoArchiveDays(7);
+      expect(getTasksDueForArchive(NOW).map((t) => t.id)).toEqual(["old"]);
+    });
+  });
+});
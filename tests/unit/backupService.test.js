@@ -0,0 +1,163 @@
+/**
+ * Backup Service Tests
+ * Test exporting and importing local data
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { exportData, importData } from "../../src/services/backupService";
+import { SCHEMA_VERSION } from "../../src/services/schemaService";
+import { encryptBackup } from "../../src/services/encryptionService";
+import { getItem, setItem } from "../../src/services/storageService";
+import {
+  createMemoryAdapter,
+  getRepository,
+  setStorageAdapter,
+} from "../../src/services/repository";
+
+describe("backupService", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it("round-trips task recurrence rules", async () => {
+    const recurrence = {
+      frequency: "monthly",
+      interval: 1,
+      weekOfMonth: 2,
+      daysOfWeek: [2],
+    };
+    setItem("tasks", [{ id: "1", title: "Invoicing", recurrence }]);
+
+    const exported = exportData();
+    localStorage.clear();
+    const result = await importData(JSON.parse(JSON.stringify(exported)));
+
+    expect(result.success).toBe(true);
+    expect(getItem("tasks")[0].recurrence).toEqual(recurrence);
+  });
+
+  it("round-trips the categories Supabase seeds", async () => {
+    const categoryId = "33333333-3333-4333-8333-333333333333";
+    setItem("categories", [
+      { id: categoryId, name: "Personal", color: "blue", order: 1 },
+    ]);
+    setItem("tasks", [{ id: "1", title: "Call mom", categoryId }]);
+
+    const exported = exportData();
+    localStorage.clear();
+    const result = await importData(JSON.parse(JSON.stringify(exported)));
+
+    expect(result.success).toBe(true);
+    expect(getItem("categories")[0]).toMatchObject({
+      name: "Personal",
+      color: "blue",
+    });
+    expect(getItem("tasks")[0].categoryId).toBe(categoryId);
+  });
+
+  it("stamps the schema version on exports", () => {
+    const exported = exportData();
+
+    expect(exported._schemaVersion).toBe(0);
+    expect(exported._exportDate).toBeDefined();
+  });
+
+  it("leaves this device's sync state out of exports", () => {
+    setItem("user-preferences", { theme: "dark" });
+    setItem("outbox", [{ id: "op" }]);
+    setItem("conflicts", [{ id: "c1" }]);
+    setItem("cloud-migration", { "user-1": true });
+    setItem("uuid-ids-migrated", true);
+
+    expect(Object.keys(exportData()).sort()).toEqual([
+      "_exportDate",
+      "_schemaVersion",
+      "categories",
+      "tasks",
+      "user-preferences",
+    ]);
+  });
+
+  it("migrates backups from older versions", async () => {
+    const result = await importData({
+      tasks: [],
+      "user-preferences": JSON.stringify({ theme: "sunset" }),
+      _exportDate: "2025-01-01T00:00:00.000Z",
+      _version: "1.0.0",
+    });
+
+    expect(result.success).toBe(true);
+    expect(getItem("user-preferences")).toMatchObject({ theme: "sunset" });
+    expect(getItem("_exportDate")).toBeNull();
+  });
+
+  it("merges with or replaces what's stored", async () => {
+    setItem("tasks", [{ id: "a", title: "A" }]);
+    setItem("conflicts", [{ id: "c1" }]);
+
+    await importData({ tasks: [{ id: "b", title: "B" }] }, true);
+    expect(getItem("tasks").map((t) => t.title)).toEqual(["A", "B"]);
+    expect(getItem("tasks").every((t) => !t.deletedAt)).toBe(true);
+
+    await importData({ tasks: [] });
+    expect(getItem("tasks").every((t) => t.deletedAt)).toBe(true);
+    // Only tasks, categories and preferences are imported
+    expect(getItem("conflicts")).toHaveLength(1);
+  });
+
+  it("rejects files it can't read without touching local data", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    setItem("tasks", [{ id: "a", title: "A" }]);
+
+    expect((await importData(null)).success).toBe(false);
+    expect(
+      (await importData({ _schemaVersion: SCHEMA_VERSION + 1 })).error
+    ).toMatch(/newer version/);
+    expect(getItem("tasks")).toHaveLength(1);
+    vi.restoreAllMocks();
+  });
+
+  it("imports encrypted backups with their passphrase", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    setItem("tasks", [{ id: "a", title: "A" }]);
+    const { envelope } = await encryptBackup(exportData(), "passphrase 1");
+    localStorage.clear();
+
+    expect((await importData(envelope)).error).toMatch(
+      /Passphrase is required/
+    );
+    expect(getItem("tasks")).toBeNull();
+
+    const result = await importData(envelope, false, "passphrase 1");
+    expect(result.success).toBe(true);
+    expect(getItem("tasks").map((t) => t.title)).toEqual(["A"]);
+    vi.restoreAllMocks();
+  });
+
+  describe("with collections outside localStorage", () => {
+    let previous;
+
+    beforeEach(() => {
+      previous = setStorageAdapter(
+        createMemoryAdapter({ tasks: [{ id: "a", title: "A" }] })
+      );
+    });
+
+    afterEach(() => {
+      setStorageAdapter(previous);
+    });
+
+    it("exports and imports through the storage adapter", async () => {
+      const exported = exportData();
+      expect(exported.tasks).toEqual([{ id: "a", title: "A" }]);
+
+      await importData({ ...exported, tasks: [{ id: "b", title: "B" }] });
+
+      const tasks = getRepository("tasks").list().data;
+      expect(tasks.map((task) => task.title)).toEqual(["A", "B"]);
+      expect(tasks[0].deletedAt).toEqual(expect.any(String));
+      expect(tasks[1].deletedAt).toBeNull();
+      expect(getItem("tasks")).toBeNull();
+    });
+  });
+});
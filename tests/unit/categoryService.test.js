@@ -11,17 +11,20 @@ import {
   createCategory,
   updateCategory,
   deleteCategory,
+  restoreCategory,
+  purgeCategory,
+  purgeCategories,
+  getTrashedCategories,
+  insertCategory,
 } from "../../src/services/categoryService";
 import * as storageService from "../../src/services/storageService";
 import * as validators from "../../src/utils/validators";
 import * as helpers from "../../src/utils/helpers";
 
 // Mock storage service
-vi.mock("../../src/services/storageService", () => ({
-  getItem: vi.fn(),
-  setItem: vi.fn(),
-  removeItem: vi.fn(),
-}));
+vi.mock("../../src/services/storageService", async () =>
+  (await import("../helpers")).mockStorageService()
+);
 vi.mock("../../src/utils/validators");
 vi.mock("../../src/utils/helpers");
 
@@ -320,15 +323,15 @@ describe("categoryService", () => {
       storageService.setItem.mockReturnValue(true);
     });
 
-    it("deletes category successfully", () => {
+    it("moves the category to the trash", () => {
       const result = deleteCategory("1");
 
       expect(result.success).toBe(true);
       expect(result.error).toBeNull();
-      expect(storageService.setItem).toHaveBeenCalledWith(
-        "categories",
-        expect.arrayContaining([existingCategories[1]])
-      );
+      const saved = storageService.setItem.mock.calls[0][1];
+      expect(saved).toHaveLength(2);
+      expect(saved[0].deletedAt).toEqual(expect.any(String));
+      expect(saved[1]).toEqual(existingCategories[1]);
     });
 
     it("returns error when category not found", () => {
@@ -344,7 +347,137 @@ describe("categoryService", () => {
       const result = deleteCategory("1");
 
       expect(result.success).toBe(false);
-      expect(result.error).toBe("Failed to delete category");
+      expect(result.error).toBe("Failed to update category");
+    });
+  });
+
+  describe("trash", () => {
+    const trashed = {
+      id: "1",
+      name: "Work",
+      color: "#3B82F6",
+      deletedAt: "2025-01-10T09:00:00.000Z",
+    };
+
+    beforeEach(() => {
+      storageService.setItem.mockReturnValue(true);
+    });
+
+    it("hides trashed categories from the list", () => {
+      storageService.getItem.mockReturnValue([
+        trashed,
+        { id: "2", name: "Personal", color: "#10B981" },
+      ]);
+
+      expect(getAllCategories().map((c) => c.id)).toEqual(["2"]);
+      expect(getTrashedCategories().map((c) => c.id)).toEqual(["1"]);
+    });
+
+    it("lets a new category reuse a trashed name", () => {
+      storageService.getItem.mockReturnValue([trashed]);
+      validators.validateCategoryName.mockReturnValue({ valid: true });
+      validators.validateColor.mockReturnValue({ valid: true });
+      helpers.generateId.mockReturnValue("3");
+
+      const result = createCategory({ name: "Work", color: "#3B82F6" });
+
+      expect(result.success).toBe(true);
+    });
+
+    it("restores a trashed category", () => {
+      storageService.getItem.mockReturnValue([trashed]);
+
+      const result = restoreCategory("1");
+
+      expect(result.success).toBe(true);
+      expect(result.category.deletedAt).toBeNull();
+    });
+
+    it("refuses to restore over a category with the same name", () => {
+      storageService.getItem.mockReturnValue([
+        trashed,
+        { id: "2", name: "work", color: "#10B981" },
+      ]);
+
+      const result = restoreCategory("1");
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("Category name already exists");
+      expect(storageService.setItem).not.toHaveBeenCalled();
+    });
+
+    it("deletes a category for good", () => {
+      storageService.getItem.mockReturnValue([
+        trashed,
+        { id: "2", name: "Personal", color: "#10B981" },
+      ]);
+
+      const result = purgeCategory("1");
+
+      expect(result.success).toBe(true);
+      expect(storageService.setItem.mock.calls[0][1].map((c) => c.id)).toEqual([
+        "2",
+      ]);
+    });
+
+    it("deletes several categories in one write", () => {
+      storageService.getItem.mockReturnValue([
+        trashed,
+        { id: "2", name: "Personal", color: "#10B981" },
+        { id: "3", name: "Errands", color: "#EF4444", deletedAt: "2025-01-10" },
+      ]);
+
+      const result = purgeCategories(["1", "3"]);
+
+      expect(result).toEqual({ success: true, count: 2, error: null });
+      expect(storageService.setItem).toHaveBeenCalledTimes(1);
+      expect(storageService.setItem.mock.calls[0][1].map((c) => c.id)).toEqual([
+        "2",
+      ]);
+    });
+  });
+
+  describe("insertCategory", () => {
+    const deletedCategory = {
+      id: "1",
+      name: "Work",
+      color: "#3B82F6",
+      createdAt: "2025-01-01T00:00:00.000Z",
+    };
+
+    beforeEach(() => {
+      storageService.getItem.mockReturnValue([
+        { id: "2", name: "Personal", color: "#10B981" },
+      ]);
+      validators.validateCategoryName.mockReturnValue({ valid: true });
+      storageService.setItem.mockReturnValue(true);
+    });
+
+    it("restores a category with its original ID", () => {
+      const result = insertCategory(deletedCategory);
+
+      expect(result.success).toBe(true);
+      expect(result.category).toEqual(deletedCategory);
+      expect(storageService.setItem).toHaveBeenCalledWith(
+        "categories",
+        expect.arrayContaining([deletedCategory])
+      );
+    });
+
+    it("leaves an existing category untouched", () => {
+      storageService.getItem.mockReturnValue([deletedCategory]);
+
+      const result = insertCategory(deletedCategory);
+
+      expect(result.success).toBe(true);
+      expect(storageService.setItem).not.toHaveBeenCalled();
+    });
+
+    it("rejects a name taken by another category", () => {
+      const result = insertCategory({ ...deletedCategory, name: "personal" });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("Category name already exists");
     });
   });
 });
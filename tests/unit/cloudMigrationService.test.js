@@ -0,0 +1,242 @@
+/**
+ * Cloud Migration Service Tests
+ * Test uploading local data to an account without duplicates, and resuming
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import {
+  stageCloudMigration,
+  getCloudMigration,
+  setLocalDataOwner,
+  migrateLocalDataToCloud,
+  describeMigrationReport,
+} from "../../src/services/cloudMigrationService";
+import { getItem, setItem } from "../../src/services/storageService";
+import * as supabaseStorage from "../../src/services/supabaseStorageService";
+import { ok } from "../helpers";
+
+vi.mock("../../src/services/supabaseStorageService", () => ({
+  fetchTasks: vi.fn(),
+  fetchCategories: vi.fn(),
+  createTaskInSupabase: vi.fn(),
+  createCategoryInSupabase: vi.fn(),
+}));
+
+const WORK = { id: "cat-work", name: "Work", color: "purple" };
+const ERRANDS = { id: "cat-errands", name: "Errands", color: "green" };
+const REPORT = { id: "task-1", title: "Write report", categoryId: "cat-work" };
+const MILK = { id: "task-2", title: "Buy milk", categoryId: "cat-errands" };
+
+describe("cloudMigrationService", () => {
+  let cloud;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.clear();
+
+    // Seeded account: a "Work" category and one task already uploaded
+    cloud = {
+      categories: [{ id: "cloud-work", name: "work", color: "purple" }],
+      tasks: [
+        {
+          id: "cloud-report",
+          title: "Write Report",
+          dueDate: null,
+          categoryId: "cloud-work",
+        },
+      ],
+    };
+    supabaseStorage.fetchCategories.mockImplementation(async () =>
+      ok([...cloud.categories])
+    );
+    supabaseStorage.fetchTasks.mockImplementation(async () =>
+      ok([...cloud.tasks])
+    );
+    supabaseStorage.createCategoryInSupabase.mockImplementation(
+      async (userId, category) => {
+        cloud.categories.push(category);
+        return ok(category);
+      }
+    );
+    supabaseStorage.createTaskInSupabase.mockImplementation(
+      async (userId, task) => {
+        cloud.tasks.push(task);
+        return ok(task);
+      }
+    );
+  });
+
+  describe("stageCloudMigration", () => {
+    it("does nothing without local data", () => {
+      expect(stageCloudMigration("user-1", {})).toBeNull();
+      expect(getCloudMigration("user-1")).toBeNull();
+    });
+
+    it("keeps an upload already staged for the same user", () => {
+      stageCloudMigration("user-1", { tasks: [REPORT] });
+      stageCloudMigration("user-1", { tasks: [MILK] });
+
+      expect(getCloudMigration("user-1").tasks).toEqual([REPORT]);
+    });
+
+    it("replaces an upload staged for another account", () => {
+      stageCloudMigration("user-1", { tasks: [REPORT] });
+      stageCloudMigration("user-2", { tasks: [MILK] });
+
+      expect(getCloudMigration("user-1")).toBeNull();
+      expect(getCloudMigration("user-2").tasks).toEqual([MILK]);
+    });
+
+    it("never stages data cached for another account", () => {
+      setLocalDataOwner("user-1");
+
+      expect(stageCloudMigration("user-2", { tasks: [REPORT] })).toBeNull();
+      expect(getCloudMigration("user-2")).toBeNull();
+      expect(stageCloudMigration("user-1", { tasks: [REPORT] })).not.toBeNull();
+    });
+
+    it("stages guest data once the owner is cleared", () => {
+      setLocalDataOwner("user-1");
+      setLocalDataOwner(null);
+
+      stageCloudMigration("user-2", { tasks: [MILK] });
+
+      expect(getCloudMigration("user-2").tasks).toEqual([MILK]);
+    });
+  });
+
+  describe("migrateLocalDataToCloud", () => {
+    it("creates, merges and reports each record", async () => {
+      stageCloudMigration("user-1", {
+        categories: [WORK, ERRANDS],
+        tasks: [REPORT, MILK],
+      });
+
+      const result = await migrateLocalDataToCloud("user-1");
+
+      expect(result.success).toBe(true);
+      expect(result.report.categories).toEqual({
+        created: 1,
+        merged: 1,
+        skipped: 0,
+        failed: 0,
+      });
+      expect(result.report.tasks).toEqual({
+        created: 1,
+        merged: 1,
+        skipped: 0,
+        failed: 0,
+      });
+      expect(result.report.items).toContainEqual(
+        expect.objectContaining({
+          localId: "task-1",
+          status: "merged",
+          cloudId: "cloud-report",
+          reason: "The same task already exists",
+        })
+      );
+      expect(supabaseStorage.createTaskInSupabase).toHaveBeenCalledTimes(1);
+      expect(supabaseStorage.createTaskInSupabase).toHaveBeenCalledWith(
+        "user-1",
+        expect.objectContaining({ id: "task-2", categoryId: "cat-errands" })
+      );
+      expect(getCloudMigration("user-1")).toBeNull();
+    });
+
+    it("points local copies at the records they were merged into", async () => {
+      setItem("categories", [WORK]);
+      setItem("tasks", [REPORT]);
+      stageCloudMigration("user-1", { categories: [WORK], tasks: [REPORT] });
+
+      await migrateLocalDataToCloud("user-1");
+
+      expect(getItem("categories")[0].id).toBe("cloud-work");
+      expect(getItem("tasks")[0]).toMatchObject({
+        id: "cloud-report",
+        categoryId: "cloud-work",
+      });
+    });
+
+    it("skips records that are already in the cloud", async () => {
+      cloud.tasks.push({ ...MILK, categoryId: null });
+      stageCloudMigration("user-1", { tasks: [MILK] });
+
+      const result = await migrateLocalDataToCloud("user-1");
+
+      expect(result.report.tasks.skipped).toBe(1);
+      expect(supabaseStorage.createTaskInSupabase).not.toHaveBeenCalled();
+    });
+
+    it("keeps failures and retries only those on the next run", async () => {
+      supabaseStorage.createTaskInSupabase.mockResolvedValueOnce({
+        data: null,
+        error: { message: "Network request failed" },
+      });
+      stageCloudMigration("user-1", {
+        categories: [ERRANDS],
+        tasks: [MILK],
+      });
+
+      const first = await migrateLocalDataToCloud("user-1");
+
+      expect(first.success).toBe(false);
+      expect(first.report.tasks.failed).toBe(1);
+      expect(first.report.items).toContainEqual(
+        expect.objectContaining({
+          localId: "task-2",
+          status: "failed",
+          reason: "Network request failed",
+        })
+      );
+      expect(getCloudMigration("user-1").status).toBe("incomplete");
+
+      const second = await migrateLocalDataToCloud("user-1");
+
+      expect(second.success).toBe(true);
+      expect(second.report.tasks.created).toBe(1);
+      expect(second.report.categories.created).toBe(1);
+      expect(supabaseStorage.createCategoryInSupabase).toHaveBeenCalledTimes(1);
+      expect(cloud.tasks.filter((t) => t.id === "task-2")).toHaveLength(1);
+    });
+
+    it("merges a category created elsewhere in the meantime", async () => {
+      supabaseStorage.createCategoryInSupabase.mockImplementationOnce(
+        async () => {
+          cloud.categories.push({ id: "cloud-errands", name: "Errands" });
+          return { data: null, error: { code: "23505", message: "dup" } };
+        }
+      );
+      stageCloudMigration("user-1", { categories: [ERRANDS], tasks: [MILK] });
+
+      const result = await migrateLocalDataToCloud("user-1");
+
+      expect(result.report.categories.merged).toBe(1);
+      expect(supabaseStorage.createTaskInSupabase).toHaveBeenCalledWith(
+        "user-1",
+        expect.objectContaining({ categoryId: "cloud-errands" })
+      );
+    });
+
+    it("reports nothing to do when no upload is staged", async () => {
+      const result = await migrateLocalDataToCloud("user-1");
+
+      expect(result.success).toBe(true);
+      expect(describeMigrationReport(result.report)).toBe("nothing to upload");
+      expect(supabaseStorage.fetchTasks).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("describeMigrationReport", () => {
+    it("lists the non-zero counts", () => {
+      const report = {
+        categories: { created: 1, merged: 1, skipped: 0, failed: 0 },
+        tasks: { created: 2, merged: 0, skipped: 0, failed: 1 },
+        items: [],
+      };
+
+      expect(describeMigrationReport(report)).toBe(
+        "3 created, 1 merged, 1 failed"
+      );
+    });
+  });
+});
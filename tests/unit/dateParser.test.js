@@ -6,6 +6,13 @@
 import { describe, it, expect, beforeEach, vi } from "vitest";
 import {
   parseNaturalLanguageDate,
+  parseDueDate,
+  parseDateValue,
+  parseTimeOfDay,
+  isAllDay,
+  toDate,
+  toDay,
+  fromLegacyDueDate,
   isOverdue,
   formatDate,
   getDateRanges,
@@ -79,6 +86,186 @@ describe("dateParser", () => {
       expect(result1).toBeDefined();
       expect(result2).toBeDefined();
     });
+
+    it('parses "next friday" as the upcoming friday', () => {
+      const result = parseNaturalLanguageDate("next friday");
+      const expected = parseNaturalLanguageDate("friday");
+
+      expect(result.getDay()).toBe(5);
+      expect(result.getTime()).toBe(expected.getTime());
+      expect(result.getTime()).toBeGreaterThan(mockNow.getTime());
+    });
+
+    it("parses ISO days as local midnight", () => {
+      const result = parseNaturalLanguageDate("2025-12-24");
+
+      expect(result.getFullYear()).toBe(2025);
+      expect(result.getMonth()).toBe(11);
+      expect(result.getDate()).toBe(24);
+      expect(result.getHours()).toBe(0);
+    });
+
+    it("rejects ISO days that don't exist", () => {
+      expect(parseNaturalLanguageDate("2025-02-30")).toBeNull();
+    });
+
+  });
+
+  describe("parseDueDate", () => {
+    const now = new Date(2025, 10, 7, 10, 0);
+
+    it("returns days for day-only input", () => {
+      expect(parseDueDate("tomorrow", now)).toBe("2025-11-08");
+      expect(parseDueDate("2025-12-24", now)).toBe("2025-12-24");
+      expect(isAllDay(parseDueDate("next week", now))).toBe(true);
+    });
+
+    it("returns timestamps for input with a time", () => {
+      expect(parseDueDate("tomorrow at 3pm", now)).toBe(
+        new Date(2025, 10, 8, 15, 0).toISOString()
+      );
+    });
+
+    it("keeps midnight as a time, not all day", () => {
+      const midnight = new Date(2025, 10, 8).toISOString();
+
+      expect(parseDueDate("tomorrow at midnight", now)).toBe(midnight);
+      expect(parseDueDate("00:00", now)).toBe(midnight);
+      expect(isAllDay(parseDueDate("at 12am", now))).toBe(false);
+    });
+
+    it("returns null for invalid input", () => {
+      expect(parseDueDate("whenever", now)).toBeNull();
+    });
+  });
+
+  describe("parseNaturalLanguageDate with times", () => {
+    // Friday, Nov 7 2025, 10:00 local time
+    const now = new Date(2025, 10, 7, 10, 0);
+
+    it('parses "tomorrow at 3pm"', () => {
+      expect(parseNaturalLanguageDate("tomorrow at 3pm", now)).toEqual(
+        new Date(2025, 10, 8, 15, 0)
+      );
+    });
+
+    it("parses a day followed by a time without 'at'", () => {
+      expect(parseNaturalLanguageDate("Monday 9:30 am", now)).toEqual(
+        new Date(2025, 10, 10, 9, 30)
+      );
+      expect(parseNaturalLanguageDate("2025-12-01 14:30", now)).toEqual(
+        new Date(2025, 11, 1, 14, 30)
+      );
+    });
+
+    it("schedules a lone time today, or tomorrow once it has passed", () => {
+      expect(parseNaturalLanguageDate("14:30", now)).toEqual(
+        new Date(2025, 10, 7, 14, 30)
+      );
+      expect(parseNaturalLanguageDate("at noon", now)).toEqual(
+        new Date(2025, 10, 7, 12, 0)
+      );
+      expect(parseNaturalLanguageDate("9am", now)).toEqual(
+        new Date(2025, 10, 8, 9, 0)
+      );
+    });
+
+    it('parses "tonight"', () => {
+      expect(parseNaturalLanguageDate("tonight", now)).toEqual(
+        new Date(2025, 10, 7, 20, 0)
+      );
+      expect(parseNaturalLanguageDate("tonight at 9pm", now)).toEqual(
+        new Date(2025, 10, 7, 21, 0)
+      );
+    });
+
+    it('parses "in 2 hours" and "in 30 minutes"', () => {
+      expect(parseNaturalLanguageDate("in 2 hours", now)).toEqual(
+        new Date(2025, 10, 7, 12, 0)
+      );
+      expect(parseNaturalLanguageDate("in 30 mins", now)).toEqual(
+        new Date(2025, 10, 7, 10, 30)
+      );
+    });
+
+    it("lets relative times land on midnight", () => {
+      const lateEvening = new Date(2025, 10, 7, 22, 0);
+
+      expect(parseNaturalLanguageDate("in 2 hours", lateEvening)).toEqual(
+        new Date(2025, 10, 8, 0, 0)
+      );
+    });
+
+    it("parses midnight", () => {
+      expect(parseNaturalLanguageDate("tomorrow at midnight", now)).toEqual(
+        new Date(2025, 10, 8, 0, 0)
+      );
+      expect(parseNaturalLanguageDate("friday 12am", now)).toEqual(
+        new Date(2025, 10, 14, 0, 0)
+      );
+      expect(parseNaturalLanguageDate("tomorrow at 0:05", now)).toEqual(
+        new Date(2025, 10, 8, 0, 5)
+      );
+    });
+
+    it("returns null for an unknown day with a time", () => {
+      expect(parseNaturalLanguageDate("someday at 3pm", now)).toBeNull();
+    });
+  });
+
+  describe("parseDateValue", () => {
+    it("keeps the time of ISO date-times", () => {
+      expect(parseDateValue("2025-03-14T09:30:00Z")).toBe(
+        "2025-03-14T09:30:00.000Z"
+      );
+      expect(new Date(parseDateValue("2025-03-14T09:30:00")).getHours()).toBe(
+        9
+      );
+    });
+
+    it("reads days and phrases as all day", () => {
+      expect(parseDateValue("2025-03-14")).toBe("2025-03-14");
+      expect(isAllDay(parseDateValue("tomorrow"))).toBe(true);
+    });
+
+    it("reads other date formats only with a year", () => {
+      expect(parseDateValue("Nov 5 2025")).toBe("2025-11-05");
+      expect(parseDateValue("Nov 5")).toBeNull();
+      expect(parseDateValue("11/5")).toBeNull();
+    });
+
+    it("returns null for anything else", () => {
+      expect(parseDateValue("2025-13-45T99:00")).toBeNull();
+      expect(parseDateValue("whenever")).toBeNull();
+      expect(parseDateValue(null)).toBeNull();
+    });
+  });
+
+  describe("parseTimeOfDay", () => {
+    it("parses 12-hour times", () => {
+      expect(parseTimeOfDay("3pm")).toEqual({ hours: 15, minutes: 0 });
+      expect(parseTimeOfDay("9:30 am")).toEqual({ hours: 9, minutes: 30 });
+      expect(parseTimeOfDay("12am")).toEqual({ hours: 0, minutes: 0 });
+      expect(parseTimeOfDay("12pm")).toEqual({ hours: 12, minutes: 0 });
+    });
+
+    it("parses 24-hour times", () => {
+      expect(parseTimeOfDay("14:30")).toEqual({ hours: 14, minutes: 30 });
+      expect(parseTimeOfDay("0:05")).toEqual({ hours: 0, minutes: 5 });
+    });
+
+    it("parses noon and midnight", () => {
+      expect(parseTimeOfDay("noon")).toEqual({ hours: 12, minutes: 0 });
+      expect(parseTimeOfDay("Midnight")).toEqual({ hours: 0, minutes: 0 });
+    });
+
+    it("rejects bare numbers and out-of-range times", () => {
+      expect(parseTimeOfDay("3")).toBeNull();
+      expect(parseTimeOfDay("13pm")).toBeNull();
+      expect(parseTimeOfDay("24:00")).toBeNull();
+      expect(parseTimeOfDay("10:75")).toBeNull();
+      expect(parseTimeOfDay("")).toBeNull();
+    });
   });
 
   describe("isOverdue", () => {
@@ -112,6 +299,63 @@ describe("dateParser", () => {
       expect(isOverdue("2025-01-01")).toBe(true);
       expect(isOverdue("2025-12-31")).toBe(false);
     });
+
+    it("treats timed dates as overdue once the time passes", () => {
+      const now = new Date(2025, 10, 7, 15, 0);
+
+      expect(isOverdue(new Date(2025, 10, 7, 14, 59), now)).toBe(true);
+      expect(isOverdue(new Date(2025, 10, 7, 17, 0), now)).toBe(false);
+    });
+
+    it("keeps all-day dates due until the end of the day", () => {
+      const lateNight = new Date(2025, 10, 7, 23, 59);
+
+      expect(isOverdue("2025-11-07", lateNight)).toBe(false);
+      expect(isOverdue("2025-11-06", lateNight)).toBe(true);
+    });
+
+    it("treats a midnight time as due at the start of the day", () => {
+      const morning = new Date(2025, 10, 7, 9, 0);
+
+      expect(isOverdue(new Date(2025, 10, 7).toISOString(), morning)).toBe(
+        true
+      );
+    });
+  });
+
+  describe("isAllDay", () => {
+    it("is true only for days", () => {
+      expect(isAllDay("2025-11-07")).toBe(true);
+      expect(isAllDay(new Date(2025, 10, 7).toISOString())).toBe(false);
+      expect(isAllDay(new Date(2025, 10, 7))).toBe(false);
+      expect(isAllDay(null)).toBe(false);
+    });
+  });
+
+  describe("toDate and toDay", () => {
+    it("reads days as local midnight", () => {
+      expect(toDate("2025-03-14")).toEqual(new Date(2025, 2, 14));
+      expect(toDate("2025-03-14T09:30:00.000Z").toISOString()).toBe(
+        "2025-03-14T09:30:00.000Z"
+      );
+    });
+
+    it("formats the local day of a date", () => {
+      expect(toDay(new Date(2025, 2, 4, 23, 30))).toBe("2025-03-04");
+    });
+  });
+
+  describe("fromLegacyDueDate", () => {
+    it("turns local midnight into a day and keeps times", () => {
+      const timed = new Date(2025, 2, 14, 9, 30).toISOString();
+
+      expect(fromLegacyDueDate(new Date(2025, 2, 14).toISOString())).toBe(
+        "2025-03-14"
+      );
+      expect(fromLegacyDueDate(timed)).toBe(timed);
+      expect(fromLegacyDueDate("2025-03-14")).toBe("2025-03-14");
+      expect(fromLegacyDueDate(null)).toBeNull();
+    });
   });
 
   describe("formatDate", () => {
@@ -138,6 +382,34 @@ describe("dateParser", () => {
       expect(result.toLowerCase()).toContain("today");
     });
 
+    it("shows the time for timed dates", () => {
+      const date = new Date(2025, 11, 25, 15, 30);
+
+      expect(formatDate(date, { relative: false })).toBe(
+        "Dec 25, 2025 at 3:30 PM"
+      );
+    });
+
+    it("combines relative days with the time", () => {
+      const tomorrowAt9 = new Date(mockNow);
+      tomorrowAt9.setDate(tomorrowAt9.getDate() + 1);
+      tomorrowAt9.setHours(9, 0, 0, 0);
+
+      expect(formatDate(tomorrowAt9)).toBe("Tomorrow at 9:00 AM");
+    });
+
+    it("omits the time for all-day dates", () => {
+      expect(formatDate("2025-12-25", { relative: false })).toBe(
+        "Dec 25, 2025"
+      );
+    });
+
+    it("shows midnight as a time", () => {
+      expect(
+        formatDate(new Date(2025, 11, 25).toISOString(), { relative: false })
+      ).toBe("Dec 25, 2025 at 12:00 AM");
+    });
+
     it("handles null date", () => {
       const result = formatDate(null);
 
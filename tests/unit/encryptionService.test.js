@@ -0,0 +1,100 @@
+/**
+ * Encryption Service Tests
+ * Test encrypting backups and opening them again
+ */
+
+import { describe, it, expect, beforeAll, vi } from "vitest";
+import {
+  ENCRYPTED_BACKUP_FORMAT,
+  ENCRYPTION_VERSION,
+  isEncryptedBackup,
+  encryptBackup,
+  decryptBackup,
+} from "../../src/services/encryptionService";
+
+const PASSPHRASE = "correct horse battery";
+const backup = {
+  tasks: [{ id: "a", title: "Call Acme Corp about the renewal" }],
+  _schemaVersion: 0,
+};
+
+// Flip one base64 character without making it invalid
+function tamper(text, index) {
+  const flipped = text[index] === "A" ? "B" : "A";
+  return text.slice(0, index) + flipped + text.slice(index + 1);
+}
+
+describe("encryptionService", () => {
+  let envelope;
+
+  // Key derivation is deliberately slow, so encrypt once
+  beforeAll(async () => {
+    ({ envelope } = await encryptBackup(backup, PASSPHRASE));
+  });
+
+  it("writes a versioned envelope without the plaintext", () => {
+    expect(envelope).toMatchObject({
+      format: ENCRYPTED_BACKUP_FORMAT,
+      version: ENCRYPTION_VERSION,
+      kdf: { name: "PBKDF2", hash: "SHA-256" },
+      cipher: { name: "AES-GCM" },
+    });
+    expect(envelope.kdf.iterations).toBeGreaterThanOrEqual(600000);
+    expect(JSON.stringify(envelope)).not.toContain("Acme");
+    expect(isEncryptedBackup(envelope)).toBe(true);
+    expect(isEncryptedBackup(backup)).toBe(false);
+  });
+
+  it("decrypts with the right passphrase", async () => {
+    const result = await decryptBackup(envelope, PASSPHRASE);
+
+    expect(result.success).toBe(true);
+    expect(result.data).toEqual(backup);
+  });
+
+  it("rejects a wrong passphrase", async () => {
+    const result = await decryptBackup(envelope, "incorrect horse");
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/Wrong passphrase/);
+  });
+
+  it("rejects a changed file", async () => {
+    const result = await decryptBackup(
+      { ...envelope, data: tamper(envelope.data, 10) },
+      PASSPHRASE
+    );
+
+    expect(result.error).toMatch(/Wrong passphrase/);
+  });
+
+  it("rejects malformed and newer envelopes before deriving a key", async () => {
+    const damaged = [
+      { ...envelope, cipher: { name: "AES-CBC", iv: envelope.cipher.iv } },
+      { ...envelope, kdf: { ...envelope.kdf, iterations: 1e12 } },
+      { ...envelope, data: "not base64!" },
+    ];
+    for (const file of damaged) {
+      expect((await decryptBackup(file, PASSPHRASE)).error).toBe(
+        "Encrypted backup is damaged"
+      );
+    }
+
+    expect(
+      (await decryptBackup({ ...envelope, version: 2 }, PASSPHRASE)).error
+    ).toMatch(/newer version/);
+    expect((await decryptBackup(envelope, "")).error).toMatch(
+      /Passphrase is required/
+    );
+  });
+
+  it("refuses short passphrases", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+
+    const result = await encryptBackup(backup, "short");
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/at least 8 characters/);
+    vi.restoreAllMocks();
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Export Service Tests
+ * Test the CSV, Markdown and todo.txt formats
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  toCSV,
+  toMarkdown,
+  toTodoTxt,
+  exportTasks,
+} from "../../src/services/exportService";
+import { setItem } from "../../src/services/storageService";
+import { allDay, makeTask } from "../helpers";
+
+const DUE = allDay(2025, 3, 14);
+const CREATED = new Date(2025, 2, 1, 9).toISOString();
+const COMPLETED = new Date(2025, 2, 10, 17).toISOString();
+
+const categoryNames = new Map([
+  ["work", "Work"],
+  ["home", "Home Stuff"],
+]);
+
+describe("exportService", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe("toCSV", () => {
+    it("writes a header and one row per task with ISO dates", () => {
+      const csv = toCSV(
+        [
+          makeTask({
+            categoryId: "work",
+            priority: "high",
+            dueDate: DUE,
+            createdAt: CREATED,
+          }),
+          makeTask({
+            completed: true,
+            completedAt: COMPLETED,
+            createdAt: CREATED,
+          }),
+        ],
+        categoryNames
+      );
+
+      expect(csv.split("\r\n")).toEqual([
+        "Title,Category,Priority,Due Date,Completed,Completed At,Created At",
+        `Write report,Work,high,${DUE},false,,${CREATED}`,
+        `Write report,,,,true,${COMPLETED},${CREATED}`,
+        "",
+      ]);
+    });
+
+    it("quotes commas, quotes and formulas", () => {
+      const csv = toCSV(
+        [
+          makeTask({ title: 'Say "hi", then leave' }),
+          makeTask({ title: "=1+1" }),
+        ],
+        categoryNames
+      );
+      const [, first, second] = csv.split("\r\n");
+
+      expect(first.startsWith('"Say ""hi"", then leave",')).toBe(true);
+      expect(second.startsWith("'=1+1,")).toBe(true);
+    });
+  });
+
+  describe("toMarkdown", () => {
+    it("groups a checklist by category, uncategorized last", () => {
+      const markdown = toMarkdown(
+        [
+          makeTask({ title: "Loose end" }),
+          makeTask({
+            title: "Mow the lawn",
+            categoryId: "home",
+            completed: true,
+            subtasks: [{ id: "s1", title: "Buy fuel", completed: false }],
+          }),
+          makeTask({ categoryId: "work", dueDate: DUE }),
+        ],
+        categoryNames
+      );
+
+      expect(markdown).toBe(
+        [
+          "## Work",
+          "",
+          "- [ ] Write report (due 2025-03-14)",
+          "",
+          "## Home Stuff",
+          "",
+          "- [x] Mow the lawn",
+          "  - [ ] Buy fuel",
+          "",
+          "## Uncategorized",
+          "",
+          "- [ ] Loose end",
+          "",
+        ].join("\n")
+      );
+    });
+
+    it("returns nothing for no tasks", () => {
+      expect(toMarkdown([], categoryNames)).toBe("");
+    });
+  });
+
+  describe("toTodoTxt", () => {
+    it("writes priority, dates, project and due key", () => {
+      const text = toTodoTxt(
+        [
+          makeTask({
+            priority: "urgent",
+            categoryId: "home",
+            dueDate: DUE,
+            createdAt: CREATED,
+          }),
+          makeTask({
+            title: "Ship it",
+            createdAt: CREATED,
+            completed: true,
+            completedAt: COMPLETED,
+            priority: "medium",
+          }),
+          makeTask({ title: "Line\nbreak", createdAt: null }),
+        ],
+        categoryNames
+      );
+
+      expect(text.split("\n")).toEqual([
+        "(A) 2025-03-01 Write report +Home-Stuff due:2025-03-14",
+        "x 2025-03-10 2025-03-01 Ship it pri:C",
+        "Line break",
+        "",
+      ]);
+    });
+  });
+
+  describe("exportTasks", () => {
+    beforeEach(() => {
+      setItem("categories", [
+        { id: "work", name: "Work", color: "#3b82f6" },
+        { id: "old", name: "Old", color: "#3b82f6", deletedAt: CREATED },
+      ]);
+      setItem("tasks", [
+        makeTask({
+          id: "a",
+          title: "A",
+          categoryId: "work",
+          createdAt: CREATED,
+        }),
+        makeTask({
+          id: "b",
+          title: "B",
+          categoryId: "old",
+          createdAt: CREATED,
+        }),
+        makeTask({ id: "c", title: "C", deletedAt: CREATED }),
+      ]);
+    });
+
+    it("exports the given tasks in the given order", () => {
+      const result = exportTasks("todotxt", ["b", "a", "c", "missing"]);
+
+      expect(result.success).toBe(true);
+      expect(result.count).toBe(2);
+      expect(result.content).toBe("2025-03-01 B\n2025-03-01 A +Work\n");
+    });
+
+    it("leaves undated tasks out of calendar exports", () => {
+      const result = exportTasks("ics", ["a", "b"], { component: "VEVENT" });
+
+      expect(result.count).toBe(0);
+      expect(result.content).not.toContain("BEGIN:VEVENT");
+    });
+
+    it("rejects unknown formats", () => {
+      expect(exportTasks("pdf", ["a"]).error).toMatch(/Unknown export format/);
+    });
+  });
+});
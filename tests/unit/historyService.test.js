@@ -0,0 +1,148 @@
+/**
+ * History Service Tests
+ * Test undo/redo stacks of reversible commands
+ */
+
+import { describe, it, expect, vi } from "vitest";
+import { createHistory } from "../../src/services/historyService";
+
+/**
+ * Build a command that moves a counter up and down
+ */
+function counterCommand(state, label = "Increment") {
+  return {
+    label,
+    undo: vi.fn(async () => {
+      state.value--;
+      return { success: true };
+    }),
+    redo: vi.fn(async () => {
+      state.value++;
+      return { success: true };
+    }),
+  };
+}
+
+describe("historyService", () => {
+  it("starts empty", async () => {
+    const history = createHistory();
+
+    expect(history.canUndo()).toBe(false);
+    expect(history.canRedo()).toBe(false);
+
+    const result = await history.undo();
+    expect(result.success).toBe(false);
+    expect(result.command).toBeNull();
+  });
+
+  it("undoes and redoes recorded commands in order", async () => {
+    const state = { value: 2 };
+    const history = createHistory();
+    history.record(counterCommand(state, "First"));
+    history.record(counterCommand(state, "Second"));
+
+    const first = await history.undo();
+    expect(first.success).toBe(true);
+    expect(first.command.label).toBe("Second");
+    expect(state.value).toBe(1);
+
+    await history.undo();
+    expect(state.value).toBe(0);
+    expect(history.canUndo()).toBe(false);
+
+    const redo = await history.redo();
+    expect(redo.command.label).toBe("First");
+    expect(state.value).toBe(1);
+    expect(history.peekUndo().label).toBe("First");
+    expect(history.peekRedo().label).toBe("Second");
+  });
+
+  it("clears the redo stack when a new command is recorded", async () => {
+    const state = { value: 1 };
+    const history = createHistory();
+    history.record(counterCommand(state));
+    await history.undo();
+
+    history.record(counterCommand(state, "Other"));
+
+    expect(history.canRedo()).toBe(false);
+  });
+
+  it("drops a command whose undo fails", async () => {
+    const state = { value: 1 };
+    const history = createHistory();
+    history.record(counterCommand(state, "Older"));
+    history.record({
+      label: "Broken",
+      undo: async () => ({ success: false, error: "Task not found" }),
+      redo: async () => ({ success: true }),
+    });
+
+    const result = await history.undo();
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe("Task not found");
+    expect(history.canRedo()).toBe(false);
+    expect(history.peekUndo().label).toBe("Older");
+  });
+
+  it("reports thrown errors", async () => {
+    const history = createHistory();
+    history.record({
+      label: "Throws",
+      undo: async () => {
+        throw new Error("Network down");
+      },
+      redo: async () => ({ success: true }),
+    });
+
+    const result = await history.undo();
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe("Network down");
+  });
+
+  it("ignores undo while another step is running", async () => {
+    const history = createHistory();
+    let finish;
+    history.record({
+      label: "Slow",
+      undo: () => new Promise((resolve) => (finish = resolve)),
+      redo: async () => ({ success: true }),
+    });
+
+    const pending = history.undo();
+    const second = await history.undo();
+    finish({ success: true });
+    const first = await pending;
+
+    expect(second.success).toBe(false);
+    expect(first.success).toBe(true);
+  });
+
+  it("keeps at most `limit` undo steps", async () => {
+    const state = { value: 0 };
+    const history = createHistory({ limit: 2 });
+    history.record(counterCommand(state, "1"));
+    history.record(counterCommand(state, "2"));
+    history.record(counterCommand(state, "3"));
+
+    await history.undo();
+    expect(history.peekUndo().label).toBe("2");
+    await history.undo();
+    expect(history.canUndo()).toBe(false);
+  });
+
+  it("notifies subscribers of changes", async () => {
+    const history = createHistory();
+    const listener = vi.fn();
+    const unsubscribe = history.subscribe(listener);
+
+    history.record(counterCommand({ value: 0 }));
+    await history.undo();
+    unsubscribe();
+    history.clear();
+
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,260 @@
+/**
+ * iCalendar Service Tests
+ * Test .ics export, to-do parsing and the round trip between them
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  toICS,
+  parseICS,
+  toTaskDraft,
+  getTaskUid,
+  getTaskIdFromUid,
+} from "../../src/services/icalService";
+import { allDay, makeTask } from "../helpers";
+
+const TASK_ID = "11111111-1111-4111-8111-111111111111";
+
+const DUE = allDay(2025, 3, 14);
+
+const categoryNames = new Map([["work", "Work"]]);
+
+function lines(ics) {
+  return ics.replace(/\r\n /g, "").split("\r\n");
+}
+
+describe("icalService", () => {
+  describe("toICS", () => {
+    it("writes a VTODO per task with a due date", () => {
+      const ics = toICS(
+        [
+          makeTask({ categoryId: "work", priority: "high", dueDate: DUE }),
+          makeTask({ id: "no-due" }),
+        ],
+        categoryNames
+      );
+      const output = lines(ics);
+
+      expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+      expect(output.filter((line) => line === "BEGIN:VTODO")).toHaveLength(1);
+      expect(output).toContain(`UID:${TASK_ID}@coolest-todo-app`);
+      expect(output).toContain("SUMMARY:Write report");
+      expect(output).toContain("DUE;VALUE=DATE:20250314");
+      expect(output).toContain("STATUS:NEEDS-ACTION");
+      expect(output).toContain("CATEGORIES:Work");
+      expect(output).toContain("PRIORITY:3");
+    });
+
+    it("writes completion and timed due dates in UTC", () => {
+      const output = lines(
+        toICS(
+          [
+            makeTask({
+              dueDate: "2025-03-14T15:30:00.000Z",
+              completed: true,
+              completedAt: "2025-03-13T08:00:00.000Z",
+            }),
+          ],
+          categoryNames
+        )
+      );
+
+      expect(output).toContain("DUE:20250314T153000Z");
+      expect(output).toContain("STATUS:COMPLETED");
+      expect(output).toContain("COMPLETED:20250313T080000Z");
+    });
+
+    it("writes recurrence rules with a start date", () => {
+      const output = lines(
+        toICS(
+          [
+            makeTask({
+              dueDate: DUE,
+              recurrence: {
+                frequency: "monthly",
+                interval: 2,
+                weekOfMonth: -1,
+                daysOfWeek: [5],
+              },
+            }),
+          ],
+          categoryNames
+        )
+      );
+
+      expect(output).toContain("DTSTART;VALUE=DATE:20250314");
+      expect(output).toContain("RRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=-1FR");
+    });
+
+    it("writes events when asked", () => {
+      const output = lines(
+        toICS([makeTask({ completed: true, dueDate: DUE })], categoryNames, {
+          component: "VEVENT",
+        })
+      );
+
+      expect(output).toContain("BEGIN:VEVENT");
+      expect(output).toContain("DTSTART;VALUE=DATE:20250314");
+      expect(output).toContain("SUMMARY:✓ Write report");
+      expect(output).not.toContain("BEGIN:VTODO");
+    });
+
+    it("escapes text and folds long lines", () => {
+      const ics = toICS(
+        [
+          makeTask({
+            title: `Pay rent; call Sam, then ${"x".repeat(80)}`,
+            dueDate: DUE,
+          }),
+        ],
+        categoryNames
+      );
+
+      expect(ics.split("\r\n").every((line) => line.length <= 75)).toBe(true);
+      expect(lines(ics)).toContain(
+        `SUMMARY:Pay rent\\; call Sam\\, then ${"x".repeat(80)}`
+      );
+    });
+  });
+
+  describe("parseICS", () => {
+    it("rejects files that aren't calendars", () => {
+      expect(parseICS("hello").success).toBe(false);
+    });
+
+    it("reads to-dos and skips events and alarms", () => {
+      const result = parseICS(
+        [
+          "BEGIN:VCALENDAR",
+          "BEGIN:VEVENT",
+          "SUMMARY:Meeting",
+          "END:VEVENT",
+          "BEGIN:VTODO",
+          "UID:abc@example.com",
+          "SUMMARY:Buy milk\\, eggs",
+          "DUE;TZID=Europe/Paris:20250314T090000",
+          "CATEGORIES:Errands,WORK",
+          "PRIORITY:1",
+          "STATUS:COMPLETED",
+          "COMPLETED:20250313T080000Z",
+          "RRULE:FREQ=WEEKLY;BYDAY=MO,WE",
+          "BEGIN:VALARM",
+          "SUMMARY:Reminder",
+          "END:VALARM",
+          "END:VTODO",
+          "END:VCALENDAR",
+        ].join("\r\n")
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.todos).toHaveLength(1);
+      expect(result.todos[0]).toEqual({
+        uid: "abc@example.com",
+        taskId: null,
+        title: "Buy milk, eggs",
+        dueDate: new Date(2025, 2, 14, 9).toISOString(),
+        completed: true,
+        completedAt: "2025-03-13T08:00:00.000Z",
+        categories: ["Errands", "WORK"],
+        priority: "urgent",
+        recurrence: { frequency: "weekly", interval: 1, daysOfWeek: [1, 3] },
+      });
+    });
+
+    it("drops recurrence rules the app can't repeat", () => {
+      const result = parseICS(
+        [
+          "BEGIN:VCALENDAR",
+          "BEGIN:VTODO",
+          "SUMMARY:Yearly",
+          "RRULE:FREQ=YEARLY",
+          "END:VTODO",
+          "BEGIN:VTODO",
+          "SUMMARY:Counted",
+          "RRULE:FREQ=DAILY;COUNT=3",
+          "END:VTODO",
+          "END:VCALENDAR",
+        ].join("\n")
+      );
+
+      expect(result.todos.map((todo) => todo.recurrence)).toEqual([null, null]);
+    });
+
+    it("round-trips exported tasks", () => {
+      const recurrence = {
+        frequency: "weekly",
+        interval: 2,
+        daysOfWeek: [1, 4],
+        until: new Date(2025, 11, 31).toISOString(),
+      };
+      const [todo] = parseICS(
+        toICS(
+          [
+            makeTask({
+              title: "Line one\nline two, with comma",
+              dueDate: DUE,
+              categoryId: "work",
+              priority: "medium",
+              recurrence,
+            }),
+          ],
+          categoryNames
+        )
+      ).todos;
+
+      expect(todo.taskId).toBe(TASK_ID);
+      expect(todo.title).toBe("Line one\nline two, with comma");
+      expect(todo.dueDate).toBe(DUE);
+      expect(todo.completed).toBe(false);
+      expect(todo.priority).toBe("medium");
+      expect(todo.recurrence).toEqual(recurrence);
+    });
+  });
+
+  describe("UIDs", () => {
+    it("maps UIDs back to the tasks they came from", () => {
+      expect(getTaskIdFromUid(getTaskUid(TASK_ID))).toBe(TASK_ID);
+      expect(getTaskIdFromUid("1@coolest-todo-app")).toBeNull();
+      expect(getTaskIdFromUid("abc@example.com")).toBeNull();
+    });
+  });
+
+  describe("toTaskDraft", () => {
+    const calendar = (categories) =>
+      parseICS(
+        [
+          "BEGIN:VCALENDAR",
+          "BEGIN:VTODO",
+          "SUMMARY:Report",
+          `CATEGORIES:${categories}`,
+          "END:VTODO",
+          "END:VCALENDAR",
+        ].join("\r\n")
+      ).todos[0];
+
+    it("prefers a category that already exists", () => {
+      const draft = toTaskDraft(calendar("Errands,WORK"), [
+        { id: "old", name: "Errands", deletedAt: "2025-01-01T00:00:00Z" },
+        { id: "work", name: "Work" },
+      ]);
+
+      expect(draft).toEqual({
+        taskId: null,
+        title: "Report",
+        completed: false,
+        completedAt: null,
+        dueDate: null,
+        priority: "none",
+        recurrence: null,
+        category: "Work",
+        subtasks: [],
+      });
+    });
+
+    it("falls back to the first category", () => {
+      expect(toTaskDraft(calendar("Errands,Home"), []).category).toBe(
+        "Errands"
+      );
+    });
+  });
+});
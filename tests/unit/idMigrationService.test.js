@@ -0,0 +1,108 @@
+/**
+ * ID Migration Service Tests
+ * Test the one-time upgrade of legacy local IDs to UUIDs
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { migrateLocalIds } from "../../src/services/idMigrationService";
+import { getItem, setItem } from "../../src/services/storageService";
+import { generateId, isUUID } from "../../src/utils/helpers";
+
+vi.mock("../../src/services/supabaseStorageService", () => ({}));
+
+const LEGACY_TASK = "1736500000000-abc123def";
+const LEGACY_CATEGORY = "1736400000000-xyz987uvw";
+const CLOUD_CATEGORY = "0f8fad5b-d9cb-469f-a165-70867728950e";
+
+describe("idMigrationService", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it("generates RFC 4122 version 4 UUIDs", () => {
+    const id = generateId();
+
+    expect(isUUID(id)).toBe(true);
+    expect(id[14]).toBe("4");
+    expect(generateId()).not.toBe(id);
+  });
+
+  it("rewrites legacy task and category IDs and their references", () => {
+    setItem("categories", [
+      { id: LEGACY_CATEGORY, name: "Work" },
+      { id: CLOUD_CATEGORY, name: "Home" },
+    ]);
+    setItem("tasks", [
+      { id: LEGACY_TASK, title: "Old", categoryId: LEGACY_CATEGORY },
+      { id: "2-b", title: "Also old", categoryId: CLOUD_CATEGORY },
+    ]);
+
+    const result = migrateLocalIds();
+
+    expect(result).toEqual({ migrated: true, tasks: 2, categories: 1 });
+    // Records that got a new ID may have moved within the stored list
+    const byName = (name) => getItem("categories").find((c) => c.name === name);
+    const byTitle = (title) => getItem("tasks").find((t) => t.title === title);
+    const [work, home] = [byName("Work"), byName("Home")];
+    const [oldTask, otherTask] = [byTitle("Old"), byTitle("Also old")];
+    expect(isUUID(work.id)).toBe(true);
+    expect(home.id).toBe(CLOUD_CATEGORY);
+    expect(isUUID(oldTask.id)).toBe(true);
+    expect(oldTask.categoryId).toBe(work.id);
+    expect(otherTask.categoryId).toBe(CLOUD_CATEGORY);
+  });
+
+  it("updates queued operations and conflicts", () => {
+    setItem("tasks", [{ id: LEGACY_TASK, title: "Old", categoryId: null }]);
+    setItem("outbox", [
+      {
+        id: "op-1",
+        entity: "task",
+        type: "create",
+        targetId: LEGACY_TASK,
+        payload: { id: LEGACY_TASK, title: "Old" },
+      },
+      {
+        id: "op-2",
+        entity: "task",
+        type: "reorder",
+        targetId: null,
+        payload: { taskOrders: [{ id: LEGACY_TASK, order: 0 }] },
+      },
+    ]);
+    setItem("conflicts", [
+      { id: "c-1", entity: "task", targetId: LEGACY_TASK, field: "title" },
+    ]);
+
+    migrateLocalIds();
+
+    const newId = getItem("tasks")[0].id;
+    const [create, reorder] = getItem("outbox");
+    expect(create.targetId).toBe(newId);
+    expect(create.payload.id).toBe(newId);
+    expect(reorder.payload.taskOrders[0].id).toBe(newId);
+    expect(getItem("conflicts")[0].targetId).toBe(newId);
+  });
+
+  it("clears references to categories that no longer exist", () => {
+    setItem("categories", []);
+    setItem("tasks", [
+      { id: LEGACY_TASK, title: "Orphan", categoryId: LEGACY_CATEGORY },
+    ]);
+
+    migrateLocalIds();
+
+    expect(getItem("tasks")[0].categoryId).toBeNull();
+  });
+
+  it("runs only once", () => {
+    setItem("tasks", [{ id: LEGACY_TASK, title: "Old" }]);
+    migrateLocalIds();
+    const migratedId = getItem("tasks")[0].id;
+
+    const result = migrateLocalIds();
+
+    expect(result.migrated).toBe(false);
+    expect(getItem("tasks")[0].id).toBe(migratedId);
+  });
+});
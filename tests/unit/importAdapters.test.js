@@ -0,0 +1,259 @@
+/**
+ * Import Adapters Tests
+ * Test reading todo.txt, CSV, Todoist and Microsoft To Do exports
+ */
+
+import { describe, it, expect } from "vitest";
+import { readFileSync } from "fs";
+import { resolve } from "path";
+import {
+  parseTodoTxt,
+  parseCSV,
+  guessColumnMapping,
+  mapCsvRows,
+  parseTodoist,
+  parseMicrosoftToDo,
+  detectJsonFormat,
+  findCategoryByName,
+} from "../../src/services/importAdapters";
+import { toTodoTxt, toCSV } from "../../src/services/exportService";
+import { allDay, localMidnight } from "../helpers";
+
+function fixture(name) {
+  return readFileSync(resolve(__dirname, "../fixtures/import", name), "utf8");
+}
+
+describe("importAdapters", () => {
+  describe("parseTodoTxt", () => {
+    it("reads the fixture", () => {
+      const drafts = parseTodoTxt(fixture("todo.txt"));
+
+      expect(drafts).toHaveLength(5);
+      expect(drafts[0]).toEqual({
+        title: "Call the landlord @phone",
+        completed: false,
+        completedAt: null,
+        dueDate: allDay(2025, 3, 14),
+        priority: "urgent",
+        category: "Home-Stuff",
+        subtasks: [],
+      });
+      expect(drafts[1]).toMatchObject({
+        title: "Review pull requests",
+        category: "Work",
+        priority: "none",
+      });
+      expect(drafts[2]).toMatchObject({
+        title: "Ship the release",
+        completed: true,
+        completedAt: localMidnight(2025, 3, 10),
+        priority: "high",
+      });
+      expect(drafts[3]).toMatchObject({
+        title: "Read https://example.com/article later",
+        priority: "low",
+      });
+      expect(drafts[4]).toMatchObject({
+        title: "Water the plants",
+        completed: true,
+        completedAt: null,
+      });
+    });
+
+    it("reads what the todo.txt export writes", () => {
+      const task = {
+        title: "Plan trip",
+        completed: false,
+        createdAt: localMidnight(2025, 3, 1),
+        categoryId: "travel",
+        dueDate: allDay(2025, 4, 2),
+        priority: "medium",
+      };
+
+      const [draft] = parseTodoTxt(
+        toTodoTxt([task], new Map([["travel", "Summer Travel"]]))
+      );
+
+      expect(draft).toMatchObject({
+        title: "Plan trip",
+        dueDate: task.dueDate,
+        priority: "medium",
+        category: "Summer-Travel",
+      });
+    });
+  });
+
+  describe("CSV", () => {
+    it("splits quoted fields and skips blank lines", () => {
+      const { headers, rows } = parseCSV(
+        'a;b\r\n"x;1";"say ""hi""\nthere"\r\n\r\n2;3'
+      );
+
+      expect(headers).toEqual(["a", "b"]);
+      expect(rows).toEqual([
+        ["x;1", 'say "hi"\nthere'],
+        ["2", "3"],
+      ]);
+    });
+
+    it("guesses the mapping from header names", () => {
+      const { headers } = parseCSV(fixture("tasks.csv"));
+
+      expect(guessColumnMapping(headers)).toEqual({
+        title: 0,
+        category: 1,
+        priority: 2,
+        dueDate: 3,
+        completed: 4,
+        completedAt: -1,
+      });
+    });
+
+    it("reads the fixture with its mapping", () => {
+      const { headers, rows } = parseCSV(fixture("tasks.csv"));
+      const drafts = mapCsvRows(rows, guessColumnMapping(headers));
+
+      expect(drafts).toHaveLength(4);
+      expect(drafts[0]).toEqual({
+        title: "Book flights, hotel",
+        completed: false,
+        completedAt: null,
+        dueDate: allDay(2025, 4, 2),
+        priority: "high",
+        category: "Travel",
+        subtasks: [],
+      });
+      expect(drafts[1]).toMatchObject({ completed: true, priority: "none" });
+      // The apostrophe guarding against formulas is removed
+      expect(drafts[2].title).toBe("=SUM(A1)");
+      expect(drafts[3].title).toBe("");
+    });
+
+    it("follows a changed mapping", () => {
+      const { rows } = parseCSV(fixture("tasks.csv"));
+      const drafts = mapCsvRows(rows, {
+        title: 5,
+        category: -1,
+        priority: -1,
+        dueDate: -1,
+        completed: -1,
+        completedAt: -1,
+      });
+
+      expect(drafts[0]).toMatchObject({
+        title: 'Check "baggage" rules',
+        category: null,
+      });
+    });
+
+    it("leaves out due dates without a year", () => {
+      const { headers, rows } = parseCSV("Title,Due\nVote,Nov 5\n");
+
+      expect(mapCsvRows(rows, guessColumnMapping(headers))[0].dueDate).toBe(
+        null
+      );
+    });
+
+    it("reads what the CSV export writes", () => {
+      const task = {
+        title: "+1 the proposal",
+        completed: true,
+        completedAt: "2025-03-10T17:00:00.000Z",
+        createdAt: "2025-03-01T09:00:00.000Z",
+        categoryId: "work",
+        dueDate: allDay(2025, 3, 14),
+        priority: "urgent",
+      };
+      const { headers, rows } = parseCSV(
+        toCSV([task], new Map([["work", "Work"]]))
+      );
+
+      expect(mapCsvRows(rows, guessColumnMapping(headers))[0]).toEqual({
+        title: "+1 the proposal",
+        completed: true,
+        completedAt: task.completedAt,
+        dueDate: task.dueDate,
+        priority: "urgent",
+        category: "Work",
+        subtasks: [],
+      });
+    });
+  });
+
+  describe("parseTodoist", () => {
+    it("reads the fixture", () => {
+      const data = JSON.parse(fixture("todoist.json"));
+      expect(detectJsonFormat(data)).toBe("todoist");
+
+      const drafts = parseTodoist(data);
+
+      expect(drafts).toHaveLength(2);
+      expect(drafts[0]).toMatchObject({
+        title: "Buy milk",
+        completed: false,
+        dueDate: allDay(2025, 3, 14),
+        priority: "urgent",
+        category: "Groceries",
+      });
+      expect(drafts[0].subtasks).toEqual([
+        { id: expect.any(String), title: "Whole milk", completed: true },
+      ]);
+      expect(drafts[1]).toMatchObject({
+        title: "Dentist appointment",
+        completed: true,
+        completedAt: "2025-03-10T08:00:00.000Z",
+        dueDate: "2025-03-12T15:30:00.000Z",
+        priority: "medium",
+        category: "Inbox",
+      });
+    });
+  });
+
+  describe("parseMicrosoftToDo", () => {
+    it("reads the fixture", () => {
+      const data = JSON.parse(fixture("microsoft-todo.json"));
+      expect(detectJsonFormat(data)).toBe("microsoft-todo");
+
+      const drafts = parseMicrosoftToDo(data);
+
+      expect(drafts).toHaveLength(3);
+      expect(drafts[0]).toMatchObject({
+        title: "Prepare slides",
+        completed: false,
+        dueDate: allDay(2025, 3, 14),
+        priority: "high",
+        category: "Work",
+      });
+      expect(drafts[0].subtasks.map((s) => [s.title, s.completed])).toEqual([
+        ["Outline", true],
+        ["Charts", false],
+      ]);
+      expect(drafts[1]).toMatchObject({
+        completed: true,
+        completedAt: "2025-03-10T17:00:00.000Z",
+        priority: "none",
+      });
+      expect(drafts[2]).toMatchObject({ category: "Tasks", priority: "low" });
+    });
+  });
+
+  describe("detectJsonFormat", () => {
+    it("leaves this app's backups alone", () => {
+      expect(detectJsonFormat({ tasks: [], categories: [] })).toBeNull();
+      expect(detectJsonFormat([])).toBeNull();
+    });
+  });
+
+  describe("findCategoryByName", () => {
+    const categories = [
+      { id: "a", name: "Home Stuff" },
+      { id: "b", name: "Old", deletedAt: "2025-01-01T00:00:00.000Z" },
+    ];
+
+    it("matches ignoring case and hyphens for spaces", () => {
+      expect(findCategoryByName("home stuff", categories).id).toBe("a");
+      expect(findCategoryByName("Home-Stuff", categories).id).toBe("a");
+      expect(findCategoryByName("Old", categories)).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,304 @@
+/**
+ * Import Service Tests
+ * Test backup validation, the preview diff and each merge strategy
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  previewImport,
+  planImport,
+  applyImport,
+} from "../../src/services/importService";
+import { getItem, setItem } from "../../src/services/storageService";
+import { getPreferences } from "../../src/services/preferencesService";
+import { isUUID } from "../../src/utils/helpers";
+import { makeTask } from "../helpers";
+
+const TASK_ID = "11111111-1111-4111-8111-111111111111";
+const OTHER_TASK_ID = "22222222-2222-4222-8222-222222222222";
+const CATEGORY_ID = "33333333-3333-4333-8333-333333333333";
+
+const OLD = "2025-01-01T00:00:00.000Z";
+const NEW = "2025-06-01T00:00:00.000Z";
+
+function category(overrides = {}) {
+  return {
+    id: CATEGORY_ID,
+    name: "Work",
+    color: "#3b82f6",
+    createdAt: OLD,
+    deletedAt: null,
+    fieldUpdatedAt: {},
+    ...overrides,
+  };
+}
+
+function preview(data) {
+  const result = previewImport(data);
+  expect(result.success).toBe(true);
+  return result.preview;
+}
+
+describe("importService", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe("previewImport", () => {
+    it("rejects files that aren't backups", () => {
+      expect(previewImport(null).success).toBe(false);
+      expect(previewImport([]).success).toBe(false);
+      expect(previewImport({ tasks: "nope" }).error).toBe(
+        "Invalid data format"
+      );
+    });
+
+    it("sorts records into new, changed, identical and invalid", () => {
+      setItem("tasks", [
+        makeTask(),
+        makeTask({ id: OTHER_TASK_ID, title: "Call the bank" }),
+      ]);
+
+      const result = preview({
+        tasks: [
+          makeTask({ title: "Write the report" }),
+          makeTask({ id: OTHER_TASK_ID, title: "Call the bank" }),
+          makeTask({
+            id: "44444444-4444-4444-8444-444444444444",
+            title: "New",
+          }),
+          makeTask({ id: "55555555-5555-4555-8555-555555555555", title: "" }),
+        ],
+      });
+
+      expect(result.tasks.map((item) => item.status)).toEqual([
+        "changed",
+        "identical",
+        "new",
+        "invalid",
+      ]);
+      expect(result.tasks[0].fields).toEqual(["title"]);
+      expect(result.counts.tasks).toEqual({
+        new: 1,
+        changed: 1,
+        identical: 1,
+        invalid: 1,
+      });
+    });
+
+    it("rejects unsafe text and strips markup", () => {
+      const result = preview({
+        tasks: [
+          makeTask({ title: "<img src=x onerror=alert(1)>" }),
+          makeTask({ id: OTHER_TASK_ID, title: "<b>Bold</b> move" }),
+        ],
+      });
+
+      expect(result.tasks[0].status).toBe("invalid");
+      expect(result.tasks[0].errors).toEqual(["Title contains unsafe content"]);
+      expect(result.tasks[1].record.title).toBe("Bold move");
+    });
+
+    it("drops fields the app doesn't know", () => {
+      const result = preview({
+        tasks: [makeTask({ injected: "value", user_id: "someone" })],
+      });
+
+      expect(result.tasks[0].record).not.toHaveProperty("injected");
+      expect(result.tasks[0].record).not.toHaveProperty("user_id");
+    });
+
+    it("flags malformed fields", () => {
+      const result = preview({
+        tasks: [
+          makeTask({ dueDate: "not a date", priority: "critical" }),
+          makeTask({ id: OTHER_TASK_ID, recurrence: { frequency: "hourly" } }),
+        ],
+        categories: [category({ color: "not a color" })],
+      });
+
+      expect(result.tasks[0].errors).toEqual([
+        "Invalid date in dueDate",
+        "Invalid priority level",
+      ]);
+      expect(result.tasks[1].errors).toEqual(["Invalid recurrence frequency"]);
+      expect(result.categories[0].status).toBe("invalid");
+    });
+
+    it("gives legacy IDs new ones and follows category references", () => {
+      const result = preview({
+        categories: [category({ id: "cat-1" })],
+        tasks: [makeTask({ id: "1", categoryId: "cat-1" })],
+      });
+
+      const categoryId = result.categories[0].record.id;
+      expect(isUUID(categoryId)).toBe(true);
+      expect(isUUID(result.tasks[0].record.id)).toBe(true);
+      expect(result.tasks[0].record.categoryId).toBe(categoryId);
+    });
+
+    it("imports tasks with a missing category without one", () => {
+      const result = preview({
+        tasks: [
+          makeTask({ categoryId: "66666666-6666-4666-8666-666666666666" }),
+        ],
+      });
+
+      expect(result.tasks[0].status).toBe("new");
+      expect(result.tasks[0].record.categoryId).toBeNull();
+      expect(result.tasks[0].warnings).toHaveLength(1);
+    });
+
+    it("matches categories to local ones by name", () => {
+      setItem("categories", [category()]);
+
+      const result = preview({
+        categories: [category({ id: "cat-1", name: "work" })],
+        tasks: [makeTask({ categoryId: "cat-1" })],
+      });
+
+      expect(result.categories[0].status).toBe("changed");
+      expect(result.categories[0].record.id).toBe(CATEGORY_ID);
+      expect(result.tasks[0].record.categoryId).toBe(CATEGORY_ID);
+    });
+
+    it("rejects duplicate names and IDs within the file", () => {
+      const result = preview({
+        categories: [category(), category({ id: "cat-2", name: "WORK" })],
+        tasks: [makeTask(), makeTask({ title: "Again" })],
+      });
+
+      expect(result.categories[1].errors).toEqual([
+        "Category name already exists",
+      ]);
+      expect(result.tasks[1].errors).toEqual(["Duplicate task ID"]);
+    });
+
+    it("keeps only known preferences of the right type", () => {
+      const result = preview({
+        "user-preferences": { theme: "dark", compactView: "yes", other: 1 },
+      });
+
+      expect(result.preferences).toEqual({ theme: "dark" });
+    });
+
+    it("migrates older backups first", () => {
+      const result = preview({
+        "user-preferences": JSON.stringify({ theme: "sunset" }),
+        _version: "1.0.0",
+      });
+
+      expect(result.preferences).toEqual({ theme: "sunset" });
+    });
+  });
+
+  describe("planImport", () => {
+    beforeEach(() => {
+      setItem("tasks", [
+        makeTask({
+          title: "Local title",
+          completed: true,
+          fieldUpdatedAt: { title: NEW, completed: OLD },
+        }),
+        makeTask({ id: OTHER_TASK_ID, title: "Only here" }),
+      ]);
+    });
+
+    const file = () => ({
+      tasks: [
+        makeTask({
+          title: "File title",
+          completed: false,
+          fieldUpdatedAt: { title: OLD, completed: NEW },
+        }),
+      ],
+    });
+
+    it("refuses unknown strategies", () => {
+      expect(() => planImport(preview(file()), "overwrite")).toThrow(
+        /Unknown import strategy/
+      );
+    });
+
+    it("replaces changed fields and trashes what the file lacks", () => {
+      applyImport(planImport(preview(file()), "replace"));
+
+      const [first, second] = getItem("tasks");
+      expect(first.title).toBe("File title");
+      expect(first.completed).toBe(false);
+      expect(second.deletedAt).toEqual(expect.any(String));
+    });
+
+    it("doesn't trash local records whose file copy is invalid", () => {
+      const data = file();
+      data.tasks.push(makeTask({ id: OTHER_TASK_ID, title: "" }));
+
+      applyImport(planImport(preview(data), "replace"));
+
+      expect(getItem("tasks")[1].deletedAt).toBeNull();
+    });
+
+    it("keeps the newest edit of each field", () => {
+      applyImport(planImport(preview(file()), "newest"));
+
+      const [first, second] = getItem("tasks");
+      expect(first.title).toBe("Local title");
+      expect(first.completed).toBe(false);
+      expect(first.fieldUpdatedAt.completed).toBe(NEW);
+      expect(second.deletedAt).toBeNull();
+    });
+
+    it("adds changed tasks as copies when keeping both", () => {
+      applyImport(planImport(preview(file()), "both"));
+
+      const tasks = getItem("tasks");
+      expect(tasks).toHaveLength(3);
+      expect(tasks[0].title).toBe("Local title");
+      expect(tasks[2].title).toBe("File title");
+      expect(tasks[2].id).not.toBe(TASK_ID);
+    });
+
+    it("keeps local categories when keeping both", () => {
+      setItem("categories", [category()]);
+
+      const plan = planImport(
+        preview({ categories: [category({ color: "#ef4444" })] }),
+        "both"
+      );
+
+      expect(plan.categories).toEqual([]);
+    });
+
+    it("records the edit times an update replaces", () => {
+      const plan = planImport(preview(file()), "replace");
+
+      expect(plan.tasks[0].base).toEqual({ title: NEW, completed: OLD });
+    });
+  });
+
+  describe("applyImport", () => {
+    it("writes categories before tasks and counts the changes", () => {
+      const result = applyImport(
+        planImport(
+          preview({
+            categories: [category()],
+            tasks: [makeTask({ categoryId: CATEGORY_ID })],
+            "user-preferences": { theme: "ocean" },
+          }),
+          "newest"
+        ),
+        { theme: "ocean" }
+      );
+
+      expect(result).toEqual({
+        success: true,
+        created: 2,
+        updated: 0,
+        error: null,
+      });
+      expect(getItem("categories")).toHaveLength(1);
+      expect(getItem("tasks")[0].categoryId).toBe(CATEGORY_ID);
+      expect(getPreferences().theme).toBe("ocean");
+    });
+  });
+});
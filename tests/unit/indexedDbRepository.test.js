@@ -0,0 +1,225 @@
+/**
+ * IndexedDB Repository Tests
+ * Test the in-memory copy, per-row writes and the move from localStorage,
+ * against a fake backend (jsdom has no IndexedDB)
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import {
+  createIndexedDbAdapter,
+  initializeStorage,
+  toRow,
+} from "../../src/services/indexedDbRepository";
+import {
+  getStorageAdapter,
+  localStorageAdapter,
+} from "../../src/services/repository";
+import { getItem, setItem } from "../../src/services/storageService";
+import { createFakeBackend } from "../helpers";
+
+describe("indexedDbRepository", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it("loads rows into memory in their saved order", async () => {
+    const backend = createFakeBackend({
+      tasks: [
+        toRow({ id: "b", title: "B" }, 1),
+        toRow({ id: "a", title: "A" }, 0),
+      ],
+    });
+
+    const tasks = (await createIndexedDbAdapter(backend)).repository("tasks");
+    backend.loadAll.mockClear();
+
+    expect(tasks.list().data.map((t) => t.id)).toEqual(["a", "b"]);
+    expect(tasks.get("b").data.title).toBe("B");
+    expect(backend.loadAll).not.toHaveBeenCalled();
+  });
+
+  it("saves only the rows a write touched", async () => {
+    const backend = createFakeBackend({
+      tasks: [
+        toRow({ id: "a", title: "A" }, 0),
+        toRow({ id: "b", title: "B" }, 1),
+        toRow({ id: "c", title: "C" }, 2),
+      ],
+    });
+    const tasks = (await createIndexedDbAdapter(backend)).repository("tasks");
+
+    tasks.batch([
+      { type: "update", id: "b", changes: { completed: true } },
+      { type: "delete", id: "c" },
+      { type: "create", record: { id: "d", title: "D" } },
+    ]);
+    await Promise.resolve();
+
+    expect(backend.write).toHaveBeenCalledTimes(1);
+    const [collection, rows, deletedIds] = backend.write.mock.calls[0];
+    expect(collection).toBe("tasks");
+    expect(rows.map((row) => [row.id, row.position, row.completed])).toEqual([
+      ["b", 1, 1],
+      ["d", 3, 0],
+    ]);
+    expect(deletedIds).toEqual(["c"]);
+  });
+
+  it("keeps the in-memory copy current before the write commits", async () => {
+    const backend = createFakeBackend();
+    backend.write.mockReturnValue(new Promise(() => {}));
+    const categories = (await createIndexedDbAdapter(backend)).repository(
+      "categories"
+    );
+
+    categories.create({ id: "work", name: "Work" });
+
+    expect(categories.get("work").data.name).toBe("Work");
+  });
+
+  it("rolls back and reports writes the database rejects", async () => {
+    const consoleSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+    const backend = createFakeBackend({
+      tasks: [toRow({ id: "a", title: "A" }, 0)],
+    });
+    backend.write.mockRejectedValue(
+      Object.assign(new Error("Full"), { name: "QuotaExceededError" })
+    );
+    const tasks = (await createIndexedDbAdapter(backend)).repository("tasks");
+    const onChange = vi.fn();
+    const onError = vi.fn();
+    tasks.subscribe({ onChange, onError });
+
+    tasks.update("a", { title: "A2" });
+    tasks.create({ id: "b", title: "B" });
+    expect(tasks.list().data.map((t) => t.title)).toEqual(["A2", "B"]);
+
+    const { error } = await tasks.flush();
+
+    expect(error.message).toMatch(/QuotaExceededError/);
+    expect(tasks.list().data.map((t) => t.title)).toEqual(["A"]);
+    expect(onChange).toHaveBeenCalledTimes(2);
+    expect(onError).toHaveBeenCalledWith(error);
+    consoleSpy.mockRestore();
+  });
+
+  it("keeps rows changed again after a failed write", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const backend = createFakeBackend({
+      tasks: [toRow({ id: "a", title: "A" }, 0)],
+    });
+    backend.write.mockRejectedValueOnce(new Error("Aborted"));
+    const tasks = (await createIndexedDbAdapter(backend)).repository("tasks");
+
+    tasks.update("a", { title: "A2" });
+    tasks.update("a", { title: "A3" });
+
+    expect((await tasks.flush()).error.message).toBe("Failed to save changes");
+    expect(tasks.get("a").data.title).toBe("A3");
+    expect(backend.tables.tasks.get("a").record.title).toBe("A3");
+    vi.restoreAllMocks();
+  });
+
+  it("answers finds on indexed fields from an index kept current", async () => {
+    const backend = createFakeBackend({
+      tasks: [
+        toRow(
+          { id: "a", title: "A", completed: true, dueDate: "2025-03-14" },
+          0
+        ),
+        toRow(
+          { id: "b", title: "B", completed: false, categoryId: "work" },
+          1
+        ),
+      ],
+    });
+    const tasks = (await createIndexedDbAdapter(backend)).repository("tasks");
+    const ids = (result) => result.data.map((t) => t.id);
+
+    expect(ids(tasks.find("completed", true))).toEqual(["a"]);
+    expect(ids(tasks.find("categoryId", "work"))).toEqual(["b"]);
+    expect(ids(tasks.find("dueDate", (due) => due < "2025-04"))).toEqual([
+      "a",
+    ]);
+
+    tasks.update("b", { completed: true });
+    tasks.delete("a");
+
+    expect(ids(tasks.find("completed", true))).toEqual(["b"]);
+    expect(tasks.find("dueDate", () => true).data).toEqual([]);
+    // Fields without an index are still found
+    expect(ids(tasks.find("title", "B"))).toEqual(["b"]);
+  });
+
+  it("waits for pending writes to commit", async () => {
+    const backend = createFakeBackend();
+    let commit;
+    backend.write.mockReturnValueOnce(
+      new Promise((resolve) => (commit = resolve))
+    );
+    const tasks = (await createIndexedDbAdapter(backend)).repository("tasks");
+
+    tasks.create({ id: "a", title: "A" });
+    const flushed = vi.fn();
+    tasks.flush().then(flushed);
+    await Promise.resolve();
+    expect(flushed).not.toHaveBeenCalled();
+
+    commit();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(flushed).toHaveBeenCalledWith({ error: null });
+  });
+
+  it("moves localStorage data over and then drops it", async () => {
+    setItem("tasks", [
+      { id: "a", title: "A" },
+      { id: "b", title: "B" },
+    ]);
+    setItem("categories", [{ id: "work", name: "Work" }]);
+    setItem("initialized", true);
+    const backend = createFakeBackend();
+
+    const adapter = await createIndexedDbAdapter(backend);
+
+    expect(
+      adapter
+        .repository("tasks")
+        .list()
+        .data.map((t) => t.id)
+    ).toEqual(["a", "b"]);
+    expect(adapter.repository("categories").list().data).toHaveLength(1);
+    expect(backend.tables.tasks.size).toBe(2);
+    expect(getItem("tasks")).toBeNull();
+    expect(getItem("categories")).toBeNull();
+    // Flags stay in localStorage
+    expect(adapter.getValue("initialized", false)).toBe(true);
+  });
+
+  it("keeps localStorage data when the move fails", async () => {
+    setItem("tasks", [{ id: "a", title: "A" }]);
+    const backend = createFakeBackend();
+    backend.write.mockRejectedValue(new Error("Blocked"));
+
+    await expect(createIndexedDbAdapter(backend)).rejects.toThrow("Blocked");
+    expect(getItem("tasks")).toHaveLength(1);
+  });
+
+  it("keeps the position of rows that were already moved", async () => {
+    setItem("tasks", [
+      { id: "new", title: "New" },
+      { id: "a", title: "A (newer)" },
+    ]);
+    const backend = createFakeBackend({
+      tasks: [toRow({ id: "a", title: "A" }, 4)],
+    });
+
+    const tasks = (await createIndexedDbAdapter(backend)).repository("tasks");
+
+    expect(tasks.list().data.map((t) => t.title)).toEqual(["A (newer)", "New"]);
+  });
+
+  it("stays on localStorage without IndexedDB", async () => {
+    expect(await initializeStorage()).toBe(localStorageAdapter);
+    expect(getStorageAdapter()).toBe(localStorageAdapter);
+  });
+});
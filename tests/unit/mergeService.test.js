@@ -0,0 +1,327 @@
+/**
+ * Merge Service Tests
+ * Test field-level merging and conflict detection for multi-device edits
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  TASK_FIELDS,
+  stampFields,
+  getFieldTime,
+  getFieldTimes,
+  mergeRecord,
+  mergeCollections,
+  applyRemoteChange,
+  resolveUpdate,
+} from "../../src/services/mergeService";
+
+const T1 = "2025-01-10T09:00:00.000Z";
+const T2 = "2025-01-10T10:00:00.000Z";
+const T3 = "2025-01-10T11:00:00.000Z";
+
+const noPending = { changed: new Set(), deleted: new Set() };
+
+describe("mergeService", () => {
+  describe("stampFields", () => {
+    it("should stamp the given fields and keep the others", () => {
+      const stamped = stampFields({ title: T1 }, ["completed", "priority"], T2);
+      expect(stamped).toEqual({ title: T1, completed: T2, priority: T2 });
+    });
+
+    it("should default to the current time", () => {
+      const before = Date.now();
+      const stamped = stampFields(undefined, ["title"]);
+      expect(Date.parse(stamped.title)).toBeGreaterThanOrEqual(before);
+    });
+  });
+
+  describe("getFieldTime", () => {
+    it("should use the field stamp when there is one", () => {
+      const task = { createdAt: T1, fieldUpdatedAt: { title: T3 } };
+      expect(getFieldTime(task, "title")).toBe(Date.parse(T3));
+    });
+
+    it("should fall back to createdAt for unstamped fields", () => {
+      const task = {
+        createdAt: T1,
+        updatedAt: T3,
+        fieldUpdatedAt: { title: T2 },
+      };
+      expect(getFieldTime(task, "priority")).toBe(Date.parse(T1));
+    });
+
+    it("should use updatedAt for records without any stamps", () => {
+      const task = { createdAt: T1, updatedAt: T2, fieldUpdatedAt: {} };
+      expect(getFieldTime(task, "title")).toBe(Date.parse(T2));
+    });
+
+    it("should return 0 when nothing is known", () => {
+      expect(getFieldTime({}, "title")).toBe(0);
+      expect(getFieldTime(null, "title")).toBe(0);
+    });
+  });
+
+  describe("getFieldTimes", () => {
+    it("should collect the times of the fields being updated", () => {
+      const task = { createdAt: T1, fieldUpdatedAt: { title: T2 } };
+      expect(getFieldTimes(task, { title: "New", priority: "high" })).toEqual({
+        title: T2,
+        priority: T1,
+      });
+    });
+
+    it("should return an empty object for a missing record", () => {
+      expect(getFieldTimes(null, { title: "New" })).toEqual({});
+    });
+  });
+
+  describe("mergeRecord", () => {
+    it("should keep the newer value of each field", () => {
+      const local = {
+        id: "1",
+        title: "Local title",
+        priority: "low",
+        createdAt: T1,
+        fieldUpdatedAt: { title: T3, priority: T1 },
+      };
+      const remote = {
+        id: "1",
+        title: "Remote title",
+        priority: "high",
+        createdAt: T1,
+        fieldUpdatedAt: { title: T2, priority: T2 },
+      };
+
+      const merged = mergeRecord(local, remote, TASK_FIELDS);
+
+      expect(merged.title).toBe("Local title");
+      expect(merged.priority).toBe("high");
+      expect(merged.fieldUpdatedAt).toEqual({ title: T3, priority: T2 });
+    });
+
+    it("should prefer the remote copy on ties", () => {
+      const local = { id: "1", title: "A", fieldUpdatedAt: { title: T2 } };
+      const remote = { id: "1", title: "B", fieldUpdatedAt: { title: T2 } };
+      expect(mergeRecord(local, remote, TASK_FIELDS).title).toBe("B");
+    });
+  });
+
+  describe("mergeCollections", () => {
+    const remote = [
+      { id: "1", title: "Remote 1", createdAt: T1, fieldUpdatedAt: {} },
+      { id: "2", title: "Remote 2", createdAt: T1, fieldUpdatedAt: {} },
+    ];
+
+    it("should take the remote copy of records without pending changes", () => {
+      const local = [
+        {
+          id: "1",
+          title: "Stale",
+          createdAt: T1,
+          fieldUpdatedAt: { title: T3 },
+        },
+      ];
+      const merged = mergeCollections(local, remote, TASK_FIELDS, noPending);
+      expect(merged.map((t) => t.title)).toEqual(["Remote 1", "Remote 2"]);
+    });
+
+    it("should merge records with pending changes", () => {
+      const local = [
+        {
+          id: "1",
+          title: "Edited",
+          createdAt: T1,
+          fieldUpdatedAt: { title: T3 },
+        },
+      ];
+      const merged = mergeCollections(local, remote, TASK_FIELDS, {
+        changed: new Set(["1"]),
+        deleted: new Set(),
+      });
+      expect(merged[0].title).toBe("Edited");
+    });
+
+    it("should keep unpushed local records and hide pending deletes", () => {
+      const local = [
+        { id: "local", title: "Offline", createdAt: T2, fieldUpdatedAt: {} },
+        { id: "gone", title: "Deleted elsewhere", createdAt: T1 },
+      ];
+      const merged = mergeCollections(local, remote, TASK_FIELDS, {
+        changed: new Set(["local"]),
+        deleted: new Set(["2"]),
+      });
+      expect(merged.map((t) => t.id)).toEqual(["1", "local"]);
+    });
+
+    it("should keep local records the caller asks for", () => {
+      const local = [
+        { id: "archived", title: "Old", createdAt: T1, archivedAt: T2 },
+        { id: "purged", title: "Gone", createdAt: T1, archivedAt: T2 },
+        { id: "gone", title: "Deleted elsewhere", createdAt: T1 },
+      ];
+      const merged = mergeCollections(
+        local,
+        remote,
+        TASK_FIELDS,
+        { changed: new Set(), deleted: new Set(["purged"]) },
+        (task) => !!task.archivedAt
+      );
+      expect(merged.map((t) => t.id)).toEqual(["1", "2", "archived"]);
+    });
+  });
+
+  describe("applyRemoteChange", () => {
+    const records = [
+      { id: "1", title: "One", createdAt: T1, fieldUpdatedAt: { title: T3 } },
+      { id: "2", title: "Two", createdAt: T1, fieldUpdatedAt: {} },
+    ];
+
+    it("should add inserted records", () => {
+      const record = { id: "3", title: "Three", createdAt: T2 };
+      const result = applyRemoteChange(
+        records,
+        { type: "insert", id: "3", record },
+        TASK_FIELDS,
+        noPending
+      );
+      expect(result.map((t) => t.id)).toEqual(["1", "2", "3"]);
+    });
+
+    it("should replace updated records without pending changes", () => {
+      const record = {
+        id: "1",
+        title: "Renamed",
+        fieldUpdatedAt: { title: T2 },
+      };
+      const result = applyRemoteChange(
+        records,
+        { type: "update", id: "1", record },
+        TASK_FIELDS,
+        noPending
+      );
+      expect(result[0].title).toBe("Renamed");
+    });
+
+    it("should merge updates into records with pending changes", () => {
+      const record = {
+        id: "1",
+        title: "Renamed",
+        priority: "high",
+        createdAt: T1,
+        fieldUpdatedAt: { title: T2, priority: T2 },
+      };
+      const result = applyRemoteChange(
+        records,
+        { type: "update", id: "1", record },
+        TASK_FIELDS,
+        { changed: new Set(["1"]), deleted: new Set() }
+      );
+      expect(result[0]).toMatchObject({ title: "One", priority: "high" });
+    });
+
+    it("should remove deleted records", () => {
+      const result = applyRemoteChange(
+        records,
+        { type: "delete", id: "2", record: null },
+        TASK_FIELDS,
+        noPending
+      );
+      expect(result.map((t) => t.id)).toEqual(["1"]);
+    });
+
+    it("should not bring back records deleted locally", () => {
+      const record = { id: "2", title: "Two again" };
+      const result = applyRemoteChange(
+        records.filter((t) => t.id !== "2"),
+        { type: "update", id: "2", record },
+        TASK_FIELDS,
+        { changed: new Set(), deleted: new Set(["2"]) }
+      );
+      expect(result.map((t) => t.id)).toEqual(["1"]);
+    });
+  });
+
+  describe("resolveUpdate", () => {
+    const remote = {
+      id: "1",
+      title: "Remote title",
+      priority: "none",
+      createdAt: T1,
+      fieldUpdatedAt: { title: T2 },
+    };
+
+    it("should push fields the remote copy hasn't changed since", () => {
+      const result = resolveUpdate(
+        "task",
+        {
+          payload: { priority: "high" },
+          stamps: { priority: T3 },
+          base: { priority: T1 },
+        },
+        remote
+      );
+
+      expect(result.payload).toEqual({ priority: "high" });
+      expect(result.fieldUpdatedAt).toEqual({ priority: T3 });
+      expect(result.conflicts).toEqual([]);
+    });
+
+    it("should skip fields changed remotely after the local edit", () => {
+      const result = resolveUpdate(
+        "category",
+        { payload: { color: "red" }, stamps: { color: T1 }, base: {} },
+        { id: "c", color: "blue", fieldUpdatedAt: { color: T2 } }
+      );
+
+      expect(result.payload).toEqual({});
+      expect(result.conflicts).toEqual([]);
+    });
+
+    it("should report concurrent title edits as conflicts", () => {
+      const result = resolveUpdate(
+        "task",
+        {
+          payload: { title: "Local title", priority: "high" },
+          stamps: { title: T3, priority: T3 },
+          base: { title: T1, priority: T1 },
+        },
+        remote
+      );
+
+      expect(result.conflicts).toEqual([
+        { field: "title", local: "Local title", remote: "Remote title" },
+      ]);
+      expect(result.payload).toEqual({ priority: "high" });
+    });
+
+    it("should not report a conflict when both sides agree", () => {
+      const result = resolveUpdate(
+        "task",
+        {
+          payload: { title: "Remote title" },
+          stamps: { title: T3 },
+          base: { title: T1 },
+        },
+        remote
+      );
+
+      expect(result.conflicts).toEqual([]);
+      expect(result.payload).toEqual({ title: "Remote title" });
+    });
+
+    it("should push a title edited on top of the latest remote copy", () => {
+      const result = resolveUpdate(
+        "task",
+        {
+          payload: { title: "Local title" },
+          stamps: { title: T3 },
+          base: { title: T2 },
+        },
+        remote
+      );
+
+      expect(result.conflicts).toEqual([]);
+      expect(result.payload).toEqual({ title: "Local title" });
+    });
+  });
+});
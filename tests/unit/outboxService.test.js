@@ -0,0 +1,560 @@
+/**
+ * Outbox Service Tests
+ * Test queueing, coalescing and in-order replay of offline changes
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import {
+  enqueueOperation,
+  getPendingOperations,
+  getPendingCount,
+  getRetryDelay,
+  resetRetryDelay,
+  getBackoffDelay,
+  processOutbox,
+  remapIds,
+  clearOutbox,
+  subscribeOutbox,
+  MAX_ATTEMPTS,
+} from "../../src/services/outboxService";
+import * as storageService from "../../src/services/storageService";
+import * as supabaseStorage from "../../src/services/supabaseStorageService";
+import { getConflicts } from "../../src/services/conflictService";
+import { ok } from "../helpers";
+
+// In-memory storage so queued operations persist between calls
+let store = {};
+
+vi.mock("../../src/services/storageService", async () =>
+  (await import("../helpers")).mockStorageService()
+);
+
+vi.mock("../../src/services/supabaseStorageService", () => ({
+  fetchTaskById: vi.fn(),
+  fetchCategoryById: vi.fn(),
+  createTaskInSupabase: vi.fn(),
+  updateTaskInSupabase: vi.fn(),
+  deleteTaskFromSupabase: vi.fn(),
+  reorderTasksInSupabase: vi.fn(),
+  createCategoryInSupabase: vi.fn(),
+  updateCategoryInSupabase: vi.fn(),
+  deleteCategoryFromSupabase: vi.fn(),
+}));
+
+describe("outboxService", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    store = {};
+    storageService.getItem.mockImplementation((key, defaultValue) =>
+      key in store ? JSON.parse(JSON.stringify(store[key])) : defaultValue
+    );
+    storageService.setItem.mockImplementation((key, value) => {
+      store[key] = JSON.parse(JSON.stringify(value));
+      return true;
+    });
+
+    // Remote copies untouched since creation, so queued edits win
+    supabaseStorage.fetchTaskById.mockImplementation(async (id) =>
+      ok({ id, title: "Remote", createdAt: "2000-01-01T00:00:00.000Z" })
+    );
+    supabaseStorage.fetchCategoryById.mockImplementation(async (id) =>
+      ok({ id, name: "Remote", createdAt: "2000-01-01T00:00:00.000Z" })
+    );
+    supabaseStorage.createTaskInSupabase.mockResolvedValue(ok());
+    supabaseStorage.updateTaskInSupabase.mockResolvedValue(ok());
+    supabaseStorage.deleteTaskFromSupabase.mockResolvedValue(ok());
+    supabaseStorage.reorderTasksInSupabase.mockResolvedValue(ok());
+    supabaseStorage.createCategoryInSupabase.mockResolvedValue(ok());
+    supabaseStorage.updateCategoryInSupabase.mockResolvedValue(ok());
+    supabaseStorage.deleteCategoryFromSupabase.mockResolvedValue(ok());
+  });
+
+  describe("enqueueOperation", () => {
+    it("should queue operations in order", () => {
+      enqueueOperation({ entity: "task", type: "delete", targetId: "a" });
+      enqueueOperation({
+        entity: "category",
+        type: "update",
+        targetId: "c",
+        payload: { name: "Work" },
+      });
+
+      const operations = getPendingOperations();
+      expect(operations).toHaveLength(2);
+      expect(operations[0]).toMatchObject({
+        entity: "task",
+        type: "delete",
+        targetId: "a",
+        attempts: 0,
+      });
+      expect(operations[1].payload).toEqual({ name: "Work" });
+      expect(getPendingCount()).toBe(2);
+    });
+
+    it("should merge consecutive updates to the same record", () => {
+      enqueueOperation({
+        entity: "task",
+        type: "update",
+        targetId: "a",
+        payload: { title: "One", completed: false },
+      });
+      enqueueOperation({
+        entity: "task",
+        type: "update",
+        targetId: "a",
+        payload: { completed: true },
+      });
+
+      const operations = getPendingOperations();
+      expect(operations).toHaveLength(1);
+      expect(operations[0].payload).toEqual({ title: "One", completed: true });
+      expect(Object.keys(operations[0].stamps)).toEqual(["title", "completed"]);
+    });
+
+    it("should keep the base of the first edit when merging updates", () => {
+      enqueueOperation({
+        entity: "task",
+        type: "update",
+        targetId: "a",
+        payload: { title: "One" },
+        base: { title: "2025-01-01T00:00:00.000Z" },
+      });
+      enqueueOperation({
+        entity: "task",
+        type: "update",
+        targetId: "a",
+        payload: { title: "Two" },
+        base: { title: "2025-01-02T00:00:00.000Z" },
+      });
+
+      expect(getPendingOperations()[0].base).toEqual({
+        title: "2025-01-01T00:00:00.000Z",
+      });
+    });
+
+    it("should fold updates into a queued create", () => {
+      enqueueOperation({
+        entity: "task",
+        type: "create",
+        targetId: "a",
+        payload: { id: "a", title: "Draft" },
+      });
+      enqueueOperation({
+        entity: "task",
+        type: "update",
+        targetId: "a",
+        payload: { title: "Final" },
+      });
+
+      const operations = getPendingOperations();
+      expect(operations).toHaveLength(1);
+      expect(operations[0].type).toBe("create");
+      expect(operations[0].payload.title).toBe("Final");
+    });
+
+    it("should not merge updates across other operations", () => {
+      enqueueOperation({
+        entity: "task",
+        type: "update",
+        targetId: "a",
+        payload: { title: "One" },
+      });
+      enqueueOperation({ entity: "task", type: "delete", targetId: "b" });
+      enqueueOperation({
+        entity: "task",
+        type: "update",
+        targetId: "a",
+        payload: { title: "Two" },
+      });
+
+      expect(getPendingCount()).toBe(3);
+    });
+
+    it("should drop everything when a never-pushed record is deleted", () => {
+      enqueueOperation({
+        entity: "task",
+        type: "create",
+        targetId: "a",
+        payload: { id: "a", title: "Temp" },
+      });
+      enqueueOperation({ entity: "task", type: "delete", targetId: "b" });
+
+      const result = enqueueOperation({
+        entity: "task",
+        type: "delete",
+        targetId: "a",
+      });
+
+      expect(result).toBeNull();
+      expect(getPendingOperations().map((op) => op.targetId)).toEqual(["b"]);
+    });
+
+    it("should replace queued updates with the delete", () => {
+      enqueueOperation({
+        entity: "task",
+        type: "update",
+        targetId: "a",
+        payload: { title: "One" },
+      });
+      enqueueOperation({ entity: "task", type: "delete", targetId: "a" });
+
+      const operations = getPendingOperations();
+      expect(operations).toHaveLength(1);
+      expect(operations[0].type).toBe("delete");
+    });
+
+    it("should notify subscribers", () => {
+      const listener = vi.fn();
+      const unsubscribe = subscribeOutbox(listener);
+
+      enqueueOperation({ entity: "task", type: "delete", targetId: "a" });
+      expect(listener).toHaveBeenCalledTimes(1);
+
+      unsubscribe();
+      clearOutbox();
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(getPendingCount()).toBe(0);
+    });
+  });
+
+  describe("getBackoffDelay", () => {
+    it("should double the delay for each failed attempt", () => {
+      expect(getBackoffDelay(1)).toBe(2000);
+      expect(getBackoffDelay(2)).toBe(4000);
+      expect(getBackoffDelay(3)).toBe(8000);
+    });
+
+    it("should cap the delay at five minutes", () => {
+      expect(getBackoffDelay(20)).toBe(5 * 60 * 1000);
+    });
+  });
+
+  describe("remapIds", () => {
+    it("should rewrite queued operations but not the stored records", () => {
+      store.tasks = [{ id: "local-task", title: "Task", categoryId: "cat" }];
+      enqueueOperation({
+        entity: "task",
+        type: "update",
+        targetId: "local-task",
+        payload: { categoryId: "cat" },
+      });
+
+      remapIds("category", new Map([["cat", "uuid-cat"]]));
+      remapIds("task", new Map([["local-task", "uuid-task"]]));
+
+      expect(getPendingOperations()[0]).toMatchObject({
+        targetId: "uuid-task",
+        payload: { categoryId: "uuid-cat" },
+      });
+      expect(store.tasks[0]).toMatchObject({
+        id: "local-task",
+        categoryId: "cat",
+      });
+    });
+  });
+
+  describe("processOutbox", () => {
+    it("should replay operations in order and empty the queue", async () => {
+      const calls = [];
+      supabaseStorage.updateTaskInSupabase.mockImplementation(async (id) => {
+        calls.push(`update ${id}`);
+        return ok();
+      });
+      supabaseStorage.deleteTaskFromSupabase.mockImplementation(async (id) => {
+        calls.push(`delete ${id}`);
+        return ok();
+      });
+
+      enqueueOperation({
+        entity: "task",
+        type: "update",
+        targetId: "a",
+        payload: { title: "A" },
+      });
+      enqueueOperation({ entity: "task", type: "delete", targetId: "b" });
+
+      const result = await processOutbox("user-1");
+
+      expect(result).toMatchObject({ success: true, processed: 2 });
+      expect(calls).toEqual(["update a", "delete b"]);
+      expect(getPendingCount()).toBe(0);
+    });
+
+    it("should stop at the first failure and schedule a retry", async () => {
+      supabaseStorage.updateTaskInSupabase.mockResolvedValue({
+        data: null,
+        error: { message: "Network error" },
+      });
+
+      enqueueOperation({
+        entity: "task",
+        type: "update",
+        targetId: "a",
+        payload: { title: "A" },
+      });
+      enqueueOperation({ entity: "task", type: "delete", targetId: "b" });
+
+      const before = Date.now();
+      const result = await processOutbox("user-1");
+
+      expect(result).toMatchObject({
+        success: false,
+        processed: 0,
+        remaining: 2,
+        error: "Network error",
+      });
+      expect(supabaseStorage.deleteTaskFromSupabase).not.toHaveBeenCalled();
+
+      const [head] = getPendingOperations();
+      expect(head.attempts).toBe(1);
+      expect(head.lastError).toBe("Network error");
+      expect(head.nextAttemptAt).toBeGreaterThanOrEqual(before + 2000);
+      expect(getRetryDelay(before)).toBeGreaterThanOrEqual(2000);
+
+      resetRetryDelay();
+      expect(getRetryDelay()).toBe(0);
+    });
+
+    it("should drop an operation after MAX_ATTEMPTS failures", async () => {
+      supabaseStorage.deleteTaskFromSupabase.mockResolvedValueOnce({
+        data: null,
+        error: { message: "Forbidden" },
+      });
+
+      enqueueOperation({ entity: "task", type: "delete", targetId: "a" });
+      enqueueOperation({ entity: "task", type: "delete", targetId: "b" });
+      store.outbox[0].attempts = MAX_ATTEMPTS - 1;
+
+      const result = await processOutbox("user-1");
+
+      expect(result.success).toBe(true);
+      expect(result.processed).toBe(1);
+      expect(result.dropped).toHaveLength(1);
+      expect(result.dropped[0]).toMatchObject({
+        targetId: "a",
+        lastError: "Forbidden",
+      });
+      expect(getPendingCount()).toBe(0);
+    });
+
+    it("should treat updates to records deleted elsewhere as done", async () => {
+      supabaseStorage.fetchTaskById.mockResolvedValue({
+        data: null,
+        error: { code: "PGRST116", message: "No rows found" },
+      });
+
+      enqueueOperation({
+        entity: "task",
+        type: "update",
+        targetId: "a",
+        payload: { title: "A" },
+      });
+
+      const result = await processOutbox("user-1");
+
+      expect(result).toMatchObject({ success: true, processed: 1 });
+      expect(getPendingCount()).toBe(0);
+    });
+
+    it("should treat a replayed create whose row exists as done", async () => {
+      supabaseStorage.createTaskInSupabase.mockResolvedValue({
+        data: null,
+        error: { code: "23505", message: "duplicate key value" },
+      });
+      supabaseStorage.fetchTaskById.mockResolvedValue(
+        ok({ id: "a", title: "A" })
+      );
+
+      enqueueOperation({
+        entity: "task",
+        type: "create",
+        targetId: "a",
+        payload: { id: "a", title: "A" },
+      });
+      enqueueOperation({ entity: "task", type: "delete", targetId: "b" });
+
+      const result = await processOutbox("user-1");
+
+      expect(result).toMatchObject({ success: true, processed: 2 });
+      expect(result.dropped).toEqual([]);
+      expect(supabaseStorage.fetchTaskById).toHaveBeenCalledWith("a");
+      expect(supabaseStorage.deleteTaskFromSupabase).toHaveBeenCalled();
+      expect(getPendingCount()).toBe(0);
+    });
+
+    it("should retry a create that collides with a different row", async () => {
+      supabaseStorage.createCategoryInSupabase.mockResolvedValue({
+        data: null,
+        error: { code: "23505", message: "duplicate key value" },
+      });
+      supabaseStorage.fetchCategoryById.mockResolvedValue({
+        data: null,
+        error: { code: "PGRST116", message: "No rows found" },
+      });
+
+      enqueueOperation({
+        entity: "category",
+        type: "create",
+        targetId: "c",
+        payload: { id: "c", name: "Work" },
+      });
+
+      const result = await processOutbox("user-1");
+
+      expect(result).toMatchObject({
+        success: false,
+        error: "duplicate key value",
+      });
+      expect(getPendingOperations()[0].attempts).toBe(1);
+    });
+
+    it("should remap IDs of records created offline", async () => {
+      store.categories = [{ id: "local-cat", name: "Work" }];
+      store.tasks = [
+        { id: "local-task", title: "Task", categoryId: "local-cat" },
+      ];
+      supabaseStorage.createCategoryInSupabase.mockResolvedValue(
+        ok({ id: "uuid-cat" })
+      );
+      supabaseStorage.createTaskInSupabase.mockResolvedValue(
+        ok({ id: "uuid-task" })
+      );
+
+      enqueueOperation({
+        entity: "category",
+        type: "create",
+        targetId: "local-cat",
+        payload: store.categories[0],
+      });
+      enqueueOperation({
+        entity: "task",
+        type: "create",
+        targetId: "local-task",
+        payload: store.tasks[0],
+      });
+      enqueueOperation({
+        entity: "task",
+        type: "reorder",
+        payload: { taskOrders: [{ id: "local-task", order: 0 }] },
+      });
+      enqueueOperation({ entity: "task", type: "delete", targetId: "other" });
+
+      await processOutbox("user-1");
+
+      expect(supabaseStorage.createTaskInSupabase).toHaveBeenCalledWith(
+        "user-1",
+        expect.objectContaining({ categoryId: "uuid-cat" })
+      );
+      expect(supabaseStorage.reorderTasksInSupabase).toHaveBeenCalledWith([
+        { id: "uuid-task", order: 0 },
+      ]);
+      expect(store.categories[0].id).toBe("uuid-cat");
+      expect(store.tasks[0]).toMatchObject({
+        id: "uuid-task",
+        categoryId: "uuid-cat",
+      });
+    });
+
+    it("should keep operations queued while a replay is in flight", async () => {
+      let finish;
+      supabaseStorage.deleteTaskFromSupabase.mockReturnValue(
+        new Promise((resolve) => {
+          finish = resolve;
+        })
+      );
+
+      enqueueOperation({ entity: "task", type: "delete", targetId: "a" });
+      const running = processOutbox("user-1");
+
+      const busy = await processOutbox("user-1");
+      expect(busy.error).toBe("Outbox is busy");
+
+      enqueueOperation({
+        entity: "task",
+        type: "update",
+        targetId: "b",
+        payload: { title: "B" },
+      });
+      finish(ok());
+
+      const result = await running;
+      expect(result.processed).toBe(2);
+      expect(supabaseStorage.updateTaskInSupabase).toHaveBeenCalledWith(
+        "b",
+        expect.objectContaining({ title: "B" })
+      );
+    });
+
+    it("should push queued edits with their original field times", async () => {
+      enqueueOperation({
+        entity: "task",
+        type: "update",
+        targetId: "a",
+        payload: { priority: "high" },
+      });
+      const [queued] = getPendingOperations();
+
+      await processOutbox("user-1");
+
+      expect(supabaseStorage.updateTaskInSupabase).toHaveBeenCalledWith("a", {
+        priority: "high",
+        fieldUpdatedAt: queued.stamps,
+      });
+    });
+
+    it("should not overwrite fields changed elsewhere after the edit", async () => {
+      enqueueOperation({
+        entity: "category",
+        type: "update",
+        targetId: "c",
+        payload: { color: "red" },
+      });
+      supabaseStorage.fetchCategoryById.mockResolvedValue(
+        ok({
+          id: "c",
+          color: "blue",
+          fieldUpdatedAt: { color: "2999-01-01T00:00:00.000Z" },
+        })
+      );
+
+      const result = await processOutbox("user-1");
+
+      expect(result.processed).toBe(1);
+      expect(supabaseStorage.updateCategoryInSupabase).not.toHaveBeenCalled();
+    });
+
+    it("should record concurrent title edits as conflicts", async () => {
+      enqueueOperation({
+        entity: "task",
+        type: "update",
+        targetId: "a",
+        payload: { title: "Mine", priority: "high" },
+        base: { title: "2025-01-01T00:00:00.000Z" },
+      });
+      supabaseStorage.fetchTaskById.mockResolvedValue(
+        ok({
+          id: "a",
+          title: "Theirs",
+          createdAt: "2024-12-01T00:00:00.000Z",
+          fieldUpdatedAt: { title: "2025-01-02T00:00:00.000Z" },
+        })
+      );
+
+      const result = await processOutbox("user-1");
+
+      expect(result.success).toBe(true);
+      expect(getConflicts()).toEqual([
+        expect.objectContaining({
+          entity: "task",
+          targetId: "a",
+          field: "title",
+          local: "Mine",
+          remote: "Theirs",
+        }),
+      ]);
+      const [, updates] = supabaseStorage.updateTaskInSupabase.mock.calls[0];
+      expect(updates.title).toBeUndefined();
+      expect(updates.priority).toBe("high");
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Quick-Add Parser Tests
+ * Test extraction of dates, categories and priority from task titles
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { parseQuickAdd } from "../../src/services/quickAddParser";
+import { allDay } from "../helpers";
+
+describe("quickAddParser", () => {
+  // Friday, Nov 7 2025, 10:00 local time
+  const mockNow = new Date(2025, 10, 7, 10, 0, 0);
+
+  const categories = [
+    { id: "cat-personal", name: "Personal" },
+    { id: "cat-work", name: "Work Stuff" },
+  ];
+
+  const localDay = (offset) => allDay(2025, 11, 7 + offset);
+
+  const localTime = (offset, hours, minutes = 0) =>
+    new Date(2025, 10, 7 + offset, hours, minutes).toISOString();
+
+  beforeEach(() => {
+    vi.setSystemTime(mockNow);
+  });
+
+  describe("parseQuickAdd", () => {
+    it("extracts date, category and priority", () => {
+      const result = parseQuickAdd("Pay rent tomorrow #Personal !high", {
+        categories,
+      });
+
+      expect(result.title).toBe("Pay rent");
+      expect(result.dueDate).toBe(localDay(1));
+      expect(result.categoryId).toBe("cat-personal");
+      expect(result.priority).toBe("high");
+      expect(result.tokens.map((token) => token.type)).toEqual([
+        "date",
+        "category",
+        "priority",
+      ]);
+    });
+
+    it("parses a weekday with a time", () => {
+      const result = parseQuickAdd("Call Bob next friday at 3pm");
+
+      expect(result.title).toBe("Call Bob");
+      expect(result.dueDate).toBe(localTime(7, 15));
+      expect(result.tokens[0].text).toBe("next friday at 3pm");
+    });
+
+    it("parses times on their own and relative times", () => {
+      expect(parseQuickAdd("Submit report tonight").dueDate).toBe(
+        localTime(0, 20)
+      );
+      expect(parseQuickAdd("Check oven in 2 hours").dueDate).toBe(
+        localTime(0, 12)
+      );
+    });
+
+    it("consumes a leading on/by/due connector", () => {
+      const result = parseQuickAdd("Submit report by monday");
+
+      expect(result.title).toBe("Submit report");
+      expect(result.dueDate).toBe(localDay(3));
+    });
+
+    it("parses relative and ISO dates", () => {
+      expect(parseQuickAdd("Renew passport in 3 days").dueDate).toBe(
+        localDay(3)
+      );
+      expect(parseQuickAdd("Dentist 2025-12-01").dueDate).toBe(
+        allDay(2025, 12, 1)
+      );
+    });
+
+    it("schedules a lone time today, or tomorrow once it has passed", () => {
+      expect(parseQuickAdd("Standup at 14:30").dueDate).toBe(
+        localTime(0, 14, 30)
+      );
+      expect(parseQuickAdd("Standup at 9am").dueDate).toBe(localTime(1, 9));
+    });
+
+    it("picks up bare clock times and by <time>", () => {
+      const bare = parseQuickAdd("Call mom 14:30");
+      expect(bare.title).toBe("Call mom");
+      expect(bare.dueDate).toBe(localTime(0, 14, 30));
+
+      const by = parseQuickAdd("Submit report by 5pm");
+      expect(by.title).toBe("Submit report");
+      expect(by.dueDate).toBe(localTime(0, 17));
+      expect(by.tokens[0].text).toBe("by 5pm");
+
+      expect(parseQuickAdd("Submit report friday by 5 pm").dueDate).toBe(
+        localTime(7, 17)
+      );
+    });
+
+    it("only takes noon and midnight after at or by", () => {
+      const result = parseQuickAdd("Watch High noon");
+
+      expect(result.title).toBe("Watch High noon");
+      expect(result.dueDate).toBeNull();
+    });
+
+    it("keeps a midnight due time", () => {
+      const result = parseQuickAdd("Deploy tomorrow at midnight");
+
+      expect(result.title).toBe("Deploy");
+      expect(result.dueDate).toBe(localTime(1, 0));
+    });
+
+    it("matches categories ignoring case, spaces and dashes", () => {
+      const result = parseQuickAdd("Write docs #work-stuff", { categories });
+
+      expect(result.categoryId).toBe("cat-work");
+      expect(result.title).toBe("Write docs");
+    });
+
+    it("keeps unknown categories and priorities in the title", () => {
+      const result = parseQuickAdd("Tag #nope and !loud", { categories });
+
+      expect(result.title).toBe("Tag #nope and !loud");
+      expect(result.categoryId).toBeNull();
+      expect(result.priority).toBeNull();
+      expect(result.tokens).toEqual([]);
+    });
+
+    it("accepts priority aliases", () => {
+      expect(parseQuickAdd("Task !med").priority).toBe("medium");
+      expect(parseQuickAdd("Task !URGENT").priority).toBe("urgent");
+    });
+
+    it("only matches whole words", () => {
+      const result = parseQuickAdd("Buy todays paper");
+
+      expect(result.title).toBe("Buy todays paper");
+      expect(result.dueDate).toBeNull();
+    });
+
+    it("uses the first token of each type", () => {
+      const result = parseQuickAdd("Plan today or tomorrow !low !high");
+
+      expect(result.dueDate).toBe(localDay(0));
+      expect(result.priority).toBe("low");
+      expect(result.title).toBe("Plan or tomorrow !high");
+    });
+
+    it("leaves dismissed tokens in the title", () => {
+      const result = parseQuickAdd("Watch Friday Night Lights !high", {
+        ignore: ["Friday"],
+      });
+
+      expect(result.title).toBe("Watch Friday Night Lights");
+      expect(result.dueDate).toBeNull();
+      expect(result.priority).toBe("high");
+    });
+
+    it("keeps a title made only of tokens as plain text", () => {
+      const result = parseQuickAdd("tomorrow");
+
+      expect(result.title).toBe("tomorrow");
+      expect(result.dueDate).toBeNull();
+      expect(result.tokens).toEqual([]);
+    });
+
+    it("handles empty input", () => {
+      expect(parseQuickAdd("").title).toBe("");
+      expect(parseQuickAdd(null).tokens).toEqual([]);
+    });
+  });
+});
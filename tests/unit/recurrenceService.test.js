@@ -0,0 +1,271 @@
+/**
+ * Recurrence Service Tests
+ * Test next-occurrence calculation and descriptions for recurring tasks
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  getNextOccurrence,
+  describeRecurrence,
+  getRecurrencePresets,
+  getWeekOfMonth,
+  createRecurrence,
+  findRecurrencePreset,
+  isSameRecurrence,
+} from "../../src/services/recurrenceService";
+
+describe("recurrenceService", () => {
+  // Wednesday, 5 November 2025 (local time)
+  const now = new Date(2025, 10, 5, 9, 0, 0);
+
+  describe("getNextOccurrence", () => {
+    it("advances daily rules by one day", () => {
+      const next = getNextOccurrence(
+        new Date(2025, 10, 5),
+        { frequency: "daily", interval: 1 },
+        now
+      );
+
+      expect(next.getDate()).toBe(6);
+      expect(next.getMonth()).toBe(10);
+    });
+
+    it("supports every N days", () => {
+      const next = getNextOccurrence(
+        new Date(2025, 10, 5),
+        { frequency: "daily", interval: 3 },
+        now
+      );
+
+      expect(next.getDate()).toBe(8);
+    });
+
+    it("moves weekly rules to the next chosen weekday in the same week", () => {
+      // Monday, Wednesday, Friday
+      const next = getNextOccurrence(
+        new Date(2025, 10, 5),
+        { frequency: "weekly", interval: 1, daysOfWeek: [1, 3, 5] },
+        now
+      );
+
+      expect(next.getDay()).toBe(5);
+      expect(next.getDate()).toBe(7);
+    });
+
+    it("wraps weekly rules to the following active week", () => {
+      // Friday -> Monday next week, every 2 weeks
+      const next = getNextOccurrence(
+        new Date(2025, 10, 7),
+        { frequency: "weekly", interval: 2, daysOfWeek: [1, 5] },
+        now
+      );
+
+      expect(next.getDay()).toBe(1);
+      expect(next.getDate()).toBe(17);
+    });
+
+    it("clamps monthly day-of-month rules to short months", () => {
+      const next = getNextOccurrence(
+        new Date(2026, 0, 31),
+        { frequency: "monthly", interval: 1, dayOfMonth: 31 },
+        new Date(2026, 0, 31)
+      );
+
+      expect(next.getMonth()).toBe(1);
+      expect(next.getDate()).toBe(28);
+    });
+
+    it("supports the nth weekday of the month", () => {
+      // Second Tuesday of December 2025 is the 9th
+      const next = getNextOccurrence(
+        new Date(2025, 10, 11),
+        { frequency: "monthly", interval: 1, weekOfMonth: 2, daysOfWeek: [2] },
+        now
+      );
+
+      expect(next.getMonth()).toBe(11);
+      expect(next.getDate()).toBe(9);
+    });
+
+    it("supports the last weekday of the month", () => {
+      // Last Friday of December 2025 is the 26th
+      const next = getNextOccurrence(
+        new Date(2025, 10, 28),
+        { frequency: "monthly", interval: 1, weekOfMonth: -1, daysOfWeek: [5] },
+        now
+      );
+
+      expect(next.getDate()).toBe(26);
+    });
+
+    it("fast-forwards overdue series past today", () => {
+      const next = getNextOccurrence(
+        new Date(2025, 9, 1),
+        { frequency: "daily", interval: 1 },
+        now
+      );
+
+      expect(next.getMonth()).toBe(10);
+      expect(next.getDate()).toBe(5);
+    });
+
+    it("preserves the time of day", () => {
+      const next = getNextOccurrence(
+        new Date(2025, 10, 5, 15, 30),
+        { frequency: "daily", interval: 1 },
+        now
+      );
+
+      expect(next.getHours()).toBe(15);
+      expect(next.getMinutes()).toBe(30);
+    });
+
+    it("returns null once the series has ended", () => {
+      const next = getNextOccurrence(
+        new Date(2025, 10, 5),
+        {
+          frequency: "daily",
+          interval: 1,
+          until: new Date(2025, 10, 5, 23, 0).toISOString(),
+        },
+        now
+      );
+
+      expect(next).toBeNull();
+    });
+
+    it("returns null without a recurrence rule", () => {
+      expect(getNextOccurrence(new Date(), null, now)).toBeNull();
+    });
+  });
+
+  describe("describeRecurrence", () => {
+    it("describes daily rules", () => {
+      expect(describeRecurrence({ frequency: "daily", interval: 1 })).toBe(
+        "Every day"
+      );
+      expect(describeRecurrence({ frequency: "daily", interval: 2 })).toBe(
+        "Every 2 days"
+      );
+    });
+
+    it("describes weekday rules", () => {
+      expect(
+        describeRecurrence({
+          frequency: "weekly",
+          interval: 1,
+          daysOfWeek: [1, 2, 3, 4, 5],
+        })
+      ).toBe("Every weekday");
+    });
+
+    it("describes nth weekday monthly rules", () => {
+      expect(
+        describeRecurrence({
+          frequency: "monthly",
+          interval: 1,
+          weekOfMonth: -1,
+          daysOfWeek: [5],
+        })
+      ).toBe("Every month on the last Friday");
+    });
+
+    it("returns empty string when not recurring", () => {
+      expect(describeRecurrence(null)).toBe("");
+    });
+  });
+
+  describe("getRecurrencePresets", () => {
+    it("bases weekly and monthly presets on the reference date", () => {
+      const presets = getRecurrencePresets(now);
+      const weekly = presets.find((p) => p.id === "weekly");
+      const monthly = presets.find((p) => p.id === "monthly");
+
+      expect(weekly.recurrence.daysOfWeek).toEqual([3]);
+      expect(monthly.recurrence.dayOfMonth).toBe(5);
+    });
+
+    it("offers the nth weekday of the month", () => {
+      const preset = getRecurrencePresets(now).find(
+        (p) => p.id === "monthly-weekday"
+      );
+
+      expect(preset.label).toBe("Every month on the first Wednesday");
+      expect(preset.recurrence).toMatchObject({
+        daysOfWeek: [3],
+        weekOfMonth: 1,
+      });
+    });
+  });
+
+  describe("getWeekOfMonth", () => {
+    it("counts occurrences of the weekday from the start of the month", () => {
+      expect(getWeekOfMonth(new Date(2025, 10, 5))).toBe(1);
+      expect(getWeekOfMonth(new Date(2025, 10, 19))).toBe(3);
+    });
+
+    it("calls the final occurrence of a weekday the last one", () => {
+      // 26 and 29 November 2025 are the last Wednesday and Saturday
+      expect(getWeekOfMonth(new Date(2025, 10, 26))).toBe(-1);
+      expect(getWeekOfMonth(new Date(2025, 10, 29))).toBe(-1);
+    });
+  });
+
+  describe("createRecurrence", () => {
+    it("starts each frequency on the reference date", () => {
+      expect(createRecurrence("daily", now, 3)).toEqual({
+        frequency: "daily",
+        interval: 3,
+      });
+      expect(createRecurrence("weekly", now)).toEqual({
+        frequency: "weekly",
+        interval: 1,
+        daysOfWeek: [3],
+      });
+      expect(createRecurrence("monthly", now, 2)).toEqual({
+        frequency: "monthly",
+        interval: 2,
+        dayOfMonth: 5,
+      });
+    });
+  });
+
+  describe("findRecurrencePreset", () => {
+    it("matches rules regardless of key and weekday order", () => {
+      expect(
+        findRecurrencePreset(
+          { daysOfWeek: [5, 4, 3, 2, 1], interval: 1, frequency: "weekly" },
+          now
+        )
+      ).toBe("weekdays");
+      expect(findRecurrencePreset(null, now)).toBe("none");
+    });
+
+    it("returns null for custom rules", () => {
+      expect(
+        findRecurrencePreset({ frequency: "daily", interval: 3 }, now)
+      ).toBeNull();
+    });
+  });
+
+  describe("isSameRecurrence", () => {
+    it("treats a missing interval as 1", () => {
+      expect(
+        isSameRecurrence(
+          { frequency: "daily" },
+          { frequency: "daily", interval: 1 }
+        )
+      ).toBe(true);
+    });
+
+    it("tells different schedules apart", () => {
+      expect(
+        isSameRecurrence(
+          { frequency: "monthly", dayOfMonth: 5 },
+          { frequency: "monthly", dayOfMonth: 6 }
+        )
+      ).toBe(false);
+      expect(isSameRecurrence(null, { frequency: "daily" })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Repository Tests
+ * Test the local adapters, adapter switching and running the services on
+ * the in-memory adapter
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import {
+  createMemoryAdapter,
+  localStorageAdapter,
+  getRepository,
+  getStorageAdapter,
+  setStorageAdapter,
+  replaceRecords,
+  remapRecordIds,
+} from "../../src/services/repository";
+import { getItem, setItem } from "../../src/services/storageService";
+import {
+  createTask,
+  getAllTasks,
+  deleteTask,
+  clearCompletedTasks,
+  initializeDemoData,
+} from "../../src/services/taskService";
+import {
+  createCategory,
+  getAllCategories,
+} from "../../src/services/categoryService";
+
+describe("repository", () => {
+  describe("memory adapter", () => {
+    let tasks;
+
+    beforeEach(() => {
+      tasks = createMemoryAdapter({
+        tasks: [
+          { id: "a", title: "A", order: 0 },
+          { id: "b", title: "B", order: 1 },
+        ],
+      }).repository("tasks");
+    });
+
+    it("lists and gets records", () => {
+      expect(tasks.list().data.map((t) => t.id)).toEqual(["a", "b"]);
+      expect(tasks.get("b").data.title).toBe("B");
+      expect(tasks.get("missing")).toEqual({ data: null, error: null });
+    });
+
+    it("creates, updates and deletes records", () => {
+      expect(tasks.create({ id: "c", title: "C" }).data.id).toBe("c");
+      expect(tasks.update("a", { title: "A2" }).data).toMatchObject({
+        id: "a",
+        title: "A2",
+        order: 0,
+      });
+      expect(tasks.delete("b").error).toBeNull();
+
+      expect(tasks.list().data.map((t) => t.title)).toEqual(["A2", "C"]);
+    });
+
+    it("passes the stored record to update functions", () => {
+      const result = tasks.update("b", (stored) => ({
+        order: stored.order + 10,
+      }));
+
+      expect(result.data.order).toBe(11);
+    });
+
+    it("reports writes to records that exist or don't", () => {
+      expect(tasks.create({ id: "a", title: "Again" }).error.message).toBe(
+        "Record already exists"
+      );
+      expect(tasks.update("missing", { title: "X" }).error.message).toBe(
+        "Record not found"
+      );
+      expect(tasks.delete("missing").error.message).toBe("Record not found");
+    });
+
+    it("applies a batch in one write, skipping stale operations", () => {
+      const { data, error } = tasks.batch([
+        { type: "create", record: { id: "c", title: "C" } },
+        { type: "create", record: { id: "a", title: "Duplicate" } },
+        { type: "update", id: "b", changes: { title: "B2" } },
+        { type: "delete", id: "missing" },
+      ]);
+
+      expect(error).toBeNull();
+      expect(data.map((record) => record && record.id)).toEqual([
+        "c",
+        null,
+        "b",
+        null,
+      ]);
+      expect(tasks.list().data.map((t) => t.title)).toEqual(["A", "B2", "C"]);
+    });
+
+    it("finds records by a field's value or a test of it", () => {
+      tasks.update("b", { categoryId: "work" });
+
+      expect(tasks.find("categoryId", "work").data.map((t) => t.id)).toEqual([
+        "b",
+      ]);
+      expect(
+        tasks.find("order", (order) => order >= 0).data.map((t) => t.id)
+      ).toEqual(["a", "b"]);
+      expect(tasks.find("categoryId", (id) => !id).data).toEqual([]);
+    });
+
+    it("hands out copies of stored records", () => {
+      tasks.get("a").data.title = "Mutated";
+
+      expect(tasks.get("a").data.title).toBe("A");
+    });
+
+    it("keeps flags alongside the collections", () => {
+      const adapter = createMemoryAdapter();
+
+      expect(adapter.getValue("initialized", false)).toBe(false);
+      adapter.setValue("initialized", true);
+      expect(adapter.getValue("initialized", false)).toBe(true);
+    });
+  });
+
+  describe("localStorage adapter", () => {
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    it("reads and writes the prefixed storage keys", () => {
+      setItem("tasks", [{ id: "a", title: "A" }]);
+      const tasks = localStorageAdapter.repository("tasks");
+
+      tasks.create({ id: "b", title: "B" });
+
+      expect(getItem("tasks").map((t) => t.id)).toEqual(["a", "b"]);
+    });
+
+    it("is the default adapter", () => {
+      expect(getStorageAdapter()).toBe(localStorageAdapter);
+    });
+  });
+
+  describe("replaceRecords", () => {
+    it("writes only what the transform changed", () => {
+      const tasks = createMemoryAdapter({
+        tasks: [
+          { id: "a", title: "A" },
+          { id: "b", title: "B" },
+        ],
+      }).repository("tasks");
+
+      const { data } = replaceRecords(tasks, (records) => [
+        { ...records[0], title: "A2" },
+        { id: "c", title: "C" },
+      ]);
+
+      expect(data).toHaveLength(3); // update a, create c, delete b
+      expect(tasks.list().data.map((t) => t.title)).toEqual(["A2", "C"]);
+    });
+  });
+
+  describe("remapRecordIds", () => {
+    let previous;
+
+    afterEach(() => {
+      setStorageAdapter(previous);
+    });
+
+    it("moves categories and their tasks to the new IDs", () => {
+      const adapter = createMemoryAdapter({
+        categories: [
+          { id: "local-cat", name: "Work" },
+          // Already added under its new ID by a live update
+          { id: "cloud-cat", name: "Work" },
+        ],
+        tasks: [
+          { id: "a", title: "A", categoryId: "local-cat" },
+          { id: "b", title: "B", categoryId: null },
+        ],
+      });
+      previous = setStorageAdapter(adapter);
+
+      remapRecordIds("categories", new Map([["local-cat", "cloud-cat"]]));
+
+      const categories = adapter.repository("categories").list().data;
+      expect(categories.map((c) => c.id)).toEqual(["cloud-cat"]);
+      const tasks = adapter.repository("tasks").list().data;
+      expect(tasks.map((t) => t.categoryId)).toEqual(["cloud-cat", null]);
+    });
+  });
+
+  describe("services on the memory adapter", () => {
+    let previous;
+
+    beforeEach(() => {
+      previous = setStorageAdapter(createMemoryAdapter());
+    });
+
+    afterEach(() => {
+      setStorageAdapter(previous);
+    });
+
+    it("stores tasks without touching localStorage", () => {
+      localStorage.clear();
+
+      createTask({ title: "Buy milk" });
+
+      expect(getAllTasks().map((t) => t.title)).toEqual(["Buy milk"]);
+      expect(getRepository("tasks").list().data).toHaveLength(1);
+      expect(localStorage.length).toBe(0);
+    });
+
+    it("runs task business logic against the adapter", () => {
+      const kept = createTask({ title: "Keep" }).task;
+      const done = createTask({ title: "Done" }).task;
+      const trashed = createTask({ title: "Trash" }).task;
+      getRepository("tasks").update(done.id, { completed: true });
+
+      deleteTask(trashed.id);
+      const cleared = clearCompletedTasks();
+
+      expect(cleared.count).toBe(1);
+      expect(getAllTasks().map((t) => t.id)).toEqual([kept.id]);
+    });
+
+    it("seeds demo data once per adapter", () => {
+      const demo = initializeDemoData();
+
+      expect(demo.length).toBeGreaterThan(0);
+      expect(getStorageAdapter().getValue("initialized", false)).toBe(true);
+      expect(initializeDemoData()).toHaveLength(getAllTasks().length);
+    });
+
+    it("validates categories against the adapter's data", () => {
+      createCategory({ name: "Work", color: "#3b82f6" });
+
+      const duplicate = createCategory({ name: "work", color: "#ef4444" });
+
+      expect(duplicate.success).toBe(false);
+      expect(getAllCategories()).toHaveLength(1);
+    });
+  });
+});
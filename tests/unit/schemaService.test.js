@@ -0,0 +1,284 @@
+/**
+ * Schema Service Tests
+ * Test snapshot migrations and the backup taken before local data changes
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import {
+  SCHEMA_VERSION,
+  getSchemaVersion,
+  migrateData,
+  readLocalData,
+  writeLocalData,
+  migrateLocalData,
+} from "../../src/services/schemaService";
+import { getItem, setItem } from "../../src/services/storageService";
+import { getPreferences } from "../../src/services/preferencesService";
+import {
+  localStorageAdapter,
+  setStorageAdapter,
+} from "../../src/services/repository";
+import {
+  createIndexedDbAdapter,
+  toRow,
+} from "../../src/services/indexedDbRepository";
+import { createFakeBackend } from "../helpers";
+
+describe("schemaService", () => {
+  beforeEach(() => {
+    localStorage.clear();
+    vi.restoreAllMocks();
+  });
+
+  describe("migrateData", () => {
+    it("treats unversioned backups as version 0", () => {
+      expect(getSchemaVersion({ _version: "1.0.0" })).toBe(0);
+      expect(getSchemaVersion({ _schemaVersion: 1 })).toBe(1);
+    });
+
+    it("decodes double-encoded preferences", () => {
+      const data = {
+        "user-preferences": JSON.stringify({ theme: "dark" }),
+        _version: "1.0.0",
+      };
+
+      const result = migrateData(data);
+
+      expect(result.success).toBe(true);
+      expect(result.applied).toBe(SCHEMA_VERSION);
+      expect(result.data["user-preferences"]).toEqual({ theme: "dark" });
+      expect(result.data._schemaVersion).toBe(SCHEMA_VERSION);
+      // The input is left as it was
+      expect(typeof data["user-preferences"]).toBe("string");
+    });
+
+    it("drops preferences that can't be decoded", () => {
+      const result = migrateData({ "user-preferences": "{broken" });
+
+      expect(result.data).not.toHaveProperty("user-preferences");
+    });
+
+    it("turns local midnight due dates into days", () => {
+      const timed = new Date(2025, 2, 14, 15, 30).toISOString();
+      const result = migrateData({
+        tasks: [
+          { id: "a", dueDate: new Date(2025, 2, 14).toISOString() },
+          { id: "b", dueDate: timed },
+          { id: "c", dueDate: null },
+        ],
+        _schemaVersion: 1,
+      });
+
+      expect(result.applied).toBe(1);
+      expect(result.data.tasks.map((task) => task.dueDate)).toEqual([
+        "2025-03-14",
+        timed,
+        null,
+      ]);
+    });
+
+    it("leaves current data alone", () => {
+      const data = {
+        "user-preferences": { theme: "ocean" },
+        _schemaVersion: SCHEMA_VERSION,
+      };
+
+      const result = migrateData(data);
+
+      expect(result.applied).toBe(0);
+      expect(result.data).toEqual(data);
+    });
+
+    it("refuses data from a newer version", () => {
+      const result = migrateData({ _schemaVersion: SCHEMA_VERSION + 1 });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/newer version/);
+    });
+  });
+
+  describe("local data", () => {
+    it("reads the collections and preferences only", () => {
+      setItem("tasks", [{ id: "a", title: "A" }]);
+      setItem("user-preferences", { theme: "dark" });
+      setItem("outbox", [{ id: "op" }]);
+      setItem("conflicts", []);
+      setItem("cloud-migration", { "user-1": true });
+      setItem("uuid-ids-migrated", true);
+
+      const data = readLocalData();
+
+      expect(data).toEqual({
+        tasks: [{ id: "a", title: "A" }],
+        categories: [],
+        "user-preferences": { theme: "dark" },
+        _schemaVersion: 0,
+      });
+    });
+
+    it("writes only changed keys and removes missing ones", async () => {
+      setItem("tasks", [{ id: "a", title: "A" }]);
+      setItem("user-preferences", { theme: "dark" });
+      setItem("outbox", [{ id: "op" }]);
+
+      const result = await writeLocalData({
+        tasks: [{ id: "a", title: "A2" }],
+        categories: [],
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.changed.sort()).toEqual(["tasks", "user-preferences"]);
+      expect(getItem("tasks")[0].title).toBe("A2");
+      expect(getItem("user-preferences")).toBeNull();
+      // Sync state isn't part of the snapshot
+      expect(getItem("outbox")).toEqual([{ id: "op" }]);
+      expect(getItem("schema-version")).toBe(SCHEMA_VERSION);
+      expect(getItem("schema-backup")).toBeNull();
+    });
+
+    it("restores the original data when a write fails", async () => {
+      vi.spyOn(console, "error").mockImplementation(() => {});
+      setItem("tasks", [{ id: "a", title: "A" }]);
+      setItem("conflicts", [{ id: "c1" }]);
+      const realSetItem = localStorage.setItem.bind(localStorage);
+      vi.spyOn(localStorage, "setItem").mockImplementation((key, value) => {
+        if (key === "coolest-todo-user-preferences") {
+          throw new Error("QuotaExceededError");
+        }
+        realSetItem(key, value);
+      });
+
+      const result = await writeLocalData({
+        tasks: [],
+        "user-preferences": { theme: "dark" },
+      });
+
+      expect(result.success).toBe(false);
+      expect(getItem("tasks")).toEqual([{ id: "a", title: "A" }]);
+      expect(getItem("conflicts")).toEqual([{ id: "c1" }]);
+      expect(getItem("schema-backup")).toBeNull();
+    });
+  });
+
+  describe("migrateLocalData", () => {
+    it("upgrades stored preferences once", async () => {
+      localStorage.setItem(
+        "coolest-todo-user-preferences",
+        JSON.stringify(JSON.stringify({ theme: "dark", compactView: true }))
+      );
+
+      const first = await migrateLocalData();
+      const second = await migrateLocalData();
+
+      expect(first).toMatchObject({ migrated: true, from: 0 });
+      expect(second.migrated).toBe(false);
+      expect(getItem("user-preferences")).toEqual({
+        theme: "dark",
+        compactView: true,
+      });
+      expect(getPreferences().compactView).toBe(true);
+    });
+
+    it("rolls back a write the page didn't finish", async () => {
+      vi.spyOn(console, "warn").mockImplementation(() => {});
+      setItem("schema-version", SCHEMA_VERSION);
+      setItem("tasks", []);
+      setItem("schema-backup", {
+        keys: ["tasks", "half-written"],
+        values: { tasks: [{ id: "a", title: "A" }] },
+      });
+      setItem("half-written", true);
+
+      await migrateLocalData();
+
+      expect(getItem("tasks")).toEqual([{ id: "a", title: "A" }]);
+      expect(getItem("half-written")).toBeNull();
+      expect(getItem("schema-backup")).toBeNull();
+    });
+
+    it("leaves data from a newer version untouched", async () => {
+      setItem("schema-version", SCHEMA_VERSION + 1);
+      setItem("user-preferences", "kept as is");
+
+      expect((await migrateLocalData()).migrated).toBe(false);
+      expect(getItem("user-preferences")).toBe("kept as is");
+    });
+  });
+
+  describe("with IndexedDB", () => {
+    let backend;
+    let tasks;
+
+    beforeEach(async () => {
+      backend = createFakeBackend({
+        tasks: [toRow({ id: "a", title: "A" }, 0)],
+      });
+      const adapter = await createIndexedDbAdapter(backend);
+      setStorageAdapter(adapter);
+      tasks = adapter.repository("tasks");
+    });
+
+    afterEach(() => {
+      setStorageAdapter(localStorageAdapter);
+    });
+
+    it("keeps the backup in the database and waits for the commit", async () => {
+      let commit;
+      backend.write.mockImplementationOnce(
+        () => new Promise((resolve) => (commit = resolve))
+      );
+      const done = vi.fn();
+
+      writeLocalData({
+        tasks: [{ id: "a", title: "A2" }],
+        categories: [],
+      }).then(done);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(backend.backups.get("schema-backup")).toEqual({
+        keys: ["tasks"],
+        values: { tasks: [{ id: "a", title: "A" }] },
+      });
+      expect(getItem("schema-backup")).toBeNull();
+      expect(done).not.toHaveBeenCalled();
+
+      commit();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(done).toHaveBeenCalledWith(
+        expect.objectContaining({ success: true })
+      );
+      expect(backend.backups.has("schema-backup")).toBe(false);
+    });
+
+    it("restores the collections when the database refuses a write", async () => {
+      vi.spyOn(console, "error").mockImplementation(() => {});
+      backend.write.mockRejectedValueOnce(new Error("Aborted"));
+
+      const result = await writeLocalData({
+        tasks: [{ id: "a", title: "A2" }],
+        categories: [],
+      });
+
+      expect(result.success).toBe(false);
+      expect(tasks.get("a").data.title).toBe("A");
+      expect(backend.tables.tasks.get("a").record.title).toBe("A");
+      expect(getItem("schema-version")).toBeNull();
+    });
+
+    it("rolls back a write the page didn't finish", async () => {
+      vi.spyOn(console, "warn").mockImplementation(() => {});
+      setItem("schema-version", SCHEMA_VERSION);
+      tasks.update("a", { title: "Half written" });
+      backend.backups.set("schema-backup", {
+        keys: ["tasks"],
+        values: { tasks: [{ id: "a", title: "A" }] },
+      });
+
+      await migrateLocalData();
+
+      expect(backend.tables.tasks.get("a").record.title).toBe("A");
+      expect(backend.backups.has("schema-backup")).toBe(false);
+    });
+  });
+});
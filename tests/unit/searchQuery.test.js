@@ -0,0 +1,175 @@
+/**
+ * Search Query Tests
+ * Test query parsing, task matching and highlight splitting
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  parseSearchQuery,
+  isEmptySearch,
+  matchesSearch,
+  getHighlightTerms,
+  highlightMatches,
+} from "../../src/services/searchQuery";
+
+describe("searchQuery", () => {
+  const categoryNames = new Map([
+    ["cat-work", "work"],
+    ["cat-shop", "shopping"],
+  ]);
+
+  const task = (overrides = {}) => ({
+    id: "task-1",
+    title: "Buy milk",
+    completed: false,
+    categoryId: null,
+    dueDate: null,
+    recurrence: null,
+    subtasks: [],
+    ...overrides,
+  });
+
+  const matches = (query, t) =>
+    matchesSearch(t, parseSearchQuery(query), categoryNames);
+
+  describe("parseSearchQuery", () => {
+    it("splits free text into lowercase terms", () => {
+      expect(parseSearchQuery("Buy  Milk").terms).toEqual([
+        { value: "buy", negated: false },
+        { value: "milk", negated: false },
+      ]);
+    });
+
+    it("keeps quoted phrases together", () => {
+      expect(parseSearchQuery('"buy milk" -"oat milk"').terms).toEqual([
+        { value: "buy milk", negated: false },
+        { value: "oat milk", negated: true },
+      ]);
+    });
+
+    it("parses operators and negation", () => {
+      const { filters } = parseSearchQuery(
+        'cat:"Work" -cat:Shopping is:overdue'
+      );
+
+      expect(filters).toEqual([
+        { field: "cat", value: "work", negated: false },
+        { field: "cat", value: "shopping", negated: true },
+        { field: "is", value: "overdue", negated: false },
+      ]);
+    });
+
+    it("ignores incomplete operators while typing", () => {
+      expect(isEmptySearch(parseSearchQuery("due:< is:"))).toBe(true);
+      expect(isEmptySearch(parseSearchQuery("due:<2026-13-45x"))).toBe(true);
+      expect(isEmptySearch(parseSearchQuery("-"))).toBe(true);
+    });
+
+    it("treats unknown prefixes as text", () => {
+      expect(parseSearchQuery("https://example.com").terms).toEqual([
+        { value: "https://example.com", negated: false },
+      ]);
+    });
+
+    it("returns an empty query for blank input", () => {
+      expect(isEmptySearch(parseSearchQuery(""))).toBe(true);
+      expect(isEmptySearch(parseSearchQuery(null))).toBe(true);
+    });
+  });
+
+  describe("matchesSearch", () => {
+    it("requires every word to appear in the title or a subtask", () => {
+      const t = task({
+        subtasks: [{ id: "s1", title: "Check oat milk", completed: false }],
+      });
+
+      expect(matches("buy milk", t)).toBe(true);
+      expect(matches("milk oat", t)).toBe(true);
+      expect(matches("milk bread", t)).toBe(false);
+    });
+
+    it("excludes negated words", () => {
+      expect(matches("milk -buy", task())).toBe(false);
+      expect(matches("-bread", task())).toBe(true);
+    });
+
+    it("filters by category name", () => {
+      const work = task({ categoryId: "cat-work" });
+
+      expect(matches("cat:work", work)).toBe(true);
+      expect(matches("cat:WORK", work)).toBe(true);
+      expect(matches("cat:shopping", work)).toBe(false);
+      expect(matches("-cat:shopping", work)).toBe(true);
+      expect(matches("cat:none", task())).toBe(true);
+      expect(matches("cat:none", work)).toBe(false);
+    });
+
+    it("compares due dates by local day", () => {
+      const t = task({ dueDate: new Date(2026, 9, 31, 15, 0).toISOString() });
+
+      expect(matches("due:<2026-11-01", t)).toBe(true);
+      expect(matches("due:<2026-10-31", t)).toBe(false);
+      expect(matches("due:<=2026-10-31", t)).toBe(true);
+      expect(matches("due:2026-10-31", t)).toBe(true);
+      expect(matches("due:>2026-10-31", t)).toBe(false);
+      expect(matches("due:>=2026-10-31", t)).toBe(true);
+      expect(matches("due:none", t)).toBe(false);
+    });
+
+    it("never matches due filters for tasks without a due date", () => {
+      expect(matches("due:<2026-11-01", task())).toBe(false);
+      expect(matches("-due:<2026-11-01", task())).toBe(true);
+      expect(matches("due:none", task())).toBe(true);
+    });
+
+    it("filters by status", () => {
+      const past = new Date();
+      past.setDate(past.getDate() - 3);
+      const overdue = task({ dueDate: past.toISOString() });
+      const done = task({ completed: true, dueDate: past.toISOString() });
+      const recurring = task({
+        recurrence: { frequency: "daily", interval: 1 },
+      });
+
+      expect(matches("is:overdue", overdue)).toBe(true);
+      expect(matches("is:overdue", done)).toBe(false);
+      expect(matches("is:done", done)).toBe(true);
+      expect(matches("is:completed", done)).toBe(true);
+      expect(matches("is:active", done)).toBe(false);
+      expect(matches("-is:done", overdue)).toBe(true);
+      expect(matches("is:recurring", recurring)).toBe(true);
+      expect(matches("is:recurring", overdue)).toBe(false);
+    });
+  });
+
+  describe("highlighting", () => {
+    it("only highlights positive text terms", () => {
+      expect(getHighlightTerms('milk -bread cat:Work "oat milk"')).toEqual([
+        "milk",
+        "oat milk",
+      ]);
+    });
+
+    it("splits text into matched and plain segments", () => {
+      expect(highlightMatches("Buy Milk and milk", ["milk"])).toEqual([
+        { text: "Buy ", match: false },
+        { text: "Milk", match: true },
+        { text: " and ", match: false },
+        { text: "milk", match: true },
+      ]);
+    });
+
+    it("escapes regular expression characters", () => {
+      expect(highlightMatches("Fix (bug)", ["(bug)"])).toEqual([
+        { text: "Fix ", match: false },
+        { text: "(bug)", match: true },
+      ]);
+    });
+
+    it("returns the whole text when there are no terms", () => {
+      expect(highlightMatches("Buy milk", [])).toEqual([
+        { text: "Buy milk", match: false },
+      ]);
+    });
+  });
+});
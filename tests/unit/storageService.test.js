@@ -3,13 +3,16 @@
  * Test localStorage abstraction layer
  */
 
-import { describe, it, expect, beforeEach } from "vitest";
+import { describe, it, expect, beforeEach, vi } from "vitest";
 import {
   getItem,
   setItem,
+  updateItem,
   removeItem,
   clearAll,
+  subscribeToKey,
   isAvailable,
+  getKeys,
   getStorageSize,
 } from "../../src/services/storageService";
 
@@ -136,6 +139,77 @@ describe("storageService", () => {
     });
   });
 
+  describe("updateItem", () => {
+    it("passes the stored value to the updater and saves the result", () => {
+      setItem("list", [1, 2]);
+
+      const success = updateItem("list", (list) => [...list, 3], []);
+
+      expect(success).toBe(true);
+      expect(getItem("list")).toEqual([1, 2, 3]);
+    });
+
+    it("starts from the default value when key does not exist", () => {
+      updateItem("list", (list) => [...list, "first"], []);
+
+      expect(getItem("list")).toEqual(["first"]);
+    });
+
+    it("keeps values written by another tab since the last read", () => {
+      setItem("list", ["mine"]);
+      // Another tab writes straight to localStorage
+      localStorage.setItem("coolest-todo-list", JSON.stringify(["theirs"]));
+
+      updateItem("list", (list) => [...list, "mine"], []);
+
+      expect(getItem("list")).toEqual(["theirs", "mine"]);
+    });
+  });
+
+  describe("subscribeToKey", () => {
+    const fireStorageEvent = (key, newValue) => {
+      if (key) localStorage.setItem(key, newValue);
+      window.dispatchEvent(new StorageEvent("storage", { key, newValue }));
+    };
+
+    it("calls the listener with the value another tab wrote", () => {
+      const listener = vi.fn();
+      subscribeToKey("tasks", listener);
+
+      fireStorageEvent("coolest-todo-tasks", JSON.stringify([{ id: "1" }]));
+
+      expect(listener).toHaveBeenCalledWith([{ id: "1" }]);
+    });
+
+    it("ignores changes to other keys", () => {
+      const listener = vi.fn();
+      subscribeToKey("tasks", listener);
+
+      fireStorageEvent("coolest-todo-categories", "[]");
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it("reports storage being cleared in another tab", () => {
+      const listener = vi.fn();
+      subscribeToKey("tasks", listener);
+
+      fireStorageEvent(null, null);
+
+      expect(listener).toHaveBeenCalledWith(null);
+    });
+
+    it("stops listening after unsubscribing", () => {
+      const listener = vi.fn();
+      const unsubscribe = subscribeToKey("tasks", listener);
+
+      unsubscribe();
+      fireStorageEvent("coolest-todo-tasks", "[]");
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
   describe("clearAll", () => {
     it("clears all app data", () => {
       localStorage.setItem("coolest-todo-test1", "value1");
@@ -157,6 +231,16 @@ describe("storageService", () => {
     });
   });
 
+  describe("getKeys", () => {
+    it("lists app keys without the prefix", () => {
+      setItem("tasks", []);
+      setItem("user-preferences", {});
+      localStorage.setItem("other-app-data", "skip");
+
+      expect(getKeys().sort()).toEqual(["tasks", "user-preferences"]);
+    });
+  });
+
   describe("isAvailable", () => {
     it("returns true when localStorage is available", () => {
       const result = isAvailable();
@@ -0,0 +1,121 @@
+/**
+ * Supabase Repository Tests
+ * Test how repository calls map onto supabaseStorageService
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { createSupabaseAdapter } from "../../src/services/supabaseRepository";
+import * as supabaseStorage from "../../src/services/supabaseStorageService";
+import { ok } from "../helpers";
+
+vi.mock("../../src/services/supabaseStorageService", () => ({
+  fetchTasks: vi.fn(),
+  fetchTaskById: vi.fn(),
+  createTaskInSupabase: vi.fn(),
+  updateTaskInSupabase: vi.fn(),
+  deleteTaskFromSupabase: vi.fn(),
+  deleteTasksFromSupabase: vi.fn(),
+  reorderTasksInSupabase: vi.fn(),
+  subscribeToTaskChanges: vi.fn(),
+  fetchCategories: vi.fn(),
+  fetchCategoryById: vi.fn(),
+  createCategoryInSupabase: vi.fn(),
+  updateCategoryInSupabase: vi.fn(),
+  deleteCategoryFromSupabase: vi.fn(),
+  deleteCategoriesFromSupabase: vi.fn(),
+  subscribeToCategoryChanges: vi.fn(),
+}));
+
+describe("supabaseRepository", () => {
+  const adapter = createSupabaseAdapter("user-1");
+  const tasks = adapter.repository("tasks");
+  const categories = adapter.repository("categories");
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    supabaseStorage.updateTaskInSupabase.mockImplementation(
+      async (id, updates) => ok({ id, ...updates })
+    );
+    supabaseStorage.deleteTaskFromSupabase.mockResolvedValue({ error: null });
+    supabaseStorage.reorderTasksInSupabase.mockResolvedValue({ error: null });
+  });
+
+  it("reads and creates for the adapter's user", async () => {
+    supabaseStorage.fetchCategories.mockResolvedValue(ok([]));
+    supabaseStorage.createTaskInSupabase.mockResolvedValue(ok({ id: "a" }));
+
+    await categories.list();
+    await tasks.create({ title: "A" });
+
+    expect(supabaseStorage.fetchCategories).toHaveBeenCalledWith("user-1");
+    expect(supabaseStorage.createTaskInSupabase).toHaveBeenCalledWith(
+      "user-1",
+      { title: "A" }
+    );
+  });
+
+  it("fetches the row before applying an update function", async () => {
+    supabaseStorage.fetchTaskById.mockResolvedValue(ok({ id: "a", order: 3 }));
+
+    const result = await tasks.update("a", (stored) => ({
+      order: stored.order + 1,
+    }));
+
+    expect(supabaseStorage.updateTaskInSupabase).toHaveBeenCalledWith("a", {
+      order: 4,
+    });
+    expect(result.data.order).toBe(4);
+  });
+
+  it("sends reordering as one reorder_tasks() call", async () => {
+    const result = await tasks.batch([
+      { type: "update", id: "a", changes: { order: 1 } },
+      { type: "update", id: "b", changes: { order: 0 } },
+    ]);
+
+    expect(result.error).toBeNull();
+    expect(supabaseStorage.reorderTasksInSupabase).toHaveBeenCalledWith([
+      { id: "a", order: 1 },
+      { id: "b", order: 0 },
+    ]);
+    expect(supabaseStorage.updateTaskInSupabase).not.toHaveBeenCalled();
+  });
+
+  it("sends a batch of deletes as one request", async () => {
+    supabaseStorage.deleteCategoriesFromSupabase.mockResolvedValue({
+      error: null,
+    });
+
+    const result = await categories.batch([
+      { type: "delete", id: "a" },
+      { type: "delete", id: "b" },
+    ]);
+
+    expect(result).toEqual({ data: [null, null], error: null });
+    expect(supabaseStorage.deleteCategoriesFromSupabase).toHaveBeenCalledWith([
+      "a",
+      "b",
+    ]);
+    expect(supabaseStorage.deleteCategoryFromSupabase).not.toHaveBeenCalled();
+  });
+
+  it("stops a batch at the first failure", async () => {
+    supabaseStorage.updateTaskInSupabase
+      .mockResolvedValueOnce(ok({ id: "a" }))
+      .mockResolvedValueOnce({ data: null, error: { message: "Forbidden" } });
+
+    const result = await tasks.batch([
+      { type: "update", id: "a", changes: { archivedAt: "2025-01-01" } },
+      { type: "update", id: "b", changes: { archivedAt: "2025-01-01" } },
+      { type: "delete", id: "c" },
+    ]);
+
+    expect(result.error.message).toBe("Forbidden");
+    expect(result.data).toEqual([{ id: "a" }]);
+    expect(supabaseStorage.deleteTaskFromSupabase).not.toHaveBeenCalled();
+  });
+
+  it("rejects unknown collections", () => {
+    expect(() => adapter.repository("notes")).toThrow("Unknown collection");
+  });
+});
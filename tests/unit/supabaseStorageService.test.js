@@ -0,0 +1,195 @@
+/**
+ * Supabase Storage Service Tests
+ * Test live change subscriptions against a local stand-in for Realtime
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+/**
+ * Minimal stand-in for a Supabase Realtime channel
+ * Records its listeners so tests can emit postgres_changes payloads.
+ */
+class FakeChannel {
+  constructor(name) {
+    this.name = name;
+    this.listeners = [];
+    this.statusCallback = null;
+  }
+
+  on(type, filter, callback) {
+    this.listeners.push({ type, filter, callback });
+    return this;
+  }
+
+  subscribe(callback) {
+    this.statusCallback = callback;
+    callback("SUBSCRIBED");
+    return this;
+  }
+
+  emit(payload) {
+    this.listeners
+      .filter(
+        (listener) =>
+          listener.type === "postgres_changes" &&
+          listener.filter.event === payload.eventType &&
+          listener.filter.table === payload.table
+      )
+      .forEach((listener) => listener.callback(payload));
+  }
+}
+
+const fakeClient = vi.hoisted(() => ({
+  channels: [],
+  channel: null,
+  removeChannel: null,
+}));
+
+vi.mock("../../src/config/supabase.js", () => ({
+  default: fakeClient,
+  isSupabaseAvailable: () => true,
+}));
+
+import {
+  subscribeToTaskChanges,
+  subscribeToCategoryChanges,
+} from "../../src/services/supabaseStorageService";
+
+const taskRow = {
+  id: "task-1",
+  user_id: "user-1",
+  title: "From another device",
+  completed: false,
+  created_at: "2025-01-10T09:00:00.000Z",
+  completed_at: null,
+  category_id: null,
+  due_date: null,
+  task_order: 3,
+  recurrence: null,
+  subtasks: [],
+  priority: "high",
+  updated_at: "2025-01-10T10:00:00.000Z",
+  field_updated_at: { priority: "2025-01-10T10:00:00.000Z" },
+};
+
+describe("supabaseStorageService realtime", () => {
+  beforeEach(() => {
+    fakeClient.channels = [];
+    fakeClient.channel = vi.fn((name) => {
+      const channel = new FakeChannel(name);
+      fakeClient.channels.push(channel);
+      return channel;
+    });
+    fakeClient.removeChannel = vi.fn();
+  });
+
+  it("should subscribe to the user's task rows", () => {
+    const onStatus = vi.fn();
+    subscribeToTaskChanges("user-1", { onChange: vi.fn(), onStatus });
+
+    const [channel] = fakeClient.channels;
+    expect(channel.name).toBe("tasks:user-1");
+    expect(onStatus).toHaveBeenCalledWith("SUBSCRIBED");
+
+    const filters = channel.listeners.map((listener) => listener.filter);
+    expect(filters).toEqual([
+      expect.objectContaining({ event: "INSERT", filter: "user_id=eq.user-1" }),
+      expect.objectContaining({ event: "UPDATE", filter: "user_id=eq.user-1" }),
+      expect.objectContaining({ event: "DELETE", table: "tasks" }),
+    ]);
+  });
+
+  it("should pass inserts and updates on in app format", () => {
+    const onChange = vi.fn();
+    subscribeToTaskChanges("user-1", { onChange });
+    const [channel] = fakeClient.channels;
+
+    channel.emit({ eventType: "INSERT", table: "tasks", new: taskRow });
+    channel.emit({
+      eventType: "UPDATE",
+      table: "tasks",
+      new: { ...taskRow, title: "<b>Renamed</b>" },
+    });
+
+    expect(onChange).toHaveBeenNthCalledWith(1, {
+      type: "insert",
+      id: "task-1",
+      record: expect.objectContaining({
+        id: "task-1",
+        title: "From another device",
+        order: 3,
+        priority: "high",
+        fieldUpdatedAt: { priority: "2025-01-10T10:00:00.000Z" },
+      }),
+    });
+    const [update] = onChange.mock.calls[1];
+    expect(update.type).toBe("update");
+    expect(update.record.title).not.toContain("<b>");
+  });
+
+  it("should read all-day rows as days and keep due times", () => {
+    const onChange = vi.fn();
+    subscribeToTaskChanges("user-1", { onChange });
+    const [channel] = fakeClient.channels;
+    const legacyDay = new Date(2025, 2, 14).toISOString();
+
+    [
+      { due_date: "2025-03-14T00:00:00+00:00", due_all_day: true },
+      { due_date: "2025-03-14T00:00:00+00:00", due_all_day: false },
+      { due_date: legacyDay, due_all_day: null },
+    ].forEach((columns) =>
+      channel.emit({
+        eventType: "UPDATE",
+        table: "tasks",
+        new: { ...taskRow, ...columns },
+      })
+    );
+
+    const dueDates = onChange.mock.calls.map(
+      ([change]) => change.record.dueDate
+    );
+    expect(dueDates).toEqual([
+      "2025-03-14",
+      "2025-03-14T00:00:00+00:00",
+      "2025-03-14",
+    ]);
+  });
+
+  it("should pass deletes on by ID", () => {
+    const onChange = vi.fn();
+    subscribeToCategoryChanges("user-1", { onChange });
+    const [channel] = fakeClient.channels;
+
+    channel.emit({
+      eventType: "DELETE",
+      table: "categories",
+      old: { id: "cat-1" },
+    });
+
+    expect(channel.name).toBe("categories:user-1");
+    expect(onChange).toHaveBeenCalledWith({
+      type: "delete",
+      id: "cat-1",
+      record: null,
+    });
+  });
+
+  it("should remove the channel when unsubscribing", () => {
+    const unsubscribe = subscribeToTaskChanges("user-1", {
+      onChange: vi.fn(),
+    });
+
+    unsubscribe();
+
+    expect(fakeClient.removeChannel).toHaveBeenCalledWith(
+      fakeClient.channels[0]
+    );
+  });
+
+  it("should not subscribe without a user", () => {
+    const unsubscribe = subscribeToTaskChanges(null, { onChange: vi.fn() });
+
+    expect(fakeClient.channel).not.toHaveBeenCalled();
+    expect(() => unsubscribe()).not.toThrow();
+  });
+});
@@ -10,17 +10,35 @@ import {
   getTaskById,
   updateTask,
   deleteTask,
+  restoreTask,
+  purgeTask,
+  purgeTasks,
+  clearCompletedTasks,
+  archiveTasks,
+  unarchiveTask,
+  getArchivedTasks,
+  getTrashedTasks,
   toggleTaskCompletion,
+  getCompletionChanges,
   initializeDemoData,
+  addSubtask,
+  updateSubtask,
+  toggleSubtask,
+  deleteSubtask,
+  getSubtaskProgress,
+  reorderTasks,
+  insertTasks,
+  searchTasks,
+  getTaskStats,
 } from "../../src/services/taskService";
 import * as storageService from "../../src/services/storageService";
+import { isAllDay, isOverdue } from "../../src/services/dateParser";
+import { allDay } from "../helpers";
 
 // Mock storage service
-vi.mock("../../src/services/storageService", () => ({
-  getItem: vi.fn(),
-  setItem: vi.fn(),
-  removeItem: vi.fn(),
-}));
+vi.mock("../../src/services/storageService", async () =>
+  (await import("../helpers")).mockStorageService()
+);
 
 describe("taskService", () => {
   beforeEach(() => {
@@ -97,6 +115,43 @@ describe("taskService", () => {
       expect(result.task.dueDate).toBe(dueDate);
     });
 
+    it("creates an all-day task with a due day", () => {
+      const result = createTask({ title: "Pay rent", dueDate: "2025-12-01" });
+
+      expect(result.success).toBe(true);
+      expect(result.task.dueDate).toBe("2025-12-01");
+    });
+
+    it("rejects due dates that are neither a day nor a timestamp", () => {
+      ["next friday", "2025-02-30", "12/31/2025", 1735603200000].forEach(
+        (dueDate) => {
+          const result = createTask({ title: "Task", dueDate });
+
+          expect(result.success).toBe(false);
+          expect(result.error).toBe("Invalid due date");
+        }
+      );
+      expect(storageService.setItem).not.toHaveBeenCalled();
+    });
+
+    it("creates task with recurrence", () => {
+      const recurrence = { frequency: "daily", interval: 2 };
+      const result = createTask({ title: "Water plants", recurrence });
+
+      expect(result.success).toBe(true);
+      expect(result.task.recurrence).toEqual(recurrence);
+    });
+
+    it("rejects invalid recurrence", () => {
+      const result = createTask({
+        title: "Water plants",
+        recurrence: { frequency: "sometimes" },
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBeDefined();
+    });
+
     it("increments order for new tasks", () => {
       // Mock existing tasks
       storageService.getItem.mockReturnValue([
@@ -120,6 +175,67 @@ describe("taskService", () => {
     });
   });
 
+  describe("priority", () => {
+    it("defaults new tasks to no priority", () => {
+      const result = createTask({ title: "Buy milk" });
+
+      expect(result.task.priority).toBe("none");
+    });
+
+    it("creates tasks with a priority", () => {
+      const result = createTask({ title: "Pay rent", priority: "urgent" });
+
+      expect(result.success).toBe(true);
+      expect(result.task.priority).toBe("urgent");
+    });
+
+    it("rejects unknown priorities", () => {
+      const result = createTask({ title: "Pay rent", priority: "asap" });
+
+      expect(result.success).toBe(false);
+      expect(storageService.setItem).not.toHaveBeenCalled();
+    });
+
+    it("updates and validates priority", () => {
+      storageService.getItem.mockReturnValue([
+        { id: "1", title: "Task", priority: "none", order: 0 },
+      ]);
+
+      expect(updateTask("1", { priority: "high" }).task.priority).toBe("high");
+      expect(updateTask("1", { priority: "huge" }).success).toBe(false);
+    });
+
+    it("validates due dates", () => {
+      storageService.getItem.mockReturnValue([
+        { id: "1", title: "Task", dueDate: null, order: 0 },
+      ]);
+
+      expect(updateTask("1", { dueDate: "tomorrow" }).success).toBe(false);
+      expect(updateTask("1", { dueDate: "2025-06-01" }).task.dueDate).toBe(
+        "2025-06-01"
+      );
+      expect(updateTask("1", { dueDate: null }).task.dueDate).toBeNull();
+    });
+
+    it("carries priority over to the next occurrence", () => {
+      storageService.getItem.mockReturnValue([
+        {
+          id: "1",
+          title: "Water plants",
+          completed: false,
+          priority: "medium",
+          dueDate: new Date().toISOString(),
+          recurrence: { frequency: "daily", interval: 1 },
+          order: 0,
+        },
+      ]);
+
+      const result = toggleTaskCompletion("1");
+
+      expect(result.nextTask.priority).toBe("medium");
+    });
+  });
+
   describe("getAllTasks", () => {
     it("returns empty array when no tasks exist", () => {
       const tasks = getAllTasks();
@@ -184,6 +300,34 @@ describe("taskService", () => {
       expect(tasks[2].dueDate).toBeNull(); // Null dates go to end
     });
 
+    it("sorts tasks by priority, then by due date", () => {
+      const mockTasks = [
+        { id: "1", title: "None", order: 0 },
+        {
+          id: "2",
+          title: "High, later",
+          priority: "high",
+          dueDate: "2025-12-31",
+          order: 1,
+        },
+        { id: "3", title: "Urgent", priority: "urgent", order: 2 },
+        { id: "4", title: "High, undated", priority: "high", order: 3 },
+        {
+          id: "5",
+          title: "High, sooner",
+          priority: "high",
+          dueDate: "2025-01-15",
+          order: 4,
+        },
+        { id: "6", title: "Low", priority: "low", order: 5 },
+      ];
+      storageService.getItem.mockReturnValue(mockTasks);
+
+      const tasks = getAllTasks({ sortBy: "priority" });
+
+      expect(tasks.map((t) => t.id)).toEqual(["3", "5", "2", "4", "6", "1"]);
+    });
+
     it("sorts tasks in descending order", () => {
       const mockTasks = [
         { id: "1", title: "A", order: 0 },
@@ -199,6 +343,88 @@ describe("taskService", () => {
     });
   });
 
+  describe("searchTasks", () => {
+    const storedTasks = [
+      {
+        id: "task-1",
+        title: "Buy milk",
+        completed: false,
+        order: 0,
+        categoryId: "cat-shop",
+      },
+      {
+        id: "task-2",
+        title: "Write report",
+        completed: false,
+        order: 1,
+        categoryId: "cat-work",
+      },
+      {
+        id: "task-3",
+        title: "Buy printer ink",
+        completed: true,
+        order: 2,
+        categoryId: "cat-work",
+      },
+    ];
+
+    beforeEach(() => {
+      storageService.getItem.mockImplementation((key) => {
+        if (key === "tasks") return storedTasks;
+        if (key === "categories") {
+          return [
+            { id: "cat-shop", name: "Shopping" },
+            { id: "cat-work", name: "Work" },
+          ];
+        }
+        return [];
+      });
+    });
+
+    it("matches free text and operators together", () => {
+      const ids = (query) => searchTasks(query).map((t) => t.id);
+
+      expect(ids("buy")).toEqual(["task-1", "task-3"]);
+      expect(ids("buy cat:Work")).toEqual(["task-3"]);
+      expect(ids("buy -cat:Shopping -is:done")).toEqual([]);
+      expect(ids("cat:work -is:done")).toEqual(["task-2"]);
+    });
+
+    it("returns all tasks for an empty query", () => {
+      expect(searchTasks("")).toHaveLength(3);
+    });
+
+    it("applies getAllTasks options", () => {
+      const results = searchTasks("buy", {
+        sortBy: "order",
+        sortDirection: "desc",
+      });
+
+      expect(results.map((t) => t.id)).toEqual(["task-3", "task-1"]);
+    });
+
+    it("stays fast with thousands of tasks", () => {
+      const manyTasks = Array.from({ length: 5000 }, (_, i) => ({
+        id: `task-${i}`,
+        title: `Task number ${i}`,
+        completed: i % 2 === 0,
+        order: i,
+        categoryId: i % 3 === 0 ? "cat-work" : null,
+        subtasks: [{ id: `s-${i}`, title: "Step", completed: false }],
+      }));
+      storageService.getItem.mockImplementation((key) =>
+        key === "tasks" ? manyTasks : []
+      );
+
+      const start = performance.now();
+      const results = searchTasks("number 42 -is:done");
+      const elapsed = performance.now() - start;
+
+      expect(results.length).toBeGreaterThan(0);
+      expect(elapsed).toBeLessThan(200);
+    });
+  });
+
   describe("getTaskById", () => {
     it("returns task when found", () => {
       const mockTasks = [{ id: "task-123", title: "Test task", order: 0 }];
@@ -232,6 +458,26 @@ describe("taskService", () => {
       expect(result.task.title).toBe("New title");
     });
 
+    it("stamps the edit time of changed fields", () => {
+      const mockTasks = [
+        {
+          id: "task-1",
+          title: "Old title",
+          order: 0,
+          completed: false,
+          fieldUpdatedAt: { priority: "2025-01-01T00:00:00.000Z" },
+        },
+      ];
+      storageService.getItem.mockReturnValue(mockTasks);
+
+      const before = Date.now();
+      const result = updateTask("task-1", { title: "New title" });
+
+      const stamps = result.task.fieldUpdatedAt;
+      expect(Date.parse(stamps.title)).toBeGreaterThanOrEqual(before);
+      expect(stamps.priority).toBe("2025-01-01T00:00:00.000Z");
+    });
+
     it("sanitizes updated title", () => {
       const mockTasks = [
         { id: "task-1", title: "Old title", order: 0, completed: false },
@@ -292,10 +538,23 @@ describe("taskService", () => {
       expect(result.success).toBe(false);
       expect(result.error).toContain("not found");
     });
+    it("applies the update to the latest stored tasks", () => {
+      const before = [{ id: "task-1", title: "Task 1", order: 0 }];
+      const latest = [...before, { id: "task-2", title: "From tab 2" }];
+      storageService.getItem
+        .mockReturnValueOnce(before)
+        .mockReturnValueOnce(latest);
+
+      const result = updateTask("task-1", { title: "Renamed" });
+
+      expect(result.task.title).toBe("Renamed");
+      const savedTasks = storageService.setItem.mock.calls[0][1];
+      expect(savedTasks.map((t) => t.title)).toEqual(["Renamed", "From tab 2"]);
+    });
   });
 
   describe("deleteTask", () => {
-    it("deletes task successfully", () => {
+    it("moves the task to the trash", () => {
       const mockTasks = [
         { id: "task-1", title: "Task 1", order: 0 },
         { id: "task-2", title: "Task 2", order: 1 },
@@ -305,11 +564,47 @@ describe("taskService", () => {
       const result = deleteTask("task-1");
 
       expect(result.success).toBe(true);
-      expect(storageService.setItem).toHaveBeenCalled();
+      const savedTasks = storageService.setItem.mock.calls[0][1];
+      expect(savedTasks).toHaveLength(2);
+      expect(savedTasks[0].deletedAt).toEqual(expect.any(String));
+      expect(savedTasks[0].fieldUpdatedAt.deletedAt).toBe(
+        savedTasks[0].deletedAt
+      );
+      expect(savedTasks[1].deletedAt).toBeUndefined();
+    });
+
+    it("hides trashed tasks from lists and stats", () => {
+      storageService.getItem.mockReturnValue([
+        { id: "task-1", title: "Task 1", order: 0 },
+        {
+          id: "task-2",
+          title: "Task 2",
+          order: 1,
+          completed: true,
+          deletedAt: "2025-01-10T09:00:00.000Z",
+        },
+      ]);
+
+      expect(getAllTasks().map((t) => t.id)).toEqual(["task-1"]);
+      expect(getTaskStats()).toMatchObject({ total: 1, completed: 0 });
+      expect(getTrashedTasks().map((t) => t.id)).toEqual(["task-2"]);
+      expect(getTaskById("task-2")).not.toBeNull();
+    });
+
+    it("keeps tasks another tab added in the meantime", () => {
+      const before = [{ id: "task-1", title: "Task 1", order: 0 }];
+      const latest = [...before, { id: "task-2", title: "From tab 2" }];
+      // The existence checks see the old list, the write starts from the latest one
+      storageService.getItem
+        .mockReturnValueOnce(before)
+        .mockReturnValueOnce(before)
+        .mockReturnValueOnce(latest);
+
+      deleteTask("task-1");
 
       const savedTasks = storageService.setItem.mock.calls[0][1];
-      expect(savedTasks).toHaveLength(1);
-      expect(savedTasks[0].id).toBe("task-2");
+      expect(savedTasks.map((t) => t.id)).toEqual(["task-1", "task-2"]);
+      expect(savedTasks[1].deletedAt).toBeUndefined();
     });
 
     it("returns error when task not found", () => {
@@ -320,6 +615,175 @@ describe("taskService", () => {
       expect(result.success).toBe(false);
       expect(result.error).toContain("not found");
     });
+
+    it("returns error when the task is already in the trash", () => {
+      storageService.getItem.mockReturnValue([
+        { id: "task-1", title: "Task 1", deletedAt: "2025-01-10T09:00:00Z" },
+      ]);
+
+      expect(deleteTask("task-1").success).toBe(false);
+      expect(storageService.setItem).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("restoreTask", () => {
+    it("takes the task out of the trash", () => {
+      storageService.getItem.mockReturnValue([
+        { id: "task-1", title: "Task 1", deletedAt: "2025-01-10T09:00:00Z" },
+      ]);
+
+      const result = restoreTask("task-1");
+
+      expect(result.success).toBe(true);
+      expect(result.task.deletedAt).toBeNull();
+    });
+
+    it("returns error for tasks that aren't in the trash", () => {
+      storageService.getItem.mockReturnValue([{ id: "task-1", title: "T" }]);
+
+      const result = restoreTask("task-1");
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("Task not found in trash");
+    });
+  });
+
+  describe("purgeTask", () => {
+    it("removes the task for good", () => {
+      storageService.getItem.mockReturnValue([
+        { id: "task-1", title: "Task 1", deletedAt: "2025-01-10T09:00:00Z" },
+        { id: "task-2", title: "Task 2" },
+      ]);
+
+      const result = purgeTask("task-1");
+
+      expect(result.success).toBe(true);
+      const savedTasks = storageService.setItem.mock.calls[0][1];
+      expect(savedTasks.map((t) => t.id)).toEqual(["task-2"]);
+    });
+  });
+
+  describe("purgeTasks", () => {
+    it("removes several tasks in one write", () => {
+      storageService.getItem.mockReturnValue([
+        { id: "task-1", title: "Task 1", deletedAt: "2025-01-10T09:00:00Z" },
+        { id: "task-2", title: "Task 2" },
+        { id: "task-3", title: "Task 3", deletedAt: "2025-01-10T09:00:00Z" },
+      ]);
+
+      const result = purgeTasks(["task-1", "task-3", "missing"]);
+
+      expect(result).toEqual({ success: true, count: 2, error: null });
+      expect(storageService.setItem).toHaveBeenCalledTimes(1);
+      const savedTasks = storageService.setItem.mock.calls[0][1];
+      expect(savedTasks.map((t) => t.id)).toEqual(["task-2"]);
+    });
+  });
+
+  describe("clearCompletedTasks", () => {
+    it("archives completed tasks and keeps their history", () => {
+      storageService.getItem.mockReturnValue([
+        {
+          id: "task-1",
+          title: "Done",
+          completed: true,
+          completedAt: "2025-01-09T09:00:00.000Z",
+        },
+        { id: "task-2", title: "Open", completed: false },
+        {
+          id: "task-3",
+          title: "Trashed",
+          completed: true,
+          deletedAt: "2025-01-10T09:00:00Z",
+        },
+      ]);
+
+      const result = clearCompletedTasks();
+
+      expect(result.success).toBe(true);
+      expect(result.count).toBe(1);
+      const savedTasks = storageService.setItem.mock.calls[0][1];
+      expect(savedTasks).toHaveLength(3);
+      expect(savedTasks[0]).toMatchObject({
+        archivedAt: expect.any(String),
+        completedAt: "2025-01-09T09:00:00.000Z",
+      });
+      expect(savedTasks[0].fieldUpdatedAt.archivedAt).toBe(
+        savedTasks[0].archivedAt
+      );
+      expect(savedTasks[1].archivedAt).toBeUndefined();
+      expect(savedTasks[2].archivedAt).toBeUndefined();
+    });
+  });
+
+  describe("archive", () => {
+    const archived = (id, title, completedAt) => ({
+      id,
+      title,
+      completed: true,
+      completedAt,
+      archivedAt: "2025-02-01T00:00:00.000Z",
+    });
+
+    it("hides archived tasks from the main list", () => {
+      storageService.getItem.mockReturnValue([
+        { id: "task-1", title: "Open", order: 0 },
+        archived("task-2", "Old", "2025-01-01T00:00:00.000Z"),
+      ]);
+
+      expect(getAllTasks().map((t) => t.id)).toEqual(["task-1"]);
+      expect(getTaskStats().total).toBe(1);
+    });
+
+    it("pages archived tasks, most recently completed first", () => {
+      storageService.getItem.mockReturnValue([
+        archived("a", "Pay rent", "2025-01-01T00:00:00.000Z"),
+        archived("b", "Buy milk", "2025-01-03T00:00:00.000Z"),
+        archived("c", "Pay bills", "2025-01-02T00:00:00.000Z"),
+        { id: "d", title: "Pay later", completed: false },
+      ]);
+
+      const firstPage = getArchivedTasks({ limit: 2 });
+      expect(firstPage.total).toBe(3);
+      expect(firstPage.tasks.map((t) => t.id)).toEqual(["b", "c"]);
+      expect(
+        getArchivedTasks({ offset: 2, limit: 2 }).tasks.map((t) => t.id)
+      ).toEqual(["a"]);
+
+      const search = getArchivedTasks({ query: "pay" });
+      expect(search.tasks.map((t) => t.id)).toEqual(["c", "a"]);
+    });
+
+    it("archives the given tasks only", () => {
+      storageService.getItem.mockReturnValue([
+        { id: "task-1", title: "One", completed: true },
+        { id: "task-2", title: "Two", completed: true },
+      ]);
+
+      const result = archiveTasks(["task-2"]);
+
+      expect(result.tasks.map((t) => t.id)).toEqual(["task-2"]);
+      const savedTasks = storageService.setItem.mock.calls[0][1];
+      expect(savedTasks[0].archivedAt).toBeUndefined();
+    });
+
+    it("moves an archived task back to the main list", () => {
+      storageService.getItem.mockReturnValue([
+        archived("task-1", "Old", "2025-01-01T00:00:00.000Z"),
+      ]);
+
+      const result = unarchiveTask("task-1");
+
+      expect(result.success).toBe(true);
+      expect(result.task.archivedAt).toBeNull();
+      expect(result.task.completedAt).toBe("2025-01-01T00:00:00.000Z");
+    });
+
+    it("returns error for tasks that aren't archived", () => {
+      storageService.getItem.mockReturnValue([{ id: "task-1", title: "T" }]);
+
+      expect(unarchiveTask("task-1").error).toBe("Task not found in archive");
+    });
   });
 
   describe("toggleTaskCompletion", () => {
@@ -354,6 +818,94 @@ describe("taskService", () => {
       expect(result.task.completedAt).toBeNull();
     });
 
+    it("creates the next occurrence when completing a recurring task", () => {
+      const recurrence = { frequency: "weekly", interval: 1, daysOfWeek: [1] };
+      const dueDate = new Date(2099, 0, 5).toISOString(); // a Monday
+      const mockTasks = [
+        {
+          id: "task-1",
+          title: "Standup prep",
+          completed: false,
+          completedAt: null,
+          categoryId: "work",
+          dueDate,
+          order: 0,
+          recurrence,
+        },
+      ];
+      storageService.getItem.mockReturnValue(mockTasks);
+
+      const result = toggleTaskCompletion("task-1");
+
+      expect(result.success).toBe(true);
+      expect(result.task.completed).toBe(true);
+      expect(result.task.recurrence).toBeNull();
+      expect(result.nextTask).toBeDefined();
+      expect(result.nextTask.title).toBe("Standup prep");
+      expect(result.nextTask.categoryId).toBe("work");
+      expect(result.nextTask.recurrence).toEqual(recurrence);
+      expect(new Date(result.nextTask.dueDate).getDate()).toBe(12);
+    });
+
+    it("does not create an occurrence when uncompleting", () => {
+      const mockTasks = [
+        {
+          id: "task-1",
+          title: "Done",
+          completed: true,
+          completedAt: new Date().toISOString(),
+          order: 0,
+          recurrence: { frequency: "daily", interval: 1 },
+        },
+      ];
+      storageService.getItem.mockReturnValue(mockTasks);
+
+      const result = toggleTaskCompletion("task-1");
+
+      expect(result.success).toBe(true);
+      expect(result.nextTask).toBeNull();
+    });
+
+    it("keeps the next occurrence of an undated task all day", () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date(2099, 0, 5, 14, 37));
+      try {
+        const { nextTaskData } = getCompletionChanges({
+          id: "task-1",
+          title: "Water plants",
+          completed: false,
+          dueDate: null,
+          recurrence: { frequency: "daily", interval: 1 },
+        });
+
+        expect(nextTaskData.dueDate).toBe(allDay(2099, 1, 6));
+        expect(isAllDay(nextTaskData.dueDate)).toBe(true);
+        expect(isOverdue(nextTaskData.dueDate)).toBe(false);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it("describes the changes without writing them", () => {
+      const task = {
+        id: "task-1",
+        title: "Water plants",
+        completed: false,
+        dueDate: new Date(2099, 0, 5).toISOString(),
+        recurrence: { frequency: "daily", interval: 2 },
+      };
+
+      const { updates, nextTaskData } = getCompletionChanges(task);
+
+      expect(updates).toEqual({
+        completed: true,
+        completedAt: expect.any(String),
+        recurrence: null,
+      });
+      expect(new Date(nextTaskData.dueDate).getDate()).toBe(7);
+      expect(storageService.setItem).not.toHaveBeenCalled();
+    });
+
     it("returns error when task not found", () => {
       storageService.getItem.mockReturnValue([]);
 
@@ -364,6 +916,254 @@ describe("taskService", () => {
     });
   });
 
+  describe("subtasks", () => {
+    const taskWithSubtasks = () => [
+      {
+        id: "task-1",
+        title: "Pack for trip",
+        completed: false,
+        order: 0,
+        subtasks: [
+          { id: "sub-1", title: "Passport", completed: true },
+          { id: "sub-2", title: "Charger", completed: false },
+        ],
+      },
+    ];
+
+    it("adds a subtask to the end of the checklist", () => {
+      storageService.getItem.mockReturnValue(taskWithSubtasks());
+
+      const result = addSubtask("task-1", "Sunscreen");
+
+      expect(result.success).toBe(true);
+      expect(result.task.subtasks).toHaveLength(3);
+      expect(result.task.subtasks[2].title).toBe("Sunscreen");
+      expect(result.task.subtasks[2].completed).toBe(false);
+    });
+
+    it("adds a subtask to a task without a checklist", () => {
+      storageService.getItem.mockReturnValue([
+        { id: "task-1", title: "Legacy task", order: 0 },
+      ]);
+
+      const result = addSubtask("task-1", "First step");
+
+      expect(result.success).toBe(true);
+      expect(result.task.subtasks).toHaveLength(1);
+    });
+
+    it("sanitizes and validates subtask titles", () => {
+      storageService.getItem.mockReturnValue(taskWithSubtasks());
+
+      expect(addSubtask("task-1", "   ").success).toBe(false);
+
+      const result = addSubtask("task-1", "<b>Tickets</b>");
+      expect(result.task.subtasks[2].title).toBe("Tickets");
+    });
+
+    it("toggles a subtask", () => {
+      storageService.getItem.mockReturnValue(taskWithSubtasks());
+
+      const result = toggleSubtask("task-1", "sub-2");
+
+      expect(result.success).toBe(true);
+      expect(result.task.subtasks[1].completed).toBe(true);
+    });
+
+    it("renames a subtask in place", () => {
+      storageService.getItem.mockReturnValue(taskWithSubtasks());
+
+      const result = updateSubtask("task-1", "sub-1", { title: "Passport!" });
+
+      expect(result.success).toBe(true);
+      expect(result.task.subtasks[0].title).toBe("Passport!");
+      expect(result.task.subtasks[0].completed).toBe(true);
+    });
+
+    it("deletes a subtask and keeps the order of the rest", () => {
+      storageService.getItem.mockReturnValue(taskWithSubtasks());
+
+      const result = deleteSubtask("task-1", "sub-1");
+
+      expect(result.success).toBe(true);
+      expect(result.task.subtasks.map((s) => s.id)).toEqual(["sub-2"]);
+    });
+
+    it("returns error when subtask not found", () => {
+      storageService.getItem.mockReturnValue(taskWithSubtasks());
+
+      const result = deleteSubtask("task-1", "missing");
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain("not found");
+    });
+
+    it("reports checklist progress", () => {
+      expect(getSubtaskProgress(taskWithSubtasks()[0])).toEqual({
+        completed: 1,
+        total: 2,
+      });
+      expect(getSubtaskProgress({ id: "x" })).toEqual({
+        completed: 0,
+        total: 0,
+      });
+    });
+  });
+
+  describe("insertTasks", () => {
+    const deletedTask = {
+      id: "task-2",
+      title: "Deleted task",
+      completed: true,
+      createdAt: "2025-01-01T00:00:00.000Z",
+      completedAt: "2025-01-02T00:00:00.000Z",
+      order: 1,
+      categoryId: "cat-1",
+      subtasks: [],
+    };
+
+    it("restores tasks with their original IDs and fields", () => {
+      storageService.getItem.mockReturnValue([
+        { id: "task-1", title: "Task 1", order: 0 },
+      ]);
+
+      const result = insertTasks([deletedTask]);
+
+      expect(result.success).toBe(true);
+      expect(result.tasks).toEqual([deletedTask]);
+      const savedTasks = storageService.setItem.mock.calls[0][1];
+      expect(savedTasks).toHaveLength(2);
+      expect(savedTasks[1]).toEqual(deletedTask);
+    });
+
+    it("skips tasks that already exist", () => {
+      storageService.getItem.mockReturnValue([deletedTask]);
+
+      const result = insertTasks([deletedTask]);
+
+      expect(result.success).toBe(true);
+      expect(result.tasks).toEqual([]);
+      expect(storageService.setItem).not.toHaveBeenCalled();
+    });
+
+    it("sanitizes restored titles", () => {
+      const result = insertTasks([
+        { ...deletedTask, title: "<b>Bold</b> task" },
+      ]);
+
+      expect(result.tasks[0].title).toBe("Bold task");
+    });
+  });
+
+  describe("reorderTasks", () => {
+    const orderedTasks = () => [
+      { id: "task-1", title: "Task 1", order: 0 },
+      { id: "task-2", title: "Task 2", order: 1 },
+      { id: "task-3", title: "Task 3", order: 2 },
+      { id: "task-4", title: "Task 4", order: 3 },
+    ];
+
+    it("assigns order values in the new sequence", () => {
+      storageService.getItem.mockReturnValue(orderedTasks());
+
+      const result = reorderTasks(["task-3", "task-1", "task-2", "task-4"]);
+
+      expect(result.success).toBe(true);
+      const savedTasks = storageService.setItem.mock.calls[0][1];
+      const order = Object.fromEntries(savedTasks.map((t) => [t.id, t.order]));
+      expect(order).toEqual({
+        "task-3": 0,
+        "task-1": 1,
+        "task-2": 2,
+        "task-4": 3,
+      });
+    });
+
+    it("returns only the tasks whose order changed", () => {
+      storageService.getItem.mockReturnValue(orderedTasks());
+
+      const result = reorderTasks(["task-2", "task-1", "task-3", "task-4"]);
+
+      expect(result.tasks.map((t) => t.id).sort()).toEqual([
+        "task-1",
+        "task-2",
+      ]);
+    });
+
+    it("reuses existing slots so hidden tasks keep their place", () => {
+      storageService.getItem.mockReturnValue(orderedTasks());
+
+      // Filtered view showing only tasks 2 and 4
+      reorderTasks(["task-4", "task-2"]);
+
+      const savedTasks = storageService.setItem.mock.calls[0][1];
+      const order = Object.fromEntries(savedTasks.map((t) => [t.id, t.order]));
+      expect(order).toEqual({
+        "task-1": 0,
+        "task-4": 1,
+        "task-2": 3,
+        "task-3": 2,
+      });
+    });
+
+    it("spreads out tasks that share an order value", () => {
+      storageService.getItem.mockReturnValue([
+        { id: "task-1", title: "Task 1", order: 0 },
+        { id: "task-2", title: "Task 2", order: 0 },
+      ]);
+
+      reorderTasks(["task-2", "task-1"]);
+
+      const savedTasks = storageService.setItem.mock.calls[0][1];
+      expect(savedTasks.find((t) => t.id === "task-2").order).toBe(0);
+      expect(savedTasks.find((t) => t.id === "task-1").order).toBe(1);
+    });
+
+    it("does not save when nothing moved", () => {
+      storageService.getItem.mockReturnValue(orderedTasks());
+
+      const result = reorderTasks(["task-1", "task-2"]);
+
+      expect(result.success).toBe(true);
+      expect(result.tasks).toEqual([]);
+      expect(storageService.setItem).not.toHaveBeenCalled();
+    });
+
+    it("returns error when a task is not found", () => {
+      storageService.getItem.mockReturnValue(orderedTasks());
+
+      const result = reorderTasks(["task-1", "missing"]);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain("not found");
+    });
+  });
+
+  describe("getTaskStats", () => {
+    it("counts timed tasks as overdue once their time passes", () => {
+      vi.setSystemTime(new Date(2025, 10, 7, 15, 0));
+      storageService.getItem.mockReturnValue([
+        // Earlier today at 9am: overdue
+        { id: "1", completed: false, dueDate: new Date(2025, 10, 7, 9) },
+        // Later today at 6pm: not yet
+        { id: "2", completed: false, dueDate: new Date(2025, 10, 7, 18) },
+        // All day today: not overdue until tomorrow
+        { id: "3", completed: false, dueDate: allDay(2025, 11, 7) },
+        // All day yesterday: overdue
+        { id: "4", completed: false, dueDate: allDay(2025, 11, 6) },
+        // Completed tasks never count
+        { id: "5", completed: true, dueDate: allDay(2025, 11, 6) },
+      ]);
+
+      const stats = getTaskStats();
+
+      expect(stats.total).toBe(5);
+      expect(stats.active).toBe(4);
+      expect(stats.overdue).toBe(2);
+      vi.useRealTimers();
+    });
+  });
+
   describe("initializeDemoData", () => {
     it("initializes demo data on first launch", () => {
       storageService.getItem.mockImplementation((key) => {
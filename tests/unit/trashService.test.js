@@ -0,0 +1,87 @@
+/**
+ * Trash Service Tests
+ * Test the retention period and which trashed items are due for purging
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  getTrashRetentionDays,
+  setTrashRetentionDays,
+  isExpired,
+  getExpiredTrash,
+} from "../../src/services/trashService";
+import { setItem } from "../../src/services/storageService";
+import { daysAgo } from "../helpers";
+
+const NOW = Date.parse("2025-03-01T12:00:00.000Z");
+
+describe("trashService", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe("retention period", () => {
+    it("defaults to 30 days", () => {
+      expect(getTrashRetentionDays()).toBe(30);
+    });
+
+    it("saves one of the offered periods", () => {
+      expect(setTrashRetentionDays(7).success).toBe(true);
+      expect(getTrashRetentionDays()).toBe(7);
+
+      expect(setTrashRetentionDays(0).success).toBe(true);
+      expect(getTrashRetentionDays()).toBe(0);
+    });
+
+    it("rejects other periods", () => {
+      const result = setTrashRetentionDays(12);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("Invalid retention period");
+      expect(getTrashRetentionDays()).toBe(30);
+    });
+  });
+
+  describe("isExpired", () => {
+    it("expires items once they've been in the trash for the period", () => {
+      expect(isExpired({ deletedAt: daysAgo(30, NOW) }, 30, NOW)).toBe(true);
+      expect(isExpired({ deletedAt: daysAgo(29, NOW) }, 30, NOW)).toBe(false);
+    });
+
+    it("never expires items that aren't in the trash", () => {
+      expect(isExpired({ deletedAt: null }, 30, NOW)).toBe(false);
+    });
+
+    it("keeps everything when the period is 0", () => {
+      expect(isExpired({ deletedAt: daysAgo(1000, NOW) }, 0, NOW)).toBe(false);
+    });
+  });
+
+  describe("getExpiredTrash", () => {
+    it("lists expired tasks and categories only", () => {
+      setItem("tasks", [
+        { id: "old", title: "Old", deletedAt: daysAgo(40, NOW) },
+        { id: "recent", title: "Recent", deletedAt: daysAgo(2, NOW) },
+        { id: "live", title: "Live", deletedAt: null },
+      ]);
+      setItem("categories", [
+        { id: "cat-old", name: "Old", deletedAt: daysAgo(31, NOW) },
+        { id: "cat-live", name: "Live" },
+      ]);
+
+      const expired = getExpiredTrash(NOW);
+
+      expect(expired.tasks.map((t) => t.id)).toEqual(["old"]);
+      expect(expired.categories.map((c) => c.id)).toEqual(["cat-old"]);
+    });
+
+    it("uses the saved retention period", () => {
+      setTrashRetentionDays(7);
+      setItem("tasks", [
+        { id: "week", title: "Week", deletedAt: daysAgo(8, NOW) },
+      ]);
+
+      expect(getExpiredTrash(NOW).tasks).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * useImport Tests
+ * Test that failures while reading or importing reach the user
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { h, render } from "preact";
+import { act } from "preact/test-utils";
+import { useImport } from "../../src/hooks/useImport";
+
+vi.mock("../../src/hooks/useAuth", () => ({
+  useAuth: () => ({ user: null, isAuthenticated: false, isOnline: true }),
+}));
+
+let container;
+
+/**
+ * Render useImport over stand-ins for useTasks and useCategories
+ * @param {Object} [tasksApi] - Overrides for the useTasks() stand-in
+ * @returns {Promise<Object>} Latest hook value, read through .current
+ */
+async function renderUseImport(tasksApi = {}) {
+  const result = { current: null };
+  const Probe = () => {
+    result.current = useImport(
+      {
+        tasks: [],
+        loadTasks: vi.fn(async () => {}),
+        addTask: vi.fn(async () => ({ success: true, task: { id: "t" } })),
+        updateTask: vi.fn(async () => ({ success: true })),
+        ...tasksApi,
+      },
+      { categories: [], loadCategories: vi.fn(async () => {}) }
+    );
+    return null;
+  };
+  await act(async () => {
+    render(h(Probe), container);
+  });
+  return result;
+}
+
+describe("useImport", () => {
+  beforeEach(() => {
+    localStorage.clear();
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    container = document.createElement("div");
+  });
+
+  afterEach(() => {
+    render(null, container);
+    vi.restoreAllMocks();
+  });
+
+  it("should report a file that can't be read", async () => {
+    const result = await renderUseImport();
+    const file = {
+      name: "backup.json",
+      text: () => Promise.reject(new Error("NotReadableError")),
+    };
+
+    let preview;
+    await act(async () => {
+      preview = await result.current.readFile(file);
+    });
+
+    expect(preview).toBeNull();
+    expect(result.current.error).toBeTruthy();
+  });
+
+  it("should report a failed import instead of throwing", async () => {
+    const addTask = vi.fn(async () => {
+      throw new Error("Network request failed");
+    });
+    const result = await renderUseImport({ addTask });
+    const file = { name: "tasks.txt", text: async () => "Buy milk" };
+
+    await act(() => result.current.readFile(file));
+    let imported;
+    await act(async () => {
+      imported = await result.current.importExternal();
+    });
+
+    expect(addTask).toHaveBeenCalled();
+    expect(imported.success).toBe(false);
+    expect(imported.error).toBeTruthy();
+    expect(result.current.error).toBe(imported.error);
+    expect(result.current.importing).toBe(false);
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * useTasks Tests
+ * Test signed-in loads and writes through the Supabase repository
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { h, render } from "preact";
+import { act } from "preact/test-utils";
+import { useTasks } from "../../src/hooks/useTasks";
+import {
+  createMemoryAdapter,
+  setStorageAdapter,
+  getRepository,
+} from "../../src/services/repository";
+import * as supabaseStorage from "../../src/services/supabaseStorageService";
+
+vi.mock("../../src/hooks/useAuth", () => ({
+  useAuth: () => ({
+    user: { id: "user-1" },
+    isAuthenticated: true,
+    isOnline: true,
+  }),
+}));
+
+vi.mock("../../src/services/supabaseStorageService", () => ({
+  fetchTasks: vi.fn(),
+  createTaskInSupabase: vi.fn(),
+  updateTaskInSupabase: vi.fn(),
+  subscribeToTaskChanges: vi.fn(() => () => {}),
+}));
+
+const T1 = "2026-01-01T00:00:00.000Z";
+
+let container;
+let previous;
+
+/**
+ * Render useTasks and wait for its first load
+ * @returns {Promise<Object>} Latest hook value, read through .current
+ */
+async function renderUseTasks() {
+  const result = { current: null };
+  const Probe = () => {
+    result.current = useTasks();
+    return null;
+  };
+  await act(async () => {
+    render(h(Probe), container);
+  });
+  return result;
+}
+
+describe("useTasks", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    container = document.createElement("div");
+  });
+
+  afterEach(() => {
+    render(null, container);
+    setStorageAdapter(previous);
+  });
+
+  it("should keep archived tasks cached across a signed-in load", async () => {
+    previous = setStorageAdapter(
+      createMemoryAdapter({
+        tasks: [
+          { id: "live", title: "Stale", createdAt: T1 },
+          { id: "old", title: "Archived", createdAt: T1, archivedAt: T1 },
+          { id: "gone", title: "Deleted elsewhere", createdAt: T1 },
+        ],
+      })
+    );
+    // Supabase leaves archived tasks out of the list
+    supabaseStorage.fetchTasks.mockResolvedValue({
+      data: [{ id: "live", title: "Live", createdAt: T1 }],
+      error: null,
+    });
+
+    const result = await renderUseTasks();
+
+    expect(result.current.tasks.map((t) => t.title)).toEqual(["Live"]);
+    const cached = getRepository("tasks").list().data;
+    expect(cached.map((t) => t.id).sort()).toEqual(["live", "old"]);
+  });
+
+  describe("signed-in writes", () => {
+    beforeEach(() => {
+      previous = setStorageAdapter(
+        createMemoryAdapter({
+          tasks: [{ id: "task-1", title: "Existing", createdAt: T1 }],
+        })
+      );
+      supabaseStorage.fetchTasks.mockResolvedValue({ data: [], error: null });
+      supabaseStorage.createTaskInSupabase.mockImplementation(
+        async (userId, task) => ({ data: task, error: null })
+      );
+      supabaseStorage.updateTaskInSupabase.mockImplementation(
+        async (id, updates) => ({ data: { id, ...updates }, error: null })
+      );
+    });
+
+    it("should validate new tasks before sending them", async () => {
+      const result = await renderUseTasks();
+
+      let added;
+      await act(async () => {
+        added = await result.current.addTask({
+          title: "Pay rent",
+          priority: "critical",
+        });
+      });
+
+      expect(added.success).toBe(false);
+      expect(result.current.error).toBe(added.error);
+      expect(supabaseStorage.createTaskInSupabase).not.toHaveBeenCalled();
+    });
+
+    it("should send the sanitized task", async () => {
+      const result = await renderUseTasks();
+
+      await act(() => result.current.addTask({ title: "<b>Pay</b> rent" }));
+
+      const [, sent] = supabaseStorage.createTaskInSupabase.mock.calls[0];
+      expect(sent).toMatchObject({ title: "Pay rent", priority: "none" });
+    });
+
+    it("should validate updates before sending them", async () => {
+      const result = await renderUseTasks();
+
+      let updated;
+      await act(async () => {
+        updated = await result.current.updateTask("task-1", { title: "  " });
+      });
+
+      expect(updated.success).toBe(false);
+      expect(supabaseStorage.updateTaskInSupabase).not.toHaveBeenCalled();
+    });
+
+    it("should validate repeat rules before sending them", async () => {
+      const result = await renderUseTasks();
+
+      let updated;
+      await act(async () => {
+        updated = await result.current.updateTask("task-1", {
+          recurrence: { frequency: "weekly", interval: 0 },
+        });
+      });
+
+      expect(updated.success).toBe(false);
+      expect(supabaseStorage.updateTaskInSupabase).not.toHaveBeenCalled();
+    });
+
+    it("should leave the caller's updates as they were", async () => {
+      const result = await renderUseTasks();
+      const updates = { title: "<i>Renamed</i>", priority: null };
+
+      await act(() => result.current.updateTask("task-1", updates));
+
+      expect(updates).toEqual({ title: "<i>Renamed</i>", priority: null });
+      expect(supabaseStorage.updateTaskInSupabase).toHaveBeenCalledWith(
+        "task-1",
+        { title: "Renamed", priority: "none" }
+      );
+    });
+  });
+});
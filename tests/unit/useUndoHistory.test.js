@@ -0,0 +1,73 @@
+/**
+ * useUndoHistory Tests
+ * Test that undone commands redo exactly what they first did
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { h, render } from "preact";
+import { act } from "preact/test-utils";
+import { useUndoHistory } from "../../src/hooks/useUndoHistory";
+import { getAllTasks } from "../../src/services/taskService";
+
+vi.mock("../../src/services/taskService", () => ({
+  getAllTasks: vi.fn(),
+  getTaskById: vi.fn(),
+}));
+
+const SUCCESS = { success: true, error: null };
+
+let container;
+
+/**
+ * Render useUndoHistory over the given operations
+ * @param {Object} tasksApi - Stand-in for useTasks()
+ * @returns {Promise<Object>} Latest hook value, read through .current
+ */
+async function renderUseUndoHistory(tasksApi) {
+  const result = { current: null };
+  const Probe = () => {
+    result.current = useUndoHistory(tasksApi, {});
+    return null;
+  };
+  await act(async () => {
+    render(h(Probe), container);
+  });
+  return result;
+}
+
+describe("useUndoHistory", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    container = document.createElement("div");
+  });
+
+  afterEach(() => {
+    render(null, container);
+  });
+
+  it("should redo clearing only the tasks that were cleared", async () => {
+    const tasksApi = {
+      clearCompleted: vi.fn(async () => SUCCESS),
+      unarchiveTask: vi.fn(async () => SUCCESS),
+      archiveTasks: vi.fn(async () => SUCCESS),
+    };
+    getAllTasks.mockReturnValue([
+      { id: "done", completed: true },
+      { id: "open", completed: false },
+    ]);
+    const result = await renderUseUndoHistory(tasksApi);
+
+    await act(() => result.current.clearCompleted());
+    await act(() => result.current.undo());
+    // Completed after the undo, so never part of the cleared set
+    getAllTasks.mockReturnValue([
+      { id: "done", completed: true },
+      { id: "open", completed: true },
+    ]);
+    await act(() => result.current.redo());
+
+    expect(tasksApi.unarchiveTask).toHaveBeenCalledWith("done");
+    expect(tasksApi.clearCompleted).toHaveBeenCalledTimes(1);
+    expect(tasksApi.archiveTasks).toHaveBeenCalledWith(["done"]);
+  });
+});
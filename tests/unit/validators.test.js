@@ -7,6 +7,9 @@ import { describe, it, expect } from "vitest";
 import {
   validateTaskTitle,
   validateCategoryName,
+  validateRecurrence,
+  validatePriority,
+  validateDueDate,
 } from "../../src/utils/validators";
 
 describe("validators", () => {
@@ -125,4 +128,99 @@ describe("validators", () => {
       expect(result.valid).toBe(true);
     });
   });
+
+  describe("validateRecurrence", () => {
+    it("accepts no recurrence", () => {
+      expect(validateRecurrence(null).valid).toBe(true);
+    });
+
+    it("accepts weekly rule with weekdays", () => {
+      const result = validateRecurrence({
+        frequency: "weekly",
+        interval: 1,
+        daysOfWeek: [1, 3, 5],
+      });
+
+      expect(result.valid).toBe(true);
+    });
+
+    it("accepts monthly nth-weekday rule", () => {
+      const result = validateRecurrence({
+        frequency: "monthly",
+        weekOfMonth: -1,
+        daysOfWeek: [5],
+      });
+
+      expect(result.valid).toBe(true);
+    });
+
+    it("rejects unknown frequency", () => {
+      const result = validateRecurrence({ frequency: "hourly" });
+
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain("frequency");
+    });
+
+    it("rejects non-positive interval", () => {
+      const result = validateRecurrence({ frequency: "daily", interval: 0 });
+
+      expect(result.valid).toBe(false);
+    });
+
+    it("rejects out-of-range weekdays", () => {
+      const result = validateRecurrence({
+        frequency: "weekly",
+        daysOfWeek: [7],
+      });
+
+      expect(result.valid).toBe(false);
+    });
+  });
+
+  describe("validatePriority", () => {
+    it("accepts every priority level", () => {
+      ["none", "low", "medium", "high", "urgent"].forEach((level) => {
+        expect(validatePriority(level).valid).toBe(true);
+      });
+    });
+
+    it("accepts a missing priority", () => {
+      expect(validatePriority(undefined).valid).toBe(true);
+      expect(validatePriority(null).valid).toBe(true);
+    });
+
+    it("rejects unknown levels", () => {
+      const result = validatePriority("critical");
+
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain("priority");
+    });
+  });
+
+  describe("validateDueDate", () => {
+    it("accepts days, timestamps and no due date", () => {
+      [
+        null,
+        undefined,
+        "",
+        "2026-11-01",
+        "2024-02-29",
+        "2026-11-01T09:30:00.000Z",
+        "2026-11-01T00:00:00+00:00",
+      ].forEach((dueDate) => {
+        expect(validateDueDate(dueDate).valid).toBe(true);
+      });
+    });
+
+    it("rejects anything else", () => {
+      ["tomorrow", "2026-02-30", "2026-11-01T09:30", 20261101].forEach(
+        (dueDate) => {
+          const result = validateDueDate(dueDate);
+
+          expect(result.valid).toBe(false);
+          expect(result.error).toBe("Invalid due date");
+        }
+      );
+    });
+  });
 });